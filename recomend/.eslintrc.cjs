@@ -10,4 +10,8 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  settings: {
+    // Tests run on Vitest, whose API matches this Jest version for the testing rules
+    jest: { version: 29 },
+  },
 };
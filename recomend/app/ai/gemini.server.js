@@ -0,0 +1,79 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { pickSchemaKeywords } from "./schema.server";
+
+// Schema keywords Gemini's responseSchema accepts; the rest are validated locally
+const GEMINI_SCHEMA_KEYWORDS = [
+  "type",
+  "properties",
+  "required",
+  "items",
+  "enum",
+  "description",
+];
+
+/**
+ * Google Gemini provider.
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Defaults to `GEMINI_API_KEY`
+ * @param {string} [options.embeddingModel] - Defaults to `GEMINI_EMBEDDING_MODEL` or text-embedding-004
+ * @param {string} [options.textModel] - Defaults to `GEMINI_TEXT_MODEL` or gemini-2.5-flash
+ * @param {(usage: import("./provider.server").AIUsage) => void} [options.onUsage] - Called after each API call
+ * @returns {import("./provider.server").AIProvider}
+ */
+export function createGeminiProvider({
+  apiKey = process.env.GEMINI_API_KEY,
+  embeddingModel = process.env.GEMINI_EMBEDDING_MODEL || "text-embedding-004",
+  textModel = process.env.GEMINI_TEXT_MODEL || "gemini-2.5-flash",
+  onUsage = () => {},
+} = {}) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+    configured: Boolean(apiKey),
+    embeddingModel,
+    textModel,
+
+    async embed(text) {
+      const model = genAI.getGenerativeModel({ model: embeddingModel });
+      const result = await model.embedContent(text);
+      // Embedding responses carry no token count; about four characters make a token
+      onUsage({ kind: "embedding", tokens: Math.ceil(text.length / 4) });
+      return result.embedding.values;
+    },
+
+    async generateText(prompt, { schema, onText } = {}) {
+      const model = genAI.getGenerativeModel({
+        model: textModel,
+        ...(schema && {
+          generationConfig: {
+            responseMimeType: "application/json",
+            responseSchema: pickSchemaKeywords(schema, GEMINI_SCHEMA_KEYWORDS),
+          },
+        }),
+      });
+      if (!onText) {
+        const result = await model.generateContent(prompt);
+        onUsage({
+          kind: "text",
+          tokens: result.response.usageMetadata?.totalTokenCount || 0,
+        });
+        return result.response.text();
+      }
+
+      const result = await model.generateContentStream(prompt);
+      let text = "";
+      for await (const chunk of result.stream) {
+        const delta = chunk.text();
+        text += delta;
+        onText(delta);
+      }
+      const response = await result.response;
+      onUsage({
+        kind: "text",
+        tokens: response.usageMetadata?.totalTokenCount || 0,
+      });
+      return text;
+    },
+  };
+}
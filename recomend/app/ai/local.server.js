@@ -0,0 +1,95 @@
+// Size of the hashed bag-of-words vectors produced by the local provider
+const LOCAL_EMBEDDING_DIMENSIONS = 256;
+
+const SOFT_IVORY = { name: "Soft Ivory", hex: "#f4efe1" };
+const MIDNIGHT_NAVY = { name: "Midnight Navy", hex: "#1c2841" };
+const WARM_CARAMEL = { name: "Warm Caramel", hex: "#b5763c" };
+
+const LOCAL_PALETTES = {
+  Casual: [SOFT_IVORY, { name: "Denim Blue", hex: "#3b5b8c" }, WARM_CARAMEL],
+  Formal: [
+    MIDNIGHT_NAVY,
+    { name: "Charcoal Grey", hex: "#3e4247" },
+    { name: "Crisp White", hex: "#fbfbf8" },
+  ],
+  Athleisure: [
+    { name: "Graphite", hex: "#41424c" },
+    { name: "Cool Grey", hex: "#8c9299" },
+    { name: "Electric Teal", hex: "#00a3a3" },
+  ],
+};
+const DEFAULT_PALETTE = [SOFT_IVORY, MIDNIGHT_NAVY, WARM_CARAMEL];
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} value - String to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic offline provider for local development and tests. Embeddings
+ * are hashed bag-of-words vectors, so texts sharing words still score as
+ * similar. Text generation does not read the prompt; it builds a well-formed
+ * answer from the structured `context` the caller passes alongside it.
+ * @param {object} [options]
+ * @param {(usage: import("./provider.server").AIUsage) => void} [options.onUsage] - Called after each call, with no tokens
+ * @returns {import("./provider.server").AIProvider}
+ */
+export function createLocalProvider({ onUsage = () => {} } = {}) {
+  return {
+    name: "local",
+    configured: true,
+    embeddingModel: `local-hashing-${LOCAL_EMBEDDING_DIMENSIONS}`,
+    textModel: "local-template",
+
+    async embed(text) {
+      const vector = new Array(LOCAL_EMBEDDING_DIMENSIONS).fill(0);
+      const tokens = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+
+      for (const token of tokens) {
+        const hash = fnv1a(token);
+        // The top bit picks the sign so collisions tend to cancel out
+        vector[hash % LOCAL_EMBEDDING_DIMENSIONS] += hash & 0x80000000 ? -1 : 1;
+      }
+
+      onUsage({ kind: "embedding", tokens: 0 });
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+      return norm === 0 ? vector : vector.map((v) => v / norm);
+    },
+
+    async generateText(prompt, { context, onText } = {}) {
+      const { preferences = {}, candidates = [], maxItems = 5 } = context || {};
+      // Best-ranked candidate for each slot, like a stylist filling an outfit
+      const picks = [];
+      const slots = new Set();
+      for (const product of candidates) {
+        if (picks.length >= maxItems) break;
+        if (product.slot && slots.has(product.slot)) continue;
+        if (!product.slot && picks.length >= 3) continue;
+        slots.add(product.slot);
+        picks.push(product);
+      }
+
+      onUsage({ kind: "text", tokens: 0 });
+      const text = JSON.stringify({
+        recommendation_text:
+          `A ${preferences.style || "versatile"} look for ${preferences.occasion || "any occasion"} ` +
+          `in ${preferences.weather || "any"} weather, built around ` +
+          `${picks.map((product) => product.title).join(", ") || "your catalog"}.`,
+        color_palette: LOCAL_PALETTES[preferences.style] || DEFAULT_PALETTE,
+        recommended_ids: picks.map((product) => product.shortId),
+      });
+      // Streamed a word at a time, like a remote model would
+      if (onText) (text.match(/\S+\s*/g) || []).forEach(onText);
+      return text;
+    },
+  };
+}
@@ -0,0 +1,122 @@
+import OpenAI from "openai";
+import { pickSchemaKeywords } from "./schema.server";
+
+// Schema keywords strict structured outputs accept; the rest are validated locally
+const OPENAI_SCHEMA_KEYWORDS = [
+  "type",
+  "properties",
+  "required",
+  "items",
+  "enum",
+  "description",
+];
+
+/**
+ * Strict mode additionally requires every object to forbid extra properties
+ * and to list all of its properties as required. It only allows optional
+ * properties as required nullable ones, and `validateSchema` rejects their
+ * nulls, so schemas with optional properties are refused.
+ * @param {object} schema - JSON Schema subset
+ * @returns {object} - Schema accepted by `response_format: json_schema`
+ * @throws {Error} - When an object has properties it does not require
+ */
+function toStrictSchema(schema) {
+  const strict = { ...schema };
+  if (strict.type === "object") {
+    const optional = Object.keys(strict.properties || {}).filter(
+      (name) => !(strict.required || []).includes(name),
+    );
+    if (optional.length > 0) {
+      throw new Error(
+        `OpenAI structured output needs every property required, but ${optional.join(", ")} ${optional.length === 1 ? "is" : "are"} optional`,
+      );
+    }
+    strict.additionalProperties = false;
+    strict.properties = Object.fromEntries(
+      Object.entries(strict.properties || {}).map(([name, child]) => [
+        name,
+        toStrictSchema(child),
+      ]),
+    );
+  }
+  if (strict.items) strict.items = toStrictSchema(strict.items);
+  return strict;
+}
+
+/**
+ * OpenAI provider.
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Defaults to `OPENAI_API_KEY`
+ * @param {string} [options.embeddingModel] - Defaults to `OPENAI_EMBEDDING_MODEL` or text-embedding-3-small
+ * @param {string} [options.textModel] - Defaults to `OPENAI_TEXT_MODEL` or gpt-4o-mini
+ * @param {(usage: import("./provider.server").AIUsage) => void} [options.onUsage] - Called after each API call
+ * @returns {import("./provider.server").AIProvider}
+ */
+export function createOpenAIProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  embeddingModel = process.env.OPENAI_EMBEDDING_MODEL ||
+    "text-embedding-3-small",
+  textModel = process.env.OPENAI_TEXT_MODEL || "gpt-4o-mini",
+  onUsage = () => {},
+} = {}) {
+  // The client throws on construction without a key, so defer it until first use
+  let client;
+  const getClient = () => (client ??= new OpenAI({ apiKey }));
+
+  return {
+    name: "openai",
+    configured: Boolean(apiKey),
+    embeddingModel,
+    textModel,
+
+    async embed(text) {
+      const response = await getClient().embeddings.create({
+        model: embeddingModel,
+        input: text,
+      });
+      onUsage({ kind: "embedding", tokens: response.usage?.total_tokens || 0 });
+      return response.data[0].embedding;
+    },
+
+    async generateText(prompt, { schema, onText } = {}) {
+      const completion = await getClient().chat.completions.create({
+        model: textModel,
+        ...(onText && {
+          stream: true,
+          stream_options: { include_usage: true },
+        }),
+        messages: [{ role: "user", content: prompt }],
+        ...(schema && {
+          response_format: {
+            type: "json_schema",
+            json_schema: {
+              name: "response",
+              strict: true,
+              schema: toStrictSchema(
+                pickSchemaKeywords(schema, OPENAI_SCHEMA_KEYWORDS),
+              ),
+            },
+          },
+        }),
+      });
+      if (!onText) {
+        onUsage({ kind: "text", tokens: completion.usage?.total_tokens || 0 });
+        return completion.choices[0].message.content || "";
+      }
+
+      let text = "";
+      let tokens = 0;
+      for await (const chunk of completion) {
+        const delta = chunk.choices[0]?.delta?.content || "";
+        if (delta) {
+          text += delta;
+          onText(delta);
+        }
+        // Only the final chunk carries usage
+        if (chunk.usage) tokens = chunk.usage.total_tokens;
+      }
+      onUsage({ kind: "text", tokens });
+      return text;
+    },
+  };
+}
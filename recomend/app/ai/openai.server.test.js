@@ -0,0 +1,92 @@
+import OpenAI from "openai";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { createOpenAIProvider } from "./openai.server";
+
+vi.mock("openai", () => ({ default: vi.fn() }));
+
+const create = vi.fn();
+
+describe("createOpenAIProvider", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    OpenAI.mockImplementation(() => ({ chat: { completions: { create } } }));
+    create.mockResolvedValue({
+      choices: [{ message: { content: "{}" } }],
+      usage: { total_tokens: 12 },
+    });
+  });
+
+  it("sends schemas in strict mode, dropping keywords it cannot take", async () => {
+    const ai = createOpenAIProvider({ apiKey: "sk-test" });
+
+    await ai.generateText("Prompt", {
+      schema: {
+        type: "object",
+        properties: {
+          palette: {
+            type: "array",
+            minItems: 1,
+            items: {
+              type: "object",
+              properties: { hex: { type: "string", pattern: "^#" } },
+              required: ["hex"],
+            },
+          },
+        },
+        required: ["palette"],
+      },
+    });
+
+    expect(create.mock.calls[0][0].response_format.json_schema).toEqual({
+      name: "response",
+      strict: true,
+      schema: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          palette: {
+            type: "array",
+            items: {
+              type: "object",
+              additionalProperties: false,
+              properties: { hex: { type: "string" } },
+              required: ["hex"],
+            },
+          },
+        },
+        required: ["palette"],
+      },
+    });
+  });
+
+  it("refuses schemas with optional properties", async () => {
+    const ai = createOpenAIProvider({ apiKey: "sk-test" });
+    const schema = {
+      type: "object",
+      properties: {
+        items: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { id: { type: "string" }, note: { type: "string" } },
+            required: ["id"],
+          },
+        },
+      },
+      required: ["items"],
+    };
+
+    await expect(ai.generateText("Prompt", { schema })).rejects.toThrow(
+      "OpenAI structured output needs every property required, but note is optional",
+    );
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("reports the tokens a completion used", async () => {
+    const onUsage = vi.fn();
+    const ai = createOpenAIProvider({ apiKey: "sk-test", onUsage });
+
+    expect(await ai.generateText("Prompt")).toBe("{}");
+    expect(onUsage).toHaveBeenCalledWith({ kind: "text", tokens: 12 });
+  });
+});
@@ -0,0 +1,61 @@
+import db from "../db.server";
+import { recordAIUsage } from "../usage.server";
+import { createGeminiProvider } from "./gemini.server";
+import { createLocalProvider } from "./local.server";
+import { createOpenAIProvider } from "./openai.server";
+
+/**
+ * @typedef {object} AIUsage
+ * @property {"embedding" | "text"} kind - Which kind of call was made
+ * @property {number} tokens - Tokens the call used, as reported or estimated by the provider
+ */
+
+/**
+ * @typedef {object} AIProvider
+ * @property {string} name - Provider key ("gemini", "openai" or "local")
+ * @property {boolean} configured - Whether credentials are present
+ * @property {string} embeddingModel - Identifies the vector space; cached embeddings from another model are discarded
+ * @property {string} textModel - Model used for stylist text
+ * @property {(text: string) => Promise<number[]>} embed - Embed a single text
+ * @property {(prompt: string, options?: { schema?: object, context?: object, onText?: (delta: string) => void }) => Promise<string>} generateText - Complete a prompt. With a `schema` the provider uses its native JSON output mode. `context` carries the structured request data behind the prompt for providers that cannot read free text. With `onText` the answer is streamed, each piece passed to it as it is generated; the full text is still returned.
+ */
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+};
+
+export const AI_PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+
+export const DEFAULT_AI_PROVIDER = "gemini";
+
+/**
+ * @param {string} name - Provider key
+ * @param {{ onUsage?: (usage: AIUsage) => void }} [options] - Called after each API call
+ * @returns {AIProvider}
+ */
+export function createAIProvider(name, options) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown AI provider "${name}". Expected one of: ${AI_PROVIDER_NAMES.join(", ")}`,
+    );
+  }
+  return factory(options);
+}
+
+/**
+ * Resolve the provider for a shop: the shop's own choice if it has one,
+ * otherwise `AI_PROVIDER` from the environment, otherwise Gemini. Its calls
+ * are metered against the shop's usage.
+ * @param {string} shop - Shop domain
+ * @returns {Promise<AIProvider>}
+ */
+export async function getAIProvider(shop) {
+  const settings = await db.shopSettings.findUnique({ where: { shop } });
+  return createAIProvider(
+    settings?.aiProvider || process.env.AI_PROVIDER || DEFAULT_AI_PROVIDER,
+    { onUsage: (usage) => recordAIUsage(shop, usage) },
+  );
+}
@@ -0,0 +1,192 @@
+// ========== STRUCTURED OUTPUT ==========
+// Response schemas are declared once as a JSON Schema subset. Providers pass
+// the keywords their native JSON mode understands; `validateSchema` enforces
+// the full schema, including the limits no provider checks for us.
+
+// Retries allowed after the first answer fails to parse or validate
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * The model's output could not be turned into a valid response, even after
+ * repair retries.
+ */
+export class AIResponseError extends Error {
+  /**
+   * @param {string} message - Summary of the failure
+   * @param {{ errors: string[], rawText: string }} details - Last validation errors and model output
+   */
+  constructor(message, { errors, rawText }) {
+    super(message);
+    this.name = "AIResponseError";
+    this.errors = errors;
+    this.rawText = rawText;
+  }
+}
+
+/**
+ * Copy a schema keeping only the given keywords, at every nesting level.
+ * @param {object} schema - JSON Schema subset
+ * @param {string[]} keywords - Keywords to keep
+ * @returns {object} - Reduced schema
+ */
+export function pickSchemaKeywords(schema, keywords) {
+  const picked = {};
+  for (const keyword of keywords) {
+    if (!(keyword in schema)) continue;
+    if (keyword === "properties") {
+      picked.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, child]) => [
+          name,
+          pickSchemaKeywords(child, keywords),
+        ]),
+      );
+    } else if (keyword === "items") {
+      picked.items = pickSchemaKeywords(schema.items, keywords);
+    } else {
+      picked[keyword] = schema[keyword];
+    }
+  }
+  return picked;
+}
+
+/**
+ * @param {unknown} value - Value to describe
+ * @returns {string} - JSON Schema type name of the value
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Validate a value against a JSON Schema subset: type, properties, required,
+ * items, enum, minItems, maxItems, minLength and pattern.
+ * @param {unknown} value - Parsed model output
+ * @param {object} schema - JSON Schema subset
+ * @param {string} [path] - Location reported in messages
+ * @returns {string[]} - One message per violation; empty when valid
+ */
+export function validateSchema(value, schema, path = "$") {
+  const actual = typeOf(value);
+  const typeMatches =
+    schema.type === actual || (schema.type === "number" && actual === "integer");
+  if (schema.type && !typeMatches) {
+    return [`${path} should be ${schema.type} but is ${actual}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(", ")}`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path} should be at least ${schema.minLength} characters`);
+  }
+  if (
+    schema.pattern !== undefined &&
+    actual === "string" &&
+    !new RegExp(schema.pattern).test(value)
+  ) {
+    errors.push(`${path} should match ${schema.pattern}`);
+  }
+
+  if (actual === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (actual === "object") {
+    for (const name of schema.required || []) {
+      if (!(name in value)) errors.push(`${path}.${name} is required`);
+    }
+    for (const [name, child] of Object.entries(schema.properties || {})) {
+      if (name in value) {
+        errors.push(...validateSchema(value[name], child, `${path}.${name}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * @param {string} text - Model output
+ * @param {object} schema - JSON Schema subset
+ * @returns {{ value?: unknown, errors: string[] }} - Parsed value when valid
+ */
+function parseStructured(text, schema) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    return { errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validateSchema(value, schema);
+  return errors.length > 0 ? { errors } : { value, errors };
+}
+
+/**
+ * Ask the model for JSON matching `schema` using its native structured output
+ * mode. Invalid answers are sent back with the validation errors for a
+ * bounded number of repair attempts.
+ *
+ * With `onText` each answer is streamed as it is generated; `onRepair` is
+ * called before a repair attempt streams a new answer in place of the last.
+ * @param {import("./provider.server").AIProvider} ai - AI provider
+ * @param {string} prompt - Prompt describing the task
+ * @param {object} schema - JSON Schema subset the answer must satisfy
+ * @param {{ context?: object, maxRepairs?: number, onText?: (delta: string) => void, onRepair?: () => void }} [options]
+ * @returns {Promise<any>} - Validated response
+ * @throws {AIResponseError} When no valid answer was produced
+ */
+export async function generateStructured(
+  ai,
+  prompt,
+  schema,
+  { context, maxRepairs = MAX_REPAIR_ATTEMPTS, onText, onRepair } = {},
+) {
+  let text = await ai.generateText(prompt, { schema, context, onText });
+  let { value, errors } = parseStructured(text, schema);
+
+  for (let attempt = 1; errors.length > 0 && attempt <= maxRepairs; attempt++) {
+    console.warn(
+      `AI response failed validation (repair attempt ${attempt}/${maxRepairs}):`,
+      errors,
+    );
+
+    const repairPrompt = `${prompt}
+
+⚠️ Your previous reply could not be used:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Previous reply:
+${text}
+
+Reply again with corrected JSON only. Keep the same content where possible.`;
+
+    onRepair?.();
+    text = await ai.generateText(repairPrompt, { schema, context, onText });
+    ({ value, errors } = parseStructured(text, schema));
+  }
+
+  if (errors.length > 0) {
+    throw new AIResponseError(
+      `AI response was invalid after ${maxRepairs} repair attempts`,
+      { errors, rawText: text },
+    );
+  }
+
+  return value;
+}
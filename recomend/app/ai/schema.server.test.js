@@ -0,0 +1,201 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  AIResponseError,
+  MAX_REPAIR_ATTEMPTS,
+  generateStructured,
+  pickSchemaKeywords,
+  validateSchema,
+} from "./schema.server";
+
+const outfitSchema = {
+  type: "object",
+  required: ["name", "items"],
+  properties: {
+    name: { type: "string", minLength: 1 },
+    items: {
+      type: "array",
+      minItems: 1,
+      maxItems: 3,
+      items: {
+        type: "object",
+        required: ["id"],
+        properties: {
+          id: { type: "string", pattern: "^gid://" },
+          slot: { type: "string", enum: ["top", "bottom"] },
+        },
+      },
+    },
+  },
+};
+
+const validOutfit = {
+  name: "Weekend",
+  items: [{ id: "gid://shopify/Product/1", slot: "top" }],
+};
+
+// Provider returning the given answers in order
+const fakeProvider = (answers) => {
+  const generateText = vi.fn();
+  for (const answer of answers) generateText.mockResolvedValueOnce(answer);
+  return { generateText };
+};
+
+describe("validateSchema", () => {
+  it("accepts a value matching the schema", () => {
+    expect(validateSchema(validOutfit, outfitSchema)).toEqual([]);
+  });
+
+  it("reports a wrong type without checking further", () => {
+    expect(validateSchema([], outfitSchema)).toEqual([
+      "$ should be object but is array",
+    ]);
+  });
+
+  it("accepts integers where numbers are expected", () => {
+    expect(validateSchema(3, { type: "number" })).toEqual([]);
+    expect(validateSchema(3.5, { type: "integer" })).toEqual([
+      "$ should be integer but is number",
+    ]);
+  });
+
+  it("reports every violation with its path", () => {
+    const outfit = {
+      name: "",
+      items: [{ id: "1", slot: "shoes" }, { slot: "top" }],
+    };
+
+    expect(validateSchema(outfit, outfitSchema)).toEqual([
+      "$.name should be at least 1 characters",
+      "$.items[0].id should match ^gid://",
+      "$.items[0].slot should be one of top, bottom",
+      "$.items[1].id is required",
+    ]);
+  });
+
+  it("checks array lengths", () => {
+    const item = { id: "gid://shopify/Product/1" };
+
+    expect(validateSchema({ name: "A", items: [] }, outfitSchema)).toEqual([
+      "$.items should have at least 1 items",
+    ]);
+    expect(
+      validateSchema(
+        { name: "A", items: [item, item, item, item] },
+        outfitSchema,
+      ),
+    ).toEqual(["$.items should have at most 3 items"]);
+  });
+});
+
+describe("pickSchemaKeywords", () => {
+  it("keeps only the given keywords at every level", () => {
+    expect(
+      pickSchemaKeywords(outfitSchema, [
+        "type",
+        "required",
+        "properties",
+        "items",
+        "enum",
+      ]),
+    ).toEqual({
+      type: "object",
+      required: ["name", "items"],
+      properties: {
+        name: { type: "string" },
+        items: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["id"],
+            properties: {
+              id: { type: "string" },
+              slot: { type: "string", enum: ["top", "bottom"] },
+            },
+          },
+        },
+      },
+    });
+  });
+
+  it("leaves nested schemas out with their keyword", () => {
+    expect(pickSchemaKeywords(outfitSchema, ["type"])).toEqual({
+      type: "object",
+    });
+  });
+});
+
+describe("generateStructured", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("returns the first answer when it is valid", async () => {
+    const ai = fakeProvider([JSON.stringify(validOutfit)]);
+    const onRepair = vi.fn();
+
+    await expect(
+      generateStructured(ai, "Prompt", outfitSchema, { onRepair }),
+    ).resolves.toEqual(validOutfit);
+    expect(ai.generateText).toHaveBeenCalledTimes(1);
+    expect(ai.generateText).toHaveBeenCalledWith("Prompt", {
+      schema: outfitSchema,
+      context: undefined,
+      onText: undefined,
+    });
+    expect(onRepair).not.toHaveBeenCalled();
+  });
+
+  it("repairs an answer that is not JSON", async () => {
+    const ai = fakeProvider(["Sure! Here is", JSON.stringify(validOutfit)]);
+
+    await expect(
+      generateStructured(ai, "Prompt", outfitSchema),
+    ).resolves.toEqual(validOutfit);
+
+    const [repairPrompt] = ai.generateText.mock.calls[1];
+    expect(repairPrompt).toMatch(/^Prompt/);
+    expect(repairPrompt).toContain("- Response is not valid JSON");
+    expect(repairPrompt).toContain("Previous reply:\nSure! Here is");
+  });
+
+  it("repairs an answer that breaks the schema", async () => {
+    const invalid = JSON.stringify({ name: "Weekend", items: [] });
+    const ai = fakeProvider([invalid, JSON.stringify(validOutfit)]);
+    const onRepair = vi.fn();
+
+    await expect(
+      generateStructured(ai, "Prompt", outfitSchema, { onRepair }),
+    ).resolves.toEqual(validOutfit);
+    expect(ai.generateText.mock.calls[1][0]).toContain(
+      "- $.items should have at least 1 items",
+    );
+    expect(onRepair).toHaveBeenCalledTimes(1);
+  });
+
+  it("gives up after the last repair attempt", async () => {
+    const invalid = JSON.stringify({ name: "Weekend" });
+    const ai = fakeProvider(Array(MAX_REPAIR_ATTEMPTS + 1).fill(invalid));
+
+    const error = await generateStructured(ai, "Prompt", outfitSchema).catch(
+      (caught) => caught,
+    );
+
+    expect(error).toBeInstanceOf(AIResponseError);
+    expect(error.errors).toEqual(["$.items is required"]);
+    expect(error.rawText).toBe(invalid);
+    expect(ai.generateText).toHaveBeenCalledTimes(MAX_REPAIR_ATTEMPTS + 1);
+  });
+
+  it("stops after the given number of repairs", async () => {
+    const ai = fakeProvider(["not json"]);
+
+    await expect(
+      generateStructured(ai, "Prompt", outfitSchema, { maxRepairs: 0 }),
+    ).rejects.toThrow(AIResponseError);
+    expect(ai.generateText).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,247 @@
+import { getAttributionSummary } from "./attribution.server";
+import db from "./db.server";
+import { listAvailableProducts } from "./products.server";
+import { historyWhere } from "./recommendations.server";
+
+// ========== RECOMMENDATION ANALYTICS ==========
+// How the generator is used over a date range, aggregated from the
+// recommendation history: what shoppers and merchants ask for, which products
+// the stylist picks and which it never does, what outfits cost, how long
+// they take to generate and the sales attributed to them.
+
+// Preference choices broken down on the dashboard, in display order
+export const ANALYTICS_FIELDS = ["style", "occasion", "weather", "budget"];
+
+// Products listed in each of the most and least recommended tables
+const PRODUCT_RANKING_SIZE = 10;
+
+// Range shown when the merchant has not picked one
+const DEFAULT_RANGE_DAYS = 30;
+
+// Longest range, which keeps the per-day breakdown to a readable size
+const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} AnalyticsRange
+ * @property {string} from - First day, as YYYY-MM-DD (UTC)
+ * @property {string} to - Last day, as YYYY-MM-DD (UTC)
+ */
+
+/**
+ * The range to report on: the requested days, defaulting to the last 30 and
+ * shortened to the last year of longer ranges.
+ * @param {import("./recommendations.server").HistoryFilters} filters - Parsed with `parseHistoryFilters`; only the dates are used
+ * @returns {AnalyticsRange}
+ */
+export function resolveAnalyticsRange({ from, to }) {
+  const day = (time) => new Date(time).toISOString().slice(0, 10);
+  const time = (date) => new Date(`${date}T00:00:00.000Z`).getTime();
+
+  let end = to || day(Date.now());
+  let start = from || day(time(end) - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  // A reversed range is read the way the merchant most likely meant it
+  if (start > end) [start, end] = [end, start];
+  if (time(end) - time(start) >= MAX_RANGE_DAYS * DAY_MS) {
+    start = day(time(end) - (MAX_RANGE_DAYS - 1) * DAY_MS);
+  }
+  return { from: start, to: end };
+}
+
+/**
+ * @param {object} where - Prisma `where` clause for the recommendations in range
+ * @param {string} field - Preference column
+ * @returns {Promise<{ value: string | null, count: number }[]>} - Most chosen first; null is "not recorded"
+ */
+async function countByField(where, field) {
+  const groups = await db.outfitRecommendation.groupBy({
+    by: [field],
+    where,
+    _count: { _all: true },
+  });
+  return groups
+    .map((group) => ({ value: group[field], count: group._count._all }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * @param {string} from - First day, as YYYY-MM-DD
+ * @param {string} to - Last day, as YYYY-MM-DD
+ * @param {Date[]} dates - When each recommendation was made
+ * @returns {{ date: string, count: number }[]} - Recommendations per UTC day, including days without any
+ */
+function countByDay(from, to, dates) {
+  const counts = new Map();
+  for (
+    let day = new Date(`${from}T00:00:00.000Z`);
+    day <= new Date(`${to}T00:00:00.000Z`);
+    day.setUTCDate(day.getUTCDate() + 1)
+  ) {
+    counts.set(day.toISOString().slice(0, 10), 0);
+  }
+  for (const date of dates) {
+    const key = date.toISOString().slice(0, 10);
+    if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+  }
+  return [...counts].map(([date, count]) => ({ date, count }));
+}
+
+/**
+ * Average outfit price per currency. Every product in an outfit shares its
+ * currency, so the price sum over the outfits in a currency divides evenly.
+ * @param {object} where - Prisma `where` clause for the recommendations in range
+ * @returns {Promise<{ currencyCode: string, average: number, count: number }[]>} - Most common currency first
+ */
+async function averageOutfitPrices(where) {
+  const sums = await db.recommendationProduct.groupBy({
+    by: ["currencyCode"],
+    where: { recommendation: where },
+    _sum: { price: true },
+  });
+  const averages = await Promise.all(
+    sums.map(async ({ currencyCode, _sum }) => {
+      const count = await db.outfitRecommendation.count({
+        where: { ...where, products: { some: { currencyCode } } },
+      });
+      return { currencyCode, average: _sum.price / count, count };
+    }),
+  );
+  return averages.sort((a, b) => b.count - a.count);
+}
+
+/**
+ * How often each product was recommended in range, with the current catalog
+ * products that never were.
+ * @param {string} shop - Shop domain
+ * @param {object} where - Prisma `where` clause for the recommendations in range
+ * @returns {Promise<{ most: object[], least: object[], never: object[], recommendedCount: number }>}
+ */
+async function rankProducts(shop, where) {
+  const groups = await db.recommendationProduct.groupBy({
+    by: ["productId"],
+    where: { recommendation: where },
+    _count: { _all: true },
+  });
+  const catalog = await listAvailableProducts(shop);
+  const catalogById = new Map(catalog.map((product) => [product.id, product]));
+
+  // Products since removed from the catalog are named from their latest snapshot
+  const missingIds = groups
+    .map((group) => group.productId)
+    .filter((productId) => !catalogById.has(productId));
+  const snapshots =
+    missingIds.length > 0
+      ? await db.recommendationProduct.findMany({
+          where: { productId: { in: missingIds }, recommendation: { shop } },
+          orderBy: { recommendation: { createdAt: "desc" } },
+          distinct: ["productId"],
+          select: { productId: true, title: true, image: true },
+        })
+      : [];
+  const snapshotById = new Map(
+    snapshots.map((snapshot) => [snapshot.productId, snapshot]),
+  );
+
+  const counted = groups
+    .map((group) => {
+      const product =
+        catalogById.get(group.productId) || snapshotById.get(group.productId);
+      return {
+        productId: group.productId,
+        title: product?.title || group.productId,
+        image: product?.image || null,
+        inCatalog: catalogById.has(group.productId),
+        count: group._count._all,
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.title.localeCompare(b.title));
+
+  const recommendedIds = new Set(groups.map((group) => group.productId));
+  return {
+    most: counted.slice(0, PRODUCT_RANKING_SIZE),
+    // Products already among the most recommended are not repeated
+    least: counted
+      .slice(
+        Math.max(PRODUCT_RANKING_SIZE, counted.length - PRODUCT_RANKING_SIZE),
+      )
+      .reverse(),
+    never: catalog
+      .filter((product) => !recommendedIds.has(product.id))
+      .map((product) => ({
+        productId: product.id,
+        title: product.title,
+        image: product.image || null,
+      })),
+    recommendedCount: counted.length,
+  };
+}
+
+/**
+ * Aggregate a shop's recommendations made within a range of days.
+ * @param {string} shop - Shop domain
+ * @param {AnalyticsRange} range - Days to report on
+ * @returns {Promise<object>} - `{ total, bySource, byDay, distributions, averagePrices, generationTime, products, attribution }`
+ */
+export async function getRecommendationAnalytics(shop, { from, to }) {
+  const where = historyWhere(shop, { preferences: {}, from, to, query: "" });
+
+  const [
+    recommendations,
+    bySource,
+    timing,
+    averagePrices,
+    products,
+    attribution,
+  ] = await Promise.all([
+    db.outfitRecommendation.findMany({
+      where,
+      select: { createdAt: true },
+    }),
+    countByField(where, "source"),
+    db.outfitRecommendation.aggregate({
+      where: { ...where, generationMs: { not: null } },
+      _avg: { generationMs: true },
+      _max: { generationMs: true },
+      _count: { generationMs: true },
+    }),
+    averageOutfitPrices(where),
+    rankProducts(shop, where),
+    // Orders placed in the range, whenever the outfit was recommended
+    getAttributionSummary(shop, { from, to }),
+  ]);
+
+  // Looks cached for product pages are made without preferences to count
+  const askedWhere = { ...where, source: { not: "complete-the-look" } };
+  const distributions = Object.fromEntries(
+    await Promise.all(
+      ANALYTICS_FIELDS.map(async (field) => [
+        field,
+        await countByField(askedWhere, field),
+      ]),
+    ),
+  );
+
+  return {
+    total: recommendations.length,
+    bySource,
+    byDay: countByDay(
+      from,
+      to,
+      recommendations.map((recommendation) => recommendation.createdAt),
+    ),
+    distributions,
+    averagePrices,
+    generationTime: {
+      // Recommendations saved before generation was timed are left out
+      measured: timing._count.generationMs,
+      averageMs:
+        timing._avg.generationMs === null
+          ? null
+          : Math.round(timing._avg.generationMs),
+      maxMs: timing._max.generationMs,
+    },
+    products,
+    attribution,
+  };
+}
@@ -0,0 +1,202 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  getRecommendationAnalytics,
+  resolveAnalyticsRange,
+} from "./analytics.server";
+import { getAttributionSummary } from "./attribution.server";
+import db from "./db.server";
+import { listAvailableProducts } from "./products.server";
+
+vi.mock("./db.server", () => ({
+  default: {
+    outfitRecommendation: {
+      findMany: vi.fn(),
+      groupBy: vi.fn(),
+      aggregate: vi.fn(),
+      count: vi.fn(),
+    },
+    recommendationProduct: { groupBy: vi.fn(), findMany: vi.fn() },
+  },
+}));
+
+vi.mock("./attribution.server", () => ({ getAttributionSummary: vi.fn() }));
+
+vi.mock("./products.server", () => ({ listAvailableProducts: vi.fn() }));
+
+const SHOP = "example.myshopify.com";
+
+// `groupBy` implementation answering for each grouped column
+const groupsBy =
+  (groups) =>
+  async ({ by: [field] }) =>
+    groups[field] || [];
+
+describe("resolveAnalyticsRange", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-03-31T15:00:00Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("defaults to the last 30 days", () => {
+    expect(resolveAnalyticsRange({ from: "", to: "" })).toEqual({
+      from: "2026-03-02",
+      to: "2026-03-31",
+    });
+  });
+
+  it("counts back 30 days from a chosen end", () => {
+    expect(resolveAnalyticsRange({ from: "", to: "2026-02-10" })).toEqual({
+      from: "2026-01-12",
+      to: "2026-02-10",
+    });
+  });
+
+  it("swaps a reversed range", () => {
+    expect(
+      resolveAnalyticsRange({ from: "2026-03-10", to: "2026-03-01" }),
+    ).toEqual({ from: "2026-03-01", to: "2026-03-10" });
+  });
+
+  it("keeps the last year of longer ranges", () => {
+    expect(
+      resolveAnalyticsRange({ from: "2020-01-01", to: "2026-03-31" }),
+    ).toEqual({ from: "2025-03-31", to: "2026-03-31" });
+  });
+});
+
+describe("getRecommendationAnalytics", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.outfitRecommendation.findMany.mockResolvedValue([
+      { createdAt: new Date("2026-03-01T09:00:00Z") },
+      { createdAt: new Date("2026-03-01T18:00:00Z") },
+      { createdAt: new Date("2026-03-03T12:00:00Z") },
+    ]);
+    db.outfitRecommendation.groupBy.mockImplementation(
+      groupsBy({
+        source: [
+          { source: "storefront", _count: { _all: 1 } },
+          { source: "admin", _count: { _all: 2 } },
+        ],
+        style: [
+          { style: null, _count: { _all: 1 } },
+          { style: "Casual", _count: { _all: 2 } },
+        ],
+      }),
+    );
+    db.outfitRecommendation.aggregate.mockResolvedValue({
+      _avg: { generationMs: 1234.4 },
+      _max: { generationMs: 2000 },
+      _count: { generationMs: 2 },
+    });
+    db.outfitRecommendation.count.mockResolvedValue(3);
+    db.recommendationProduct.groupBy.mockImplementation(
+      groupsBy({
+        currencyCode: [{ currencyCode: "EUR", _sum: { price: 300 } }],
+        productId: [
+          { productId: "p1", _count: { _all: 3 } },
+          { productId: "gone", _count: { _all: 1 } },
+        ],
+      }),
+    );
+    db.recommendationProduct.findMany.mockResolvedValue([
+      { productId: "gone", title: "Old scarf", image: null },
+    ]);
+    listAvailableProducts.mockResolvedValue([
+      { id: "p1", title: "Linen shirt", image: "shirt.jpg" },
+      { id: "p2", title: "Chinos", image: null },
+    ]);
+    getAttributionSummary.mockResolvedValue({ revenue: 120, orders: 2 });
+  });
+
+  it("counts recommendations per source and per day", async () => {
+    const analytics = await getRecommendationAnalytics(SHOP, {
+      from: "2026-03-01",
+      to: "2026-03-03",
+    });
+
+    expect(analytics.total).toBe(3);
+    expect(analytics.bySource.map((group) => group.value)).toEqual([
+      "admin",
+      "storefront",
+    ]);
+    expect(analytics.byDay).toEqual([
+      { date: "2026-03-01", count: 2 },
+      { date: "2026-03-02", count: 0 },
+      { date: "2026-03-03", count: 1 },
+    ]);
+  });
+
+  it("leaves product-page looks out of the preference breakdowns", async () => {
+    const analytics = await getRecommendationAnalytics(SHOP, {
+      from: "2026-03-01",
+      to: "2026-03-03",
+    });
+
+    expect(analytics.distributions.style).toEqual([
+      { value: "Casual", count: 2 },
+      { value: null, count: 1 },
+    ]);
+    const styleQuery = db.outfitRecommendation.groupBy.mock.calls.find(
+      ([{ by }]) => by[0] === "style",
+    )[0];
+    expect(styleQuery.where.source).toEqual({ not: "complete-the-look" });
+  });
+
+  it("averages outfit prices and generation times", async () => {
+    const analytics = await getRecommendationAnalytics(SHOP, {
+      from: "2026-03-01",
+      to: "2026-03-03",
+    });
+
+    expect(analytics.averagePrices).toEqual([
+      { currencyCode: "EUR", average: 100, count: 3 },
+    ]);
+    expect(analytics.generationTime).toEqual({
+      measured: 2,
+      averageMs: 1234,
+      maxMs: 2000,
+    });
+  });
+
+  it("ranks products, naming removed ones from their snapshot", async () => {
+    const { products } = await getRecommendationAnalytics(SHOP, {
+      from: "2026-03-01",
+      to: "2026-03-03",
+    });
+
+    expect(products.most).toEqual([
+      {
+        productId: "p1",
+        title: "Linen shirt",
+        image: "shirt.jpg",
+        inCatalog: true,
+        count: 3,
+      },
+      {
+        productId: "gone",
+        title: "Old scarf",
+        image: null,
+        inCatalog: false,
+        count: 1,
+      },
+    ]);
+    expect(products.least).toEqual([]);
+    expect(products.never).toEqual([
+      { productId: "p2", title: "Chinos", image: null },
+    ]);
+  });
+
+  it("reports the sales attributed over the same days", async () => {
+    const range = { from: "2026-03-01", to: "2026-03-03" };
+
+    const analytics = await getRecommendationAnalytics(SHOP, range);
+
+    expect(getAttributionSummary).toHaveBeenCalledWith(SHOP, range);
+    expect(analytics.attribution).toEqual({ revenue: 120, orders: 2 });
+  });
+});
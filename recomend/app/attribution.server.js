@@ -0,0 +1,207 @@
+import db from "./db.server";
+import { getShopSettings } from "./settings.server";
+
+// ========== PURCHASE ATTRIBUTION ==========
+// Credit orders to the recommendations that led to them. Carts opened from an
+// outfit's cart link or from the storefront block carry the recommendation's
+// ID as a cart attribute, which Shopify copies onto the order; other ordered
+// products are credited to the latest outfit that recommended them within the
+// shop's attribution window.
+
+// Cart attribute holding the recommendation ID. The leading underscore keeps
+// it out of the checkout; the storefront block sets the same name.
+export const RECOMMENDATION_CART_ATTRIBUTE = "_outfit_recommendation";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {object | undefined} moneySet - `{ shop_money: { amount, currency_code } }` from an order webhook
+ * @returns {number} - Amount in the shop's currency
+ */
+function shopMoney(moneySet) {
+  return Number(moneySet?.shop_money?.amount) || 0;
+}
+
+/**
+ * Ordered lines that can be credited: products from the catalog, with their
+ * total after discounts.
+ * @param {object} order - `orders/create` webhook payload
+ * @returns {object[]} - `{ lineItemId, productId, variantId, quantity, revenue, currencyCode }`
+ */
+function toAttributableLines(order) {
+  return (order.line_items || [])
+    .filter((line) => line.product_id)
+    .map((line) => {
+      const discounts = (line.discount_allocations || []).reduce(
+        (sum, allocation) => sum + shopMoney(allocation.amount_set),
+        0,
+      );
+      const revenue = shopMoney(line.price_set) * line.quantity - discounts;
+      return {
+        lineItemId: String(line.id),
+        productId: `gid://shopify/Product/${line.product_id}`,
+        variantId: line.variant_id
+          ? `gid://shopify/ProductVariant/${line.variant_id}`
+          : null,
+        quantity: line.quantity,
+        revenue: Math.round(Math.max(revenue, 0) * 100) / 100,
+        currencyCode:
+          line.price_set?.shop_money?.currency_code || order.currency,
+      };
+    });
+}
+
+/**
+ * Credit an order's line items to the recommendations that led to them. Lines
+ * of the recommendation named in the order's cart attribute go to it, however
+ * old it is, since cart links are shared long after they were made. Other
+ * lines go to the latest recommendation within the attribution window that
+ * included the product, preferring ones made for the same customer.
+ * Processing the same order twice credits nothing the second time.
+ * @param {string} shop - Shop domain
+ * @param {object} order - `orders/create` webhook payload
+ * @returns {Promise<{ attributedLines: number, revenue: number }>}
+ */
+export async function attributeOrder(shop, order) {
+  const lines = toAttributableLines(order);
+  const orderId =
+    order.admin_graphql_api_id || `gid://shopify/Order/${order.id}`;
+  if (lines.length === 0) return { attributedLines: 0, revenue: 0 };
+
+  const alreadyAttributed = await db.orderAttribution.findFirst({
+    where: { shop, orderId },
+  });
+  if (alreadyAttributed) return { attributedLines: 0, revenue: 0 };
+
+  const orderedAt = new Date(order.created_at || Date.now());
+  const customerId = order.customer?.id ? String(order.customer.id) : null;
+  const productIds = [...new Set(lines.map((line) => line.productId))];
+
+  const taggedId = (order.note_attributes || []).find(
+    (attribute) => attribute.name === RECOMMENDATION_CART_ATTRIBUTE,
+  )?.value;
+  const tagged = taggedId
+    ? await db.outfitRecommendation.findFirst({
+        where: { id: String(taggedId), shop },
+        include: { products: { select: { productId: true } } },
+      })
+    : null;
+
+  const { attributionWindowDays } = await getShopSettings(shop);
+  const recent = await db.outfitRecommendation.findMany({
+    where: {
+      shop,
+      createdAt: {
+        gte: new Date(orderedAt.getTime() - attributionWindowDays * DAY_MS),
+        lte: orderedAt,
+      },
+      products: { some: { productId: { in: productIds } } },
+    },
+    orderBy: { createdAt: "desc" },
+    include: { products: { select: { productId: true } } },
+  });
+
+  const includes = (recommendation, productId) =>
+    recommendation.products.some((product) => product.productId === productId);
+
+  const attributions = lines.flatMap((line) => {
+    if (tagged && includes(tagged, line.productId)) {
+      return [
+        { ...line, recommendationId: tagged.id, method: "cart_attribute" },
+      ];
+    }
+    const candidates = recent.filter((recommendation) =>
+      includes(recommendation, line.productId),
+    );
+    const match =
+      (customerId &&
+        candidates.find(
+          (recommendation) => recommendation.customerId === customerId,
+        )) ||
+      candidates[0];
+    return match
+      ? [{ ...line, recommendationId: match.id, method: "window" }]
+      : [];
+  });
+  if (attributions.length === 0) return { attributedLines: 0, revenue: 0 };
+
+  // Each credited recommendation counts the order once, however many of its lines it has
+  const revenueByRecommendation = new Map();
+  for (const attribution of attributions) {
+    revenueByRecommendation.set(
+      attribution.recommendationId,
+      (revenueByRecommendation.get(attribution.recommendationId) || 0) +
+        attribution.revenue,
+    );
+  }
+
+  await db.$transaction([
+    db.orderAttribution.createMany({
+      data: attributions.map((attribution) => ({
+        shop,
+        orderId,
+        orderName: order.name || String(order.id),
+        customerId,
+        orderedAt,
+        ...attribution,
+      })),
+    }),
+    ...[...revenueByRecommendation].map(([recommendationId, revenue]) =>
+      db.outfitRecommendation.update({
+        where: { id: recommendationId },
+        data: {
+          attributedRevenue: { increment: revenue },
+          attributedOrderCount: { increment: 1 },
+        },
+      }),
+    ),
+  ]);
+
+  return {
+    attributedLines: attributions.length,
+    revenue: attributions.reduce(
+      (sum, attribution) => sum + attribution.revenue,
+      0,
+    ),
+  };
+}
+
+/**
+ * Attributed sales for orders placed within a range of days.
+ * @param {string} shop - Shop domain
+ * @param {{ from: string, to: string }} range - First and last day, as YYYY-MM-DD (UTC)
+ * @returns {Promise<object>} - `{ revenue, currencyCode, orders, recommendations, byMethod }`
+ */
+export async function getAttributionSummary(shop, { from, to }) {
+  const where = {
+    shop,
+    orderedAt: {
+      gte: new Date(`${from}T00:00:00.000Z`),
+      lte: new Date(`${to}T23:59:59.999Z`),
+    },
+  };
+
+  const [byMethod, orders, recommendations, currency] = await Promise.all([
+    db.orderAttribution.groupBy({
+      by: ["method"],
+      where,
+      _sum: { revenue: true },
+    }),
+    db.orderAttribution.groupBy({ by: ["orderId"], where }),
+    db.orderAttribution.groupBy({ by: ["recommendationId"], where }),
+    db.orderAttribution.findFirst({ where, select: { currencyCode: true } }),
+  ]);
+
+  return {
+    revenue: byMethod.reduce(
+      (sum, group) => sum + (group._sum.revenue || 0),
+      0,
+    ),
+    currencyCode: currency?.currencyCode || null,
+    orders: orders.length,
+    recommendations: recommendations.length,
+    byMethod: Object.fromEntries(
+      byMethod.map((group) => [group.method, group._sum.revenue || 0]),
+    ),
+  };
+}
@@ -0,0 +1,173 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { attributeOrder } from "./attribution.server";
+import db from "./db.server";
+import { getShopSettings } from "./settings.server";
+
+vi.mock("./db.server", () => ({
+  default: {
+    orderAttribution: { findFirst: vi.fn(), createMany: vi.fn() },
+    outfitRecommendation: {
+      findFirst: vi.fn(),
+      findMany: vi.fn(),
+      update: vi.fn(),
+    },
+    $transaction: vi.fn(),
+  },
+}));
+
+vi.mock("./settings.server", () => ({ getShopSettings: vi.fn() }));
+
+const SHOP = "example.myshopify.com";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `orders/create` payload ordering one of each product ID, at 50.00 apiece
+const order = (productIds, fields = {}) => ({
+  id: 1001,
+  admin_graphql_api_id: "gid://shopify/Order/1001",
+  name: "#1001",
+  created_at: "2026-03-10T12:00:00Z",
+  currency: "EUR",
+  customer: { id: 77 },
+  line_items: productIds.map((productId, index) => ({
+    id: 500 + index,
+    product_id: productId,
+    variant_id: productId * 10,
+    quantity: 1,
+    price_set: { shop_money: { amount: "50.00", currency_code: "EUR" } },
+    discount_allocations: [],
+  })),
+  ...fields,
+});
+
+const recommendation = (id, productIds, fields = {}) => ({
+  id,
+  customerId: null,
+  products: productIds.map((productId) => ({
+    productId: `gid://shopify/Product/${productId}`,
+  })),
+  ...fields,
+});
+
+// Attribution rows written for the order
+const attributedRows = () =>
+  db.orderAttribution.createMany.mock.calls.flatMap(([{ data }]) => data);
+
+describe("attributeOrder", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getShopSettings.mockResolvedValue({ attributionWindowDays: 7 });
+    db.orderAttribution.findFirst.mockResolvedValue(null);
+    db.outfitRecommendation.findFirst.mockResolvedValue(null);
+    db.outfitRecommendation.findMany.mockResolvedValue([]);
+  });
+
+  it("credits the recommendation named in the cart attribute", async () => {
+    db.outfitRecommendation.findFirst.mockResolvedValue(
+      recommendation("tagged", [1, 2]),
+    );
+    db.outfitRecommendation.findMany.mockResolvedValue([
+      recommendation("recent", [1]),
+    ]);
+
+    const result = await attributeOrder(
+      SHOP,
+      order([1, 3], {
+        note_attributes: [{ name: "_outfit_recommendation", value: "tagged" }],
+      }),
+    );
+
+    expect(result).toEqual({ attributedLines: 1, revenue: 50 });
+    expect(db.outfitRecommendation.findFirst).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: "tagged", shop: SHOP } }),
+    );
+    expect(attributedRows()).toMatchObject([
+      {
+        recommendationId: "tagged",
+        method: "cart_attribute",
+        productId: "gid://shopify/Product/1",
+        orderId: "gid://shopify/Order/1001",
+        customerId: "77",
+      },
+    ]);
+  });
+
+  it("credits other lines to the latest outfit in the window, preferring the customer's own", async () => {
+    db.outfitRecommendation.findMany.mockResolvedValue([
+      recommendation("newest", [1, 2]),
+      recommendation("customer's", [2], { customerId: "77" }),
+    ]);
+
+    await attributeOrder(SHOP, order([1, 2]));
+
+    expect(
+      attributedRows().map((row) => [row.productId, row.recommendationId]),
+    ).toEqual([
+      ["gid://shopify/Product/1", "newest"],
+      ["gid://shopify/Product/2", "customer's"],
+    ]);
+    expect(attributedRows().every((row) => row.method === "window")).toBe(true);
+
+    const { createdAt } =
+      db.outfitRecommendation.findMany.mock.calls[0][0].where;
+    expect(createdAt).toEqual({
+      gte: new Date(Date.parse("2026-03-10T12:00:00Z") - 7 * DAY_MS),
+      lte: new Date("2026-03-10T12:00:00Z"),
+    });
+  });
+
+  it("counts the order once per recommendation, with revenue after discounts", async () => {
+    db.outfitRecommendation.findMany.mockResolvedValue([
+      recommendation("outfit", [1, 2]),
+    ]);
+    const discounted = order([1, 2]);
+    discounted.line_items[0].discount_allocations = [
+      { amount_set: { shop_money: { amount: "5.00" } } },
+    ];
+
+    const result = await attributeOrder(SHOP, discounted);
+
+    expect(result).toEqual({ attributedLines: 2, revenue: 95 });
+    expect(db.outfitRecommendation.update).toHaveBeenCalledTimes(1);
+    expect(db.outfitRecommendation.update).toHaveBeenCalledWith({
+      where: { id: "outfit" },
+      data: {
+        attributedRevenue: { increment: 95 },
+        attributedOrderCount: { increment: 1 },
+      },
+    });
+  });
+
+  it("credits nothing for an order it has already attributed", async () => {
+    db.orderAttribution.findFirst.mockResolvedValue({ id: "earlier" });
+    db.outfitRecommendation.findMany.mockResolvedValue([
+      recommendation("outfit", [1]),
+    ]);
+
+    const result = await attributeOrder(SHOP, order([1]));
+
+    expect(result).toEqual({ attributedLines: 0, revenue: 0 });
+    expect(db.orderAttribution.findFirst).toHaveBeenCalledWith({
+      where: { shop: SHOP, orderId: "gid://shopify/Order/1001" },
+    });
+    expect(db.$transaction).not.toHaveBeenCalled();
+  });
+
+  it("writes nothing when no recommendation included the products", async () => {
+    const result = await attributeOrder(SHOP, order([1]));
+
+    expect(result).toEqual({ attributedLines: 0, revenue: 0 });
+    expect(db.$transaction).not.toHaveBeenCalled();
+  });
+
+  it("skips custom lines without a product", async () => {
+    const custom = order([]);
+    custom.line_items = [{ id: 9, product_id: null, quantity: 1 }];
+
+    expect(await attributeOrder(SHOP, custom)).toEqual({
+      attributedLines: 0,
+      revenue: 0,
+    });
+    expect(db.orderAttribution.findFirst).not.toHaveBeenCalled();
+  });
+});
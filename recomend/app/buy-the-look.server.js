@@ -0,0 +1,185 @@
+import { RECOMMENDATION_CART_ATTRIBUTE } from "./attribution.server";
+import db from "./db.server";
+import { classifyProduct } from "./outfit-slots";
+import { findAvailableProducts } from "./products.server";
+import { getRecommendation } from "./recommendations.server";
+import { getShopSettings } from "./settings.server";
+import { selectVariantForSize, toGenericSizeChoice } from "./sizes.server";
+import { listSlotMappings } from "./slot-mappings.server";
+
+// ========== BUY THE LOOK ==========
+// Turn a saved recommendation into something a shopper can check out with:
+// a cart permalink holding the outfit's variants, or a draft order the
+// merchant sends as an invoice. Both are stored on the recommendation.
+
+// Draft orders need a scope merchants grant on first use
+export const DRAFT_ORDER_SCOPES = ["write_draft_orders"];
+
+/**
+ * The variant to sell for each product in a recommendation. Snapshots keep
+ * the recommended variant; older ones without it get a variant for sale in
+ * the shopper's size, if the product is still available.
+ * @param {string} shop - Shop domain
+ * @param {object} recommendation - Recommendation with its product snapshots
+ * @returns {Promise<string[]>} - Variant GIDs, in outfit order
+ */
+export async function resolveVariantIds(shop, recommendation) {
+  const missing = recommendation.products.filter(
+    (product) => !product.variantId,
+  );
+
+  const fallbackIds = new Map();
+  if (missing.length > 0) {
+    const { size = "Any" } = JSON.parse(recommendation.userPreferences);
+    const { sizeChoices } = await getShopSettings(shop);
+    const genericSize = toGenericSizeChoice(size, sizeChoices);
+    const products = await findAvailableProducts(
+      shop,
+      missing.map((product) => product.productId),
+    );
+    // Footwear is picked without the shopper's clothing size
+    const slotMappings = await listSlotMappings(shop);
+    for (const product of products) {
+      const variant = selectVariantForSize(
+        { ...product, slot: classifyProduct(product, slotMappings) },
+        genericSize,
+      );
+      if (variant) fallbackIds.set(product.id, variant.id);
+    }
+  }
+
+  return recommendation.products
+    .map((product) => product.variantId || fallbackIds.get(product.productId))
+    .filter(Boolean);
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {string[]} variantIds - Variant GIDs, one of each is added to the cart
+ * @param {string} recommendationId - Tagged on the cart, so orders from it are attributed to the recommendation
+ * @returns {string} - Storefront URL that fills a new cart with the variants
+ */
+export function buildCartPermalink(shop, variantIds, recommendationId) {
+  const items = variantIds
+    .map((variantId) => `${variantId.split("/").pop()}:1`)
+    .join(",");
+  const attribute = encodeURIComponent(
+    `attributes[${RECOMMENDATION_CART_ATTRIBUTE}]`,
+  );
+  return `https://${shop}/cart/${items}?${attribute}=${encodeURIComponent(recommendationId)}`;
+}
+
+/**
+ * Create the cart permalink for a recommendation, or return the one already
+ * made.
+ * @param {string} shop - Shop domain
+ * @param {string} recommendationId - Recommendation ID
+ * @returns {Promise<{ cartUrl?: string, error?: string } | null>} - The link or why there is none; null for unknown recommendations
+ */
+export async function createCartLink(shop, recommendationId) {
+  const recommendation = await getRecommendation(shop, recommendationId);
+  if (!recommendation) return null;
+  if (recommendation.cartUrl) return { cartUrl: recommendation.cartUrl };
+
+  const variantIds = await resolveVariantIds(shop, recommendation);
+  if (variantIds.length === 0) {
+    return { error: "None of this outfit's products can be bought any more." };
+  }
+
+  const cartUrl = buildCartPermalink(shop, variantIds, recommendation.id);
+  await db.outfitRecommendation.update({
+    where: { id: recommendation.id },
+    data: { cartUrl },
+  });
+  return { cartUrl };
+}
+
+/**
+ * Create a draft order holding a recommendation's variants, or return the one
+ * already made. The merchant sends it to a customer from the draft order page.
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @param {object} scopes - Scopes API from `authenticate.admin`
+ * @param {string} shop - Shop domain
+ * @param {string} recommendationId - Recommendation ID
+ * @returns {Promise<object | null>} - `{ draftOrderId, draftOrderName, draftOrderInvoiceUrl }`, `{ error, missingScopes? }`, or null for unknown recommendations
+ */
+export async function createDraftOrder(admin, scopes, shop, recommendationId) {
+  const recommendation = await getRecommendation(shop, recommendationId);
+  if (!recommendation) return null;
+  if (recommendation.draftOrderId) {
+    return {
+      draftOrderId: recommendation.draftOrderId,
+      draftOrderName: recommendation.draftOrderName,
+      draftOrderInvoiceUrl: recommendation.draftOrderInvoiceUrl,
+    };
+  }
+
+  const { granted } = await scopes.query();
+  const missingScopes = DRAFT_ORDER_SCOPES.filter(
+    (scope) => !granted.includes(scope),
+  );
+  if (missingScopes.length > 0) {
+    return {
+      error: "The app needs permission to create draft orders.",
+      missingScopes,
+    };
+  }
+
+  const variantIds = await resolveVariantIds(shop, recommendation);
+  if (variantIds.length === 0) {
+    return { error: "None of this outfit's products can be bought any more." };
+  }
+
+  let draftOrder;
+  try {
+    const response = await admin.graphql(
+      `#graphql
+        mutation createOutfitDraftOrder($input: DraftOrderInput!) {
+          draftOrderCreate(input: $input) {
+            draftOrder {
+              id
+              name
+              invoiceUrl
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `,
+      {
+        variables: {
+          input: {
+            lineItems: variantIds.map((variantId) => ({
+              variantId,
+              quantity: 1,
+            })),
+            note: `Outfit recommended on ${recommendation.createdAt.toISOString().slice(0, 10)}`,
+            tags: ["outfit-recommendation"],
+          },
+        },
+      },
+    );
+    const responseJson = await response.json();
+    const { userErrors } = responseJson.data.draftOrderCreate;
+    if (userErrors.length > 0) {
+      return { error: userErrors.map((error) => error.message).join(", ") };
+    }
+    draftOrder = responseJson.data.draftOrderCreate.draftOrder;
+  } catch (error) {
+    console.error("Failed to create draft order:", error);
+    return { error: "Shopify could not create the draft order. Try again." };
+  }
+
+  const data = {
+    draftOrderId: draftOrder.id,
+    draftOrderName: draftOrder.name,
+    draftOrderInvoiceUrl: draftOrder.invoiceUrl,
+  };
+  await db.outfitRecommendation.update({
+    where: { id: recommendation.id },
+    data,
+  });
+  return data;
+}
@@ -0,0 +1,429 @@
+import { createInterface } from "node:readline";
+import { Readable } from "node:stream";
+import { getAIProvider } from "./ai/provider.server";
+import db from "./db.server";
+import { getProductEmbeddings } from "./embeddings.server";
+import {
+  deleteProductsNotSeenSince,
+  normalizeProductNode,
+  PRODUCT_FIELDS,
+  upsertProduct,
+  VARIANT_FIELDS,
+} from "./products.server";
+
+// Catalogs larger than this are fetched with a bulk operation instead of paging
+export const BULK_SYNC_THRESHOLD = 2500;
+
+// Products and variants per page are kept small enough that a page stays
+// under the Admin API's 1000-point single query cost limit. Products with more
+// variants than this are only fully covered by bulk syncs and webhooks.
+const PAGE_SIZE = 20;
+const VARIANTS_PER_PRODUCT = 40;
+
+// Products stored per batch when importing a bulk operation result
+const BULK_BATCH_SIZE = 250;
+
+// A RUNNING paginated sync that has not reported progress for this long is
+// assumed dead (e.g. the server restarted mid-sync) and may be restarted.
+const STALLED_SYNC_MS = 10 * 60 * 1000;
+
+/**
+ * @param {object | null} sync - Row from the `CatalogSync` table
+ * @returns {boolean} - Whether a sync is currently in progress
+ */
+function isSyncActive(sync) {
+  if (sync?.status !== "RUNNING") return false;
+  // Bulk operations run on Shopify's side and are only advanced by polling
+  if (sync.bulkOperationId) return true;
+  return Date.now() - new Date(sync.updatedAt).getTime() < STALLED_SYNC_MS;
+}
+
+/**
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @returns {Promise<number>} - Number of products in the shop
+ */
+async function countProducts(admin) {
+  const response = await admin.graphql(
+    `#graphql
+      query countProducts {
+        productsCount(limit: null) {
+          count
+        }
+      }
+    `,
+  );
+  const responseJson = await response.json();
+  return responseJson.data.productsCount.count;
+}
+
+// Embedding warm-ups of every sync in this process, run one batch at a time
+let warmUpQueue = Promise.resolve();
+
+/**
+ * Warm the embedding cache for a batch once the batches queued before it are
+ * done, so concurrent syncs of large catalogs do not add up to a flood of
+ * embedding calls.
+ * @param {string} shop - Shop domain
+ * @param {object[]} products - Normalized products
+ * @returns {Promise<void>}
+ */
+function queueEmbeddingWarmUp(shop, products) {
+  const warmUp = warmUpQueue.then(async () => {
+    const ai = await getAIProvider(shop);
+    if (!ai.configured) return;
+    await getProductEmbeddings(shop, products, ai);
+  });
+  // A failed warm-up fails its own sync, not the ones queued behind it
+  warmUpQueue = warmUp.catch(() => {});
+  return warmUp;
+}
+
+/**
+ * Persist a batch of products and warm the embedding cache for the ones the
+ * generator can recommend, so the first Generate click after a sync does not
+ * have to embed the whole catalog.
+ * @param {string} shop - Shop domain
+ * @param {object[]} products - Normalized products
+ * @returns {Promise<void>}
+ */
+async function storeProducts(shop, products) {
+  for (const product of products) {
+    await upsertProduct(shop, product);
+  }
+
+  const recommendable = products.filter(
+    (product) => product.status === "ACTIVE" && product.inventory > 0,
+  );
+  if (recommendable.length > 0) {
+    await queueEmbeddingWarmUp(shop, recommendable);
+  }
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {Error} error - Why the sync stopped
+ * @returns {Promise<object>} - Updated `CatalogSync` row
+ */
+async function failSync(shop, error) {
+  console.error(`Catalog sync failed for ${shop}:`, error);
+  return db.catalogSync.update({
+    where: { shop },
+    data: { status: "FAILED", bulkOperationId: null, error: error.message },
+  });
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {Date} startedAt - When the sync began
+ * @returns {Promise<void>}
+ */
+async function completeSync(shop, startedAt) {
+  const removed = await deleteProductsNotSeenSince(shop, startedAt);
+  if (removed > 0) {
+    console.log(`Catalog sync removed ${removed} deleted products for ${shop}`);
+  }
+
+  await db.catalogSync.update({
+    where: { shop },
+    data: { status: "COMPLETED", lastSyncedAt: new Date(), error: null },
+  });
+}
+
+// ========== PAGINATED SYNC ==========
+
+/**
+ * Walk the whole catalog with cursor pagination, storing each page as it
+ * arrives.
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @param {string} shop - Shop domain
+ * @param {Date} startedAt - When the sync began
+ * @returns {Promise<void>}
+ */
+async function runPaginatedSync(admin, shop, startedAt) {
+  let cursor = null;
+  let processedCount = 0;
+
+  do {
+    const response = await admin.graphql(
+      `#graphql
+        query syncProducts($first: Int!, $variantsFirst: Int!, $cursor: String) {
+          products(first: $first, after: $cursor) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            nodes {
+              ${PRODUCT_FIELDS}
+              variants(first: $variantsFirst) {
+                nodes {
+                  ${VARIANT_FIELDS}
+                }
+              }
+            }
+          }
+        }
+      `,
+      {
+        variables: {
+          first: PAGE_SIZE,
+          variantsFirst: VARIANTS_PER_PRODUCT,
+          cursor,
+        },
+      },
+    );
+    const responseJson = await response.json();
+    const { nodes, pageInfo } = responseJson.data.products;
+
+    await storeProducts(shop, nodes.map(normalizeProductNode));
+
+    processedCount += nodes.length;
+    await db.catalogSync.update({
+      where: { shop },
+      data: { processedCount },
+    });
+
+    cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (cursor);
+
+  await completeSync(shop, startedAt);
+}
+
+// ========== BULK OPERATION SYNC ==========
+
+/**
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @returns {Promise<string>} - GID of the started bulk operation
+ */
+async function startBulkOperation(admin) {
+  const response = await admin.graphql(
+    `#graphql
+      mutation startProductBulkSync($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+    {
+      variables: {
+        query: `{
+          products {
+            edges {
+              node {
+                ${PRODUCT_FIELDS}
+                variants {
+                  edges {
+                    node {
+                      ${VARIANT_FIELDS}
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }`,
+      },
+    },
+  );
+  const responseJson = await response.json();
+  const { bulkOperation, userErrors } = responseJson.data.bulkOperationRunQuery;
+
+  if (userErrors.length > 0) {
+    throw new Error(userErrors.map((error) => error.message).join(", "));
+  }
+
+  return bulkOperation.id;
+}
+
+/**
+ * Stream a finished bulk operation's JSONL result into the product store.
+ * Nested connections are flattened in the file: each variant is its own line
+ * carrying `__parentId`, and always follows the product it belongs to.
+ * @param {string} shop - Shop domain
+ * @param {string | null} url - Result file URL (null when the shop has no products)
+ * @param {Date} startedAt - When the sync began
+ * @returns {Promise<void>}
+ */
+async function importBulkResult(shop, url, startedAt) {
+  await db.catalogSync.update({
+    where: { shop },
+    data: { processedCount: 0 },
+  });
+
+  if (url) {
+    const response = await fetch(url);
+    if (!response.ok || !response.body) {
+      throw new Error(`Bulk result download failed with ${response.status}`);
+    }
+
+    const lines = createInterface({ input: Readable.fromWeb(response.body) });
+    let batch = [];
+    let processedCount = 0;
+
+    const flush = async () => {
+      await storeProducts(shop, batch.map(normalizeProductNode));
+      processedCount += batch.length;
+      batch = [];
+      await db.catalogSync.update({
+        where: { shop },
+        data: { processedCount },
+      });
+    };
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const object = JSON.parse(line);
+
+      if (object.__parentId) {
+        batch[batch.length - 1]?.variants.nodes.push(object);
+        continue;
+      }
+
+      // A new product starts here, so the previous batch has all its variants
+      if (batch.length >= BULK_BATCH_SIZE) await flush();
+      batch.push({ ...object, variants: { nodes: [] } });
+    }
+    if (batch.length > 0) await flush();
+  }
+
+  await completeSync(shop, startedAt);
+}
+
+/**
+ * Check on a running bulk operation, and once Shopify has finished it, claim
+ * the result and import it in the background. Only one caller can claim a
+ * given operation, so overlapping status polls do not import twice.
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @param {object} sync - Row from the `CatalogSync` table
+ * @returns {Promise<void>}
+ */
+async function pollBulkOperation(admin, sync) {
+  const response = await admin.graphql(
+    `#graphql
+      query pollProductBulkSync($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation {
+            id
+            status
+            errorCode
+            rootObjectCount
+            url
+          }
+        }
+      }
+    `,
+    { variables: { id: sync.bulkOperationId } },
+  );
+  const responseJson = await response.json();
+  const operation = responseJson.data.node;
+
+  if (operation.status === "CREATED" || operation.status === "RUNNING") {
+    // Root objects are the products; `objectCount` would add their variants
+    await db.catalogSync.update({
+      where: { shop: sync.shop },
+      data: { processedCount: Number(operation.rootObjectCount) },
+    });
+    return;
+  }
+
+  if (operation.status !== "COMPLETED") {
+    await failSync(
+      sync.shop,
+      new Error(
+        `Bulk operation ${operation.status.toLowerCase()}` +
+          (operation.errorCode ? ` (${operation.errorCode})` : ""),
+      ),
+    );
+    return;
+  }
+
+  const { count } = await db.catalogSync.updateMany({
+    where: { shop: sync.shop, bulkOperationId: operation.id },
+    data: { bulkOperationId: null },
+  });
+  if (count === 0) return;
+
+  importBulkResult(sync.shop, operation.url, sync.startedAt).catch((error) =>
+    failSync(sync.shop, error),
+  );
+}
+
+// ==============================================
+
+/**
+ * Start a full catalog sync unless one is already running. Small catalogs are
+ * paged through in the background; large ones are handed to a Shopify bulk
+ * operation that `getCatalogSyncStatus` picks up when it finishes.
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @param {string} shop - Shop domain
+ * @returns {Promise<object>} - Current `CatalogSync` row
+ */
+export async function startCatalogSync(admin, shop) {
+  const current = await db.catalogSync.findUnique({ where: { shop } });
+  if (isSyncActive(current)) return current;
+
+  const totalCount = await countProducts(admin);
+  const mode = totalCount > BULK_SYNC_THRESHOLD ? "BULK" : "PAGINATED";
+  const startedAt = new Date();
+  const data = {
+    status: "RUNNING",
+    mode,
+    bulkOperationId: null,
+    processedCount: 0,
+    totalCount,
+    error: null,
+    startedAt,
+  };
+
+  const sync = await db.catalogSync.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+
+  if (mode === "BULK") {
+    try {
+      const bulkOperationId = await startBulkOperation(admin);
+      return db.catalogSync.update({
+        where: { shop },
+        data: { bulkOperationId },
+      });
+    } catch (error) {
+      return failSync(shop, error);
+    }
+  }
+
+  runPaginatedSync(admin, shop, startedAt).catch((error) =>
+    failSync(shop, error),
+  );
+
+  return sync;
+}
+
+/**
+ * Current sync state for the admin UI. Advances bulk syncs as a side effect,
+ * since the UI polling this is what notices a finished bulk operation.
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @param {string} shop - Shop domain
+ * @returns {Promise<object | null>} - `CatalogSync` row, or null if the shop was never synced
+ */
+export async function getCatalogSyncStatus(admin, shop) {
+  const sync = await db.catalogSync.findUnique({ where: { shop } });
+
+  if (sync?.status === "RUNNING" && sync.bulkOperationId) {
+    try {
+      await pollBulkOperation(admin, sync);
+    } catch (error) {
+      await failSync(shop, error);
+    }
+    return db.catalogSync.findUnique({ where: { shop } });
+  }
+
+  return sync;
+}
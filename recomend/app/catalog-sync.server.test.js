@@ -0,0 +1,286 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getAIProvider } from "./ai/provider.server";
+import {
+  BULK_SYNC_THRESHOLD,
+  getCatalogSyncStatus,
+  startCatalogSync,
+} from "./catalog-sync.server";
+import db from "./db.server";
+import { getProductEmbeddings } from "./embeddings.server";
+import { deleteProductsNotSeenSince, upsertProduct } from "./products.server";
+
+vi.mock("./db.server", () => ({
+  default: {
+    catalogSync: {
+      findUnique: vi.fn(),
+      upsert: vi.fn(),
+      update: vi.fn(),
+      updateMany: vi.fn(),
+    },
+  },
+}));
+
+vi.mock("./products.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  upsertProduct: vi.fn(),
+  deleteProductsNotSeenSince: vi.fn(),
+}));
+
+vi.mock("./embeddings.server", () => ({ getProductEmbeddings: vi.fn() }));
+
+vi.mock("./ai/provider.server", () => ({ getAIProvider: vi.fn() }));
+
+const SHOP = "example.myshopify.com";
+
+const productNode = (id, fields = {}) => ({
+  id: `gid://shopify/Product/${id}`,
+  title: `Product ${id}`,
+  priceRangeV2: { minVariantPrice: { amount: "10.0" } },
+  totalInventory: 3,
+  status: "ACTIVE",
+  updatedAt: "2026-03-01T10:00:00Z",
+  ...fields,
+});
+
+const variantLine = (productId, id) => ({
+  id: `gid://shopify/ProductVariant/${id}`,
+  title: "M",
+  price: "10.0",
+  inventoryQuantity: 3,
+  __parentId: `gid://shopify/Product/${productId}`,
+});
+
+// Admin API context answering each operation by name
+const fakeAdmin = (answers) => ({
+  graphql: vi.fn(async (query, options) => {
+    const [, name] = query.match(/(?:query|mutation) (\w+)/);
+    return { json: async () => ({ data: answers[name](options?.variables) }) };
+  }),
+});
+
+// Every `processedCount` written to the sync row, in order
+const progressUpdates = () =>
+  db.catalogSync.update.mock.calls
+    .map(([{ data }]) => data.processedCount)
+    .filter((count) => count !== undefined);
+
+const hasCompleted = () =>
+  db.catalogSync.update.mock.calls.some(
+    ([{ data }]) => data.status === "COMPLETED",
+  );
+
+describe("catalog sync", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.catalogSync.findUnique.mockResolvedValue(null);
+    db.catalogSync.upsert.mockImplementation(async ({ create }) => create);
+    db.catalogSync.update.mockImplementation(async ({ data }) => data);
+    deleteProductsNotSeenSince.mockResolvedValue(0);
+    getAIProvider.mockResolvedValue({ configured: true });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("does not restart a sync that is still running", async () => {
+    const running = {
+      shop: SHOP,
+      status: "RUNNING",
+      bulkOperationId: null,
+      updatedAt: new Date(),
+    };
+    db.catalogSync.findUnique.mockResolvedValue(running);
+    const admin = fakeAdmin({});
+
+    expect(await startCatalogSync(admin, SHOP)).toBe(running);
+    expect(admin.graphql).not.toHaveBeenCalled();
+  });
+
+  it("pages through small catalogs and warms only recommendable products", async () => {
+    const pages = [
+      {
+        nodes: [productNode(1), productNode(2, { totalInventory: 0 })],
+        pageInfo: { hasNextPage: true, endCursor: "c1" },
+      },
+      {
+        nodes: [productNode(3, { status: "DRAFT" })],
+        pageInfo: { hasNextPage: false, endCursor: null },
+      },
+    ];
+    const admin = fakeAdmin({
+      countProducts: () => ({ productsCount: { count: 3 } }),
+      syncProducts: ({ cursor }) => ({ products: pages[cursor ? 1 : 0] }),
+    });
+
+    const sync = await startCatalogSync(admin, SHOP);
+    expect(sync).toMatchObject({ mode: "PAGINATED", totalCount: 3 });
+    await vi.waitFor(() => expect(hasCompleted()).toBe(true));
+
+    expect(upsertProduct).toHaveBeenCalledTimes(3);
+    expect(progressUpdates()).toEqual([2, 3]);
+    expect(getProductEmbeddings).toHaveBeenCalledTimes(1);
+    expect(
+      getProductEmbeddings.mock.calls[0][1].map((product) => product.id),
+    ).toEqual(["gid://shopify/Product/1"]);
+  });
+
+  it("warms one batch at a time across concurrent syncs", async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    getProductEmbeddings.mockImplementation(async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inFlight--;
+    });
+    const admin = fakeAdmin({
+      countProducts: () => ({ productsCount: { count: 1 } }),
+      syncProducts: () => ({
+        products: {
+          nodes: [productNode(1)],
+          pageInfo: { hasNextPage: false, endCursor: null },
+        },
+      }),
+    });
+
+    await Promise.all([
+      startCatalogSync(admin, SHOP),
+      startCatalogSync(admin, "other.myshopify.com"),
+    ]);
+    await vi.waitFor(() =>
+      expect(getProductEmbeddings).toHaveBeenCalledTimes(2),
+    );
+    await vi.waitFor(() => expect(inFlight).toBe(0));
+
+    expect(maxInFlight).toBe(1);
+  });
+
+  it("hands large catalogs to a bulk operation", async () => {
+    const admin = fakeAdmin({
+      countProducts: () => ({
+        productsCount: { count: BULK_SYNC_THRESHOLD + 1 },
+      }),
+      startProductBulkSync: () => ({
+        bulkOperationRunQuery: {
+          bulkOperation: { id: "gid://shopify/BulkOperation/1" },
+          userErrors: [],
+        },
+      }),
+    });
+
+    const sync = await startCatalogSync(admin, SHOP);
+
+    expect(sync).toEqual({ bulkOperationId: "gid://shopify/BulkOperation/1" });
+    expect(db.catalogSync.upsert.mock.calls[0][0].create.mode).toBe("BULK");
+  });
+
+  describe("bulk operation status", () => {
+    const running = {
+      shop: SHOP,
+      status: "RUNNING",
+      bulkOperationId: "gid://shopify/BulkOperation/1",
+      startedAt: new Date("2026-03-01T10:00:00Z"),
+    };
+
+    beforeEach(() => {
+      db.catalogSync.findUnique.mockResolvedValue(running);
+    });
+
+    it("reports the products fetched so far, not their variants", async () => {
+      const admin = fakeAdmin({
+        pollProductBulkSync: () => ({
+          node: {
+            id: running.bulkOperationId,
+            status: "RUNNING",
+            objectCount: "9000",
+            rootObjectCount: "3000",
+          },
+        }),
+      });
+
+      await getCatalogSyncStatus(admin, SHOP);
+
+      expect(progressUpdates()).toEqual([3000]);
+    });
+
+    it("imports the finished result with variants under their products", async () => {
+      const lines = [
+        productNode(1),
+        variantLine(1, 11),
+        variantLine(1, 12),
+        productNode(2),
+        variantLine(2, 21),
+      ];
+      vi.stubGlobal(
+        "fetch",
+        vi.fn(
+          async () =>
+            new Response(lines.map((line) => JSON.stringify(line)).join("\n")),
+        ),
+      );
+      db.catalogSync.updateMany.mockResolvedValue({ count: 1 });
+      const admin = fakeAdmin({
+        pollProductBulkSync: () => ({
+          node: {
+            id: running.bulkOperationId,
+            status: "COMPLETED",
+            url: "https://storage.example.com/result.jsonl",
+          },
+        }),
+      });
+
+      await getCatalogSyncStatus(admin, SHOP);
+      await vi.waitFor(() => expect(hasCompleted()).toBe(true));
+
+      const stored = upsertProduct.mock.calls.map(([, product]) => product);
+      expect(stored.map((product) => product.variants.length)).toEqual([2, 1]);
+      expect(progressUpdates()).toEqual([0, 2]);
+      expect(deleteProductsNotSeenSince).toHaveBeenCalledWith(
+        SHOP,
+        running.startedAt,
+      );
+    });
+
+    it("leaves a result claimed by another poll alone", async () => {
+      const fetch = vi.fn();
+      vi.stubGlobal("fetch", fetch);
+      db.catalogSync.updateMany.mockResolvedValue({ count: 0 });
+      const admin = fakeAdmin({
+        pollProductBulkSync: () => ({
+          node: { id: running.bulkOperationId, status: "COMPLETED", url: "" },
+        }),
+      });
+
+      await getCatalogSyncStatus(admin, SHOP);
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(hasCompleted()).toBe(false);
+    });
+
+    it("fails the sync when the operation fails", async () => {
+      const logError = vi.spyOn(console, "error").mockImplementation(() => {});
+      const admin = fakeAdmin({
+        pollProductBulkSync: () => ({
+          node: {
+            id: running.bulkOperationId,
+            status: "FAILED",
+            errorCode: "TIMEOUT",
+          },
+        }),
+      });
+
+      await getCatalogSyncStatus(admin, SHOP);
+
+      expect(db.catalogSync.update).toHaveBeenCalledWith({
+        where: { shop: SHOP },
+        data: {
+          status: "FAILED",
+          bulkOperationId: null,
+          error: "Bulk operation failed (TIMEOUT)",
+        },
+      });
+      logError.mockRestore();
+    });
+  });
+});
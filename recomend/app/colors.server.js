@@ -0,0 +1,245 @@
+// ========== COLOR MATCHING ==========
+// Palette colors come from the stylist with a name and hex value; product
+// colors come from their Color option values ("Navy", "Heather Grey"). These
+// helpers resolve both to hex values and check whether a product's colors sit
+// within the palette.
+
+// Option names that hold a product's color
+const COLOR_OPTION_PATTERN = /\b(colou?rs?|couleur|farbe|shade)\b/i;
+
+// Common color names in product catalogs, including the fashion names CSS lacks
+const NAMED_COLORS = {
+  black: "#000000",
+  white: "#ffffff",
+  ivory: "#fffff0",
+  cream: "#fffdd0",
+  "off white": "#f8f4e3",
+  ecru: "#cdb891",
+  bone: "#e3dac9",
+  beige: "#f5f5dc",
+  sand: "#c2b280",
+  stone: "#928e85",
+  oatmeal: "#d8c9a9",
+  taupe: "#8b7d6b",
+  khaki: "#c3b091",
+  tan: "#d2b48c",
+  camel: "#c19a6b",
+  caramel: "#af6f09",
+  cognac: "#9a463d",
+  brown: "#8b4513",
+  chocolate: "#5c3317",
+  mocha: "#6f4e37",
+  coffee: "#6f4e37",
+  grey: "#808080",
+  gray: "#808080",
+  heather: "#9e9e9e",
+  silver: "#c0c0c0",
+  charcoal: "#36454f",
+  graphite: "#41424c",
+  slate: "#708090",
+  navy: "#000080",
+  midnight: "#191970",
+  indigo: "#4b0082",
+  denim: "#1560bd",
+  blue: "#0000ff",
+  cobalt: "#0047ab",
+  "royal blue": "#4169e1",
+  "sky blue": "#87ceeb",
+  "light blue": "#add8e6",
+  "baby blue": "#89cff0",
+  teal: "#008080",
+  turquoise: "#40e0d0",
+  aqua: "#00ffff",
+  mint: "#98ff98",
+  sage: "#9caf88",
+  olive: "#808000",
+  green: "#008000",
+  forest: "#228b22",
+  emerald: "#50c878",
+  lime: "#32cd32",
+  yellow: "#ffff00",
+  mustard: "#e1ad01",
+  gold: "#d4af37",
+  orange: "#ffa500",
+  rust: "#b7410e",
+  terracotta: "#e2725b",
+  coral: "#ff7f50",
+  peach: "#ffcba4",
+  red: "#ff0000",
+  scarlet: "#ff2400",
+  crimson: "#dc143c",
+  burgundy: "#800020",
+  maroon: "#800000",
+  wine: "#722f37",
+  pink: "#ffc0cb",
+  blush: "#de5d83",
+  rose: "#ff007f",
+  fuchsia: "#ff00ff",
+  magenta: "#ff00ff",
+  purple: "#800080",
+  plum: "#8e4585",
+  lavender: "#e6e6fa",
+  lilac: "#c8a2c8",
+  mauve: "#e0b0ff",
+  violet: "#8f00ff",
+};
+
+// Hues closer than this count as the same color family
+const HUE_MATCH_DEGREES = 35;
+
+// Allowed distance from the exact opposite hue for a complementary accent
+const COMPLEMENT_TOLERANCE_DEGREES = 25;
+
+/**
+ * @param {string} value - Hex color, with or without "#", in 3- or 6-digit form
+ * @returns {string | null} - Lower-case "#rrggbb", or null if the value is not a hex color
+ */
+export function normalizeHex(value) {
+  const match = (value || "").trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) return null;
+  const digits =
+    match[1].length === 3
+      ? [...match[1]].map((digit) => digit + digit).join("")
+      : match[1];
+  return `#${digits.toLowerCase()}`;
+}
+
+/**
+ * Resolve a color name to a hex value. Tries the whole name, then its last
+ * word ("Heather Grey" is grey), then any other word.
+ * @param {string} name - Color name, e.g. "Midnight Navy"
+ * @returns {string | null} - "#rrggbb", or null if the name is not recognized
+ */
+export function resolveColorName(name) {
+  const text = (name || "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!text) return null;
+  if (NAMED_COLORS[text]) return NAMED_COLORS[text];
+
+  const words = text.split(" ");
+  for (let i = words.length - 1; i >= 0; i--) {
+    const pair = words.slice(i, i + 2).join(" ");
+    if (NAMED_COLORS[pair]) return NAMED_COLORS[pair];
+    if (NAMED_COLORS[words[i]]) return NAMED_COLORS[words[i]];
+  }
+  return null;
+}
+
+/**
+ * Bring palette entries into `{ name, hex }` form. Palettes saved before
+ * colors carried hex values are plain names; their hex is resolved from the
+ * name, or null if it is not recognized.
+ * @param {(string | { name: string, hex?: string })[]} palette - Stylist palette
+ * @returns {{ name: string, hex: string | null }[]}
+ */
+export function normalizePalette(palette) {
+  return (palette || []).map((color) =>
+    typeof color === "string"
+      ? { name: color, hex: resolveColorName(color) }
+      : {
+          name: color.name,
+          hex: normalizeHex(color.hex) || resolveColorName(color.name),
+        },
+  );
+}
+
+/**
+ * The colors a product comes in: the recommended variant's color when it has
+ * one, otherwise every value of the product's color option.
+ * @param {object} product - Normalized product, optionally with the chosen `variant`
+ * @returns {{ name: string, hex: string | null }[]}
+ */
+export function getProductColors(product) {
+  const variantColor = (product.variant?.selectedOptions || []).find((option) =>
+    COLOR_OPTION_PATTERN.test(option.name),
+  );
+  const names = variantColor
+    ? [variantColor.value]
+    : (product.options || []).find((option) =>
+        COLOR_OPTION_PATTERN.test(option.name),
+      )?.values || [];
+
+  return names.map((name) => ({ name, hex: resolveColorName(name) }));
+}
+
+/**
+ * @param {string} hex - "#rrggbb"
+ * @returns {{ h: number, s: number, l: number }} - Hue in degrees, saturation and lightness from 0 to 1
+ */
+function hexToHsl(hex) {
+  const [r, g, b] = [1, 3, 5].map(
+    (start) => parseInt(hex.slice(start, start + 2), 16) / 255,
+  );
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const delta = max - min;
+  if (delta === 0) return { h: 0, s: 0, l };
+
+  const s = delta / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) h = ((g - b) / delta) % 6;
+  else if (max === g) h = (b - r) / delta + 2;
+  else h = (r - g) / delta + 4;
+  return { h: (h * 60 + 360) % 360, s, l };
+}
+
+/**
+ * Neutrals go with any palette: greys, near-blacks and near-whites, muted
+ * earth tones (beige, camel, tan) and dark navies.
+ * @param {{ h: number, s: number, l: number }} hsl
+ * @returns {boolean}
+ */
+function isNeutral({ h, s, l }) {
+  if (s < 0.2 || l < 0.15 || l > 0.9) return true;
+  if (h >= 20 && h <= 50 && s < 0.6 && l >= 0.3 && l <= 0.85) return true;
+  return h >= 200 && h <= 250 && l < 0.3;
+}
+
+/**
+ * @param {number} a - Hue in degrees
+ * @param {number} b - Hue in degrees
+ * @returns {number} - Distance around the color wheel, 0 to 180
+ */
+function hueDistance(a, b) {
+  const distance = Math.abs(a - b) % 360;
+  return distance > 180 ? 360 - distance : distance;
+}
+
+/**
+ * How a product's colors sit with the palette. A product matches when any of
+ * its colors is neutral, shares a hue family with a palette color or is its
+ * complement; it clashes when none of them do.
+ * @param {{ hex: string | null }[]} productColors - From `getProductColors`
+ * @param {{ hex: string | null }[]} palette - From `normalizePalette`
+ * @returns {"match" | "neutral" | "clash" | "unknown"} - "unknown" when the product's or the palette's colors could not be resolved
+ */
+export function matchColorsToPalette(productColors, palette) {
+  const colors = productColors
+    .filter((color) => color.hex)
+    .map((color) => hexToHsl(color.hex));
+  const paletteColors = palette
+    .filter((color) => color.hex)
+    .map((color) => hexToHsl(color.hex));
+  if (colors.length === 0 || paletteColors.length === 0) return "unknown";
+
+  if (colors.some(isNeutral)) return "neutral";
+
+  // An all-neutral palette leaves the accent color open
+  const accents = paletteColors.filter((color) => !isNeutral(color));
+  if (accents.length === 0) return "match";
+
+  const fits = colors.some((color) =>
+    accents.some((accent) => {
+      const distance = hueDistance(color.h, accent.h);
+      return (
+        distance <= HUE_MATCH_DEGREES ||
+        distance >= 180 - COMPLEMENT_TOLERANCE_DEGREES
+      );
+    }),
+  );
+  return fits ? "match" : "clash";
+}
@@ -0,0 +1,154 @@
+import { describe, expect, it } from "vitest";
+import {
+  getProductColors,
+  matchColorsToPalette,
+  normalizeHex,
+  normalizePalette,
+  resolveColorName,
+} from "./colors.server";
+
+const palette = (...hexes) => hexes.map((hex) => ({ name: hex, hex }));
+const colors = (...hexes) => hexes.map((hex) => ({ name: hex, hex }));
+
+describe("normalizeHex", () => {
+  it.each([
+    ["#1A2B3C", "#1a2b3c"],
+    ["1a2b3c", "#1a2b3c"],
+    ["#abc", "#aabbcc"],
+    [" #FFF ", "#ffffff"],
+  ])("normalizes %j to %s", (value, hex) => {
+    expect(normalizeHex(value)).toBe(hex);
+  });
+
+  it.each(["navy", "#12345", "#gggggg", "", null])("rejects %j", (value) => {
+    expect(normalizeHex(value)).toBeNull();
+  });
+});
+
+describe("resolveColorName", () => {
+  it("resolves whole names, including two-word ones", () => {
+    expect(resolveColorName("Navy")).toBe("#000080");
+    expect(resolveColorName("Royal Blue")).toBe("#4169e1");
+    expect(resolveColorName("off-white")).toBe("#f8f4e3");
+  });
+
+  it("prefers the last word of a compound name", () => {
+    expect(resolveColorName("Heather Grey")).toBe("#808080");
+    expect(resolveColorName("Midnight Navy")).toBe("#000080");
+  });
+
+  it("finds a known word anywhere in the name", () => {
+    expect(resolveColorName("Olive Washed")).toBe("#808000");
+  });
+
+  it.each(["Multi", "", null])("does not resolve %j", (name) => {
+    expect(resolveColorName(name)).toBeNull();
+  });
+});
+
+describe("normalizePalette", () => {
+  it("keeps valid hex values and resolves the rest from their names", () => {
+    expect(
+      normalizePalette([
+        { name: "Deep sea", hex: "#0A3D62" },
+        { name: "Camel", hex: "not a color" },
+        "Burgundy",
+        "Sunset glow",
+      ]),
+    ).toEqual([
+      { name: "Deep sea", hex: "#0a3d62" },
+      { name: "Camel", hex: "#c19a6b" },
+      { name: "Burgundy", hex: "#800020" },
+      { name: "Sunset glow", hex: null },
+    ]);
+  });
+
+  it("treats a missing palette as empty", () => {
+    expect(normalizePalette(undefined)).toEqual([]);
+  });
+});
+
+describe("getProductColors", () => {
+  const product = {
+    options: [
+      { name: "Size", values: ["S", "M"] },
+      { name: "Colour", values: ["Navy", "Rust"] },
+    ],
+  };
+
+  it("uses the chosen variant's color", () => {
+    const withVariant = {
+      ...product,
+      variant: {
+        selectedOptions: [
+          { name: "Size", value: "M" },
+          { name: "Colour", value: "Rust" },
+        ],
+      },
+    };
+
+    expect(getProductColors(withVariant)).toEqual([
+      { name: "Rust", hex: "#b7410e" },
+    ]);
+  });
+
+  it("falls back to every value of the color option", () => {
+    expect(getProductColors(product).map((color) => color.name)).toEqual([
+      "Navy",
+      "Rust",
+    ]);
+  });
+
+  it("returns nothing for products without a color option", () => {
+    expect(
+      getProductColors({ options: [{ name: "Size", values: ["S"] }] }),
+    ).toEqual([]);
+  });
+});
+
+describe("matchColorsToPalette", () => {
+  it("matches colors in the same hue family", () => {
+    // Red against crimson
+    expect(matchColorsToPalette(colors("#ff0000"), palette("#dc143c"))).toBe(
+      "match",
+    );
+  });
+
+  it("matches complementary colors", () => {
+    // Orange against blue
+    expect(matchColorsToPalette(colors("#ffa500"), palette("#0000ff"))).toBe(
+      "match",
+    );
+  });
+
+  it("reports clashes", () => {
+    // Green against red and yellow
+    expect(
+      matchColorsToPalette(colors("#008000"), palette("#ff0000", "#ffff00")),
+    ).toBe("clash");
+  });
+
+  it.each([
+    ["grey", "#808080"],
+    ["black", "#000000"],
+    ["camel", "#c19a6b"],
+    ["navy", "#000080"],
+  ])("treats %s as neutral", (_, hex) => {
+    expect(matchColorsToPalette(colors(hex), palette("#ff0000"))).toBe(
+      "neutral",
+    );
+  });
+
+  it("lets any accent go with an all-neutral palette", () => {
+    expect(
+      matchColorsToPalette(colors("#ff00ff"), palette("#ffffff", "#36454f")),
+    ).toBe("match");
+  });
+
+  it("is unknown without resolved colors on either side", () => {
+    expect(
+      matchColorsToPalette([{ name: "Multi", hex: null }], palette("#ff0000")),
+    ).toBe("unknown");
+    expect(matchColorsToPalette(colors("#ff0000"), [])).toBe("unknown");
+  });
+});
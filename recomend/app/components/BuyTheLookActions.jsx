@@ -0,0 +1,69 @@
+import { useFetcher } from "@remix-run/react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { Button, InlineStack } from "@shopify/polaris";
+import { useEffect } from "react";
+
+/**
+ * Cart link and draft order actions for a saved recommendation, shared by the
+ * generator results and the history pages.
+ * @param {{ recommendation: { id: string, cartUrl?: string | null, draftOrderId?: string | null, draftOrderName?: string | null } }} props
+ */
+export function BuyTheLookActions({ recommendation }) {
+  const fetcher = useFetcher();
+  const { data, submit } = fetcher;
+  const shopify = useAppBridge();
+  const pendingIntent = fetcher.state !== "idle" ? fetcher.formData?.get("intent") : null;
+
+  // Whatever the last action created, on top of what the recommendation already had
+  const { cartUrl, draftOrderId, draftOrderName } = { ...recommendation, ...(data?.error ? {} : data) };
+
+  const handleAction = (intent) => {
+    submit({ intent, recommendationId: recommendation.id }, { method: "POST", action: "/app/buy-the-look" });
+  };
+
+  useEffect(() => {
+    if (!data?.error) return;
+    shopify.toast.show(data.error, {
+      isError: true,
+      ...(data.missingScopes
+        ? {
+            action: "Grant access",
+            onAction: () => submit({ intent: "grant", recommendationId: recommendation.id }, { method: "POST", action: "/app/buy-the-look" }),
+          }
+        : {}),
+    });
+  }, [data, shopify, submit, recommendation.id]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(cartUrl);
+      shopify.toast.show("Cart link copied");
+    } catch (error) {
+      // Clipboard access can be blocked inside the admin iframe
+      window.open(cartUrl, "_blank");
+    }
+  };
+
+  return (
+    <InlineStack gap="200" blockAlign="center">
+      {cartUrl ? (
+        <Button size="slim" onClick={handleCopy}>
+          Copy cart link
+        </Button>
+      ) : (
+        <Button size="slim" onClick={() => handleAction("cart")} loading={pendingIntent === "cart"}>
+          Create cart link
+        </Button>
+      )}
+      {draftOrderId ? (
+        <Button size="slim" url={`shopify://admin/draft_orders/${draftOrderId.split('/').pop()}`} target="_blank">
+          {`Open draft order ${draftOrderName || ''}`.trim()}
+        </Button>
+      ) : (
+        <Button size="slim" onClick={() => handleAction("draft-order")} loading={pendingIntent === "draft-order"}>
+          Create draft order
+        </Button>
+      )}
+    </InlineStack>
+  );
+}
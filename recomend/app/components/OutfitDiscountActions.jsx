@@ -0,0 +1,127 @@
+import { useFetcher } from "@remix-run/react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { Badge, Button, FormLayout, InlineStack, Modal, Select, Text, TextField } from "@shopify/polaris";
+import { useEffect, useState } from "react";
+
+const METHOD_OPTIONS = [
+  { label: "Automatic", value: "automatic" },
+  { label: "Discount code", value: "code" },
+];
+
+const STATUS_TONES = {
+  ACTIVE: "success",
+  SCHEDULED: "info",
+  DELETED: "critical",
+};
+
+/**
+ * Create, expire and delete a recommendation's outfit discount, shared by the
+ * generator results and the history pages.
+ * @param {{ recommendation: { id: string, discount?: object | null } }} props
+ */
+export function OutfitDiscountActions({ recommendation }) {
+  const fetcher = useFetcher();
+  const { data, submit } = fetcher;
+  const shopify = useAppBridge();
+  const pendingIntent = fetcher.state !== "idle" ? fetcher.formData?.get("intent") : null;
+
+  // "create" or "delete" while a dialog is open
+  const [dialog, setDialog] = useState(null);
+  const [method, setMethod] = useState("automatic");
+  const [percentage, setPercentage] = useState("10");
+  const [code, setCode] = useState("");
+  const [endsAt, setEndsAt] = useState("");
+
+  // The outcome of the last action wins over what the page was loaded with
+  let discount = recommendation.discount || null;
+  if (data?.discount) discount = data.discount;
+  if (data?.deleted) discount = null;
+
+  const handleSubmit = (intent, fields = {}) => {
+    submit({ intent, recommendationId: recommendation.id, ...fields }, { method: "POST", action: "/app/outfit-discount" });
+  };
+
+  useEffect(() => {
+    if (data?.discount || data?.deleted) setDialog(null);
+    if (!data?.error) return;
+    shopify.toast.show(data.error, {
+      isError: true,
+      ...(data.missingScopes
+        ? {
+            action: "Grant access",
+            onAction: () => submit({ intent: "grant", recommendationId: recommendation.id }, { method: "POST", action: "/app/outfit-discount" }),
+          }
+        : {}),
+    });
+  }, [data, shopify, submit, recommendation.id]);
+
+  const canExpire = discount && (discount.status === "ACTIVE" || discount.status === "SCHEDULED");
+
+  return (
+    <>
+      {discount ? (
+        <InlineStack gap="200" blockAlign="center" wrap={false}>
+          <Badge tone={STATUS_TONES[discount.status]}>{discount.status.charAt(0) + discount.status.slice(1).toLowerCase()}</Badge>
+          <Text as="span" variant="bodySm">
+            {discount.percentage}% off outfit items{discount.code ? ` · ${discount.code}` : ' · automatic'}
+            {discount.endsAt && discount.status !== "DELETED" ? ` · ends ${new Date(discount.endsAt).toLocaleDateString()}` : ''}
+          </Text>
+          {canExpire && (
+            <Button size="slim" onClick={() => handleSubmit("expire")} loading={pendingIntent === "expire"}>
+              Expire
+            </Button>
+          )}
+          <Button size="slim" tone="critical" onClick={() => setDialog("delete")}>
+            Delete discount
+          </Button>
+        </InlineStack>
+      ) : (
+        <Button size="slim" onClick={() => setDialog("create")}>
+          Add outfit discount
+        </Button>
+      )}
+
+      <Modal
+        open={dialog === "create"}
+        onClose={() => setDialog(null)}
+        title="Add an outfit discount"
+        primaryAction={{
+          content: "Create discount",
+          loading: pendingIntent === "create",
+          onAction: () => handleSubmit("create", { method, percentage, code, endsAt }),
+        }}
+        secondaryActions={[{ content: "Cancel", onAction: () => setDialog(null) }]}
+      >
+        <Modal.Section>
+          <FormLayout>
+            <Text as="p" variant="bodyMd">
+              Shoppers get the discount on the outfit's items once their cart holds every one of them. Extra copies of an item are charged in full unless they complete another outfit.
+            </Text>
+            <FormLayout.Group>
+              <Select label="Type" options={METHOD_OPTIONS} value={method} onChange={setMethod} />
+              <TextField label="Discount" type="number" min={1} max={90} suffix="%" value={percentage} onChange={setPercentage} autoComplete="off" />
+            </FormLayout.Group>
+            {method === "code" && (
+              <TextField label="Code" value={code} onChange={setCode} placeholder="Leave blank to generate one" autoComplete="off" />
+            )}
+            <TextField label="Ends on" type="date" value={endsAt} onChange={setEndsAt} helpText="Optional. Without an end date the discount runs until you expire it." autoComplete="off" />
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
+
+      <Modal
+        open={dialog === "delete"}
+        onClose={() => setDialog(null)}
+        title="Delete this outfit discount?"
+        primaryAction={{ content: "Delete", destructive: true, loading: pendingIntent === "delete", onAction: () => handleSubmit("delete") }}
+        secondaryActions={[{ content: "Cancel", onAction: () => setDialog(null) }]}
+      >
+        <Modal.Section>
+          <Text as="p" variant="bodyMd">
+            The discount is removed from Shopify and shoppers can no longer use it. Expire it instead to keep it in your discount reports.
+          </Text>
+        </Modal.Section>
+      </Modal>
+    </>
+  );
+}
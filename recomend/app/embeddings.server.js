@@ -0,0 +1,232 @@
+import { createHash } from "node:crypto";
+import { getAIProvider } from "./ai/provider.server";
+import db from "./db.server";
+
+// ========== SEMANTIC SEARCH UTILITIES ==========
+
+/**
+ * @param {string} text - The text to convert to embedding
+ * @param {import("./ai/provider.server").AIProvider} ai - AI provider
+ * @returns {Promise<number[] | null>} - The embedding vector
+ */
+export async function generateEmbedding(text, ai) {
+  try {
+    return await ai.embed(text);
+  } catch (error) {
+    console.error("Embedding generation error:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Calculate cosine similarity between two vectors
+ * @param {number[]} vecA - First vector
+ * @param {number[]} vecB - Second vector
+ * @returns {number} - Similarity score between -1 and 1 (higher = more similar)
+ */
+export function calculateCosineSimilarity(vecA, vecB) {
+  if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
+
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < vecA.length; i++) {
+    dotProduct += vecA[i] * vecB[i];
+    normA += vecA[i] * vecA[i];
+    normB += vecB[i] * vecB[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Build a searchable text representation of a product
+ * @param {object} product - Product object with title, tags, description, etc.
+ * @returns {string} - Combined text for embedding
+ */
+export function buildProductSearchText(product) {
+  const parts = [];
+
+  // Add title (most important)
+  if (product.title) parts.push(product.title);
+
+  // Add description (strip HTML tags)
+  if (product.description) {
+    const cleanDescription = product.description
+      .replace(/<[^>]*>/g, " ") // Remove HTML tags
+      .replace(/\s+/g, " ") // Normalize whitespace
+      .trim();
+    parts.push(cleanDescription);
+  }
+
+  // Add tags
+  if (product.tags && product.tags.length > 0) {
+    parts.push(product.tags.join(" "));
+  }
+
+  // Add product type/category
+  if (product.productType) parts.push(product.productType);
+
+  // Add vendor/brand
+  if (product.vendor) parts.push(product.vendor);
+
+  // Add options (like Color, Size, Material)
+  if (product.options && product.options.length > 0) {
+    const optionText = product.options
+      .map((opt) => `${opt.name}: ${(opt.values || []).join(", ")}`)
+      .join(" ");
+    parts.push(optionText);
+  }
+
+  return parts.join(" ").trim();
+}
+
+/**
+ * Stable fingerprint of a product's search text, used to detect when a cached
+ * embedding no longer describes the product.
+ * @param {string} text - Product search text
+ * @returns {string} - Hex-encoded SHA-256 digest
+ */
+export function hashSearchText(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+// ========== EMBEDDING CACHE ==========
+
+// Embedding calls in flight at once while refreshing stale products. A cold
+// cache or a model change makes every product stale, and embedding them all
+// at once would trip the provider's rate limits.
+const EMBEDDING_CONCURRENCY = 5;
+
+/**
+ * Map over items with a bounded number of calls in flight.
+ * @template T, R
+ * @param {T[]} items - Items to map
+ * @param {number} limit - Most calls running at once
+ * @param {(item: T) => Promise<R>} fn - Async mapper
+ * @returns {Promise<R[]>} - Results in the order of `items`
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker),
+  );
+  return results;
+}
+
+/**
+ * Resolve embeddings for a set of products, reusing cached vectors where the
+ * product's search text and the embedding model are unchanged. Only stale or
+ * missing products are sent to the embedding API, a few at a time; fresh
+ * vectors are written back to the cache.
+ * @param {string} shop - Shop domain the products belong to
+ * @param {object[]} products - Normalized products (must include `id`)
+ * @param {import("./ai/provider.server").AIProvider} ai - AI provider
+ * @returns {Promise<Map<string, number[]>>} - Embedding vectors keyed by product GID
+ */
+export async function getProductEmbeddings(shop, products, ai) {
+  const embeddings = new Map();
+  if (products.length === 0) return embeddings;
+
+  const cached = await db.productEmbedding.findMany({
+    where: {
+      shop,
+      productId: { in: products.map((product) => product.id) },
+    },
+  });
+  const cachedById = new Map(cached.map((row) => [row.productId, row]));
+
+  const stale = [];
+  for (const product of products) {
+    const textHash = hashSearchText(buildProductSearchText(product));
+    const row = cachedById.get(product.id);
+
+    if (row && row.textHash === textHash && row.model === ai.embeddingModel) {
+      embeddings.set(product.id, JSON.parse(row.embedding));
+    } else {
+      stale.push({ product, textHash });
+    }
+  }
+
+  if (stale.length === 0) return embeddings;
+
+  const refreshed = await mapWithConcurrency(
+    stale,
+    EMBEDDING_CONCURRENCY,
+    async ({ product, textHash }) => {
+      const vector = await generateEmbedding(
+        buildProductSearchText(product),
+        ai,
+      );
+      return { productId: product.id, textHash, vector };
+    },
+  );
+
+  const writes = [];
+  for (const { productId, textHash, vector } of refreshed) {
+    // Failed embeddings are left uncached so the next generation retries them
+    if (!vector) continue;
+    embeddings.set(productId, vector);
+
+    const data = {
+      textHash,
+      model: ai.embeddingModel,
+      embedding: JSON.stringify(vector),
+    };
+    writes.push(
+      db.productEmbedding.upsert({
+        where: { shop_productId: { shop, productId } },
+        create: { shop, productId, ...data },
+        update: data,
+      }),
+    );
+  }
+
+  try {
+    await db.$transaction(writes);
+  } catch (dbError) {
+    console.error("Failed to cache product embeddings:", dbError);
+    // Continue despite database error - vectors are still usable for this request
+  }
+
+  return embeddings;
+}
+
+/**
+ * Bring a single product's cached embedding up to date after a catalog
+ * change. Products that are no longer active are dropped from the cache.
+ * @param {string} shop - Shop domain
+ * @param {object} product - Normalized product
+ * @returns {Promise<void>}
+ */
+export async function refreshProductEmbedding(shop, product) {
+  if (product.status !== "ACTIVE") {
+    await deleteProductEmbeddings(shop, [product.id]);
+    return;
+  }
+
+  const ai = await getAIProvider(shop);
+  if (!ai.configured) return;
+
+  await getProductEmbeddings(shop, [product], ai);
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {string[]} productIds - Product GIDs to evict from the cache
+ * @returns {Promise<void>}
+ */
+export async function deleteProductEmbeddings(shop, productIds) {
+  await db.productEmbedding.deleteMany({
+    where: { shop, productId: { in: productIds } },
+  });
+}
@@ -0,0 +1,110 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import db from "./db.server";
+import {
+  buildProductSearchText,
+  getProductEmbeddings,
+  hashSearchText,
+} from "./embeddings.server";
+
+vi.mock("./db.server", () => ({
+  default: {
+    productEmbedding: { findMany: vi.fn(), upsert: vi.fn() },
+    $transaction: vi.fn(),
+  },
+}));
+
+vi.mock("./ai/provider.server", () => ({ getAIProvider: vi.fn() }));
+
+const SHOP = "example.myshopify.com";
+
+const product = (id) => ({ id, title: `Product ${id}` });
+
+// Provider whose embed calls resolve on the next tick, tracking how many overlap
+const fakeProvider = () => {
+  const ai = { embeddingModel: "test-model", inFlight: 0, maxInFlight: 0 };
+  ai.embed = vi.fn(async () => {
+    ai.inFlight++;
+    ai.maxInFlight = Math.max(ai.maxInFlight, ai.inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    ai.inFlight--;
+    return [1, 0];
+  });
+  return ai;
+};
+
+describe("getProductEmbeddings", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.productEmbedding.findMany.mockResolvedValue([]);
+    db.$transaction.mockResolvedValue([]);
+  });
+
+  it("reuses cached vectors for unchanged products", async () => {
+    const cached = product("a");
+    db.productEmbedding.findMany.mockResolvedValue([
+      {
+        productId: "a",
+        textHash: hashSearchText(buildProductSearchText(cached)),
+        model: "test-model",
+        embedding: "[0,1]",
+      },
+    ]);
+    const ai = fakeProvider();
+
+    const embeddings = await getProductEmbeddings(
+      SHOP,
+      [cached, product("b")],
+      ai,
+    );
+
+    expect(embeddings.get("a")).toEqual([0, 1]);
+    expect(embeddings.get("b")).toEqual([1, 0]);
+    expect(ai.embed).toHaveBeenCalledTimes(1);
+  });
+
+  it("re-embeds vectors from another model", async () => {
+    db.productEmbedding.findMany.mockResolvedValue([
+      {
+        productId: "a",
+        textHash: hashSearchText(buildProductSearchText(product("a"))),
+        model: "old-model",
+        embedding: "[0,1]",
+      },
+    ]);
+    const ai = fakeProvider();
+
+    const embeddings = await getProductEmbeddings(SHOP, [product("a")], ai);
+
+    expect(embeddings.get("a")).toEqual([1, 0]);
+  });
+
+  it("embeds a cold catalog a few products at a time", async () => {
+    const ai = fakeProvider();
+    const products = Array.from({ length: 40 }, (_, index) =>
+      product(String(index)),
+    );
+
+    const embeddings = await getProductEmbeddings(SHOP, products, ai);
+
+    expect(embeddings.size).toBe(40);
+    expect(ai.embed).toHaveBeenCalledTimes(40);
+    expect(ai.maxInFlight).toBeGreaterThan(1);
+    expect(ai.maxInFlight).toBeLessThanOrEqual(5);
+  });
+
+  it("leaves failed embeddings uncached", async () => {
+    const logError = vi.spyOn(console, "error").mockImplementation(() => {});
+    const ai = fakeProvider();
+    ai.embed.mockRejectedValueOnce(new Error("Rate limited"));
+
+    const embeddings = await getProductEmbeddings(
+      SHOP,
+      [product("a"), product("b")],
+      ai,
+    );
+
+    expect([...embeddings.keys()]).toEqual(["b"]);
+    expect(db.productEmbedding.upsert).toHaveBeenCalledTimes(1);
+    logError.mockRestore();
+  });
+});
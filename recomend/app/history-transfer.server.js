@@ -0,0 +1,460 @@
+import db from "./db.server";
+import { findProductsByHandle } from "./products.server";
+import {
+  HISTORY_FILTER_FIELDS,
+  iterateRecommendations,
+} from "./recommendations.server";
+
+// ========== HISTORY EXPORT AND IMPORT ==========
+// Recommendation history as CSV for spreadsheets, or JSON for moving curated
+// looks between stores. An import restores each look: its date, source,
+// preferences, advice, prompt version and product snapshots. Exports also
+// list cart links and draft orders for reference, but those belong to the
+// exporting store and are not imported, and neither are customers, timings
+// or attributed sales.
+
+export const TRANSFER_FORMATS = ["csv", "json"];
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "source",
+  ...HISTORY_FILTER_FIELDS,
+  "promptVersion",
+  "aiAdvice",
+  "productCount",
+  "productTitles",
+  "total",
+  "currencyCode",
+  "cartUrl",
+  "draftOrderName",
+  // Full product snapshots as JSON, read back by the import
+  "products",
+];
+
+// Keeps a single import well within one request
+const MAX_IMPORT_RECORDS = 5000;
+
+// Invalid rows reported back; the rest are only counted
+const MAX_REPORTED_ERRORS = 20;
+
+const SOURCES = ["admin", "storefront", "complete-the-look"];
+
+// Leading characters that make spreadsheets read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * @param {object} recommendation - Recommendation with its product snapshots
+ * @returns {object} - Portable record, the unit of both export formats
+ */
+export function toExportRecord(recommendation) {
+  return {
+    createdAt: recommendation.createdAt.toISOString(),
+    source: recommendation.source,
+    preferences: JSON.parse(recommendation.userPreferences),
+    aiAdvice: recommendation.aiAdvice,
+    promptVersion: recommendation.promptVersion,
+    cartUrl: recommendation.cartUrl,
+    draftOrderName: recommendation.draftOrderName,
+    products: recommendation.products.map((product) => ({
+      productId: product.productId,
+      variantId: product.variantId,
+      title: product.title,
+      variantTitle: product.variantTitle,
+      handle: product.handle,
+      image: product.image,
+      slot: product.slot,
+      price: product.price,
+      currencyCode: product.currencyCode,
+    })),
+  };
+}
+
+/**
+ * Quote a CSV field when needed. Text that a spreadsheet would run as a
+ * formula gets a leading apostrophe, which the import removes again.
+ * @param {unknown} value - Field value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {object} record - From `toExportRecord`
+ * @returns {string} - One CSV line, without the line break
+ */
+function toCsvLine(record) {
+  const values = {
+    ...record,
+    ...Object.fromEntries(
+      HISTORY_FILTER_FIELDS.map((field) => [field, record.preferences[field]]),
+    ),
+    productCount: record.products.length,
+    productTitles: record.products.map((product) => product.title).join(" | "),
+    total: record.products.reduce((sum, product) => sum + product.price, 0),
+    currencyCode: record.products[0]?.currencyCode,
+    products: JSON.stringify(record.products),
+  };
+  return CSV_COLUMNS.map((column) => toCsvField(values[column])).join(",");
+}
+
+/**
+ * Stream a shop's recommendation history, newest first, one batch of rows
+ * at a time.
+ * @param {string} shop - Shop domain
+ * @param {"csv" | "json"} format - Export format
+ * @param {import("./recommendations.server").HistoryFilters} filters - Limits the export like the history page
+ * @returns {ReadableStream<Uint8Array>} - The encoded file
+ */
+export function streamHistoryExport(shop, format, filters) {
+  const encoder = new TextEncoder();
+  const recommendations = iterateRecommendations(shop, filters);
+  let started = false;
+  let count = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (!started) {
+        started = true;
+        controller.enqueue(
+          encoder.encode(
+            format === "csv" ? `${CSV_COLUMNS.join(",")}\r\n` : "[",
+          ),
+        );
+      }
+
+      const { value, done } = await recommendations.next();
+      if (done) {
+        if (format === "json") controller.enqueue(encoder.encode("\n]\n"));
+        controller.close();
+        return;
+      }
+
+      const record = toExportRecord(value);
+      const line =
+        format === "csv"
+          ? `${toCsvLine(record)}\r\n`
+          : `${count > 0 ? "," : ""}\n${JSON.stringify(record)}`;
+      count++;
+      controller.enqueue(encoder.encode(line));
+    },
+    async cancel() {
+      await recommendations.return();
+    },
+  });
+}
+
+// ========== IMPORT ==========
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may hold
+ * commas, doubled quotes and line breaks).
+ * @param {string} text - CSV file contents
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines, e.g. at the end of the file
+  return rows.filter((fields) => fields.some(Boolean));
+}
+
+/**
+ * @param {string} value - CSV field
+ * @returns {string} - The field with a formula guard added by the export removed
+ */
+function fromCsvField(value) {
+  return value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1))
+    ? value.slice(1)
+    : value;
+}
+
+/**
+ * Turn an uploaded file into raw records shaped like `toExportRecord`.
+ * @param {string} text - File contents
+ * @param {"csv" | "json"} format - File format
+ * @returns {object[]} - Raw, unvalidated records
+ * @throws {Error} - When the file cannot be read in that format
+ */
+function readImportFile(text, format) {
+  if (format === "json") {
+    let records;
+    try {
+      records = JSON.parse(text);
+    } catch (error) {
+      throw new Error("The file is not valid JSON");
+    }
+    if (!Array.isArray(records)) {
+      throw new Error("The JSON file must hold an array of recommendations");
+    }
+    return records;
+  }
+
+  const [header, ...rows] = parseCsv(text.replace(/^﻿/, ""));
+  if (!header || !header.includes("aiAdvice")) {
+    throw new Error("The CSV file needs a header row with an aiAdvice column");
+  }
+  return rows.map((fields) => {
+    const values = Object.fromEntries(
+      header.map((column, index) => [
+        column,
+        fromCsvField(fields[index] || ""),
+      ]),
+    );
+    let products = values.products;
+    try {
+      products = JSON.parse(values.products || "[]");
+    } catch (error) {
+      // Left as text; validation reports it
+    }
+    return {
+      createdAt: values.createdAt,
+      source: values.source || "admin",
+      preferences: Object.fromEntries(
+        HISTORY_FILTER_FIELDS.filter((field) => values[field]).map((field) => [
+          field,
+          values[field],
+        ]),
+      ),
+      aiAdvice: values.aiAdvice,
+      promptVersion: values.promptVersion ? Number(values.promptVersion) : 0,
+      products,
+    };
+  });
+}
+
+/**
+ * @param {unknown} product - Raw product snapshot
+ * @returns {string | null} - What is wrong with it, or null if it is usable
+ */
+function validateImportProduct(product) {
+  if (!product || typeof product !== "object") return "is not an object";
+  for (const field of ["productId", "title", "handle", "currencyCode"]) {
+    if (typeof product[field] !== "string" || !product[field]) {
+      return `needs a ${field}`;
+    }
+  }
+  if (typeof product.price !== "number" || !Number.isFinite(product.price)) {
+    return "needs a numeric price";
+  }
+  return null;
+}
+
+/**
+ * @param {unknown} raw - Raw record from the file
+ * @returns {{ record?: object, error?: string }} - The record ready to store, or why it was rejected
+ */
+function validateImportRecord(raw) {
+  if (!raw || typeof raw !== "object") return { error: "is not an object" };
+
+  const createdAt = new Date(raw.createdAt);
+  if (typeof raw.createdAt !== "string" || isNaN(createdAt.getTime())) {
+    return { error: "needs a valid createdAt date" };
+  }
+  if (typeof raw.aiAdvice !== "string" || !raw.aiAdvice.trim()) {
+    return { error: "needs the stylist's advice (aiAdvice)" };
+  }
+  if (!SOURCES.includes(raw.source)) {
+    return { error: `source must be one of: ${SOURCES.join(", ")}` };
+  }
+
+  const preferences = raw.preferences || {};
+  if (
+    typeof preferences !== "object" ||
+    Object.values(preferences).some((value) => typeof value !== "string")
+  ) {
+    return { error: "preferences must be text values" };
+  }
+
+  if (!Array.isArray(raw.products)) {
+    return { error: "products must be a list" };
+  }
+  for (const [index, product] of raw.products.entries()) {
+    const problem = validateImportProduct(product);
+    if (problem) return { error: `product ${index + 1} ${problem}` };
+  }
+
+  return {
+    record: {
+      createdAt,
+      source: raw.source,
+      preferences,
+      aiAdvice: raw.aiAdvice,
+      promptVersion: Number.isInteger(raw.promptVersion)
+        ? raw.promptVersion
+        : 0,
+      products: raw.products,
+    },
+  };
+}
+
+/**
+ * @param {Date} createdAt - When the recommendation was made
+ * @param {string} aiAdvice - Stylist's advice
+ * @returns {string} - Identifies a recommendation across stores, whose IDs differ
+ */
+function duplicateKey(createdAt, aiAdvice) {
+  return `${createdAt.toISOString()}|${aiAdvice}`;
+}
+
+/**
+ * Import recommendation history exported from this or another store.
+ * Invalid rows are reported and skipped, and so are recommendations the shop
+ * already has (same time and advice). Products are matched to this store's
+ * catalog by handle, so looks copied from a dev store point at the
+ * production products.
+ * @param {string} shop - Shop domain
+ * @param {string} text - File contents
+ * @param {"csv" | "json"} format - File format
+ * @returns {Promise<{ imported: number, duplicates: number, invalid: number, errors: string[] }>}
+ */
+export async function importHistory(shop, text, format) {
+  let rawRecords;
+  try {
+    rawRecords = readImportFile(text, format);
+  } catch (error) {
+    return { imported: 0, duplicates: 0, invalid: 0, errors: [error.message] };
+  }
+  if (rawRecords.length > MAX_IMPORT_RECORDS) {
+    return {
+      imported: 0,
+      duplicates: 0,
+      invalid: 0,
+      errors: [
+        `Import at most ${MAX_IMPORT_RECORDS} recommendations at a time`,
+      ],
+    };
+  }
+
+  const errors = [];
+  let invalid = 0;
+  const records = [];
+  rawRecords.forEach((raw, index) => {
+    const { record, error } = validateImportRecord(raw);
+    if (record) {
+      records.push(record);
+      return;
+    }
+    invalid++;
+    if (errors.length < MAX_REPORTED_ERRORS) {
+      errors.push(`Row ${index + 1} ${error}`);
+    }
+  });
+
+  const existing = await db.outfitRecommendation.findMany({
+    where: {
+      shop,
+      createdAt: { in: records.map((record) => record.createdAt) },
+    },
+    select: { createdAt: true, aiAdvice: true },
+  });
+  const seen = new Set(
+    existing.map((row) => duplicateKey(row.createdAt, row.aiAdvice)),
+  );
+
+  const productsByHandle = await findProductsByHandle(shop, [
+    ...new Set(
+      records.flatMap((record) =>
+        record.products.map((product) => product.handle),
+      ),
+    ),
+  ]);
+
+  let duplicates = 0;
+  const creates = [];
+  for (const record of records) {
+    const key = duplicateKey(record.createdAt, record.aiAdvice);
+    if (seen.has(key)) {
+      duplicates++;
+      continue;
+    }
+    seen.add(key);
+
+    const products = record.products.map((product, position) => {
+      const local = productsByHandle.get(product.handle);
+      const variant =
+        local &&
+        local.variants.find(
+          (candidate) =>
+            candidate.id === product.variantId ||
+            (product.variantTitle && candidate.title === product.variantTitle),
+        );
+      return {
+        position,
+        productId: local ? local.id : product.productId,
+        variantId: local ? variant?.id || null : product.variantId || null,
+        title: product.title,
+        variantTitle: product.variantTitle || null,
+        handle: product.handle,
+        image: product.image || null,
+        slot: product.slot || null,
+        price: product.price,
+        currencyCode: product.currencyCode,
+      };
+    });
+
+    creates.push(
+      db.outfitRecommendation.create({
+        data: {
+          shop,
+          source: record.source,
+          userPreferences: JSON.stringify(record.preferences),
+          ...Object.fromEntries(
+            HISTORY_FILTER_FIELDS.map((field) => [
+              field,
+              record.preferences[field] || null,
+            ]),
+          ),
+          aiAdvice: record.aiAdvice,
+          productIds: products.map((product) => product.productId).join(","),
+          promptVersion: record.promptVersion,
+          createdAt: record.createdAt,
+          products: { create: products },
+        },
+      }),
+    );
+  }
+
+  await db.$transaction(creates);
+
+  return { imported: creates.length, duplicates, invalid, errors };
+}
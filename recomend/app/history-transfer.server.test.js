@@ -0,0 +1,297 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import db from "./db.server";
+import {
+  importHistory,
+  parseCsv,
+  streamHistoryExport,
+} from "./history-transfer.server";
+import { findProductsByHandle } from "./products.server";
+import { parseHistoryFilters } from "./recommendations.server";
+
+vi.mock("./db.server", () => ({
+  default: {
+    outfitRecommendation: { findMany: vi.fn(), create: vi.fn() },
+    $transaction: vi.fn(),
+  },
+}));
+
+vi.mock("./products.server", () => ({ findProductsByHandle: vi.fn() }));
+
+const SHOP = "example.myshopify.com";
+
+const product = (fields = {}) => ({
+  productId: "gid://shopify/Product/1",
+  variantId: "gid://shopify/ProductVariant/11",
+  variantTitle: "M",
+  title: "Linen shirt",
+  handle: "linen-shirt",
+  price: 40,
+  currencyCode: "EUR",
+  ...fields,
+});
+
+const record = (fields = {}) => ({
+  createdAt: "2026-03-01T10:00:00.000Z",
+  source: "admin",
+  preferences: { style: "Casual" },
+  aiAdvice: "Keep it light.",
+  promptVersion: 2,
+  products: [product()],
+  ...fields,
+});
+
+const importJson = (records) =>
+  importHistory(SHOP, JSON.stringify(records), "json");
+
+// Records passed to `outfitRecommendation.create`, in order
+const createdRecords = () =>
+  db.outfitRecommendation.create.mock.calls.map(([{ data }]) => data);
+
+describe("parseCsv", () => {
+  it("reads quoted fields with commas, quotes and line breaks", () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n\n')).toEqual([
+      ["a", "b"],
+      ["x, y", 'say "hi"\nthere'],
+    ]);
+  });
+
+  it("keeps empty fields", () => {
+    expect(parseCsv("a,,c")).toEqual([["a", "", "c"]]);
+  });
+});
+
+describe("streamHistoryExport", () => {
+  // Stored recommendation, as loaded with its product snapshots
+  const stored = (fields = {}) => ({
+    id: "rec-1",
+    createdAt: new Date("2026-03-01T10:00:00.000Z"),
+    source: "admin",
+    userPreferences: JSON.stringify({ style: "Casual" }),
+    aiAdvice: "Keep it light.",
+    promptVersion: 2,
+    cartUrl: null,
+    draftOrderName: null,
+    products: [product()],
+    ...fields,
+  });
+
+  const exportText = async (format, recommendations) => {
+    db.outfitRecommendation.findMany.mockResolvedValueOnce(recommendations);
+    const filters = parseHistoryFilters(new URLSearchParams());
+    return new Response(streamHistoryExport(SHOP, format, filters)).text();
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it.each(["=SUM(A1)", "+1", "-1", "@cmd", "\tindent", "\rreturn"])(
+    "guards advice starting like a formula: %j",
+    async (aiAdvice) => {
+      const csv = await exportText("csv", [stored({ aiAdvice })]);
+
+      const [header, row] = parseCsv(csv);
+      expect(row[header.indexOf("aiAdvice")]).toBe(`'${aiAdvice}`);
+    },
+  );
+
+  it.each(["csv", "json"])("exports %s that imports back", async (format) => {
+    const text = await exportText(format, [
+      stored({ aiAdvice: "\t=Layer up, then relax" }),
+    ]);
+    db.outfitRecommendation.findMany.mockResolvedValue([]);
+    db.outfitRecommendation.create.mockImplementation((args) => args);
+    findProductsByHandle.mockResolvedValue(new Map());
+
+    const result = await importHistory(SHOP, text, format);
+
+    expect(result).toMatchObject({ imported: 1, invalid: 0 });
+    expect(createdRecords()[0]).toMatchObject({
+      source: "admin",
+      style: "Casual",
+      aiAdvice: "\t=Layer up, then relax",
+      promptVersion: 2,
+      createdAt: new Date("2026-03-01T10:00:00.000Z"),
+    });
+  });
+});
+
+describe("importHistory", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.outfitRecommendation.findMany.mockResolvedValue([]);
+    db.outfitRecommendation.create.mockImplementation((args) => args);
+    findProductsByHandle.mockResolvedValue(new Map());
+  });
+
+  it("imports valid records", async () => {
+    const result = await importJson([
+      record(),
+      record({ createdAt: "2026-03-02T10:00:00.000Z", source: "storefront" }),
+      record({
+        createdAt: "2026-03-03T10:00:00.000Z",
+        source: "complete-the-look",
+      }),
+    ]);
+
+    expect(result).toEqual({
+      imported: 3,
+      duplicates: 0,
+      invalid: 0,
+      errors: [],
+    });
+    expect(db.$transaction).toHaveBeenCalledTimes(1);
+    expect(createdRecords()[0]).toMatchObject({
+      shop: SHOP,
+      source: "admin",
+      style: "Casual",
+      budget: null,
+      aiAdvice: "Keep it light.",
+      promptVersion: 2,
+      createdAt: new Date("2026-03-01T10:00:00.000Z"),
+    });
+  });
+
+  it.each([
+    ["is not an object", "not a record"],
+    ["needs a valid createdAt date", record({ createdAt: "yesterday" })],
+    ["needs the stylist's advice (aiAdvice)", record({ aiAdvice: " " })],
+    [
+      "source must be one of: admin, storefront, complete-the-look",
+      record({ source: "api" }),
+    ],
+    ["preferences must be text values", record({ preferences: { size: 3 } })],
+    ["products must be a list", record({ products: "linen-shirt" })],
+    [
+      "product 2 needs a handle",
+      record({ products: [product(), product({ handle: "" })] }),
+    ],
+    [
+      "product 1 needs a numeric price",
+      record({ products: [product({ price: "40" })] }),
+    ],
+  ])("rejects a row that %s", async (error, raw) => {
+    const result = await importJson([record(), raw]);
+
+    expect(result).toEqual({
+      imported: 1,
+      duplicates: 0,
+      invalid: 1,
+      errors: [`Row 2 ${error}`],
+    });
+  });
+
+  it("counts invalid rows beyond the ones it reports", async () => {
+    const result = await importJson(Array(25).fill(record({ source: "" })));
+
+    expect(result.invalid).toBe(25);
+    expect(result.errors).toHaveLength(20);
+    expect(result.imported).toBe(0);
+  });
+
+  it("skips recommendations the shop already has and repeats in the file", async () => {
+    db.outfitRecommendation.findMany.mockResolvedValue([
+      {
+        createdAt: new Date("2026-03-01T10:00:00.000Z"),
+        aiAdvice: "Keep it light.",
+      },
+    ]);
+    const other = record({ createdAt: "2026-03-02T10:00:00.000Z" });
+
+    const result = await importJson([record(), other, other]);
+
+    expect(result).toMatchObject({ imported: 1, duplicates: 2 });
+  });
+
+  it("points products at this store's catalog by handle", async () => {
+    findProductsByHandle.mockResolvedValue(
+      new Map([
+        [
+          "linen-shirt",
+          {
+            id: "gid://shopify/Product/9",
+            variants: [
+              { id: "gid://shopify/ProductVariant/91", title: "S" },
+              { id: "gid://shopify/ProductVariant/92", title: "M" },
+            ],
+          },
+        ],
+      ]),
+    );
+
+    await importJson([
+      record({
+        products: [product(), product({ handle: "gone", productId: "p2" })],
+      }),
+    ]);
+
+    const [created] = createdRecords();
+    expect(created.productIds).toBe("gid://shopify/Product/9,p2");
+    expect(created.products.create).toMatchObject([
+      {
+        position: 0,
+        productId: "gid://shopify/Product/9",
+        variantId: "gid://shopify/ProductVariant/92",
+      },
+      {
+        position: 1,
+        productId: "p2",
+        variantId: "gid://shopify/ProductVariant/11",
+      },
+    ]);
+  });
+
+  it("reads CSV exports, removing the formula guard", async () => {
+    const products = JSON.stringify([product()]).replace(/"/g, '""');
+    const csv = [
+      "createdAt,source,style,aiAdvice,promptVersion,products",
+      `2026-03-01T10:00:00.000Z,,Casual,"'=Layer up, then relax",3,"${products}"`,
+    ].join("\n");
+
+    const result = await importHistory(SHOP, csv, "csv");
+
+    expect(result).toMatchObject({ imported: 1, invalid: 0 });
+    expect(createdRecords()[0]).toMatchObject({
+      source: "admin",
+      style: "Casual",
+      aiAdvice: "=Layer up, then relax",
+      promptVersion: 3,
+    });
+  });
+
+  it("reports product snapshots in a CSV row that are not JSON", async () => {
+    const csv = "createdAt,aiAdvice,products\n2026-03-01,Advice,[oops";
+
+    expect(await importHistory(SHOP, csv, "csv")).toMatchObject({
+      invalid: 1,
+      errors: ["Row 1 products must be a list"],
+    });
+  });
+
+  it.each([
+    ["json", "{", "The file is not valid JSON"],
+    ["json", "{}", "The JSON file must hold an array of recommendations"],
+    [
+      "csv",
+      "createdAt,source\n2026-03-01,admin",
+      "The CSV file needs a header row with an aiAdvice column",
+    ],
+  ])("rejects an unreadable %s file", async (format, text, error) => {
+    expect(await importHistory(SHOP, text, format)).toEqual({
+      imported: 0,
+      duplicates: 0,
+      invalid: 0,
+      errors: [error],
+    });
+    expect(db.$transaction).not.toHaveBeenCalled();
+  });
+
+  it("refuses files with too many recommendations", async () => {
+    const result = await importJson(Array(5001).fill(record()));
+
+    expect(result.errors).toEqual([
+      "Import at most 5000 recommendations at a time",
+    ]);
+    expect(db.$transaction).not.toHaveBeenCalled();
+  });
+});
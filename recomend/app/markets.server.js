@@ -0,0 +1,265 @@
+import db from "./db.server";
+import { DEFAULT_CURRENCY } from "./money";
+
+// Variants and products priced per contextual pricing query. Each node costs
+// about two points, keeping a query well under the 1000-point cost limit.
+const PRICING_BATCH_SIZE = 100;
+
+// Market prices are remembered for this long, so generations in a row do not
+// reprice the whole catalog with high-cost queries each time
+const MARKET_PRICE_TTL_MS = 15 * 60 * 1000;
+
+// Markets rarely change, so the stored country list is refreshed once a day
+const MARKET_COUNTRIES_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Market prices by `shop|country|variant or product GID`, kept in process
+// memory like rate limits. A null price means the node is not sold there.
+const marketPrices = new Map();
+
+/**
+ * @param {string | null} value - Country code from a request
+ * @returns {string | null} - Upper-cased ISO 3166 alpha-2 code, or null if missing or malformed
+ */
+export function parseCountryCode(value) {
+  const code = (value || "").trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(code) ? code : null;
+}
+
+/**
+ * The shop's base currency, which stored catalog prices are in. Looked up once
+ * through the Admin API and remembered in `ShopSettings`.
+ * @param {string} shop - Shop domain
+ * @param {object} [admin] - Admin API context, used when the currency is not known yet
+ * @returns {Promise<string>} - ISO 4217 currency code
+ */
+export async function getShopCurrency(shop, admin) {
+  const settings = await db.shopSettings.findUnique({ where: { shop } });
+  if (settings?.currencyCode) return settings.currencyCode;
+  if (!admin) return DEFAULT_CURRENCY;
+
+  try {
+    const response = await admin.graphql(
+      `#graphql
+        query shopCurrency {
+          shop {
+            currencyCode
+          }
+        }
+      `,
+    );
+    const responseJson = await response.json();
+    const { currencyCode } = responseJson.data.shop;
+
+    await db.shopSettings.upsert({
+      where: { shop },
+      create: { shop, currencyCode },
+      update: { currencyCode },
+    });
+    return currencyCode;
+  } catch (error) {
+    console.error("Failed to fetch shop currency:", error);
+    return DEFAULT_CURRENCY;
+  }
+}
+
+/**
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @returns {Promise<{ countryCode: string, name: string, market: string, currencyCode: string }[] | null>} - Countries of the shop's enabled markets, or null when they could not be read
+ */
+async function fetchMarketCountries(admin) {
+  try {
+    const response = await admin.graphql(
+      `#graphql
+        query marketCountries {
+          markets(first: 50) {
+            nodes {
+              name
+              enabled
+              currencySettings {
+                baseCurrency {
+                  currencyCode
+                }
+              }
+              regions(first: 250) {
+                nodes {
+                  name
+                  ... on MarketRegionCountry {
+                    code
+                  }
+                }
+              }
+            }
+          }
+        }
+      `,
+    );
+    const responseJson = await response.json();
+
+    return responseJson.data.markets.nodes
+      .filter((market) => market.enabled)
+      .flatMap((market) =>
+        market.regions.nodes
+          .filter((region) => region.code)
+          .map((region) => ({
+            countryCode: region.code,
+            name: region.name,
+            market: market.name,
+            currencyCode: market.currencySettings.baseCurrency.currencyCode,
+          })),
+      )
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    // Missing read_markets scope or a shop without Markets
+    console.error("Failed to list markets:", error);
+    return null;
+  }
+}
+
+/**
+ * Countries covered by the shop's active Shopify Markets, for choosing which
+ * market's prices an outfit is generated with. Remembered in `ShopSettings`
+ * like the currency, and looked up again through the Admin API once a day.
+ * @param {string} shop - Shop domain
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @returns {Promise<{ countryCode: string, name: string, market: string, currencyCode: string }[]>}
+ */
+export async function getMarketCountries(shop, admin) {
+  const settings = await db.shopSettings.findUnique({ where: { shop } });
+  const stored = settings?.marketCountries
+    ? JSON.parse(settings.marketCountries)
+    : null;
+  const fetchedAt = settings?.marketCountriesFetchedAt?.getTime() || 0;
+  if (stored && Date.now() - fetchedAt < MARKET_COUNTRIES_TTL_MS) {
+    return stored;
+  }
+
+  const countries = await fetchMarketCountries(admin);
+  // Keep the last known list rather than hide the markets over one failed lookup
+  if (!countries) return stored || [];
+
+  const data = {
+    marketCountries: JSON.stringify(countries),
+    marketCountriesFetchedAt: new Date(),
+  };
+  await db.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+  return countries;
+}
+
+/**
+ * Look up contextual prices for a country through the Admin API.
+ * @param {object} admin - Admin API context
+ * @param {string[]} ids - Variant or product GIDs
+ * @param {string} countryCode - ISO 3166 country code
+ * @returns {Promise<Map<string, { amount: string, currencyCode: string }>>} - Prices by GID; nodes not sold in the country are left out
+ */
+async function fetchContextualPrices(admin, ids, countryCode) {
+  const prices = new Map();
+
+  for (let i = 0; i < ids.length; i += PRICING_BATCH_SIZE) {
+    const response = await admin.graphql(
+      `#graphql
+        query contextualPrices($ids: [ID!]!, $country: CountryCode!) {
+          nodes(ids: $ids) {
+            ... on ProductVariant {
+              id
+              contextualPricing(context: { country: $country }) {
+                price {
+                  amount
+                  currencyCode
+                }
+              }
+            }
+            ... on Product {
+              id
+              contextualPricing(context: { country: $country }) {
+                minVariantPrice {
+                  amount
+                  currencyCode
+                }
+              }
+            }
+          }
+        }
+      `,
+      {
+        variables: {
+          ids: ids.slice(i, i + PRICING_BATCH_SIZE),
+          country: countryCode,
+        },
+      },
+    );
+    const responseJson = await response.json();
+
+    for (const node of responseJson.data.nodes) {
+      const price =
+        node?.contextualPricing?.price ||
+        node?.contextualPricing?.minVariantPrice;
+      if (price) prices.set(node.id, price);
+    }
+  }
+
+  return prices;
+}
+
+/**
+ * Reprice products with Shopify Markets contextual pricing for a country, so
+ * budgets and totals use what shoppers in that market actually pay. Products
+ * priced at a selected `variant` get that variant's price; others get their
+ * lowest variant price. Prices are remembered for a few minutes, so only
+ * products not priced recently are looked up.
+ * @param {string} shop - Shop domain
+ * @param {object} admin - Admin API context
+ * @param {object[]} products - Normalized products, optionally with a selected `variant`
+ * @param {string} countryCode - ISO 3166 country code, e.g. "CA"
+ * @returns {Promise<{ products: object[], currencyCode: string | null }>} - Repriced products (those without a market price are dropped) and the market's currency
+ */
+export async function applyContextualPricing(
+  shop,
+  admin,
+  products,
+  countryCode,
+) {
+  const now = Date.now();
+  const cacheKey = (id) => `${shop}|${countryCode}|${id}`;
+
+  // Drop expired prices so markets nobody generates for do not accumulate
+  for (const [key, entry] of marketPrices) {
+    if (entry.expiresAt <= now) marketPrices.delete(key);
+  }
+
+  const ids = products.map((product) => product.variant?.id || product.id);
+  const missing = [...new Set(ids)].filter(
+    (id) => !marketPrices.has(cacheKey(id)),
+  );
+  if (missing.length > 0) {
+    const fetched = await fetchContextualPrices(admin, missing, countryCode);
+    for (const id of missing) {
+      marketPrices.set(cacheKey(id), {
+        price: fetched.get(id) || null,
+        expiresAt: now + MARKET_PRICE_TTL_MS,
+      });
+    }
+  }
+
+  let currencyCode = null;
+  const repriced = products.flatMap((product, index) => {
+    const price = marketPrices.get(cacheKey(ids[index]))?.price;
+    if (!price) return [];
+
+    currencyCode = price.currencyCode;
+    const amount = parseFloat(price.amount);
+    return [
+      {
+        ...product,
+        price: amount,
+        variant: product.variant && { ...product.variant, price: amount },
+      },
+    ];
+  });
+
+  return { products: repriced, currencyCode };
+}
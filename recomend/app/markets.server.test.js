@@ -0,0 +1,255 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import db from "./db.server";
+import {
+  applyContextualPricing,
+  getMarketCountries,
+  parseCountryCode,
+} from "./markets.server";
+
+vi.mock("./db.server", () => ({
+  default: { shopSettings: { findUnique: vi.fn(), upsert: vi.fn() } },
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+// Admin API context answering contextual pricing queries from a price list
+const pricingAdmin = (prices) => ({
+  graphql: vi.fn(async (query, { variables }) => ({
+    json: async () => ({
+      data: {
+        nodes: variables.ids.map((id) =>
+          prices[id] === undefined
+            ? null
+            : {
+                id,
+                contextualPricing: {
+                  price: { amount: String(prices[id]), currencyCode: "CAD" },
+                },
+              },
+        ),
+      },
+    }),
+  })),
+});
+
+const marketsAdmin = (markets) => ({
+  graphql: vi.fn(async () => ({
+    json: async () => ({ data: { markets: { nodes: markets } } }),
+  })),
+});
+
+const product = (id, variantId) => ({
+  id,
+  price: 10,
+  variant: variantId && { id: variantId, price: 10 },
+});
+
+describe("parseCountryCode", () => {
+  it.each([
+    ["ca", "CA"],
+    [" De ", "DE"],
+  ])("normalizes %j to %s", (value, code) => {
+    expect(parseCountryCode(value)).toBe(code);
+  });
+
+  it.each(["CAN", "1A", "", null])("rejects %j", (value) => {
+    expect(parseCountryCode(value)).toBeNull();
+  });
+});
+
+describe("applyContextualPricing", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-03-01T10:00:00Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("prices selected variants and drops products not sold in the market", async () => {
+    const admin = pricingAdmin({ v1: 14, p2: 20 });
+
+    const market = await applyContextualPricing(
+      "pricing.myshopify.com",
+      admin,
+      [product("p1", "v1"), product("p2"), product("p3", "v3")],
+      "CA",
+    );
+
+    expect(market.currencyCode).toBe("CAD");
+    expect(market.products).toEqual([
+      { id: "p1", price: 14, variant: { id: "v1", price: 14 } },
+      { id: "p2", price: 20, variant: undefined },
+    ]);
+  });
+
+  it("only looks up prices it has not seen recently", async () => {
+    const shop = "cache.myshopify.com";
+    const admin = pricingAdmin({ v1: 14, v2: 16 });
+
+    await applyContextualPricing(shop, admin, [product("p1", "v1")], "CA");
+    const market = await applyContextualPricing(
+      shop,
+      admin,
+      [product("p1", "v1"), product("p2", "v2"), product("p3", "v3")],
+      "CA",
+    );
+
+    expect(market.products.map((priced) => priced.price)).toEqual([14, 16]);
+    expect(admin.graphql).toHaveBeenCalledTimes(2);
+    expect(admin.graphql.mock.calls[1][1].variables.ids).toEqual(["v2", "v3"]);
+
+    // Products not sold in the market are remembered too
+    await applyContextualPricing(shop, admin, [product("p3", "v3")], "CA");
+    expect(admin.graphql).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps prices apart per shop and country", async () => {
+    const admin = pricingAdmin({ v1: 14 });
+
+    await applyContextualPricing(
+      "a.myshopify.com",
+      admin,
+      [product("p1", "v1")],
+      "CA",
+    );
+    await applyContextualPricing(
+      "a.myshopify.com",
+      admin,
+      [product("p1", "v1")],
+      "US",
+    );
+    await applyContextualPricing(
+      "b.myshopify.com",
+      admin,
+      [product("p1", "v1")],
+      "CA",
+    );
+
+    expect(admin.graphql).toHaveBeenCalledTimes(3);
+  });
+
+  it("looks prices up again once they expire", async () => {
+    const shop = "expiry.myshopify.com";
+    const admin = pricingAdmin({ v1: 14 });
+
+    await applyContextualPricing(shop, admin, [product("p1", "v1")], "CA");
+    vi.advanceTimersByTime(HOUR);
+    await applyContextualPricing(shop, admin, [product("p1", "v1")], "CA");
+
+    expect(admin.graphql).toHaveBeenCalledTimes(2);
+  });
+
+  it("prices large catalogs in batches", async () => {
+    const prices = Object.fromEntries(
+      Array.from({ length: 250 }, (_, index) => [`v${index}`, 10]),
+    );
+    const admin = pricingAdmin(prices);
+
+    const market = await applyContextualPricing(
+      "batches.myshopify.com",
+      admin,
+      Object.keys(prices).map((id) => product(`p-${id}`, id)),
+      "CA",
+    );
+
+    expect(market.products).toHaveLength(250);
+    expect(
+      admin.graphql.mock.calls.map(([, { variables }]) => variables.ids.length),
+    ).toEqual([100, 100, 50]);
+  });
+});
+
+describe("getMarketCountries", () => {
+  const SHOP = "example.myshopify.com";
+  const stored = [
+    {
+      countryCode: "CA",
+      name: "Canada",
+      market: "Canada",
+      currencyCode: "CAD",
+    },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-03-01T10:00:00Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("serves the stored list without an Admin API call", async () => {
+    db.shopSettings.findUnique.mockResolvedValue({
+      marketCountries: JSON.stringify(stored),
+      marketCountriesFetchedAt: new Date("2026-03-01T08:00:00Z"),
+    });
+    const admin = marketsAdmin([]);
+
+    expect(await getMarketCountries(SHOP, admin)).toEqual(stored);
+    expect(admin.graphql).not.toHaveBeenCalled();
+  });
+
+  it("looks up and stores the enabled markets' countries once a day", async () => {
+    db.shopSettings.findUnique.mockResolvedValue({
+      marketCountries: JSON.stringify(stored),
+      marketCountriesFetchedAt: new Date("2026-02-28T08:00:00Z"),
+    });
+    const admin = marketsAdmin([
+      {
+        name: "Europe",
+        enabled: true,
+        currencySettings: { baseCurrency: { currencyCode: "EUR" } },
+        regions: {
+          nodes: [
+            { name: "Germany", code: "DE" },
+            { name: "Austria", code: "AT" },
+          ],
+        },
+      },
+      {
+        name: "Japan",
+        enabled: false,
+        currencySettings: { baseCurrency: { currencyCode: "JPY" } },
+        regions: { nodes: [{ name: "Japan", code: "JP" }] },
+      },
+    ]);
+
+    const countries = await getMarketCountries(SHOP, admin);
+
+    expect(countries.map((country) => country.countryCode)).toEqual([
+      "AT",
+      "DE",
+    ]);
+    expect(db.shopSettings.upsert).toHaveBeenCalledWith({
+      where: { shop: SHOP },
+      create: {
+        shop: SHOP,
+        marketCountries: JSON.stringify(countries),
+        marketCountriesFetchedAt: new Date("2026-03-01T10:00:00Z"),
+      },
+      update: {
+        marketCountries: JSON.stringify(countries),
+        marketCountriesFetchedAt: new Date("2026-03-01T10:00:00Z"),
+      },
+    });
+  });
+
+  it("keeps the last known list when the lookup fails", async () => {
+    const logError = vi.spyOn(console, "error").mockImplementation(() => {});
+    db.shopSettings.findUnique.mockResolvedValue({
+      marketCountries: JSON.stringify(stored),
+      marketCountriesFetchedAt: new Date("2026-02-01T08:00:00Z"),
+    });
+    const admin = {
+      graphql: vi.fn().mockRejectedValue(new Error("Access denied")),
+    };
+
+    expect(await getMarketCountries(SHOP, admin)).toEqual(stored);
+    expect(db.shopSettings.upsert).not.toHaveBeenCalled();
+    logError.mockRestore();
+  });
+});
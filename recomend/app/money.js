@@ -0,0 +1,174 @@
+// Currency formatting and budget tiers, shared by the server and the admin UI.
+// Kept free of server-only imports so components can use it too.
+
+export const DEFAULT_CURRENCY = "USD";
+
+// Upper bounds of the two lower default budget tiers in each currency, chosen
+// to be roughly equivalent to the original dollar tiers. The tier values
+// themselves ("Under 50", "50-100", "100+") stay the same in every currency so
+// saved preferences and storefront integrations keep working; only the limits
+// and labels change. Currencies without an entry use the dollar amounts. The
+// ratios between currencies also scale a shop's own tiers for other markets.
+const BUDGET_TIERS = {
+  USD: [50, 100],
+  CAD: [70, 140],
+  AUD: [75, 150],
+  NZD: [85, 170],
+  EUR: [50, 100],
+  GBP: [40, 80],
+  CHF: [50, 100],
+  SEK: [500, 1000],
+  NOK: [500, 1000],
+  DKK: [350, 700],
+  PLN: [200, 400],
+  CZK: [1200, 2400],
+  JPY: [7500, 15000],
+  CNY: [350, 700],
+  HKD: [400, 800],
+  SGD: [70, 140],
+  KRW: [70000, 140000],
+  INR: [4000, 8000],
+  AED: [200, 400],
+  MXN: [900, 1800],
+  BRL: [250, 500],
+  ZAR: [900, 1800],
+};
+
+/**
+ * @typedef {object} BudgetTier
+ * @property {string} value - Saved with preferences and sent by storefront integrations; kept when the tier is renamed
+ * @property {string} label - Name shown to merchants and shoppers, or blank to describe the tier by its prices
+ * @property {number | null} min - Lowest price, or null for none
+ * @property {number | null} max - Highest price, or null for no limit
+ */
+
+/**
+ * @param {string} [currencyCode] - ISO 4217 currency code
+ * @returns {number[]} - Upper bounds of the lower two default tiers
+ */
+function defaultTierLimits(currencyCode) {
+  return BUDGET_TIERS[currencyCode] || BUDGET_TIERS[DEFAULT_CURRENCY];
+}
+
+/**
+ * @param {string} [currencyCode] - ISO 4217 currency code
+ * @param {number[]} [limits] - `[low, high]` limits to use instead of the currency's
+ * @returns {BudgetTier[]} - The "Under 50", "50-100" and "100+" tiers
+ */
+export function defaultBudgetTiers(
+  currencyCode,
+  [low, high] = defaultTierLimits(currencyCode),
+) {
+  return [
+    { value: "Under 50", label: "", min: null, max: low },
+    { value: "50-100", label: "", min: low, max: high },
+    { value: "100+", label: "", min: high, max: null },
+  ];
+}
+
+/**
+ * Budget tiers in the currency prices are compared in. A shop's own tiers
+ * are set in its currency and scaled for other market currencies.
+ * @param {BudgetTier[] | null} customTiers - The shop's tiers, or null for the defaults
+ * @param {string} shopCurrency - Currency the shop's tiers are set in
+ * @param {string} [currencyCode] - Currency to return the tiers in; defaults to the shop's
+ * @returns {BudgetTier[]}
+ */
+export function getBudgetTiers(
+  customTiers,
+  shopCurrency,
+  currencyCode = shopCurrency,
+) {
+  if (!customTiers) return defaultBudgetTiers(currencyCode);
+  if (currencyCode === shopCurrency) return customTiers;
+
+  const rate =
+    defaultTierLimits(currencyCode)[0] / defaultTierLimits(shopCurrency)[0];
+  const convert = (amount) =>
+    amount === null ? null : Math.round(amount * rate);
+  return customTiers.map((tier) => ({
+    ...tier,
+    min: convert(tier.min),
+    max: convert(tier.max),
+  }));
+}
+
+/**
+ * @param {number} amount - Amount in major units
+ * @param {string} [currencyCode] - ISO 4217 currency code
+ * @param {{ wholeUnits?: boolean }} [options]
+ * @returns {string} - Amount formatted in the currency, e.g. "$12.50" or "¥1,500"
+ */
+export function formatMoney(
+  amount,
+  currencyCode = DEFAULT_CURRENCY,
+  { wholeUnits = false } = {},
+) {
+  try {
+    return new Intl.NumberFormat("en", {
+      style: "currency",
+      currency: currencyCode,
+      ...(wholeUnits && { minimumFractionDigits: 0, maximumFractionDigits: 0 }),
+    }).format(amount);
+  } catch {
+    // Unknown currency code
+    return `${amount.toFixed(2)} ${currencyCode}`;
+  }
+}
+
+/**
+ * @param {string} budget - Budget tier value
+ * @param {BudgetTier[]} tiers - Tiers in the currency prices are compared in
+ * @returns {{ min: number, max: number }} - Price range the tier allows; unknown tiers allow any price
+ */
+export function getBudgetRange(budget, tiers) {
+  const tier = tiers.find((candidate) => candidate.value === budget);
+  return { min: tier?.min ?? 0, max: tier?.max ?? Infinity };
+}
+
+/**
+ * @param {BudgetTier} tier - Budget tier
+ * @param {string} [currencyCode] - Currency to describe the prices in
+ * @returns {string} - Price range, e.g. "Under £40", "£40-£80" or "£80+"
+ */
+export function formatBudgetRange({ min, max }, currencyCode) {
+  const format = (amount) =>
+    formatMoney(amount, currencyCode, { wholeUnits: true });
+  if (min === null && max === null) return "Any price";
+  if (min === null) return `Under ${format(max)}`;
+  if (max === null) return `${format(min)}+`;
+  return `${format(min)}-${format(max)}`;
+}
+
+/**
+ * @param {string} budget - Budget tier value
+ * @param {string} [currencyCode] - Currency to describe the tier in
+ * @param {BudgetTier[]} [tiers] - Tiers in that currency; defaults to the built-in ones
+ * @returns {string} - Tier label, e.g. "Under £40" or "Premium (£80+)"
+ */
+export function formatBudget(
+  budget,
+  currencyCode,
+  tiers = defaultBudgetTiers(currencyCode),
+) {
+  const tier = tiers.find((candidate) => candidate.value === budget);
+  // Tiers the merchant has since removed are shown as they were saved
+  if (!tier) return budget;
+  const range = formatBudgetRange(tier, currencyCode);
+  return tier.label ? `${tier.label} (${range})` : range;
+}
+
+/**
+ * @param {string} [currencyCode] - Currency to describe the tiers in
+ * @param {BudgetTier[]} [tiers] - Tiers in that currency; defaults to the built-in ones
+ * @returns {{ label: string, value: string }[]} - Budget tiers for a Polaris `Select`
+ */
+export function budgetSelectOptions(
+  currencyCode,
+  tiers = defaultBudgetTiers(currencyCode),
+) {
+  return tiers.map((tier) => ({
+    label: formatBudget(tier.value, currencyCode, tiers),
+    value: tier.value,
+  }));
+}
@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import {
+  budgetSelectOptions,
+  defaultBudgetTiers,
+  formatBudget,
+  formatMoney,
+  getBudgetRange,
+  getBudgetTiers,
+} from "./money";
+
+const customTiers = [
+  { value: "Basics", label: "Basics", min: null, max: 40 },
+  { value: "Premium", label: "Premium", min: 40, max: null },
+];
+
+describe("formatMoney", () => {
+  it("formats amounts in the currency", () => {
+    expect(formatMoney(12.5, "USD")).toBe("$12.50");
+    expect(formatMoney(1500, "JPY")).toBe("¥1,500");
+    expect(formatMoney(80, "GBP", { wholeUnits: true })).toBe("£80");
+  });
+
+  it("falls back to the code for unknown currencies", () => {
+    expect(formatMoney(12.5, "XX1")).toBe("12.50 XX1");
+  });
+});
+
+describe("getBudgetTiers", () => {
+  it("uses the currency's default limits without custom tiers", () => {
+    expect(getBudgetTiers(null, "USD", "SEK")).toEqual(
+      defaultBudgetTiers("SEK"),
+    );
+    expect(getBudgetRange("50-100", getBudgetTiers(null, "JPY"))).toEqual({
+      min: 7500,
+      max: 15000,
+    });
+  });
+
+  it("uses dollar limits for currencies without their own", () => {
+    expect(getBudgetTiers(null, "ISK")).toEqual(defaultBudgetTiers("USD"));
+  });
+
+  it("keeps custom tiers in the shop's currency", () => {
+    expect(getBudgetTiers(customTiers, "GBP")).toBe(customTiers);
+  });
+
+  it("scales custom tiers for another market's currency", () => {
+    // GBP tiers start at 40, SEK ones at 500
+    expect(getBudgetTiers(customTiers, "GBP", "SEK")).toEqual([
+      { value: "Basics", label: "Basics", min: null, max: 500 },
+      { value: "Premium", label: "Premium", min: 500, max: null },
+    ]);
+  });
+});
+
+describe("getBudgetRange", () => {
+  it("returns the tier's price range", () => {
+    expect(getBudgetRange("Basics", customTiers)).toEqual({ min: 0, max: 40 });
+    expect(getBudgetRange("Premium", customTiers)).toEqual({
+      min: 40,
+      max: Infinity,
+    });
+  });
+
+  it("allows any price for unknown tiers", () => {
+    expect(getBudgetRange("Any", customTiers)).toEqual({
+      min: 0,
+      max: Infinity,
+    });
+  });
+});
+
+describe("formatBudget", () => {
+  it("describes default tiers by their prices", () => {
+    expect(budgetSelectOptions("GBP")).toEqual([
+      { label: "Under £40", value: "Under 50" },
+      { label: "£40-£80", value: "50-100" },
+      { label: "£80+", value: "100+" },
+    ]);
+  });
+
+  it("names labelled tiers with their range", () => {
+    expect(formatBudget("Premium", "GBP", customTiers)).toBe("Premium (£40+)");
+  });
+
+  it("shows removed tiers as they were saved", () => {
+    expect(formatBudget("Luxury", "GBP", customTiers)).toBe("Luxury");
+  });
+});
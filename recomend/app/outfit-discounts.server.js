@@ -0,0 +1,583 @@
+import { resolveVariantIds } from "./buy-the-look.server";
+import db from "./db.server";
+import { getRecommendation } from "./recommendations.server";
+
+// ========== OUTFIT DISCOUNTS ==========
+// A percentage off a recommended outfit, created as an automatic or code app
+// discount through the Admin API. The app's outfit-discount function decides
+// what it applies to: the outfit's variants are stored on the discount, and
+// only carts holding every one of them get it. Discounts made before the
+// function existed are basic discounts; they are still listed, expired and
+// deleted the same way.
+
+// Discounts need a scope merchants grant on first use
+export const DISCOUNT_SCOPES = ["write_discounts"];
+
+const DISCOUNT_METHODS = [
+  { label: "Automatic", value: "automatic" },
+  { label: "Discount code", value: "code" },
+];
+
+const DISCOUNT_PERCENTAGE_LIMITS = { min: 1, max: 90 };
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+
+const MAX_TITLE_LENGTH = 255;
+
+// Title of the outfit-discount function extension, which Shopify reports as the function's title
+const DISCOUNT_FUNCTION_TITLE = "Outfit discount";
+
+// Where the function reads the outfit from; `$app:` keeps it private to this app
+const DISCOUNT_CONFIGURATION = {
+  namespace: "$app:outfit-discount",
+  key: "function-configuration",
+};
+
+// Admin API operations per discount method
+const MUTATIONS = {
+  automatic: {
+    deactivate: `#graphql
+      mutation expireOutfitAutomaticDiscount($id: ID!) {
+        discountAutomaticDeactivate(id: $id) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+    delete: `#graphql
+      mutation deleteOutfitAutomaticDiscount($id: ID!) {
+        discountAutomaticDelete(id: $id) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+  },
+  code: {
+    deactivate: `#graphql
+      mutation expireOutfitCodeDiscount($id: ID!) {
+        discountCodeDeactivate(id: $id) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+    delete: `#graphql
+      mutation deleteOutfitCodeDiscount($id: ID!) {
+        discountCodeDelete(id: $id) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+  },
+};
+
+/**
+ * Run an Admin API mutation and unwrap its payload.
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @param {string} mutation - GraphQL mutation with a single top-level field
+ * @param {object} variables - Mutation variables
+ * @returns {Promise<object>} - The top-level field's payload
+ * @throws {Error} - When Shopify reports user errors
+ */
+async function runMutation(admin, mutation, variables) {
+  const response = await admin.graphql(mutation, { variables });
+  const responseJson = await response.json();
+  const payload = Object.values(responseJson.data)[0];
+
+  if (payload.userErrors.length > 0) {
+    throw new Error(
+      payload.userErrors.map((error) => error.message).join(", "),
+    );
+  }
+  return payload;
+}
+
+/**
+ * @param {object} scopes - Scopes API from `authenticate.admin`
+ * @returns {Promise<string[]>} - Discount scopes the shop has not granted
+ */
+async function findMissingScopes(scopes) {
+  const { granted } = await scopes.query();
+  return DISCOUNT_SCOPES.filter((scope) => !granted.includes(scope));
+}
+
+/**
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @returns {Promise<string | null>} - ID of this app's outfit-discount function, or null if it is not deployed
+ */
+async function findDiscountFunctionId(admin) {
+  const response = await admin.graphql(
+    `#graphql
+      query outfitDiscountFunction {
+        shopifyFunctions(first: 25, apiType: "product_discounts") {
+          nodes {
+            id
+            title
+            appKey
+          }
+        }
+      }
+    `,
+  );
+  const responseJson = await response.json();
+  const discountFunction = responseJson.data.shopifyFunctions.nodes.find(
+    (node) =>
+      node.title === DISCOUNT_FUNCTION_TITLE &&
+      node.appKey === process.env.SHOPIFY_API_KEY,
+  );
+  return discountFunction?.id || null;
+}
+
+/**
+ * Read and validate the outfit discount form.
+ * @param {FormData} formData - Submitted discount settings
+ * @param {string} recommendationId - Recommendation the discount is for, used for the default code
+ * @returns {{ data: { method: string, percentage: number, code: string | null, endsAt: Date | null }, errors: string[] }}
+ */
+export function parseDiscountForm(formData, recommendationId) {
+  const errors = [];
+
+  const method = formData.get("method");
+  if (!DISCOUNT_METHODS.some((option) => option.value === method)) {
+    errors.push(
+      `method must be one of: ${DISCOUNT_METHODS.map((option) => option.value).join(", ")}`,
+    );
+  }
+
+  const percentage = Number(formData.get("percentage"));
+  const { min, max } = DISCOUNT_PERCENTAGE_LIMITS;
+  if (!Number.isFinite(percentage) || percentage < min || percentage > max) {
+    errors.push(`The discount must be between ${min}% and ${max}%`);
+  }
+
+  let code = null;
+  if (method === "code") {
+    code =
+      (formData.get("code") || "").toString().trim().toUpperCase() ||
+      `OUTFIT-${recommendationId.slice(0, 6).toUpperCase()}`;
+    if (!CODE_PATTERN.test(code)) {
+      errors.push(
+        "Codes must be 3 to 30 letters, numbers, dashes or underscores",
+      );
+    }
+  }
+
+  // Runs until the end of the chosen day (UTC); blank runs until expired by hand
+  let endsAt = null;
+  const endDate = (formData.get("endsAt") || "").toString();
+  if (endDate) {
+    endsAt = new Date(`${endDate}T23:59:59.999Z`);
+    if (isNaN(endsAt.getTime()) || endsAt <= new Date()) {
+      errors.push("The end date must be in the future");
+    }
+  }
+
+  return { data: { method, percentage, code, endsAt }, errors };
+}
+
+/**
+ * Create a discount on a recommended outfit, applied by the outfit-discount
+ * function only when the cart holds every item. Without the function there
+ * is no way to require each item, so no discount is created.
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @param {object} scopes - Scopes API from `authenticate.admin`
+ * @param {string} shop - Shop domain
+ * @param {string} recommendationId - Recommendation ID
+ * @param {{ method: string, percentage: number, code: string | null, endsAt: Date | null }} data - From `parseDiscountForm`
+ * @returns {Promise<object | null>} - `{ discount }`, `{ error, missingScopes? }`, or null for unknown recommendations
+ */
+export async function createOutfitDiscount(
+  admin,
+  scopes,
+  shop,
+  recommendationId,
+  { method, percentage, code, endsAt },
+) {
+  const recommendation = await getRecommendation(shop, recommendationId);
+  if (!recommendation) return null;
+  if (recommendation.discount) {
+    return { error: "This outfit already has a discount. Delete it first." };
+  }
+
+  const missingScopes = await findMissingScopes(scopes);
+  if (missingScopes.length > 0) {
+    return {
+      error: "The app needs permission to manage discounts.",
+      missingScopes,
+    };
+  }
+
+  const variantIds = await resolveVariantIds(shop, recommendation);
+  if (variantIds.length < 2) {
+    return {
+      error:
+        "An outfit discount needs at least two products that can still be bought.",
+    };
+  }
+
+  let functionId;
+  try {
+    functionId = await findDiscountFunctionId(admin);
+  } catch (error) {
+    console.error("Failed to look up the outfit discount function:", error);
+    return { error: `Shopify could not create the discount: ${error.message}` };
+  }
+  if (!functionId) {
+    return {
+      error:
+        "The outfit discount function is not deployed yet. Deploy the app and try again.",
+    };
+  }
+
+  const productTitles = recommendation.products
+    .map((product) => product.title)
+    .join(" + ");
+  // Shopify shows the title in the cart and at checkout
+  const title =
+    `${percentage}% off the complete outfit: ${productTitles}`.slice(
+      0,
+      MAX_TITLE_LENGTH,
+    );
+  const discountInput = {
+    title,
+    functionId,
+    startsAt: new Date().toISOString(),
+    endsAt: endsAt ? endsAt.toISOString() : null,
+    metafields: [
+      {
+        ...DISCOUNT_CONFIGURATION,
+        type: "json",
+        value: JSON.stringify({ variantIds, percentage }),
+      },
+    ],
+  };
+
+  let discountId;
+  let status;
+  try {
+    if (method === "automatic") {
+      const payload = await runMutation(
+        admin,
+        `#graphql
+          mutation createOutfitAutomaticDiscount($discount: DiscountAutomaticAppInput!) {
+            discountAutomaticAppCreate(automaticAppDiscount: $discount) {
+              automaticAppDiscount {
+                discountId
+                status
+              }
+              userErrors {
+                field
+                message
+              }
+            }
+          }
+        `,
+        { discount: discountInput },
+      );
+      discountId = payload.automaticAppDiscount.discountId;
+      status = payload.automaticAppDiscount.status;
+    } else {
+      const payload = await runMutation(
+        admin,
+        `#graphql
+          mutation createOutfitCodeDiscount($discount: DiscountCodeAppInput!) {
+            discountCodeAppCreate(codeAppDiscount: $discount) {
+              codeAppDiscount {
+                discountId
+                status
+              }
+              userErrors {
+                field
+                message
+              }
+            }
+          }
+        `,
+        {
+          discount: {
+            ...discountInput,
+            code,
+            customerSelection: { all: true },
+          },
+        },
+      );
+      discountId = payload.codeAppDiscount.discountId;
+      status = payload.codeAppDiscount.status;
+    }
+  } catch (error) {
+    console.error("Failed to create outfit discount:", error);
+    return { error: `Shopify could not create the discount: ${error.message}` };
+  }
+
+  const discount = await db.outfitDiscount.create({
+    data: {
+      shop,
+      recommendationId,
+      discountId,
+      method,
+      code,
+      percentage,
+      title,
+      status,
+      endsAt,
+    },
+  });
+  return { discount };
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {string} recommendationId - Recommendation ID
+ * @returns {Promise<object | null>} - The recommendation's discount row
+ */
+function findOutfitDiscount(shop, recommendationId) {
+  return db.outfitDiscount.findFirst({ where: { shop, recommendationId } });
+}
+
+/**
+ * End an outfit discount now, keeping it in Shopify for its sales reports.
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @param {string} shop - Shop domain
+ * @param {string} recommendationId - Recommendation ID
+ * @returns {Promise<object | null>} - `{ discount }` or `{ error }`; null if the outfit has no discount
+ */
+export async function expireOutfitDiscount(admin, shop, recommendationId) {
+  const discount = await findOutfitDiscount(shop, recommendationId);
+  if (!discount) return null;
+
+  try {
+    await runMutation(admin, MUTATIONS[discount.method].deactivate, {
+      id: discount.discountId,
+    });
+  } catch (error) {
+    console.error("Failed to expire outfit discount:", error);
+    return { error: `Shopify could not expire the discount: ${error.message}` };
+  }
+
+  return {
+    discount: await db.outfitDiscount.update({
+      where: { id: discount.id },
+      data: { status: "EXPIRED", endsAt: new Date() },
+    }),
+  };
+}
+
+/**
+ * Delete an outfit discount from Shopify and from the outfit. Discounts the
+ * merchant already deleted in the Shopify admin are only removed here.
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @param {string} shop - Shop domain
+ * @param {string} recommendationId - Recommendation ID
+ * @returns {Promise<{ deleted?: boolean, error?: string } | null>} - Null if the outfit has no discount
+ */
+export async function deleteOutfitDiscount(admin, shop, recommendationId) {
+  const discount = await findOutfitDiscount(shop, recommendationId);
+  if (!discount) return null;
+
+  if (discount.status !== "DELETED") {
+    try {
+      await runMutation(admin, MUTATIONS[discount.method].delete, {
+        id: discount.discountId,
+      });
+    } catch (error) {
+      console.error("Failed to delete outfit discount:", error);
+      return {
+        error: `Shopify could not delete the discount: ${error.message}`,
+      };
+    }
+  }
+
+  await db.outfitDiscount.delete({ where: { id: discount.id } });
+  return { deleted: true };
+}
+
+/**
+ * Delete the discounts of recommendations that are about to be
+ * deleted, so no discount outlives its outfit. Failures are logged: the
+ * discounts stay in Shopify, where the merchant can remove them.
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @param {string} shop - Shop domain
+ * @param {string[]} recommendationIds - Recommendation IDs
+ * @returns {Promise<void>}
+ */
+export async function deleteOutfitDiscounts(admin, shop, recommendationIds) {
+  const discounts = await db.outfitDiscount.findMany({
+    where: { shop, recommendationId: { in: recommendationIds } },
+  });
+  for (const discount of discounts) {
+    await deleteOutfitDiscount(admin, shop, discount.recommendationId);
+  }
+}
+
+/**
+ * Bring stored discount statuses up to date with Shopify, where discounts
+ * start, end or get deleted on their own.
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @param {object[]} discounts - `OutfitDiscount` rows
+ * @returns {Promise<object[]>} - The rows with current `status` and `endsAt`
+ */
+async function refreshDiscountStatuses(admin, discounts) {
+  const live = discounts.filter((discount) => discount.status !== "DELETED");
+  if (live.length === 0) return discounts;
+
+  let nodes;
+  try {
+    const response = await admin.graphql(
+      `#graphql
+        query outfitDiscountStatuses($ids: [ID!]!) {
+          nodes(ids: $ids) {
+            ... on DiscountAutomaticNode {
+              id
+              automaticDiscount {
+                ... on DiscountAutomaticApp {
+                  status
+                  endsAt
+                }
+                ... on DiscountAutomaticBasic {
+                  status
+                  endsAt
+                }
+              }
+            }
+            ... on DiscountCodeNode {
+              id
+              codeDiscount {
+                ... on DiscountCodeApp {
+                  status
+                  endsAt
+                }
+                ... on DiscountCodeBasic {
+                  status
+                  endsAt
+                }
+              }
+            }
+          }
+        }
+      `,
+      { variables: { ids: live.map((discount) => discount.discountId) } },
+    );
+    const responseJson = await response.json();
+    nodes = responseJson.data.nodes;
+  } catch (error) {
+    // Without the scope or on API errors, show the last known status
+    console.error("Failed to refresh outfit discount statuses:", error);
+    return discounts;
+  }
+
+  // `nodes` keeps the order of the requested IDs, with null for deleted discounts
+  const current = new Map(
+    live.map((discount, index) => {
+      const node = nodes[index];
+      const details = node?.automaticDiscount || node?.codeDiscount;
+      return [
+        discount.id,
+        details
+          ? {
+              status: details.status,
+              endsAt: details.endsAt ? new Date(details.endsAt) : null,
+            }
+          : { status: "DELETED", endsAt: discount.endsAt },
+      ];
+    }),
+  );
+
+  return Promise.all(
+    discounts.map(async (discount) => {
+      const update = current.get(discount.id);
+      if (
+        !update ||
+        (update.status === discount.status &&
+          update.endsAt?.getTime() === discount.endsAt?.getTime())
+      ) {
+        return discount;
+      }
+      return db.outfitDiscount.update({
+        where: { id: discount.id },
+        data: update,
+      });
+    }),
+  );
+}
+
+/**
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @param {object[]} recommendations - Recommendations loaded with their `discount`
+ * @returns {Promise<object[]>} - The recommendations with current discount statuses
+ */
+export async function refreshRecommendationDiscounts(admin, recommendations) {
+  const discounts = await refreshDiscountStatuses(
+    admin,
+    recommendations.map((item) => item.discount).filter(Boolean),
+  );
+  const byRecommendation = new Map(
+    discounts.map((discount) => [discount.recommendationId, discount]),
+  );
+  return recommendations.map((item) => ({
+    ...item,
+    discount: byRecommendation.get(item.id) || null,
+  }));
+}
+
+// ========== LEFTOVER DISCOUNTS ==========
+// Discounts erased customers' outfits had when they could not be deleted from
+// Shopify, so the merchant can remove them by hand.
+
+/**
+ * @param {string} shop - Shop domain
+ * @returns {Promise<object[]>} - `LeftoverDiscount` rows, newest first
+ */
+export function listLeftoverDiscounts(shop) {
+  return db.leftoverDiscount.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Delete a leftover discount from Shopify and from the list.
+ * @param {object} admin - Admin API context from `authenticate.admin`
+ * @param {string} shop - Shop domain
+ * @param {string} id - `LeftoverDiscount` ID
+ * @returns {Promise<{ deleted?: boolean, error?: string } | null>} - Null for unknown discounts
+ */
+export async function deleteLeftoverDiscount(admin, shop, id) {
+  const leftover = await db.leftoverDiscount.findFirst({ where: { id, shop } });
+  if (!leftover) return null;
+
+  try {
+    await runMutation(admin, MUTATIONS[leftover.method].delete, {
+      id: leftover.discountId,
+    });
+  } catch (error) {
+    console.error("Failed to delete leftover discount:", error);
+    return { error: `Shopify could not delete the discount: ${error.message}` };
+  }
+
+  await db.leftoverDiscount.delete({ where: { id: leftover.id } });
+  return { deleted: true };
+}
+
+/**
+ * Take a leftover discount off the list, once the merchant removed it in the
+ * Shopify admin or chose to keep it.
+ * @param {string} shop - Shop domain
+ * @param {string} id - `LeftoverDiscount` ID
+ * @returns {Promise<boolean>} - Whether it was on the list
+ */
+export async function dismissLeftoverDiscount(shop, id) {
+  const { count } = await db.leftoverDiscount.deleteMany({
+    where: { id, shop },
+  });
+  return count > 0;
+}
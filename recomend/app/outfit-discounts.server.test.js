@@ -0,0 +1,331 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { resolveVariantIds } from "./buy-the-look.server";
+import db from "./db.server";
+import {
+  createOutfitDiscount,
+  parseDiscountForm,
+  refreshRecommendationDiscounts,
+} from "./outfit-discounts.server";
+import { getRecommendation } from "./recommendations.server";
+
+vi.mock("./db.server", () => ({
+  default: { outfitDiscount: { create: vi.fn(), update: vi.fn() } },
+}));
+
+vi.mock("./buy-the-look.server", () => ({ resolveVariantIds: vi.fn() }));
+
+vi.mock("./recommendations.server", () => ({ getRecommendation: vi.fn() }));
+
+const SHOP = "example.myshopify.com";
+const API_KEY = "test-api-key";
+const FUNCTION_ID = "gid://shopify/ShopifyFunction/1";
+
+const VARIANT_IDS = [
+  "gid://shopify/ProductVariant/11",
+  "gid://shopify/ProductVariant/21",
+];
+
+const DISCOUNT_FORM = {
+  method: "automatic",
+  percentage: 15,
+  code: null,
+  endsAt: null,
+};
+
+const grantedScopes = (granted = ["write_discounts"]) => ({
+  query: vi.fn(async () => ({ granted })),
+});
+
+// Admin API context answering each operation by name
+const fakeAdmin = (answers) => ({
+  graphql: vi.fn(async (query, options) => {
+    const [, name] = query.match(/(?:query|mutation) (\w+)/);
+    return { json: async () => ({ data: answers[name](options?.variables) }) };
+  }),
+});
+
+const deployedFunction = () => ({
+  shopifyFunctions: {
+    nodes: [
+      {
+        id: "gid://shopify/ShopifyFunction/9",
+        title: "Other",
+        appKey: API_KEY,
+      },
+      { id: FUNCTION_ID, title: "Outfit discount", appKey: API_KEY },
+    ],
+  },
+});
+
+const formData = (fields) => {
+  const data = new FormData();
+  for (const [name, value] of Object.entries(fields)) data.append(name, value);
+  return data;
+};
+
+describe("parseDiscountForm", () => {
+  it("generates a code from the recommendation when none is given", () => {
+    const { data, errors } = parseDiscountForm(
+      formData({ method: "code", percentage: "20", code: "" }),
+      "abcdef123",
+    );
+
+    expect(errors).toEqual([]);
+    expect(data).toMatchObject({ code: "OUTFIT-ABCDEF", percentage: 20 });
+  });
+
+  it("reports every invalid field", () => {
+    const { errors } = parseDiscountForm(
+      formData({
+        method: "code",
+        percentage: "95",
+        code: "no spaces",
+        endsAt: "2000-01-01",
+      }),
+      "abcdef123",
+    );
+
+    expect(errors).toEqual([
+      "The discount must be between 1% and 90%",
+      "Codes must be 3 to 30 letters, numbers, dashes or underscores",
+      "The end date must be in the future",
+    ]);
+  });
+});
+
+describe("createOutfitDiscount", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.stubEnv("SHOPIFY_API_KEY", API_KEY);
+    getRecommendation.mockResolvedValue({
+      id: "rec-1",
+      discount: null,
+      products: [{ title: "Linen shirt" }, { title: "Chinos" }],
+    });
+    resolveVariantIds.mockResolvedValue(VARIANT_IDS);
+    db.outfitDiscount.create.mockImplementation(async ({ data }) => data);
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it("hands the outfit's variants to the discount function", async () => {
+    const admin = fakeAdmin({
+      outfitDiscountFunction: deployedFunction,
+      createOutfitAutomaticDiscount: () => ({
+        discountAutomaticAppCreate: {
+          automaticAppDiscount: {
+            discountId: "gid://shopify/DiscountAutomaticNode/5",
+            status: "ACTIVE",
+          },
+          userErrors: [],
+        },
+      }),
+    });
+
+    const result = await createOutfitDiscount(
+      admin,
+      grantedScopes(),
+      SHOP,
+      "rec-1",
+      DISCOUNT_FORM,
+    );
+
+    const { discount } = admin.graphql.mock.calls[1][1].variables;
+    expect(discount).toMatchObject({
+      title: "15% off the complete outfit: Linen shirt + Chinos",
+      functionId: FUNCTION_ID,
+      metafields: [
+        {
+          namespace: "$app:outfit-discount",
+          key: "function-configuration",
+          type: "json",
+          value: JSON.stringify({ variantIds: VARIANT_IDS, percentage: 15 }),
+        },
+      ],
+    });
+    expect(result.discount).toMatchObject({
+      discountId: "gid://shopify/DiscountAutomaticNode/5",
+      status: "ACTIVE",
+    });
+  });
+
+  it("creates code discounts open to every customer", async () => {
+    const admin = fakeAdmin({
+      outfitDiscountFunction: deployedFunction,
+      createOutfitCodeDiscount: () => ({
+        discountCodeAppCreate: {
+          codeAppDiscount: {
+            discountId: "gid://shopify/DiscountCodeNode/6",
+            status: "ACTIVE",
+          },
+          userErrors: [],
+        },
+      }),
+    });
+
+    const result = await createOutfitDiscount(
+      admin,
+      grantedScopes(),
+      SHOP,
+      "rec-1",
+      { ...DISCOUNT_FORM, method: "code", code: "OUTFIT-REC1" },
+    );
+
+    expect(admin.graphql.mock.calls[1][1].variables.discount).toMatchObject({
+      code: "OUTFIT-REC1",
+      customerSelection: { all: true },
+      functionId: FUNCTION_ID,
+    });
+    expect(result.discount).toMatchObject({
+      method: "code",
+      code: "OUTFIT-REC1",
+    });
+  });
+
+  it("refuses to create a discount it cannot enforce", async () => {
+    const admin = fakeAdmin({
+      outfitDiscountFunction: () => ({
+        shopifyFunctions: {
+          nodes: [
+            { id: FUNCTION_ID, title: "Outfit discount", appKey: "other" },
+          ],
+        },
+      }),
+    });
+
+    const result = await createOutfitDiscount(
+      admin,
+      grantedScopes(),
+      SHOP,
+      "rec-1",
+      DISCOUNT_FORM,
+    );
+
+    expect(result.error).toMatch(/function is not deployed/);
+    expect(admin.graphql).toHaveBeenCalledTimes(1);
+    expect(db.outfitDiscount.create).not.toHaveBeenCalled();
+  });
+
+  it("asks for the discount scope first", async () => {
+    const admin = fakeAdmin({});
+
+    const result = await createOutfitDiscount(
+      admin,
+      grantedScopes([]),
+      SHOP,
+      "rec-1",
+      DISCOUNT_FORM,
+    );
+
+    expect(result.missingScopes).toEqual(["write_discounts"]);
+    expect(admin.graphql).not.toHaveBeenCalled();
+  });
+
+  it("needs two products that can still be bought", async () => {
+    resolveVariantIds.mockResolvedValue(VARIANT_IDS.slice(0, 1));
+
+    const result = await createOutfitDiscount(
+      fakeAdmin({}),
+      grantedScopes(),
+      SHOP,
+      "rec-1",
+      DISCOUNT_FORM,
+    );
+
+    expect(result.error).toMatch(/at least two products/);
+  });
+
+  it("passes on Shopify's errors without saving the discount", async () => {
+    const logError = vi.spyOn(console, "error").mockImplementation(() => {});
+    const admin = fakeAdmin({
+      outfitDiscountFunction: deployedFunction,
+      createOutfitAutomaticDiscount: () => ({
+        discountAutomaticAppCreate: {
+          automaticAppDiscount: null,
+          userErrors: [{ field: ["title"], message: "Title is taken" }],
+        },
+      }),
+    });
+
+    const result = await createOutfitDiscount(
+      admin,
+      grantedScopes(),
+      SHOP,
+      "rec-1",
+      DISCOUNT_FORM,
+    );
+
+    expect(result.error).toBe(
+      "Shopify could not create the discount: Title is taken",
+    );
+    expect(db.outfitDiscount.create).not.toHaveBeenCalled();
+    logError.mockRestore();
+  });
+});
+
+describe("refreshRecommendationDiscounts", () => {
+  const discount = (id, fields = {}) => ({
+    id,
+    recommendationId: `rec-${id}`,
+    discountId: `gid://shopify/DiscountAutomaticNode/${id}`,
+    status: "ACTIVE",
+    endsAt: null,
+    ...fields,
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.outfitDiscount.update.mockImplementation(async ({ where, data }) => ({
+      ...discount(where.id),
+      ...data,
+    }));
+  });
+
+  it("stores statuses that changed in Shopify, including deletions", async () => {
+    const admin = fakeAdmin({
+      outfitDiscountStatuses: () => ({
+        nodes: [
+          { automaticDiscount: { status: "ACTIVE", endsAt: null } },
+          {
+            automaticDiscount: {
+              status: "EXPIRED",
+              endsAt: "2026-03-01T00:00:00Z",
+            },
+          },
+          null,
+        ],
+      }),
+    });
+    const recommendations = ["1", "2", "3"]
+      .map((id) => ({ id: `rec-${id}`, discount: discount(id) }))
+      .concat({ id: "rec-4", discount: null });
+
+    const refreshed = await refreshRecommendationDiscounts(
+      admin,
+      recommendations,
+    );
+
+    expect(refreshed.map((item) => item.discount?.status)).toEqual([
+      "ACTIVE",
+      "EXPIRED",
+      "DELETED",
+      undefined,
+    ]);
+    expect(db.outfitDiscount.update).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps the last known statuses when Shopify cannot be asked", async () => {
+    const logError = vi.spyOn(console, "error").mockImplementation(() => {});
+    const admin = {
+      graphql: vi.fn().mockRejectedValue(new Error("Access denied")),
+    };
+    const recommendations = [{ id: "rec-1", discount: discount("1") }];
+
+    expect(
+      await refreshRecommendationDiscounts(admin, recommendations),
+    ).toEqual(recommendations);
+    logError.mockRestore();
+  });
+});
@@ -0,0 +1,98 @@
+// ========== OUTFIT COMBINATION ==========
+
+// Most candidates searched; lower scoring ones beyond this are dropped
+const MAX_POOL_SIZE = 40;
+
+// Search steps before settling for the best outfit found so far. The search
+// tries the highest scoring items first, so that outfit is already a good one.
+const MAX_SEARCH_NODES = 50000;
+
+/**
+ * @typedef {object} OutfitItem
+ * @property {string} id - Product GID
+ * @property {number} price - Price counted against the budget
+ * @property {number} score - Relevance; higher is better
+ * @property {string} group - Items sharing a group do not complement each other, so at most one is chosen
+ */
+
+/**
+ * Candidates grouped for the search. Within a group, an item that costs at
+ * least as much as a higher scoring one can never be the better choice, so
+ * only items cheaper than every better one in their group are kept.
+ * @param {OutfitItem[]} candidates - Affordable items, highest score first
+ * @returns {OutfitItem[][]} - Groups, each highest score first, ordered by their best score
+ */
+function toSearchGroups(candidates) {
+  const groups = new Map();
+  for (const item of candidates) {
+    const group = groups.get(item.group) || [];
+    const cheapest = group[group.length - 1];
+    if (!cheapest || item.price < cheapest.price) group.push(item);
+    groups.set(item.group, group);
+  }
+
+  const pool = new Set(
+    [...groups.values()]
+      .flat()
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_POOL_SIZE),
+  );
+  return [...groups.values()]
+    .map((group) => group.filter((item) => pool.has(item)))
+    .filter((group) => group.length > 0)
+    .sort((a, b) => b[0].score - a[0].score);
+}
+
+/**
+ * Pick the set of items with the highest total score whose combined price
+ * fits the budget, taking at most one item per group. A branch and bound
+ * search over the groups: a branch is dropped once even the best items of
+ * the next groups, as many as the outfit has room for, could not beat the
+ * best set found. Ties go to the cheaper set.
+ * @param {OutfitItem[]} items - Candidate items
+ * @param {{ maxTotal: number, maxItems: number }} limits - Budget and outfit size
+ * @returns {OutfitItem[]} - Chosen items, highest score first
+ */
+export function optimizeOutfit(items, { maxTotal, maxItems }) {
+  const groups = toSearchGroups(
+    items
+      .filter((item) => item.price <= maxTotal && item.score > 0)
+      .sort((a, b) => b.score - a.score || a.price - b.price),
+  );
+
+  // Groups are ordered by their best score, so the best `n` from group `g` on are groups g..g+n-1
+  const prefixBest = [0];
+  groups.forEach((group, g) => {
+    prefixBest.push(prefixBest[g] + group[0].score);
+  });
+  const bound = (g, room) =>
+    prefixBest[Math.min(g + room, groups.length)] - prefixBest[g];
+
+  let best = { score: 0, total: 0, picks: [] };
+  const picks = [];
+  let nodes = 0;
+
+  const search = (g, score, total) => {
+    if (
+      score > best.score ||
+      (score === best.score && score > 0 && total < best.total)
+    ) {
+      best = { score, total, picks: [...picks] };
+    }
+    if (picks.length >= maxItems || g >= groups.length) return;
+    if (score + bound(g, maxItems - picks.length) < best.score) return;
+    if (++nodes > MAX_SEARCH_NODES) return;
+
+    for (const item of groups[g]) {
+      if (total + item.price > maxTotal) continue;
+      picks.push(item);
+      search(g + 1, score + item.score, total + item.price);
+      picks.pop();
+    }
+    // Or leave this group out of the outfit
+    search(g + 1, score, total);
+  };
+
+  search(0, 0, 0);
+  return best.picks.sort((a, b) => b.score - a.score);
+}
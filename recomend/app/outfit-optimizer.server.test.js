@@ -0,0 +1,134 @@
+import { describe, expect, it } from "vitest";
+import { optimizeOutfit } from "./outfit-optimizer.server";
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1), so failures reproduce.
+ * @param {number} seed
+ * @returns {() => number}
+ */
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function randomItems(count, groupCount, random) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `item-${index}`,
+    price: Math.round(10 + random() * 90),
+    score: Math.round(random() * 1000) / 1000 + 0.001,
+    group: groupCount ? `group-${index % groupCount}` : `group-${index}`,
+  }));
+}
+
+const sum = (items, field) =>
+  items.reduce((total, item) => total + item[field], 0);
+
+/** Every valid subset, for checking the search on small inputs. */
+function bruteForce(items, { maxTotal, maxItems }) {
+  let best = { score: 0, total: 0 };
+  const visit = (index, picked) => {
+    const score = sum(picked, "score");
+    const total = sum(picked, "price");
+    if (
+      score > best.score + 1e-9 ||
+      (Math.abs(score - best.score) < 1e-9 && total < best.total)
+    ) {
+      best = { score, total };
+    }
+    if (index === items.length || picked.length === maxItems) return;
+    for (let i = index; i < items.length; i++) {
+      const item = items[i];
+      if (item.price > maxTotal - total) continue;
+      if (picked.some((other) => other.group === item.group)) continue;
+      visit(i + 1, [...picked, item]);
+    }
+  };
+  visit(0, []);
+  return best;
+}
+
+describe("optimizeOutfit", () => {
+  it("picks the best scoring affordable set with one item per group", () => {
+    const items = [
+      { id: "a", price: 60, score: 3, group: "top" },
+      { id: "b", price: 30, score: 2, group: "top" },
+      { id: "c", price: 40, score: 2, group: "bottom" },
+      { id: "d", price: 50, score: 1, group: "footwear" },
+    ];
+
+    const picks = optimizeOutfit(items, { maxTotal: 100, maxItems: 3 });
+
+    expect(picks.map((item) => item.id)).toEqual(["a", "c"]);
+  });
+
+  it("prefers the cheaper of two equally scoring sets", () => {
+    const items = [
+      { id: "pricey", price: 80, score: 2, group: "top" },
+      { id: "cheap", price: 20, score: 2, group: "top" },
+    ];
+
+    expect(optimizeOutfit(items, { maxTotal: 100, maxItems: 2 })).toEqual([
+      items[1],
+    ]);
+  });
+
+  it("respects the outfit size and drops unaffordable or irrelevant items", () => {
+    const items = [
+      { id: "a", price: 10, score: 1, group: "a" },
+      { id: "b", price: 10, score: 1, group: "b" },
+      { id: "c", price: 10, score: 1, group: "c" },
+      { id: "too-expensive", price: 200, score: 5, group: "d" },
+      { id: "irrelevant", price: 1, score: 0, group: "e" },
+    ];
+
+    const picks = optimizeOutfit(items, { maxTotal: 100, maxItems: 2 });
+
+    expect(picks).toHaveLength(2);
+    expect(picks.map((item) => item.id)).not.toContain("too-expensive");
+    expect(picks.map((item) => item.id)).not.toContain("irrelevant");
+  });
+
+  it("finds the same best score as an exhaustive search", () => {
+    const random = seededRandom(7);
+    for (let round = 0; round < 40; round++) {
+      const items = randomItems(12, 5, random);
+      const limits = {
+        maxTotal: 60 + Math.round(random() * 120),
+        maxItems: 1 + (round % 4),
+      };
+
+      const picks = optimizeOutfit(items, limits);
+
+      expect(sum(picks, "price")).toBeLessThanOrEqual(limits.maxTotal);
+      expect(new Set(picks.map((item) => item.group)).size).toBe(picks.length);
+      expect(sum(picks, "score")).toBeCloseTo(
+        bruteForce(items, limits).score,
+        9,
+      );
+    }
+  });
+
+  it.each([
+    { count: 50, groups: 0 },
+    { count: 66, groups: 12 },
+    { count: 66, groups: 0 },
+  ])(
+    "returns quickly for $count candidates in $groups groups (0 = one each)",
+    ({ count, groups }) => {
+      const random = seededRandom(count + groups);
+      const items = randomItems(count, groups, random);
+      const limits = { maxTotal: 250, maxItems: 8 };
+
+      const startedAt = Date.now();
+      const picks = optimizeOutfit(items, limits);
+
+      expect(Date.now() - startedAt).toBeLessThan(2000);
+      expect(picks.length).toBeGreaterThan(0);
+      expect(picks.length).toBeLessThanOrEqual(8);
+      expect(sum(picks, "price")).toBeLessThanOrEqual(limits.maxTotal);
+    },
+  );
+});
@@ -0,0 +1,98 @@
+// Outfit slots shared by the generator and the slot mapping page. Kept free
+// of server-only imports so components can use it too.
+
+export const OUTFIT_SLOTS = [
+  "top",
+  "bottom",
+  "footwear",
+  "outerwear",
+  "accessory",
+];
+
+export const SLOT_LABELS = {
+  top: "Top",
+  bottom: "Bottom",
+  footwear: "Footwear",
+  outerwear: "Outerwear",
+  accessory: "Accessory",
+};
+
+// Keywords checked in this order, so "shirt jacket" is outerwear and
+// "shoe bag" is footwear. One-pieces (dresses, jumpsuits) count as tops.
+const SLOT_KEYWORDS = [
+  [
+    "outerwear",
+    /\b(outerwear|jackets?|coats?|parkas?|blazers?|raincoats?|trench(es)?|anoraks?|windbreakers?|puffers?|gilets?|cardigans?)\b/i,
+  ],
+  [
+    "footwear",
+    /\b(footwear|shoes?|sneakers?|trainers?|boots?|sandals?|loafers?|heels|pumps|flats|slippers?|mules?|espadrilles?|oxfords?)\b/i,
+  ],
+  [
+    "bottom",
+    /\b(bottoms?|pants?|trousers?|jeans?|shorts|skirts?|leggings?|joggers?|chinos?|culottes?|sweatpants)\b/i,
+  ],
+  [
+    "accessory",
+    /\b(accessor(y|ies)|hats?|caps?|beanies?|scarf|scarves|belts?|bags?|handbags?|backpacks?|totes?|wallets?|watch(es)?|jewel(le)?ry|necklaces?|bracelets?|earrings?|rings?|sunglasses|gloves?|ties?|socks?|umbrellas?)\b/i,
+  ],
+  [
+    "top",
+    /\b(tops?|shirts?|t-shirts?|tees?|blouses?|sweaters?|jumpers?|hoodies?|sweatshirts?|polos?|tanks?|camisoles?|knit(wear)?|tunics?|dress(es)?|jumpsuits?|rompers?)\b/i,
+  ],
+];
+
+/**
+ * @param {string} text - Product type, tag or title
+ * @returns {string | null} - Slot the text describes, if any
+ */
+function detectSlot(text) {
+  if (!text) return null;
+  const match = SLOT_KEYWORDS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+/**
+ * Work out which slot a product fills. The merchant's mappings win over the
+ * built-in keywords; product type is more reliable than tags, and tags more
+ * than the title.
+ * @param {object} product - Normalized product
+ * @param {{ matchType: string, value: string, slot: string }[]} [mappings] - Merchant slot mappings (values lower-cased)
+ * @returns {string | null} - One of `OUTFIT_SLOTS`, or null if unclassified
+ */
+export function classifyProduct(product, mappings = []) {
+  const productType = (product.productType || "").trim().toLowerCase();
+  const tags = (product.tags || []).map((tag) => tag.trim().toLowerCase());
+
+  const typeMapping = mappings.find(
+    (mapping) =>
+      mapping.matchType === "productType" && mapping.value === productType,
+  );
+  if (typeMapping) return typeMapping.slot;
+
+  const tagMapping = mappings.find(
+    (mapping) => mapping.matchType === "tag" && tags.includes(mapping.value),
+  );
+  if (tagMapping) return tagMapping.slot;
+
+  return (
+    detectSlot(productType) ||
+    tags.map(detectSlot).find(Boolean) ||
+    detectSlot(product.title)
+  );
+}
+
+// Weather choices that call for outerwear. Matched loosely because merchants
+// can rename the weather choices on the settings page.
+const OUTERWEAR_WEATHER =
+  /\b(cold|chilly|cool|rain|rainy|wet|snow|snowy|wind|windy|winter|freezing)\b/i;
+
+/**
+ * @param {string} weather - Weather preference
+ * @returns {string[]} - Slots a complete outfit needs in that weather
+ */
+export function getRequiredSlots(weather) {
+  const slots = ["top", "bottom", "footwear"];
+  if (OUTERWEAR_WEATHER.test(weather || "")) slots.push("outerwear");
+  return slots;
+}
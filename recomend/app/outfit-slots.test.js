@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import { classifyProduct, getRequiredSlots } from "./outfit-slots";
+
+const product = (fields = {}) => ({
+  title: "Untitled",
+  productType: "",
+  tags: [],
+  ...fields,
+});
+
+describe("classifyProduct", () => {
+  it.each([
+    ["Rain Jacket", "outerwear"],
+    ["Leather Boots", "footwear"],
+    ["Slim Jeans", "bottom"],
+    ["Wool Scarf", "accessory"],
+    ["Linen Shirt", "top"],
+    ["Summer Dress", "top"],
+  ])("puts %j in the %s slot", (title, slot) => {
+    expect(classifyProduct(product({ title }))).toBe(slot);
+  });
+
+  it("checks outerwear and footwear before the slots they overlap", () => {
+    expect(classifyProduct(product({ title: "Shirt Jacket" }))).toBe(
+      "outerwear",
+    );
+    expect(classifyProduct(product({ title: "Shoe Bag" }))).toBe("footwear");
+  });
+
+  it("trusts the product type over tags, and tags over the title", () => {
+    expect(
+      classifyProduct(
+        product({ productType: "Sneakers", tags: ["hat"], title: "Top pick" }),
+      ),
+    ).toBe("footwear");
+    expect(
+      classifyProduct(product({ tags: ["New", "Hat"], title: "Top pick" })),
+    ).toBe("accessory");
+  });
+
+  it("leaves products it cannot place unclassified", () => {
+    expect(classifyProduct(product({ title: "Gift card" }))).toBeNull();
+  });
+
+  it("lets the merchant's mappings override the keywords", () => {
+    const mappings = [
+      { matchType: "tag", value: "layering", slot: "outerwear" },
+      { matchType: "productType", value: "overshirt", slot: "top" },
+    ];
+
+    expect(
+      classifyProduct(
+        product({ productType: " Overshirt ", tags: ["Layering"] }),
+        mappings,
+      ),
+    ).toBe("top");
+    expect(
+      classifyProduct(
+        product({ tags: ["Layering "], title: "Knit vest" }),
+        mappings,
+      ),
+    ).toBe("outerwear");
+  });
+});
+
+describe("getRequiredSlots", () => {
+  it("needs a top, a bottom and footwear", () => {
+    expect(getRequiredSlots("Hot")).toEqual(["top", "bottom", "footwear"]);
+    expect(getRequiredSlots(undefined)).toEqual(["top", "bottom", "footwear"]);
+  });
+
+  it.each(["Cold", "Rainy days", "Windy"])(
+    "adds outerwear for %j",
+    (weather) => {
+      expect(getRequiredSlots(weather)).toContain("outerwear");
+    },
+  );
+});
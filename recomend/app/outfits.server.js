@@ -0,0 +1,783 @@
+import { getAIProvider } from "./ai/provider.server";
+import { AIResponseError, generateStructured } from "./ai/schema.server";
+import {
+  getProductColors,
+  matchColorsToPalette,
+  normalizePalette,
+} from "./colors.server";
+import {
+  calculateCosineSimilarity,
+  generateEmbedding,
+  getProductEmbeddings,
+} from "./embeddings.server";
+import { optimizeOutfit } from "./outfit-optimizer.server";
+import { applyContextualPricing, getShopCurrency } from "./markets.server";
+import { formatBudget, getBudgetRange, getBudgetTiers } from "./money";
+import { classifyProduct, getRequiredSlots } from "./outfit-slots";
+import { DEFAULT_BUDGET_MODE } from "./preferences";
+import {
+  formatAnchor,
+  formatProductList,
+  getActivePromptTemplate,
+  renderPromptTemplate,
+} from "./prompt-templates.server";
+import { listAvailableProducts } from "./products.server";
+import { getShopSettings } from "./settings.server";
+import { selectVariantForSize, toGenericSizeChoice } from "./sizes.server";
+import { listSlotMappings } from "./slot-mappings.server";
+import {
+  chargeGeneration,
+  releaseGeneration,
+  reserveGeneration,
+} from "./usage.server";
+
+// ========== OUTFIT GENERATION PIPELINE ==========
+// Shared by the admin generator and the storefront endpoints: budget filter,
+// semantic ranking, AI stylist prompt, and matching the AI's picks back to
+// real products.
+
+// Products per required slot that are always shown to the AI
+const CANDIDATES_PER_SLOT = 4;
+
+// Score added to items that fill a required slot when combining within a total
+// budget, so a complete outfit beats a more relevant but incomplete one
+const REQUIRED_SLOT_SCORE = 1;
+
+/**
+ * @typedef {object} OutfitResult
+ * @property {object} preferences - Preferences the outfit was generated for
+ * @property {string | null} recommendation - Stylist text
+ * @property {{ name: string, hex: string | null }[]} colorPalette - Suggested colors
+ * @property {object[]} products - Recommended products, each with the `slot` it fills, its `colors` and how they sit with the palette (`colorMatch`)
+ * @property {number} [total] - Combined price of the recommended products
+ * @property {string} [currencyCode] - Currency of product prices and the total
+ * @property {string} [budgetLabel] - Budget tier described in that currency
+ * @property {number} [promptVersion] - Prompt template version used; 0 is the built-in template
+ * @property {string[]} [rejectedIds] - Product IDs the AI made up
+ * @property {string[]} [missingSlots] - Required slots no in-budget product could fill
+ * @property {number} [colorSwaps] - Picks replaced because their colors clashed with the palette
+ * @property {number} [generationMs] - Milliseconds from the request to the finished outfit, AI call included
+ * @property {string | null} error - Why no outfit could be generated
+ * @property {boolean} [retryable] - Whether the same request may succeed if retried
+ * @property {boolean} [quotaExceeded] - Whether the shop's plan allows no more outfits this month
+ */
+
+/**
+ * @param {object} preferences - Preferences the request was made with
+ * @param {string} error - Message shown to the user
+ * @param {{ retryable?: boolean, quotaExceeded?: boolean }} [options]
+ * @returns {OutfitResult}
+ */
+function outfitError(
+  preferences,
+  error,
+  { retryable = false, quotaExceeded = false } = {},
+) {
+  return {
+    preferences,
+    recommendation: null,
+    colorPalette: [],
+    products: [],
+    error,
+    retryable,
+    quotaExceeded,
+  };
+}
+
+/**
+ * Drop products the budget tier rules out.
+ * @param {object[]} products - Normalized products
+ * @param {{ min: number, max: number }} range - Prices the budget tier allows
+ * @param {string} budgetMode - "total" to cap the whole outfit, "per-item" to cap each item
+ * @param {number} leeway - Multiplier applied to per-item budgets
+ * @returns {object[]} - Products within budget
+ */
+function filterByBudget(products, { min, max }, budgetMode, leeway) {
+  // In total mode no single item may exceed the whole budget, and cheap items
+  // still count towards it. Per-item mode allows some leeway above the selected
+  // budget so AI can choose slightly higher-quality options
+  let allowedMinPrice = 0;
+  let allowedMaxPrice = max;
+  if (budgetMode === "per-item") {
+    allowedMinPrice = min;
+    if (max !== Infinity) allowedMaxPrice = Math.ceil(max * leeway);
+  }
+
+  // Filter products based on budget and availability only
+  return products.filter((product) => {
+    if (product.inventory <= 0) return false;
+    if (product.price < allowedMinPrice) return false;
+    if (product.price > allowedMaxPrice) return false;
+    return true;
+  });
+}
+
+/**
+ * @param {object} product - Product with `slot`
+ * @returns {string} - Key shared by products that do not belong in the same outfit
+ */
+function slotGroup(product) {
+  return product.slot || (product.productType || product.id).toLowerCase();
+}
+
+/**
+ * Choose the final outfit under a total budget: the most relevant set of
+ * complementary items (one per slot) whose prices sum within it. The AI's
+ * picks are strongly preferred, in the order it gave them; other candidates
+ * can fill in when the picks alone do not fit.
+ * @param {object[]} candidates - Products shown to the AI, with `similarityScore`
+ * @param {object[]} aiPicks - Products the AI selected
+ * @param {{ maxTotal: number, maxItems: number }} limits - Budget for the whole outfit and outfit size
+ * @param {string[]} requiredSlots - Slots a complete outfit needs
+ * @returns {object[]} - Chosen products
+ */
+function combineWithinBudget(
+  candidates,
+  aiPicks,
+  { maxTotal, maxItems },
+  requiredSlots,
+) {
+  const pickRank = new Map(
+    aiPicks.map((product, index) => [product.id, index]),
+  );
+  const pool = new Map(
+    [...aiPicks, ...candidates].map((product) => [product.id, product]),
+  );
+
+  const items = [...pool.values()].map((product) => ({
+    id: product.id,
+    price: product.price,
+    group: slotGroup(product),
+    score:
+      Math.max(0, product.similarityScore || 0) +
+      (pickRank.has(product.id)
+        ? 1 + (maxItems - pickRank.get(product.id)) * 0.1
+        : 0) +
+      (requiredSlots.includes(product.slot) ? REQUIRED_SLOT_SCORE : 0),
+  }));
+
+  return optimizeOutfit(items, { maxTotal, maxItems }).map((item) =>
+    pool.get(item.id),
+  );
+}
+
+/**
+ * Sort products by cosine similarity to a query vector, attaching
+ * `similarityScore` to each.
+ * @param {string} shop - Shop domain
+ * @param {object[]} products - Normalized products
+ * @param {number[]} queryEmbedding - Vector to rank against
+ * @param {import("./ai/provider.server").AIProvider} ai - AI provider
+ * @returns {Promise<object[]>} - Products, most similar first
+ */
+async function rankBySimilarity(shop, products, queryEmbedding, ai) {
+  // Load cached product embeddings (only changed products are re-embedded) and calculate similarity scores
+  const productEmbeddings = await getProductEmbeddings(shop, products, ai);
+  const productsWithScores = products.map((product) => {
+    const similarity = calculateCosineSimilarity(
+      queryEmbedding,
+      productEmbeddings.get(product.id),
+    );
+    return { ...product, similarityScore: similarity };
+  });
+
+  // Sort products by similarity score (highest first)
+  productsWithScores.sort((a, b) => b.similarityScore - a.similarityScore);
+
+  // Log top matches for debugging
+  console.log(
+    "Top semantic matches:",
+    productsWithScores.slice(0, 5).map((p) => ({
+      title: p.title,
+      score: p.similarityScore.toFixed(4),
+    })),
+  );
+
+  return productsWithScores;
+}
+
+/**
+ * Shape of the stylist's answer; enforced through the provider's JSON mode and validated locally.
+ * @param {number} maxItems - Largest outfit the AI may build
+ * @returns {object} - JSON schema
+ */
+export function outfitResponseSchema(maxItems) {
+  return {
+    type: "object",
+    properties: {
+      recommendation_text: { type: "string", minLength: 1 },
+      color_palette: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string", minLength: 1 },
+            hex: { type: "string", pattern: "^#[0-9A-Fa-f]{6}$" },
+          },
+          required: ["name", "hex"],
+        },
+        minItems: 1,
+        maxItems: 6,
+      },
+      recommended_ids: {
+        type: "array",
+        items: { type: "string", minLength: 1 },
+        minItems: 1,
+        maxItems,
+      },
+    },
+    required: ["recommendation_text", "color_palette", "recommended_ids"],
+  };
+}
+
+/**
+ * Pick the products shown to the AI: the best few for every required slot,
+ * so a complete outfit is always possible, then the best of the rest.
+ * @param {object[]} rankedProducts - Products in ranked order, each with `slot`
+ * @param {string[]} requiredSlots - Slots a complete outfit needs
+ * @param {number} limit - Maximum number of candidates
+ * @returns {object[]} - Candidates, in ranked order
+ */
+function selectCandidates(rankedProducts, requiredSlots, limit) {
+  const selected = new Set();
+
+  for (const slot of requiredSlots) {
+    rankedProducts
+      .filter((product) => product.slot === slot)
+      .slice(0, CANDIDATES_PER_SLOT)
+      .forEach((product) => selected.add(product.id));
+  }
+  for (const product of rankedProducts) {
+    if (selected.size >= limit) break;
+    selected.add(product.id);
+  }
+
+  return rankedProducts.filter((product) => selected.has(product.id));
+}
+
+/**
+ * Short, stable ID for a product in the candidate list sent to the model:
+ * the numeric part of its GID in base 36. Deterministic, so the same product
+ * always carries the same ID, and far shorter than the GID.
+ * @param {string} productId - Product GID
+ * @returns {string} - e.g. "2vx7c9q1o"
+ */
+export function toShortId(productId) {
+  const numericId = productId.split("/").pop();
+  return /^\d+$/.test(numericId) ? Number(numericId).toString(36) : numericId;
+}
+
+/**
+ * Resolve the IDs the AI picked to candidate products. IDs that were not in
+ * the candidate list are rejected and reported, so hallucinated selections
+ * can be measured. Falls back to the best ranked products when nothing
+ * valid was picked. Keeps one product per slot and fills required slots the
+ * picks left empty with the best ranked product for them.
+ * @param {object} aiResult - Validated AI response
+ * @param {object[]} candidates - Products sent to the model, each with `shortId` and `slot`
+ * @param {object[]} filteredProducts - All ranked products within budget
+ * @param {object} preferences - Shopper preferences
+ * @param {string[]} requiredSlots - Slots a complete outfit needs
+ * @param {number} maxItems - Largest outfit to return
+ * @returns {{ products: object[], rejectedIds: string[] }} - Up to `maxItems` unique products and the unknown IDs
+ */
+function matchRecommendedProducts(
+  aiResult,
+  candidates,
+  filteredProducts,
+  preferences,
+  requiredSlots,
+  maxItems,
+) {
+  const { style, occasion, weather } = preferences;
+  const candidatesByShortId = new Map(
+    candidates.map((product) => [product.shortId, product]),
+  );
+
+  const matchesById = new Map();
+  const rejectedIds = [];
+  for (const rawId of aiResult.recommended_ids) {
+    const match = candidatesByShortId.get(rawId.trim());
+    if (!match) {
+      rejectedIds.push(rawId);
+    } else if (!matchesById.has(match.id)) {
+      matchesById.set(match.id, match);
+    }
+  }
+
+  if (rejectedIds.length > 0) {
+    console.warn(
+      `AI selected ${rejectedIds.length} unknown product IDs:`,
+      rejectedIds,
+    );
+  }
+
+  // Build an ordered array of unique recommended products
+  let recommendedProducts = Array.from(matchesById.values());
+
+  // If AI picked no valid IDs, fall back to top semantically-matched products
+  if (recommendedProducts.length === 0) {
+    // Use semantic similarity scores if available, otherwise fall back to tag matching
+    if (filteredProducts[0]?.similarityScore !== undefined) {
+      // Already sorted by similarity, take top 3
+      recommendedProducts = filteredProducts.slice(0, 3);
+    } else {
+      // Fallback: Prefer products that match at least one preference tag (style/occasion/weather)
+      const prefKeywords = [style, occasion, weather].map((k) =>
+        (k || "").toLowerCase(),
+      );
+      const scored = filteredProducts.map((p) => {
+        const tags = (p.tags || []).map((t) => t.toLowerCase());
+        const score = prefKeywords.reduce(
+          (s, kw) => s + (tags.some((t) => t.includes(kw)) ? 1 : 0),
+          0,
+        );
+        return { p, score };
+      });
+      scored.sort((a, b) => b.score - a.score || a.p.price - b.p.price);
+      recommendedProducts = scored.slice(0, 3).map((s) => s.p);
+    }
+  }
+
+  // One product per slot (which also removes duplicates)
+  const picks = [];
+  const filledSlots = new Set();
+  for (const p of recommendedProducts) {
+    const group = slotGroup(p);
+    if (filledSlots.has(group)) continue;
+    picks.push(p);
+    filledSlots.add(group);
+  }
+
+  const fills = requiredSlots
+    .filter((slot) => !filledSlots.has(slot))
+    .map(
+      (slot) =>
+        candidates.find((p) => p.slot === slot) ||
+        filteredProducts.find((p) => p.slot === slot),
+    )
+    .filter(Boolean);
+
+  // Limit outfit size, dropping optional picks before required ones
+  while (picks.length > 0 && picks.length + fills.length > maxItems) {
+    const optional = picks.findLastIndex(
+      (p) => !requiredSlots.includes(p.slot),
+    );
+    picks.splice(optional === -1 ? picks.length - 1 : optional, 1);
+  }
+
+  return { products: [...picks, ...fills], rejectedIds };
+}
+
+/**
+ * Replace picks whose colors clash with the palette by the best ranked
+ * candidate for the same slot that does not clash. Under a total budget the
+ * replacement must keep the outfit within it. Picks with no such
+ * replacement stay in the outfit, flagged as clashing.
+ * @param {object[]} products - Chosen products, each with `colorMatch`
+ * @param {object[]} candidates - Products shown to the AI, in ranked order, each with `colorMatch`
+ * @param {number} maxTotal - Budget for the whole outfit; Infinity when each item is budgeted on its own
+ * @returns {{ products: object[], swaps: number }} - The outfit and how many picks were replaced
+ */
+function harmonizeColors(products, candidates, maxTotal) {
+  const outfit = [...products];
+  let swaps = 0;
+
+  outfit.forEach((product, index) => {
+    if (product.colorMatch !== "clash") return;
+
+    const total = outfit.reduce((sum, item) => sum + item.price, 0);
+    const replacement = candidates.find(
+      (candidate) =>
+        slotGroup(candidate) === slotGroup(product) &&
+        candidate.colorMatch !== "clash" &&
+        !outfit.some((item) => item.id === candidate.id) &&
+        total - product.price + candidate.price <= maxTotal,
+    );
+    if (replacement) {
+      outfit[index] = replacement;
+      swaps++;
+    }
+  });
+
+  return { products: outfit, swaps };
+}
+
+// ========== STREAMED STYLIST ANSWERS ==========
+// The stylist answers in JSON, so its text is picked out of the partial
+// answer as it arrives. Keys may come in any order.
+
+/**
+ * Read a JSON string value that may still be arriving.
+ * @param {string} text - JSON received so far
+ * @param {number} start - Index just past the opening quote
+ * @returns {{ raw: string, closed: boolean }} - The value's complete characters and escapes so far, and whether its closing quote has arrived
+ */
+function readPartialString(text, start) {
+  let i = start;
+  while (i < text.length) {
+    if (text[i] === '"') return { raw: text.slice(start, i), closed: true };
+    if (text[i] === "\\") {
+      const length = text[i + 1] === "u" ? 6 : 2;
+      if (i + length > text.length) break;
+      i += length;
+    } else {
+      i++;
+    }
+  }
+  return { raw: text.slice(start, i), closed: false };
+}
+
+/**
+ * @param {string} text - JSON received so far
+ * @param {number} start - Index of an opening bracket
+ * @returns {number} - Index of its closing bracket, or -1 if it has not arrived
+ */
+function findClosingBracket(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      const { raw, closed } = readPartialString(text, i + 1);
+      if (!closed) return -1;
+      i += raw.length + 1;
+    } else if (char === "[" || char === "{") {
+      depth++;
+    } else if (char === "]" || char === "}") {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Follow a streamed stylist answer, reporting the recommendation text as it
+ * grows and the color palette once it is complete.
+ * @param {(event: object) => void} onProgress - Receives `text` and `palette` events
+ * @returns {(delta: string) => void} - Call with each streamed piece of the answer
+ */
+function createStylistStreamReader(onProgress) {
+  let text = "";
+  let sentLength = 0;
+  let textClosed = false;
+  let paletteSent = false;
+
+  return (delta) => {
+    text += delta;
+
+    const textKey = !textClosed && /"recommendation_text"\s*:\s*"/.exec(text);
+    if (textKey) {
+      const { raw, closed } = readPartialString(
+        text,
+        textKey.index + textKey[0].length,
+      );
+      textClosed = closed;
+      try {
+        const decoded = JSON.parse(`"${raw}"`);
+        if (decoded.length > sentLength) {
+          onProgress({ type: "text", delta: decoded.slice(sentLength) });
+          sentLength = decoded.length;
+        }
+      } catch {
+        // Not valid JSON; the full answer fails validation and is repaired
+      }
+    }
+
+    const paletteKey = !paletteSent && /"color_palette"\s*:\s*\[/.exec(text);
+    if (paletteKey) {
+      const start = paletteKey.index + paletteKey[0].length - 1;
+      const end = findClosingBracket(text, start);
+      if (end === -1) return;
+      paletteSent = true;
+      try {
+        const palette = JSON.parse(text.slice(start, end + 1));
+        onProgress({
+          type: "palette",
+          colorPalette: normalizePalette(palette),
+        });
+      } catch {
+        // As above
+      }
+    }
+  };
+}
+
+/**
+ * Generate an outfit for a shop's catalog.
+ *
+ * With an `anchor` product the outfit is built around that product: candidates
+ * are ranked by similarity to it rather than to the preference text, and the
+ * anchor itself is never recommended.
+ *
+ * Budget tiers, the per-item budget leeway and candidate and outfit sizes
+ * come from the shop's settings.
+ *
+ * Prices are in the shop's currency, unless `admin` and `countryCode` are
+ * given: then products are repriced for that country's Shopify Market and
+ * budgets apply in the market's currency.
+ *
+ * Each generated outfit counts towards the shop's monthly plan quota, and no
+ * AI calls are made once the quota is used up.
+ *
+ * With `onProgress` the stylist's answer is streamed and progress is reported
+ * as it happens: `{ type: "ranked", count }` once products are ranked,
+ * `{ type: "candidates", count }` once the stylist's choices are picked, then
+ * `{ type: "text", delta }` for each piece of the recommendation text and
+ * `{ type: "palette", colorPalette }` when the palette is complete. A
+ * `{ type: "retry" }` means the answer so far was unusable and a new one
+ * follows.
+ * @param {string} shop - Shop domain
+ * @param {{ budget?: string, budgetMode?: string, size?: string, style?: string, occasion?: string, weather?: string }} preferences - Shopper preferences
+ * @param {{ anchor?: object, admin?: object, countryCode?: string | null, onProgress?: (event: object) => void }} [options]
+ * @returns {Promise<OutfitResult>}
+ */
+export async function generateOutfit(
+  shop,
+  preferences,
+  { anchor, admin, countryCode, onProgress } = {},
+) {
+  const startedAt = Date.now();
+  const {
+    budget = "Any",
+    budgetMode = DEFAULT_BUDGET_MODE,
+    size = "Any",
+    style = "Any",
+    occasion = "Any",
+    weather = "Any",
+  } = preferences;
+
+  const settings = await getShopSettings(shop);
+  const slotMappings = await listSlotMappings(shop);
+  const products = (await listAvailableProducts(shop))
+    .filter((product) => product.id !== anchor?.id)
+    .map((product) => ({
+      ...product,
+      slot: classifyProduct(product, slotMappings),
+    }));
+
+  // Weather decides whether outerwear is needed; the anchor already fills its own slot
+  const anchorSlot = anchor ? classifyProduct(anchor, slotMappings) : null;
+  const requiredSlots = getRequiredSlots(weather).filter(
+    (slot) => slot !== anchorSlot,
+  );
+
+  if (products.length === 0) {
+    return outfitError(
+      preferences,
+      "No products have been synced yet. Wait for the catalog sync to finish, or start one with Sync now.",
+    );
+  }
+
+  // Keep only products with a variant for sale in the shopper's size, priced at that variant
+  const genericSize = toGenericSizeChoice(size, settings.sizeChoices);
+  const sizedProducts = products.flatMap((product) => {
+    // Products stored before variants were synced carry no variant data; keep them until the next sync
+    if (product.variants.length === 0) return [product];
+    const variant = selectVariantForSize(product, genericSize);
+    return variant ? [{ ...product, variant, price: variant.price }] : [];
+  });
+
+  if (sizedProducts.length === 0) {
+    return outfitError(
+      preferences,
+      `No products are in stock in size ${size}. Try another size.`,
+    );
+  }
+
+  const shopCurrency = await getShopCurrency(shop, admin);
+  let currencyCode = shopCurrency;
+  let pricedProducts = sizedProducts;
+  if (admin && countryCode) {
+    const market = await applyContextualPricing(
+      shop,
+      admin,
+      sizedProducts,
+      countryCode,
+    );
+    if (market.products.length === 0) {
+      return outfitError(
+        preferences,
+        `No products are available in the ${countryCode} market.`,
+      );
+    }
+    pricedProducts = market.products;
+    currencyCode = market.currencyCode;
+  }
+
+  // The merchant's own tiers are in the shop's currency and scaled for other markets
+  const budgetTiers = getBudgetTiers(
+    settings.budgetTiers,
+    shopCurrency,
+    currencyCode,
+  );
+  const budgetRange = getBudgetRange(budget, budgetTiers);
+  const budgetLimit = budgetRange.max;
+
+  const budgetFilteredProducts = filterByBudget(
+    pricedProducts,
+    budgetRange,
+    budgetMode,
+    settings.budgetLeeway,
+  );
+
+  // If no products match budget, return early
+  if (budgetFilteredProducts.length === 0) {
+    return outfitError(
+      preferences,
+      "No products found within your budget. Try increasing your budget.",
+    );
+  }
+
+  // Resolve the shop's AI provider (Gemini, OpenAI or the offline local provider)
+  const ai = await getAIProvider(shop);
+  if (!ai.configured) {
+    return outfitError(
+      preferences,
+      `The ${ai.name} AI provider is missing its API key. Ask the app administrator to configure it.`,
+    );
+  }
+
+  // Held before any AI call, so concurrent requests cannot overrun the quota
+  const quota = await reserveGeneration(shop);
+  if (!quota.allowed) {
+    return outfitError(preferences, quota.message, { quotaExceeded: true });
+  }
+  const { reservation } = quota;
+
+  let filteredProducts;
+  let topProducts;
+  let promptVersion;
+  let aiResult;
+  try {
+    // ========== SEMANTIC SEARCH: Rank products by similarity to user preferences ==========
+    let queryEmbedding;
+    if (anchor) {
+      // Products that sit close to the anchor in embedding space complement it best
+      const anchorEmbeddings = await getProductEmbeddings(shop, [anchor], ai);
+      queryEmbedding = anchorEmbeddings.get(anchor.id);
+    } else {
+      // Build user preference query for semantic matching
+      const userPreferenceQuery = `${style} ${occasion} outfit for ${weather} weather`;
+      queryEmbedding = await generateEmbedding(userPreferenceQuery, ai);
+    }
+
+    filteredProducts = budgetFilteredProducts;
+    if (queryEmbedding) {
+      filteredProducts = await rankBySimilarity(
+        shop,
+        budgetFilteredProducts,
+        queryEmbedding,
+        ai,
+      );
+    }
+    onProgress?.({ type: "ranked", count: filteredProducts.length });
+
+    // Build AI stylist prompt using top semantically-matched products
+    topProducts = selectCandidates(
+      filteredProducts,
+      requiredSlots,
+      settings.candidateLimit,
+    ).map((product) => ({ ...product, shortId: toShortId(product.id) }));
+    onProgress?.({ type: "candidates", count: topProducts.length });
+    const promptTemplate = await getActivePromptTemplate(shop);
+    promptVersion = promptTemplate.version;
+    const aiPrompt = renderPromptTemplate(promptTemplate.template, {
+      budget: `${formatBudget(budget, currencyCode, budgetTiers)} ${budgetMode === "total" ? "for the whole outfit (all pieces combined)" : "per item"}`,
+      size,
+      style,
+      occasion,
+      weather,
+      products: formatProductList(topProducts, currencyCode),
+      anchor: formatAnchor(anchor),
+      max_items: String(settings.maxOutfitItems),
+      required_slots: requiredSlots.join(", "),
+    });
+
+    let readStream = onProgress && createStylistStreamReader(onProgress);
+    aiResult = await generateStructured(
+      ai,
+      aiPrompt,
+      outfitResponseSchema(settings.maxOutfitItems),
+      {
+        context: {
+          preferences: { budget, size, style, occasion, weather },
+          candidates: topProducts,
+          maxItems: settings.maxOutfitItems,
+        },
+        ...(onProgress && {
+          onText: (delta) => readStream(delta),
+          onRepair: () => {
+            readStream = createStylistStreamReader(onProgress);
+            onProgress({ type: "retry" });
+          },
+        }),
+      },
+    );
+  } catch (error) {
+    // Nothing was generated, so the generation does not count
+    await releaseGeneration(shop, reservation);
+    if (!(error instanceof AIResponseError)) throw error;
+    console.error("Unusable AI response:", error.errors, error.rawText);
+    return outfitError(
+      preferences,
+      "The AI stylist returned an incomplete response, so no outfit was saved. Please try again.",
+      { retryable: true },
+    );
+  }
+  await chargeGeneration(shop, reservation);
+
+  const { products: recommendedProducts, rejectedIds } =
+    matchRecommendedProducts(
+      aiResult,
+      topProducts,
+      filteredProducts,
+      preferences,
+      requiredSlots,
+      settings.maxOutfitItems,
+    );
+
+  const budgetOptimizedProducts =
+    budgetMode === "total"
+      ? combineWithinBudget(
+          topProducts,
+          recommendedProducts,
+          { maxTotal: budgetLimit, maxItems: settings.maxOutfitItems },
+          requiredSlots,
+        )
+      : recommendedProducts;
+
+  // Resolve product colors against the stylist's palette and swap out clashing picks
+  const colorPalette = normalizePalette(aiResult.color_palette);
+  const withColors = (product) => {
+    const colors = getProductColors(product);
+    return {
+      ...product,
+      colors,
+      colorMatch: matchColorsToPalette(colors, colorPalette),
+    };
+  };
+  const { products: harmonizedProducts, swaps: colorSwaps } = harmonizeColors(
+    budgetOptimizedProducts.map(withColors),
+    topProducts.map(withColors),
+    budgetMode === "total" ? budgetLimit : Infinity,
+  );
+
+  return {
+    preferences,
+    recommendation: aiResult.recommendation_text,
+    colorPalette,
+    products: harmonizedProducts,
+    total: harmonizedProducts.reduce((sum, product) => sum + product.price, 0),
+    currencyCode,
+    budgetLabel: formatBudget(budget, currencyCode, budgetTiers),
+    promptVersion,
+    rejectedIds,
+    missingSlots: requiredSlots.filter(
+      (slot) => !harmonizedProducts.some((product) => product.slot === slot),
+    ),
+    colorSwaps,
+    generationMs: Date.now() - startedAt,
+    error: null,
+  };
+}
@@ -0,0 +1,177 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { getAIProvider } from "./ai/provider.server";
+import { AIResponseError, generateStructured } from "./ai/schema.server";
+import { generateEmbedding } from "./embeddings.server";
+import { getShopCurrency } from "./markets.server";
+import { generateOutfit } from "./outfits.server";
+import {
+  formatAnchor,
+  formatProductList,
+  getActivePromptTemplate,
+  renderPromptTemplate,
+} from "./prompt-templates.server";
+import { listAvailableProducts } from "./products.server";
+import { getShopSettings } from "./settings.server";
+import { listSlotMappings } from "./slot-mappings.server";
+import {
+  chargeGeneration,
+  releaseGeneration,
+  reserveGeneration,
+} from "./usage.server";
+
+vi.mock("./ai/provider.server", () => ({ getAIProvider: vi.fn() }));
+
+vi.mock("./ai/schema.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  generateStructured: vi.fn(),
+}));
+
+vi.mock("./embeddings.server", () => ({
+  calculateCosineSimilarity: vi.fn(),
+  generateEmbedding: vi.fn(),
+  getProductEmbeddings: vi.fn(),
+}));
+
+vi.mock("./markets.server", () => ({
+  applyContextualPricing: vi.fn(),
+  getShopCurrency: vi.fn(),
+}));
+
+vi.mock("./prompt-templates.server", () => ({
+  formatAnchor: vi.fn(),
+  formatProductList: vi.fn(),
+  getActivePromptTemplate: vi.fn(),
+  renderPromptTemplate: vi.fn(),
+}));
+
+vi.mock("./products.server", () => ({ listAvailableProducts: vi.fn() }));
+
+vi.mock("./settings.server", () => ({ getShopSettings: vi.fn() }));
+
+vi.mock("./slot-mappings.server", () => ({ listSlotMappings: vi.fn() }));
+
+vi.mock("./usage.server", () => ({
+  chargeGeneration: vi.fn(),
+  releaseGeneration: vi.fn(),
+  reserveGeneration: vi.fn(),
+}));
+
+const SHOP = "example.myshopify.com";
+
+const PREFERENCES = { style: "Casual", weather: "Hot" };
+
+const RESERVATION = {
+  allowed: true,
+  reservation: { period: "2026-03", number: 3, usageLineItemId: null },
+};
+
+const product = (id, productType) => ({
+  id: `gid://shopify/Product/${id}`,
+  title: `${productType} ${id}`,
+  productType,
+  tags: [],
+  price: 40,
+  inventory: 5,
+  variants: [],
+});
+
+describe("generateOutfit quota", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getShopSettings.mockResolvedValue({
+      sizeChoices: [],
+      budgetTiers: null,
+      budgetLeeway: 1.2,
+      candidateLimit: 20,
+      maxOutfitItems: 5,
+    });
+    listSlotMappings.mockResolvedValue([]);
+    listAvailableProducts.mockResolvedValue([
+      product(1, "Shirt"),
+      product(2, "Jeans"),
+      product(3, "Sneakers"),
+    ]);
+    getShopCurrency.mockResolvedValue("EUR");
+    getAIProvider.mockResolvedValue({ name: "local", configured: true });
+    generateEmbedding.mockResolvedValue(null);
+    getActivePromptTemplate.mockResolvedValue({ version: 1, template: "" });
+    renderPromptTemplate.mockReturnValue("Prompt");
+    formatProductList.mockReturnValue("");
+    formatAnchor.mockReturnValue("");
+    reserveGeneration.mockResolvedValue(RESERVATION);
+  });
+
+  it("makes no AI calls once the month's outfits are used up", async () => {
+    reserveGeneration.mockResolvedValue({
+      allowed: false,
+      message: "This month's 50 outfits on the Free plan are used up.",
+    });
+
+    const outfit = await generateOutfit(SHOP, PREFERENCES);
+
+    expect(outfit).toMatchObject({
+      error: "This month's 50 outfits on the Free plan are used up.",
+      quotaExceeded: true,
+      retryable: false,
+    });
+    expect(generateEmbedding).not.toHaveBeenCalled();
+    expect(generateStructured).not.toHaveBeenCalled();
+  });
+
+  it("gives the generation back when the stylist's answer is unusable", async () => {
+    const logError = vi.spyOn(console, "error").mockImplementation(() => {});
+    generateStructured.mockRejectedValue(
+      new AIResponseError("Invalid response", {
+        errors: ["products is required"],
+        rawText: "{}",
+      }),
+    );
+
+    const outfit = await generateOutfit(SHOP, PREFERENCES);
+
+    expect(outfit).toMatchObject({ retryable: true, quotaExceeded: false });
+    expect(releaseGeneration).toHaveBeenCalledWith(
+      SHOP,
+      RESERVATION.reservation,
+    );
+    expect(chargeGeneration).not.toHaveBeenCalled();
+    logError.mockRestore();
+  });
+
+  it("gives the generation back before passing on provider failures", async () => {
+    generateStructured.mockRejectedValue(new Error("Rate limited"));
+
+    await expect(generateOutfit(SHOP, PREFERENCES)).rejects.toThrow(
+      "Rate limited",
+    );
+    expect(releaseGeneration).toHaveBeenCalledTimes(1);
+    expect(chargeGeneration).not.toHaveBeenCalled();
+  });
+
+  it("bills the generation once the stylist has answered", async () => {
+    generateStructured.mockResolvedValue({
+      recommendation_text: "Keep it light.",
+      color_palette: [{ name: "Navy", hex: "#1F2A44" }],
+      recommended_ids: ["1", "2", "3"],
+    });
+
+    const outfit = await generateOutfit(SHOP, PREFERENCES);
+
+    expect(outfit.error).toBeNull();
+    expect(outfit.products).toHaveLength(3);
+    expect(chargeGeneration).toHaveBeenCalledWith(
+      SHOP,
+      RESERVATION.reservation,
+    );
+    expect(releaseGeneration).not.toHaveBeenCalled();
+  });
+
+  it("reserves nothing when no AI provider is configured", async () => {
+    getAIProvider.mockResolvedValue({ name: "OpenAI", configured: false });
+
+    const outfit = await generateOutfit(SHOP, PREFERENCES);
+
+    expect(outfit.error).toMatch(/missing its API key/);
+    expect(reserveGeneration).not.toHaveBeenCalled();
+  });
+});
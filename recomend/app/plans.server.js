@@ -0,0 +1,97 @@
+import { BillingInterval } from "@shopify/shopify-app-remix/server";
+
+// ========== PLANS ==========
+// Each plan includes a number of outfit generations a month. Paid plans keep
+// generating beyond that, billed as Shopify usage charges up to the plan's
+// monthly spending cap; the free plan stops.
+
+export const FREE_PLAN = "free";
+
+/**
+ * @typedef {object} Plan
+ * @property {string} key - Stored plan key
+ * @property {string} name - Plan name; for paid plans also the Shopify Billing plan name
+ * @property {number} price - Monthly price in USD
+ * @property {number} includedGenerations - Generations included each month
+ * @property {number | null} overagePrice - USD charged per generation beyond the included ones; null blocks them instead
+ * @property {number} usageCap - Most usage charges per 30 days, in USD
+ */
+
+/** @type {Plan[]} */
+export const PLANS = [
+  {
+    key: FREE_PLAN,
+    name: "Free",
+    price: 0,
+    includedGenerations: 50,
+    overagePrice: null,
+    usageCap: 0,
+  },
+  {
+    key: "starter",
+    name: "Starter",
+    price: 19,
+    includedGenerations: 500,
+    overagePrice: 0.05,
+    usageCap: 50,
+  },
+  {
+    key: "growth",
+    name: "Growth",
+    price: 49,
+    includedGenerations: 2500,
+    overagePrice: 0.03,
+    usageCap: 150,
+  },
+];
+
+export const PAID_PLANS = PLANS.filter((plan) => plan.price > 0);
+
+// Charges on development stores and local builds are never billed
+export const BILLING_TEST = process.env.NODE_ENV !== "production";
+
+const BILLING_CURRENCY = "USD";
+
+/**
+ * @param {string | null | undefined} key - Stored plan key
+ * @returns {Plan} - The plan, or the free plan for unknown keys
+ */
+export function getPlan(key) {
+  return PLANS.find((plan) => plan.key === key) || PLANS[0];
+}
+
+/**
+ * @param {string} name - Shopify Billing plan name
+ * @returns {Plan | undefined}
+ */
+export function getPlanByName(name) {
+  return PAID_PLANS.find((plan) => plan.name === name);
+}
+
+/**
+ * Paid plans as `shopifyApp` billing config: a monthly charge plus a capped
+ * usage line item for generations beyond the included ones.
+ * @returns {object} - Billing config keyed by plan name
+ */
+export function toBillingConfig() {
+  return Object.fromEntries(
+    PAID_PLANS.map((plan) => [
+      plan.name,
+      {
+        lineItems: [
+          {
+            amount: plan.price,
+            currencyCode: BILLING_CURRENCY,
+            interval: BillingInterval.Every30Days,
+          },
+          {
+            amount: plan.usageCap,
+            currencyCode: BILLING_CURRENCY,
+            interval: BillingInterval.Usage,
+            terms: `$${plan.overagePrice} per outfit beyond ${plan.includedGenerations} a month`,
+          },
+        ],
+      },
+    ]),
+  );
+}
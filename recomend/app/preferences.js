@@ -0,0 +1,78 @@
+// Questionnaire choices shared by the admin generator and the storefront
+// endpoints. Kept free of server-only imports so components can use it too.
+
+export const PREFERENCE_OPTIONS = {
+  budget: ["Under 50", "50-100", "100+"],
+  size: ["S", "M", "L", "XL"],
+  style: ["Casual", "Formal", "Athleisure"],
+  occasion: ["Work", "Party", "Travel", "Daily"],
+  weather: ["Hot", "Cold", "Rainy", "Mild"],
+};
+
+export const DEFAULT_PREFERENCES = {
+  budget: "50-100",
+  size: "M",
+  style: "Casual",
+  occasion: "Daily",
+  weather: "Hot",
+};
+
+// Whether the budget tier caps the whole outfit or each item on its own
+export const BUDGET_MODES = [
+  { label: "Whole outfit", value: "total" },
+  { label: "Each item", value: "per-item" },
+];
+
+export const DEFAULT_BUDGET_MODE = "total";
+
+/**
+ * @param {string[]} values - Choices for one question
+ * @returns {{ label: string, value: string }[]} - Options for a Polaris `Select`
+ */
+export function toSelectOptions(values) {
+  return values.map((value) => ({ label: value, value }));
+}
+
+/**
+ * @param {Record<string, string[]>} [options] - The shop's choices for each question
+ * @returns {Record<string, string>} - Default answers, limited to the available choices
+ */
+export function getDefaultPreferences(options = PREFERENCE_OPTIONS) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_PREFERENCES).map(([field, value]) => [
+      field,
+      options[field].includes(value) ? value : options[field][0],
+    ]),
+  );
+}
+
+/**
+ * Read and validate questionnaire answers from submitted form data.
+ * @param {FormData | URLSearchParams} formData - Submitted answers
+ * @param {Record<string, string[]>} [options] - The shop's choices for each question
+ * @returns {{ preferences: object, errors: string[] }} - Parsed answers and a message per invalid field
+ */
+export function parsePreferences(formData, options = PREFERENCE_OPTIONS) {
+  const preferences = {};
+  const errors = [];
+
+  for (const [field, values] of Object.entries(options)) {
+    const value = formData.get(field);
+    if (values.includes(value)) {
+      preferences[field] = value;
+    } else {
+      errors.push(`${field} must be one of: ${values.join(", ")}`);
+    }
+  }
+
+  // Optional, so existing storefront integrations keep working
+  const budgetModes = BUDGET_MODES.map((mode) => mode.value);
+  const budgetMode = formData.get("budgetMode") || DEFAULT_BUDGET_MODE;
+  if (budgetModes.includes(budgetMode)) {
+    preferences.budgetMode = budgetMode;
+  } else {
+    errors.push(`budgetMode must be one of: ${budgetModes.join(", ")}`);
+  }
+
+  return { preferences, errors };
+}
@@ -0,0 +1,248 @@
+import db from "./db.server";
+import { toExportRecord } from "./history-transfer.server";
+import { deleteOutfitDiscounts } from "./outfit-discounts.server";
+
+// ========== PRIVACY AND DATA RETENTION ==========
+// What the app keeps, and when it goes:
+// - Customer data is the storefront recommendations made for a signed-in
+//   customer and the order lines attributed from their orders. Merchants
+//   export it when the customer asks for it and it is erased when Shopify
+//   redacts the customer, or when the merchant erases it from the privacy page.
+// - Everything else belongs to the shop and is kept while the app is
+//   installed. Uninstalling the app purges it, except the shop's plan and
+//   usage counts: they are billing records, and keeping them stops a reinstall
+//   from resetting the month's quota. Shopify's shop/redact request 48 hours
+//   later purges those too.
+
+/**
+ * @param {(string | number)[]} orderIds - Numeric order IDs from a privacy webhook
+ * @returns {string[]} - Order GIDs, as stored on attributions
+ */
+function toOrderGids(orderIds = []) {
+  return orderIds.map((orderId) => `gid://shopify/Order/${orderId}`);
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {string} customerId - Numeric Shopify customer ID
+ * @param {string[]} orderGids - The customer's orders, which may predate customer IDs on attributions
+ * @returns {object} - Prisma `where` clause for the customer's attributed order lines
+ */
+function customerAttributionsWhere(shop, customerId, orderGids) {
+  return {
+    shop,
+    OR: [{ customerId }, { orderId: { in: orderGids } }],
+  };
+}
+
+/**
+ * Everything the app holds about a customer, in the history export format.
+ * @param {string} shop - Shop domain
+ * @param {string} customerId - Numeric Shopify customer ID
+ * @param {(string | number)[]} [orderIds] - Numeric IDs of orders the customer asked about
+ * @returns {Promise<object>} - `{ customerId, exportedAt, recommendations, orderAttributions }`
+ */
+export async function exportCustomerData(shop, customerId, orderIds = []) {
+  const [recommendations, attributions] = await Promise.all([
+    db.outfitRecommendation.findMany({
+      where: { shop, customerId },
+      orderBy: { createdAt: "desc" },
+      include: { products: { orderBy: { position: "asc" } } },
+    }),
+    db.orderAttribution.findMany({
+      where: customerAttributionsWhere(shop, customerId, toOrderGids(orderIds)),
+      orderBy: { orderedAt: "desc" },
+    }),
+  ]);
+
+  return {
+    customerId,
+    exportedAt: new Date().toISOString(),
+    recommendations: recommendations.map((recommendation) => ({
+      id: recommendation.id,
+      ...toExportRecord(recommendation),
+    })),
+    orderAttributions: attributions.map((attribution) => ({
+      orderId: attribution.orderId,
+      orderName: attribution.orderName,
+      orderedAt: attribution.orderedAt.toISOString(),
+      productId: attribution.productId,
+      variantId: attribution.variantId,
+      quantity: attribution.quantity,
+      revenue: attribution.revenue,
+      currencyCode: attribution.currencyCode,
+      recommendationId: attribution.recommendationId,
+    })),
+  };
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {string} customerId - Numeric Shopify customer ID
+ * @returns {Promise<{ recommendations: number, orderAttributions: number }>} - Records held about the customer
+ */
+export async function countCustomerData(shop, customerId) {
+  const [recommendations, orderAttributions] = await Promise.all([
+    db.outfitRecommendation.count({ where: { shop, customerId } }),
+    db.orderAttribution.count({
+      where: customerAttributionsWhere(shop, customerId, []),
+    }),
+  ]);
+  return { recommendations, orderAttributions };
+}
+
+/**
+ * Erase a customer's data: recommendations made for them, with their outfit
+ * discounts, and the order lines attributed from their orders. Sales totals
+ * already added to other recommendations stay, as they no longer identify
+ * anyone.
+ * @param {string} shop - Shop domain
+ * @param {string} customerId - Numeric Shopify customer ID
+ * @param {{ orderIds?: (string | number)[], admin?: object }} [options] - Orders to redact, and an Admin API context to delete outfit discounts from Shopify with
+ * @returns {Promise<{ recommendations: number, orderAttributions: number, leftoverDiscounts: number }>} - Records erased, and discounts left in Shopify
+ */
+export async function redactCustomer(
+  shop,
+  customerId,
+  { orderIds = [], admin } = {},
+) {
+  const recommendationIds = (
+    await db.outfitRecommendation.findMany({
+      where: { shop, customerId },
+      select: { id: true },
+    })
+  ).map((recommendation) => recommendation.id);
+
+  if (admin && recommendationIds.length > 0) {
+    await deleteOutfitDiscounts(admin, shop, recommendationIds);
+  }
+  // Without an Admin API context, or when Shopify refused, discounts stay in
+  // Shopify; they are listed on the privacy page for the merchant to remove
+  const leftovers = await db.outfitDiscount.findMany({
+    where: {
+      shop,
+      recommendationId: { in: recommendationIds },
+      status: { not: "DELETED" },
+    },
+  });
+  if (leftovers.length > 0) {
+    console.warn(
+      `${leftovers.length} outfit discounts of an erased customer were left in Shopify for ${shop}`,
+    );
+  }
+
+  const [, attributions, recommendations] = await db.$transaction([
+    db.leftoverDiscount.createMany({
+      data: leftovers.map(({ discountId, method, code, title }) => ({
+        shop,
+        discountId,
+        method,
+        code,
+        title,
+      })),
+    }),
+    db.orderAttribution.deleteMany({
+      where: customerAttributionsWhere(shop, customerId, toOrderGids(orderIds)),
+    }),
+    // Product snapshots, discounts and attributions go with them
+    db.outfitRecommendation.deleteMany({
+      where: { shop, customerId },
+    }),
+    db.customerDataRequest.deleteMany({ where: { shop, customerId } }),
+  ]);
+
+  return {
+    recommendations: recommendations.count,
+    orderAttributions: attributions.count,
+    leftoverDiscounts: leftovers.length,
+  };
+}
+
+/**
+ * Delete everything the app stores for a shop. Safe to run more than once.
+ * @param {string} shop - Shop domain
+ * @param {{ keepBillingRecords?: boolean }} [options] - Whether to keep the shop's plan and usage counts
+ * @returns {Promise<void>}
+ */
+export async function purgeShopData(shop, { keepBillingRecords = false } = {}) {
+  const where = { shop };
+  await db.$transaction([
+    // Product snapshots, discounts and attributions go with them
+    db.outfitRecommendation.deleteMany({ where }),
+    db.orderAttribution.deleteMany({ where }),
+    db.customerDataRequest.deleteMany({ where }),
+    db.leftoverDiscount.deleteMany({ where }),
+    db.productEmbedding.deleteMany({ where }),
+    db.product.deleteMany({ where }),
+    db.storefrontLook.deleteMany({ where }),
+    db.slotMapping.deleteMany({ where }),
+    db.promptTemplate.deleteMany({ where }),
+    db.catalogSync.deleteMany({ where }),
+    db.shopSettings.deleteMany({ where }),
+    ...(keepBillingRecords
+      ? []
+      : [
+          db.shopPlan.deleteMany({ where }),
+          db.usagePeriod.deleteMany({ where }),
+        ]),
+    db.webhookDelivery.deleteMany({ where }),
+    db.session.deleteMany({ where }),
+  ]);
+}
+
+// ========== DATA REQUESTS ==========
+
+/**
+ * Record a customer's request for their data, for the merchant to download
+ * from the privacy page and send on.
+ * @param {string} shop - Shop domain
+ * @param {object} payload - `customers/data_request` webhook payload
+ * @returns {Promise<void>}
+ */
+export async function recordDataRequest(shop, payload) {
+  await db.customerDataRequest.create({
+    data: {
+      shop,
+      customerId: String(payload.customer.id),
+      orderIds: JSON.stringify(payload.orders_requested || []),
+      dataRequestId: payload.data_request?.id
+        ? String(payload.data_request.id)
+        : null,
+    },
+  });
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @returns {Promise<object[]>} - Data requests, newest first
+ */
+export function listDataRequests(shop) {
+  return db.customerDataRequest.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Export the data a customer asked for and mark their request as handled.
+ * @param {string} shop - Shop domain
+ * @param {string} requestId - Data request ID
+ * @returns {Promise<object | null>} - The export, or null for unknown requests
+ */
+export async function exportDataRequest(shop, requestId) {
+  const request = await db.customerDataRequest.findFirst({
+    where: { id: requestId, shop },
+  });
+  if (!request) return null;
+
+  const data = await exportCustomerData(
+    shop,
+    request.customerId,
+    JSON.parse(request.orderIds),
+  );
+  await db.customerDataRequest.update({
+    where: { id: request.id },
+    data: { exportedAt: new Date() },
+  });
+  return data;
+}
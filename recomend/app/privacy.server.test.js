@@ -0,0 +1,227 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import db from "./db.server";
+import { deleteOutfitDiscounts } from "./outfit-discounts.server";
+import {
+  exportCustomerData,
+  purgeShopData,
+  redactCustomer,
+} from "./privacy.server";
+
+vi.mock("./db.server", () => {
+  // Every model the app stores shop data in
+  const model = () => ({
+    findMany: vi.fn(),
+    createMany: vi.fn(),
+    deleteMany: vi.fn(),
+  });
+  return {
+    default: {
+      outfitRecommendation: model(),
+      orderAttribution: model(),
+      outfitDiscount: model(),
+      leftoverDiscount: model(),
+      customerDataRequest: model(),
+      productEmbedding: model(),
+      product: model(),
+      storefrontLook: model(),
+      slotMapping: model(),
+      promptTemplate: model(),
+      catalogSync: model(),
+      shopSettings: model(),
+      shopPlan: model(),
+      usagePeriod: model(),
+      webhookDelivery: model(),
+      session: model(),
+      $transaction: vi.fn(),
+    },
+  };
+});
+
+vi.mock("./outfit-discounts.server", () => ({
+  deleteOutfitDiscounts: vi.fn(),
+}));
+
+vi.mock("./products.server", () => ({ findProductsByHandle: vi.fn() }));
+
+const SHOP = "example.myshopify.com";
+const CUSTOMER_ID = "77";
+
+// Models whose rows were deleted for the shop
+const purgedModels = () =>
+  Object.entries(db)
+    .filter(([, model]) =>
+      model.deleteMany?.mock.calls.some(
+        ([{ where }]) => where.shop === SHOP && Object.keys(where).length === 1,
+      ),
+    )
+    .map(([name]) => name);
+
+describe("redactCustomer", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.$transaction.mockImplementation(async (operations) => operations);
+    db.outfitRecommendation.findMany.mockResolvedValue([
+      { id: "rec-1" },
+      { id: "rec-2" },
+    ]);
+    db.outfitDiscount.findMany.mockResolvedValue([]);
+    db.orderAttribution.deleteMany.mockReturnValue({ count: 3 });
+    db.outfitRecommendation.deleteMany.mockReturnValue({ count: 2 });
+  });
+
+  it("erases the customer's recommendations and attributed orders", async () => {
+    const result = await redactCustomer(SHOP, CUSTOMER_ID, {
+      orderIds: [1001, 1002],
+    });
+
+    expect(result).toEqual({
+      recommendations: 2,
+      orderAttributions: 3,
+      leftoverDiscounts: 0,
+    });
+    expect(db.outfitRecommendation.deleteMany).toHaveBeenCalledWith({
+      where: { shop: SHOP, customerId: CUSTOMER_ID },
+    });
+    expect(db.orderAttribution.deleteMany).toHaveBeenCalledWith({
+      where: {
+        shop: SHOP,
+        OR: [
+          { customerId: CUSTOMER_ID },
+          {
+            orderId: {
+              in: ["gid://shopify/Order/1001", "gid://shopify/Order/1002"],
+            },
+          },
+        ],
+      },
+    });
+    expect(db.customerDataRequest.deleteMany).toHaveBeenCalledWith({
+      where: { shop: SHOP, customerId: CUSTOMER_ID },
+    });
+  });
+
+  it("deletes the outfits' discounts from Shopify", async () => {
+    const admin = { graphql: vi.fn() };
+
+    await redactCustomer(SHOP, CUSTOMER_ID, { admin });
+
+    expect(deleteOutfitDiscounts).toHaveBeenCalledWith(admin, SHOP, [
+      "rec-1",
+      "rec-2",
+    ]);
+  });
+
+  it("lists discounts it could not delete for the merchant", async () => {
+    const logWarning = vi.spyOn(console, "warn").mockImplementation(() => {});
+    db.outfitDiscount.findMany.mockResolvedValue([
+      {
+        discountId: "gid://shopify/DiscountCodeNode/6",
+        method: "code",
+        code: "OUTFIT-REC1",
+        title: "15% off the complete outfit: Linen shirt + Chinos",
+        status: "ACTIVE",
+      },
+    ]);
+
+    const result = await redactCustomer(SHOP, CUSTOMER_ID);
+
+    expect(deleteOutfitDiscounts).not.toHaveBeenCalled();
+    expect(result.leftoverDiscounts).toBe(1);
+    expect(db.leftoverDiscount.createMany).toHaveBeenCalledWith({
+      data: [
+        {
+          shop: SHOP,
+          discountId: "gid://shopify/DiscountCodeNode/6",
+          method: "code",
+          code: "OUTFIT-REC1",
+          title: "15% off the complete outfit: Linen shirt + Chinos",
+        },
+      ],
+    });
+    logWarning.mockRestore();
+  });
+});
+
+describe("purgeShopData", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.$transaction.mockResolvedValue([]);
+  });
+
+  it("deletes everything stored for the shop", async () => {
+    await purgeShopData(SHOP);
+
+    expect(purgedModels().sort()).toEqual(
+      [
+        "catalogSync",
+        "customerDataRequest",
+        "leftoverDiscount",
+        "orderAttribution",
+        "outfitRecommendation",
+        "product",
+        "productEmbedding",
+        "promptTemplate",
+        "session",
+        "shopPlan",
+        "shopSettings",
+        "slotMapping",
+        "storefrontLook",
+        "usagePeriod",
+        "webhookDelivery",
+      ].sort(),
+    );
+    expect(db.$transaction).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps the plan and usage counts on uninstall", async () => {
+    await purgeShopData(SHOP, { keepBillingRecords: true });
+
+    expect(purgedModels()).not.toContain("shopPlan");
+    expect(purgedModels()).not.toContain("usagePeriod");
+    expect(purgedModels()).toContain("session");
+  });
+});
+
+describe("exportCustomerData", () => {
+  it("exports the customer's recommendations and attributed orders", async () => {
+    db.outfitRecommendation.findMany.mockResolvedValue([
+      {
+        id: "rec-1",
+        createdAt: new Date("2026-03-01T10:00:00Z"),
+        source: "storefront",
+        userPreferences: JSON.stringify({ style: "Casual" }),
+        aiAdvice: "Keep it light.",
+        promptVersion: 1,
+        cartUrl: null,
+        draftOrderName: null,
+        products: [],
+      },
+    ]);
+    db.orderAttribution.findMany.mockResolvedValue([
+      {
+        orderId: "gid://shopify/Order/1001",
+        orderName: "#1001",
+        orderedAt: new Date("2026-03-02T10:00:00Z"),
+        productId: "gid://shopify/Product/1",
+        variantId: null,
+        quantity: 1,
+        revenue: 50,
+        currencyCode: "EUR",
+        recommendationId: "rec-1",
+      },
+    ]);
+
+    const data = await exportCustomerData(SHOP, CUSTOMER_ID, [1001]);
+
+    expect(data.recommendations).toMatchObject([
+      { id: "rec-1", source: "storefront", preferences: { style: "Casual" } },
+    ]);
+    expect(data.orderAttributions).toMatchObject([
+      { orderName: "#1001", orderedAt: "2026-03-02T10:00:00.000Z" },
+    ]);
+    expect(db.outfitRecommendation.findMany.mock.calls[0][0].where).toEqual({
+      shop: SHOP,
+      customerId: CUSTOMER_ID,
+    });
+  });
+});
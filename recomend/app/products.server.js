@@ -0,0 +1,425 @@
+import db from "./db.server";
+import { deleteProductEmbeddings, refreshProductEmbedding } from "./embeddings.server";
+
+// Product fields requested by every catalog query, paginated or bulk. Variants
+// are added per query because paginated and bulk queries nest them differently.
+export const PRODUCT_FIELDS = `
+  id
+  title
+  handle
+  description
+  vendor
+  productType
+  tags
+  status
+  updatedAt
+  totalInventory
+  options {
+    name
+    values
+  }
+  priceRangeV2 {
+    minVariantPrice {
+      amount
+      currencyCode
+    }
+  }
+  featuredImage {
+    url
+  }
+`;
+
+// Variant fields, nested under `variants` in both paginated and bulk queries
+export const VARIANT_FIELDS = `
+  id
+  title
+  price
+  inventoryQuantity
+  availableForSale
+  selectedOptions {
+    name
+    value
+  }
+`;
+
+// ========== PRODUCT NORMALIZATION ==========
+
+/**
+ * Normalize Shopify tags, which arrive as an array from GraphQL and as a
+ * comma-separated string from REST webhook payloads.
+ * @param {string[] | string | null | undefined} tags - Raw tags
+ * @returns {string[]} - Trimmed, non-empty tags
+ */
+export function parseTags(tags) {
+  return Array.isArray(tags)
+    ? tags
+    : (tags || "")
+        .toString()
+        .split(",")
+        .map((t) => t.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Convert a `products/create` or `products/update` webhook payload into the
+ * normalized product shape used by the generator.
+ * @param {Record<string, any>} payload - REST product payload
+ * @returns {object} - Normalized product
+ */
+export function productFromWebhookPayload(payload) {
+  const variants = payload.variants || [];
+  // REST variants store option values positionally as option1..option3
+  const optionNames = [...(payload.options || [])]
+    .sort((a, b) => (a.position || 0) - (b.position || 0))
+    .map((option) => option.name);
+  const prices = variants
+    .map((variant) => parseFloat(variant.price))
+    .filter((price) => Number.isFinite(price));
+
+  return {
+    id: payload.admin_graphql_api_id || `gid://shopify/Product/${payload.id}`,
+    title: payload.title || "",
+    handle: payload.handle || "",
+    description: payload.body_html || "",
+    vendor: payload.vendor || "",
+    productType: payload.product_type || "",
+    tags: parseTags(payload.tags),
+    options: (payload.options || []).map((option) => ({
+      name: option.name,
+      values: option.values || [],
+    })),
+    price: prices.length > 0 ? Math.min(...prices) : 0,
+    image: payload.image?.src || payload.images?.[0]?.src || null,
+    inventory: variants.reduce(
+      (sum, variant) => sum + (variant.inventory_quantity || 0),
+      0,
+    ),
+    variants: variants.map((variant) => ({
+      id:
+        variant.admin_graphql_api_id ||
+        `gid://shopify/ProductVariant/${variant.id}`,
+      title: variant.title || "",
+      price: parseFloat(variant.price) || 0,
+      inventory: variant.inventory_quantity || 0,
+      // REST payloads have no availableForSale; untracked and oversellable variants are always for sale
+      availableForSale:
+        !variant.inventory_management ||
+        variant.inventory_policy === "continue" ||
+        (variant.inventory_quantity || 0) > 0,
+      selectedOptions: optionNames
+        .map((name, index) => ({ name, value: variant[`option${index + 1}`] }))
+        .filter((option) => option.value != null),
+    })),
+    // Webhooks send lowercase REST statuses; store the GraphQL enum form
+    status: (payload.status || "active").toUpperCase(),
+    updatedAt: new Date(payload.updated_at || Date.now()),
+  };
+}
+
+/**
+ * Convert a product node from the Admin GraphQL API (see `PRODUCT_FIELDS` and
+ * `VARIANT_FIELDS`) into the normalized product shape used by the generator.
+ * @param {Record<string, any>} node - GraphQL product node
+ * @returns {object} - Normalized product
+ */
+export function normalizeProductNode(node) {
+  return {
+    id: node.id,
+    title: node.title,
+    handle: node.handle || "",
+    description: node.description || node.descriptionHtml || "",
+    vendor: node.vendor || "",
+    productType: node.productType || "",
+    tags: parseTags(node.tags),
+    options: node.options || [],
+    price: parseFloat(node.priceRangeV2.minVariantPrice.amount),
+    image: node.featuredImage?.url || null,
+    inventory: node.totalInventory,
+    variants: (node.variants?.nodes || []).map((variant) => ({
+      id: variant.id,
+      title: variant.title,
+      price: parseFloat(variant.price),
+      inventory: variant.inventoryQuantity ?? 0,
+      availableForSale: variant.availableForSale,
+      selectedOptions: variant.selectedOptions || [],
+    })),
+    status: node.status,
+    updatedAt: new Date(node.updatedAt),
+  };
+}
+
+/**
+ * @param {object} product - Normalized product
+ * @returns {object} - Columns for the `Product` table (without `shop`)
+ */
+function toProductRecord(product) {
+  return {
+    productId: product.id,
+    title: product.title,
+    handle: product.handle || "",
+    description: product.description || "",
+    vendor: product.vendor || "",
+    productType: product.productType || "",
+    tags: JSON.stringify(product.tags || []),
+    options: JSON.stringify(product.options || []),
+    price: product.price,
+    image: product.image || null,
+    totalInventory: product.inventory,
+    variants: JSON.stringify(product.variants || []),
+    status: product.status,
+    shopifyUpdatedAt: product.updatedAt,
+    lastSeenAt: new Date(),
+  };
+}
+
+/**
+ * @param {object} record - Row from the `Product` table
+ * @returns {object} - Normalized product
+ */
+export function fromProductRecord(record) {
+  return {
+    id: record.productId,
+    title: record.title,
+    handle: record.handle,
+    description: record.description,
+    vendor: record.vendor,
+    productType: record.productType,
+    tags: JSON.parse(record.tags),
+    options: JSON.parse(record.options),
+    price: record.price,
+    image: record.image,
+    inventory: record.totalInventory,
+    variants: JSON.parse(record.variants),
+    status: record.status,
+    updatedAt: record.shopifyUpdatedAt,
+  };
+}
+
+// ========== PRODUCT STORE ==========
+
+/**
+ * Store a product unless the stored copy is newer or the product has been
+ * deleted. Webhooks can arrive out of order, so `updatedAt` decides which
+ * version wins and deleted products are kept as tombstones that later
+ * updates cannot resurrect.
+ * @param {string} shop - Shop domain
+ * @param {object} product - Normalized product
+ * @returns {Promise<"created" | "updated" | "stale" | "deleted">} - What happened to the stored copy
+ */
+export async function upsertProduct(shop, product) {
+  const data = toProductRecord(product);
+
+  const { count } = await db.product.updateMany({
+    where: {
+      shop,
+      productId: product.id,
+      deletedAt: null,
+      shopifyUpdatedAt: { lt: product.updatedAt },
+    },
+    data,
+  });
+  if (count > 0) return "updated";
+
+  const existing = await db.product.findUnique({
+    where: { shop_productId: { shop, productId: product.id } },
+  });
+  if (existing?.deletedAt) return "deleted";
+  if (existing) {
+    // Still present in Shopify, so it must survive the next catalog sync sweep
+    await db.product.update({
+      where: { id: existing.id },
+      data: { lastSeenAt: data.lastSeenAt },
+    });
+    return "stale";
+  }
+
+  try {
+    await db.product.create({ data: { shop, ...data } });
+    return "created";
+  } catch (error) {
+    // A concurrent delivery created the row first; let the next delivery reconcile
+    if (error.code === "P2002") return "stale";
+    throw error;
+  }
+}
+
+/**
+ * Mark a product as deleted and evict its embedding. The row stays behind as
+ * a tombstone so that late `products/update` deliveries are ignored.
+ * @param {string} shop - Shop domain
+ * @param {string} productId - Product GID
+ * @returns {Promise<void>}
+ */
+export async function deleteProduct(shop, productId) {
+  const deletedAt = new Date();
+
+  await db.product.upsert({
+    where: { shop_productId: { shop, productId } },
+    create: {
+      shop,
+      productId,
+      title: "",
+      handle: "",
+      description: "",
+      vendor: "",
+      productType: "",
+      tags: "[]",
+      options: "[]",
+      variants: "[]",
+      price: 0,
+      totalInventory: 0,
+      status: "DELETED",
+      shopifyUpdatedAt: deletedAt,
+      deletedAt,
+    },
+    update: { status: "DELETED", deletedAt },
+  });
+  await deleteProductEmbeddings(shop, [productId]);
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @returns {object} - Prisma filter for products that are active, in stock and not deleted
+ */
+function availableProductsWhere(shop) {
+  return {
+    shop,
+    deletedAt: null,
+    status: "ACTIVE",
+    totalInventory: { gt: 0 },
+  };
+}
+
+/**
+ * Products the generator may recommend: active, in stock and not deleted.
+ * @param {string} shop - Shop domain
+ * @returns {Promise<object[]>} - Normalized products
+ */
+export async function listAvailableProducts(shop) {
+  const records = await db.product.findMany({
+    where: availableProductsWhere(shop),
+    orderBy: { title: "asc" },
+  });
+  return records.map(fromProductRecord);
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @returns {Promise<number>} - Number of products the generator may recommend
+ */
+export async function countAvailableProducts(shop) {
+  return db.product.count({ where: availableProductsWhere(shop) });
+}
+
+/**
+ * Distinct product types across the products the generator may recommend.
+ * @param {string} shop - Shop domain
+ * @returns {Promise<{ productType: string, count: number }[]>} - Product types with their product counts, most common first
+ */
+export async function listProductTypes(shop) {
+  const groups = await db.product.groupBy({
+    by: ["productType"],
+    where: availableProductsWhere(shop),
+    _count: { _all: true },
+  });
+
+  return groups
+    .map((group) => ({
+      productType: group.productType,
+      count: group._count._all,
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Apply a `products/create` or `products/update` webhook to the local store
+ * and keep the product's embedding in step with it.
+ * @param {string} shop - Shop domain
+ * @param {Record<string, any>} payload - REST product payload
+ * @returns {Promise<"created" | "updated" | "stale" | "deleted">} - What happened to the stored copy
+ */
+export async function syncProductFromWebhook(shop, payload) {
+  const product = productFromWebhookPayload(payload);
+  const result = await upsertProduct(shop, product);
+
+  if (result === "created" || result === "updated") {
+    await refreshProductEmbedding(shop, product);
+  }
+
+  return result;
+}
+
+/**
+ * Tombstone products that a full catalog sync did not see, i.e. products that
+ * were deleted in Shopify while no webhook reached us.
+ * @param {string} shop - Shop domain
+ * @param {Date} syncStartedAt - When the sync that saw every live product began
+ * @returns {Promise<number>} - Number of products marked deleted
+ */
+export async function deleteProductsNotSeenSince(shop, syncStartedAt) {
+  const missing = await db.product.findMany({
+    where: {
+      shop,
+      deletedAt: null,
+      OR: [{ lastSeenAt: null }, { lastSeenAt: { lt: syncStartedAt } }],
+    },
+    select: { productId: true },
+  });
+  if (missing.length === 0) return 0;
+
+  const productIds = missing.map((row) => row.productId);
+  await db.product.updateMany({
+    where: { shop, productId: { in: productIds } },
+    data: { status: "DELETED", deletedAt: new Date() },
+  });
+  await deleteProductEmbeddings(shop, productIds);
+
+  return productIds.length;
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {string} productId - Product GID
+ * @returns {Promise<object | null>} - Normalized product, or null if unknown or deleted
+ */
+export async function getProduct(shop, productId) {
+  const record = await db.product.findUnique({
+    where: { shop_productId: { shop, productId } },
+  });
+  if (!record || record.deletedAt) return null;
+  return fromProductRecord(record);
+}
+
+/**
+ * Look up products that are still recommendable, keeping the requested order.
+ * Products deleted, unpublished or sold out since are left out.
+ * @param {string} shop - Shop domain
+ * @param {string[]} productIds - Product GIDs
+ * @returns {Promise<object[]>} - Normalized products
+ */
+export async function findAvailableProducts(shop, productIds) {
+  const records = await db.product.findMany({
+    where: { ...availableProductsWhere(shop), productId: { in: productIds } },
+  });
+  const byId = new Map(records.map((record) => [record.productId, record]));
+
+  return productIds
+    .filter((productId) => byId.has(productId))
+    .map((productId) => fromProductRecord(byId.get(productId)));
+}
+
+/**
+ * Look up products by handle, which stays the same when a product is copied
+ * to another store while its ID changes.
+ * @param {string} shop - Shop domain
+ * @param {string[]} handles - Product handles
+ * @returns {Promise<Map<string, object>>} - Normalized products by handle; deleted products are left out
+ */
+export async function findProductsByHandle(shop, handles) {
+  const records = await db.product.findMany({
+    where: { shop, deletedAt: null, handle: { in: handles } },
+  });
+  return new Map(
+    records.map((record) => [record.handle, fromProductRecord(record)]),
+  );
+}
@@ -0,0 +1,294 @@
+import { getProductColors } from "./colors.server";
+import db from "./db.server";
+import { formatBudget, formatMoney } from "./money";
+import { DEFAULT_PREFERENCES } from "./preferences";
+
+// ========== PROMPT TEMPLATES ==========
+// The stylist prompt is a per-shop template with {{placeholders}}, so merchants
+// can change the stylist's voice without a deploy. Every save is a new
+// version; version 0 is the built-in template below.
+
+export const PROMPT_PLACEHOLDERS = {
+  budget:
+    'Budget tier and whether it covers the whole outfit, e.g. "Under $50 per item"',
+  size: "Shopper's size",
+  style: "Style preference",
+  occasion: "Occasion",
+  weather: "Weather",
+  products:
+    "Candidate products with their IDs, slots, prices, colors and tags (required)",
+  anchor:
+    "The product the outfit is built around, on storefront product pages; empty otherwise",
+  max_items: "Largest outfit the stylist may build",
+  required_slots: 'Slots the outfit must fill, e.g. "top, bottom, footwear"',
+};
+
+const REQUIRED_PLACEHOLDERS = ["products"];
+
+const MAX_TEMPLATE_LENGTH = 20000;
+
+export const DEFAULT_PROMPT_TEMPLATE = `🎨 You are an elite fashion consultant with years of experience in personal styling.
+
+✨ CLIENT PROFILE:
+💰 Budget: {{budget}}
+📏 Size: {{size}}
+👔 Style Preference: {{style}}
+🎯 Occasion: {{occasion}}
+🌤️ Weather: {{weather}}
+
+🛍️ CURATED PRODUCT COLLECTION:
+{{products}}
+{{anchor}}
+🎯 YOUR MISSION:
+Create a stunning, cohesive outfit that makes the client feel confident and stylish!
+
+1️⃣ SELECT 2-{{max_items}} COMPLEMENTARY PIECES:
+   - Choose items that work harmoniously together
+   - Ensure they're perfect for {{style}} vibes at {{occasion}} in {{weather}} weather
+   - Consider versatility and mix-match potential
+   - Fill each required slot exactly once: {{required_slots}}
+   - Never pick two pieces for the same slot; one accessory is optional
+
+2️⃣ CRAFT YOUR STYLING STORY:
+   - Explain the fashion narrative behind your choices
+   - Highlight why these pieces elevate the client's style
+   - Share the emotional impact and confidence boost
+   - Use conversational, inspiring language
+
+3️⃣ DESIGN A COLOR HARMONY:
+   - Suggest 3-4 colors that create a cohesive palette
+   - Think beyond basic - be specific (e.g., "Midnight Navy", "Warm Caramel", "Soft Ivory")
+   - Consider undertones and skin tone flattery
+
+4️⃣ SHARE INSIDER STYLING SECRETS:
+   - Pro tips on how to wear and accessorize
+   - Styling hacks for maximum impact
+   - Occasion-specific advice
+
+💡 Tone: Warm, enthusiastic, and empowering - like chatting with a trusted style-savvy friend!`;
+
+// Appended to every template: matching picks to products and parsing the
+// answer depend on it, so merchants cannot edit it away
+const OUTPUT_INSTRUCTIONS = `⚠️ CRITICAL: Identify products ONLY by the ID shown in [brackets] before each title, and put those IDs in recommended_ids.
+🎨 Give every palette color a name and its hex value (#RRGGBB); pieces whose colors clash with the palette may be swapped out.
+
+📦 RESPONSE FORMAT (JSON ONLY):
+{
+  "recommendation_text": "Your creative, inspiring styling story here...",
+  "color_palette": [
+    { "name": "Sophisticated color 1", "hex": "#1C2841" },
+    { "name": "Elegant color 2", "hex": "#F4EFE1" },
+    { "name": "Refined color 3", "hex": "#B5763C" }
+  ],
+  "recommended_ids": ["ID of product 1", "ID of product 2"]
+}`;
+
+// Stand-in catalog for previews, so a template can be checked without
+// spending an AI call or depending on the shop's products
+const SAMPLE_PRODUCTS = [
+  {
+    shortId: "a1",
+    title: "Linen Button-Down Shirt",
+    options: [{ name: "Color", values: ["White"] }],
+    slot: "top",
+    price: 48,
+    similarityScore: 0.82,
+    tags: ["casual", "summer", "linen"],
+  },
+  {
+    shortId: "b2",
+    title: "Relaxed Chino Shorts",
+    options: [{ name: "Color", values: ["Khaki"] }],
+    slot: "bottom",
+    price: 39,
+    similarityScore: 0.78,
+    tags: ["casual", "summer"],
+  },
+  {
+    shortId: "c3",
+    title: "Canvas Low-Top Sneakers",
+    options: [{ name: "Color", values: ["Navy"] }],
+    slot: "footwear",
+    price: 65,
+    similarityScore: 0.74,
+    tags: ["casual", "daily"],
+  },
+  {
+    shortId: "d4",
+    title: "Lightweight Cotton Overshirt",
+    slot: "outerwear",
+    price: 72,
+    similarityScore: 0.61,
+    tags: ["layering"],
+  },
+  {
+    shortId: "e5",
+    title: "Woven Straw Hat",
+    slot: "accessory",
+    price: 29,
+    similarityScore: 0.57,
+    tags: ["summer", "sun"],
+  },
+];
+
+/**
+ * @param {object[]} products - Candidates with `shortId`, `slot`, `price`, `tags` and optional `similarityScore`, `variant` and `options`
+ * @param {string} currencyCode - Currency the prices are in
+ * @returns {string} - Product list for the {{products}} placeholder
+ */
+export function formatProductList(products, currencyCode) {
+  return products
+    .map((product) => {
+      const scoreText = product.similarityScore
+        ? ` (relevance: ${(product.similarityScore * 100).toFixed(0)}%)`
+        : "";
+      const colors = getProductColors(product);
+      const colorText =
+        colors.length > 0
+          ? `\n   Colors: ${colors.map((color) => color.name).join(", ")}`
+          : "";
+      return `[${product.shortId}] ${product.title}${scoreText}\n   Slot: ${product.slot || "other"}\n   Price: ${formatMoney(product.price, currencyCode)}${colorText}\n   Tags: ${product.tags.join(", ")}`;
+    })
+    .join("\n\n");
+}
+
+/**
+ * @param {object | null | undefined} anchor - Product the outfit is built around
+ * @returns {string} - Text for the {{anchor}} placeholder
+ */
+export function formatAnchor(anchor) {
+  if (!anchor) return "";
+  return `
+🧩 ANCHOR PIECE:
+The client already owns "${anchor.title}"${anchor.productType ? ` (${anchor.productType})` : ""}. Build the outfit around it; it is not in the list above.
+`;
+}
+
+/**
+ * Fill a template's placeholders and append the fixed output instructions.
+ * Unknown placeholders are left as written.
+ * @param {string} template - Prompt template
+ * @param {Record<string, string>} values - Text for each placeholder
+ * @returns {string} - Prompt ready to send to the AI provider
+ */
+export function renderPromptTemplate(template, values) {
+  const filled = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    Object.hasOwn(values, name) ? values[name] : match,
+  );
+  return `${filled}\n\n${OUTPUT_INSTRUCTIONS}`;
+}
+
+/**
+ * @param {string} template - Prompt template
+ * @returns {string[]} - A message per problem; empty when the template is usable
+ */
+export function validatePromptTemplate(template) {
+  const errors = [];
+
+  if (!template.trim()) {
+    errors.push("The template cannot be empty");
+  } else if (template.length > MAX_TEMPLATE_LENGTH) {
+    errors.push(
+      `The template must be at most ${MAX_TEMPLATE_LENGTH} characters`,
+    );
+  }
+
+  const used = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(
+    (match) => match[1],
+  );
+  const unknown = [...new Set(used)].filter(
+    (name) => !Object.hasOwn(PROMPT_PLACEHOLDERS, name),
+  );
+  if (unknown.length > 0) {
+    errors.push(
+      `Unknown placeholders: ${unknown.map((name) => `{{${name}}}`).join(", ")}`,
+    );
+  }
+  for (const name of REQUIRED_PLACEHOLDERS) {
+    if (!used.includes(name)) {
+      errors.push(`The template must include {{${name}}}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Render a template against the sample catalog and default preferences.
+ * @param {string} template - Prompt template
+ * @param {string} currencyCode - Currency to show sample prices in
+ * @returns {string} - Filled prompt
+ */
+export function renderPromptPreview(template, currencyCode) {
+  return renderPromptTemplate(template, {
+    budget: `${formatBudget(DEFAULT_PREFERENCES.budget, currencyCode)} for the whole outfit (all pieces combined)`,
+    size: DEFAULT_PREFERENCES.size,
+    style: DEFAULT_PREFERENCES.style,
+    occasion: DEFAULT_PREFERENCES.occasion,
+    weather: DEFAULT_PREFERENCES.weather,
+    products: formatProductList(SAMPLE_PRODUCTS, currencyCode),
+    anchor: "",
+    max_items: "5",
+    required_slots: "top, bottom, footwear",
+  });
+}
+
+// ========== VERSION HISTORY ==========
+
+/**
+ * @param {string} shop - Shop domain
+ * @returns {Promise<{ version: number, template: string }>} - The newest saved version, or the built-in template as version 0
+ */
+export async function getActivePromptTemplate(shop) {
+  const latest = await db.promptTemplate.findFirst({
+    where: { shop },
+    orderBy: { version: "desc" },
+  });
+  if (!latest) return { version: 0, template: DEFAULT_PROMPT_TEMPLATE };
+  return { version: latest.version, template: latest.template };
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @returns {Promise<object[]>} - Saved versions, newest first
+ */
+export async function listPromptTemplateVersions(shop) {
+  return db.promptTemplate.findMany({
+    where: { shop },
+    orderBy: { version: "desc" },
+  });
+}
+
+/**
+ * Save a template as the shop's next version, which becomes the active one.
+ * @param {string} shop - Shop domain
+ * @param {string} template - Validated prompt template
+ * @param {string | null} [note] - What changed
+ * @returns {Promise<object>} - Created `PromptTemplate` row
+ */
+export async function savePromptTemplate(shop, template, note = null) {
+  const { version } = await getActivePromptTemplate(shop);
+  return db.promptTemplate.create({
+    data: { shop, version: version + 1, template, note },
+  });
+}
+
+/**
+ * Roll back to an earlier version by saving a copy of it as the newest
+ * version, so the history keeps every template that was ever live.
+ * @param {string} shop - Shop domain
+ * @param {number} version - Version to restore; 0 restores the built-in template
+ * @returns {Promise<object | null>} - Created `PromptTemplate` row, or null if the version does not exist
+ */
+export async function restorePromptTemplate(shop, version) {
+  let template = DEFAULT_PROMPT_TEMPLATE;
+  if (version !== 0) {
+    const row = await db.promptTemplate.findUnique({
+      where: { shop_version: { shop, version } },
+    });
+    if (!row) return null;
+    template = row.template;
+  }
+
+  return savePromptTemplate(shop, template, `Restored version ${version}`);
+}
@@ -0,0 +1,65 @@
+// Proxies in front of the app that append the address they were reached from
+// to X-Forwarded-For, counting Shopify's app proxy. Storefront requests pass
+// through Shopify and then, on most hosts, one load balancer.
+const TRUSTED_PROXY_HOPS = process.env.TRUSTED_PROXY_HOPS
+  ? Number.parseInt(process.env.TRUSTED_PROXY_HOPS, 10)
+  : 2;
+
+/**
+ * Fixed-window request counter kept in process memory. The app runs as a
+ * single process on SQLite, so there is no shared store to coordinate with.
+ * Counts are per process: running several instances multiplies the limits by
+ * the number of instances, and a restart resets them.
+ * @param {{ limit: number, windowMs: number }} options - Requests allowed per window
+ * @returns {{ consume: (key: string) => { allowed: boolean, retryAfterSeconds: number } }}
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  return {
+    consume(key) {
+      const now = Date.now();
+
+      // Drop finished windows so one-off visitors do not accumulate forever
+      if (windows.size > 10000) {
+        for (const [k, window] of windows) {
+          if (window.resetAt <= now) windows.delete(k);
+        }
+      }
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count += 1;
+      return {
+        allowed: window.count <= limit,
+        retryAfterSeconds: Math.ceil((window.resetAt - now) / 1000),
+      };
+    },
+  };
+}
+
+/**
+ * Client IP of a request that came through the trusted proxies. Every proxy
+ * appends the address it was reached from to X-Forwarded-For, so only the
+ * entry the outermost trusted proxy appended can be relied on; anything before
+ * it was sent by the client and may be made up.
+ * @param {Request} request - Incoming request
+ * @param {number} [trustedProxyHops] - Proxies in front of the app, defaulting to `TRUSTED_PROXY_HOPS`
+ * @returns {string | null} - Client IP, or null when the request did not come through the trusted proxies
+ */
+export function getClientIp(request, trustedProxyHops = TRUSTED_PROXY_HOPS) {
+  // Without a trusted proxy the header is the client's own, and Remix does not expose the socket address
+  if (!(trustedProxyHops > 0)) return null;
+
+  const hops = (request.headers.get("X-Forwarded-For") || "")
+    .split(",")
+    .map((hop) => hop.trim())
+    .filter(Boolean);
+  return hops.length >= trustedProxyHops
+    ? hops[hops.length - trustedProxyHops]
+    : null;
+}
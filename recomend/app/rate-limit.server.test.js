@@ -0,0 +1,76 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createRateLimiter, getClientIp } from "./rate-limit.server";
+
+const requestFrom = (forwardedFor) =>
+  new Request("https://example.com/apps/recomend/outfit", {
+    headers: forwardedFor ? { "X-Forwarded-For": forwardedFor } : {},
+  });
+
+describe("createRateLimiter", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-01-01T00:00:00Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("allows up to the limit within a window", () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 60 * 1000 });
+
+    expect(limiter.consume("a").allowed).toBe(true);
+    expect(limiter.consume("a").allowed).toBe(true);
+    expect(limiter.consume("a")).toEqual({
+      allowed: false,
+      retryAfterSeconds: 60,
+    });
+  });
+
+  it("counts each key separately", () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60 * 1000 });
+
+    expect(limiter.consume("a").allowed).toBe(true);
+    expect(limiter.consume("b").allowed).toBe(true);
+    expect(limiter.consume("a").allowed).toBe(false);
+  });
+
+  it("starts a new window once the last one ends", () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60 * 1000 });
+
+    limiter.consume("a");
+    vi.advanceTimersByTime(45 * 1000);
+    expect(limiter.consume("a")).toEqual({
+      allowed: false,
+      retryAfterSeconds: 15,
+    });
+
+    vi.advanceTimersByTime(15 * 1000);
+    expect(limiter.consume("a").allowed).toBe(true);
+  });
+});
+
+describe("getClientIp", () => {
+  it("takes the entry appended by the outermost trusted proxy", () => {
+    // Shopify appends the shopper, the load balancer appends Shopify
+    expect(getClientIp(requestFrom("203.0.113.7, 23.227.38.1"), 2)).toBe(
+      "203.0.113.7",
+    );
+    expect(getClientIp(requestFrom("203.0.113.7"), 1)).toBe("203.0.113.7");
+  });
+
+  it("ignores entries the client sent itself", () => {
+    const spoofed = requestFrom("1.2.3.4, 5.6.7.8, 203.0.113.7, 23.227.38.1");
+
+    expect(getClientIp(spoofed, 2)).toBe("203.0.113.7");
+  });
+
+  it("returns null when the request did not pass every trusted proxy", () => {
+    expect(getClientIp(requestFrom("203.0.113.7"), 2)).toBeNull();
+    expect(getClientIp(requestFrom(null), 1)).toBeNull();
+  });
+
+  it("returns null without a trusted proxy", () => {
+    expect(getClientIp(requestFrom("203.0.113.7, 23.227.38.1"), 0)).toBeNull();
+  });
+});
@@ -0,0 +1,257 @@
+import db from "./db.server";
+import { DEFAULT_CURRENCY } from "./money";
+
+// Preference fields the history can be filtered on; each has its own column
+export const HISTORY_FILTER_FIELDS = [
+  "budget",
+  "budgetMode",
+  "size",
+  "style",
+  "occasion",
+  "weather",
+];
+
+// Recommendations per history page
+const HISTORY_PAGE_SIZE = 20;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Loads a recommendation's product snapshots, in outfit order, and its discount
+export const WITH_DETAILS = {
+  products: { orderBy: { position: "asc" } },
+  discount: true,
+};
+
+/**
+ * Record a generated outfit in the shop's recommendation history, with a
+ * snapshot of each recommended product. Failures are logged rather than
+ * thrown: the shopper or merchant still gets their outfit.
+ * @param {string} shop - Shop domain
+ * @param {object} preferences - Preferences the outfit was generated for
+ * @param {import("./outfits.server").OutfitResult} outfit - Generated outfit
+ * @param {{ source?: "admin" | "storefront" | "complete-the-look", customerId?: string | null }} [options]
+ * @returns {Promise<string | null>} - ID of the saved recommendation
+ */
+export async function saveRecommendation(
+  shop,
+  preferences,
+  outfit,
+  { source = "admin", customerId = null } = {},
+) {
+  try {
+    const recommendation = await db.outfitRecommendation.create({
+      data: {
+        shop,
+        source,
+        customerId,
+        userPreferences: JSON.stringify(preferences),
+        ...Object.fromEntries(
+          HISTORY_FILTER_FIELDS.map((field) => [
+            field,
+            preferences[field] || null,
+          ]),
+        ),
+        aiAdvice: outfit.recommendation,
+        productIds: outfit.products.map((p) => p.id).join(","),
+        products: {
+          create: outfit.products.map((product, position) => ({
+            position,
+            productId: product.id,
+            variantId: product.variant?.id || null,
+            title: product.title,
+            variantTitle: product.variant?.title || null,
+            handle: product.handle,
+            image: product.image || null,
+            slot: product.slot || null,
+            price: product.price,
+            currencyCode: outfit.currencyCode || DEFAULT_CURRENCY,
+          })),
+        },
+        rejectedSelectionCount: outfit.rejectedIds?.length || 0,
+        promptVersion: outfit.promptVersion || 0,
+        generationMs: outfit.generationMs ?? null,
+      },
+    });
+    return recommendation.id;
+  } catch (dbError) {
+    console.error("Failed to save outfit recommendation:", dbError);
+    return null;
+  }
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {string} recommendationId - Recommendation ID
+ * @returns {Promise<object | null>} - Recommendation with its product snapshots and discount, or null if the shop has no such recommendation
+ */
+export function getRecommendation(shop, recommendationId) {
+  return db.outfitRecommendation.findFirst({
+    where: { id: recommendationId, shop },
+    include: WITH_DETAILS,
+  });
+}
+
+// ========== HISTORY ==========
+
+/**
+ * @typedef {object} HistoryFilters
+ * @property {Record<string, string>} preferences - Required answer per preference field; empty for any
+ * @property {string} from - First day to include, as YYYY-MM-DD (UTC); empty for no limit
+ * @property {string} to - Last day to include, as YYYY-MM-DD (UTC); empty for no limit
+ * @property {string} query - Words that must all appear in the stylist's advice
+ */
+
+/**
+ * Read history filters from a URL's query string. Malformed dates are ignored.
+ * @param {URLSearchParams} searchParams - Query string of the history page
+ * @returns {HistoryFilters}
+ */
+export function parseHistoryFilters(searchParams) {
+  const date = (name) => {
+    const value = searchParams.get(name) || "";
+    return DATE_PATTERN.test(value) && !isNaN(Date.parse(value)) ? value : "";
+  };
+
+  return {
+    preferences: Object.fromEntries(
+      HISTORY_FILTER_FIELDS.map((field) => [
+        field,
+        searchParams.get(field) || "",
+      ]),
+    ),
+    from: date("from"),
+    to: date("to"),
+    query: (searchParams.get("query") || "").trim(),
+  };
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {HistoryFilters} filters
+ * @returns {object} - Prisma `where` clause
+ */
+export function historyWhere(shop, { preferences, from, to, query }) {
+  const where = { shop };
+
+  for (const field of HISTORY_FILTER_FIELDS) {
+    if (preferences[field]) where[field] = preferences[field];
+  }
+
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = new Date(`${from}T00:00:00.000Z`);
+    if (to) where.createdAt.lte = new Date(`${to}T23:59:59.999Z`);
+  }
+
+  // SQLite's LIKE ignores case for ASCII letters, so this matches any casing
+  const words = query.split(/\s+/).filter(Boolean);
+  if (words.length > 0) {
+    where.AND = words.map((word) => ({ aiAdvice: { contains: word } }));
+  }
+
+  return where;
+}
+
+/**
+ * One page of a shop's recommendation history, newest first. Pages are
+ * addressed by cursor: the ID of the last recommendation on the previous page
+ * (`after`) or the first on the next page (`before`).
+ * @param {string} shop - Shop domain
+ * @param {HistoryFilters} filters
+ * @param {{ after?: string | null, before?: string | null }} [cursor]
+ * @returns {Promise<{ items: object[], hasNext: boolean, hasPrevious: boolean }>} - Recommendations with their product snapshots and discounts
+ */
+export async function listRecommendations(
+  shop,
+  filters,
+  { after = null, before = null } = {},
+) {
+  const where = historyWhere(shop, filters);
+  const orderBy = [{ createdAt: "desc" }, { id: "desc" }];
+
+  // A cursor from another shop, or one that has since been deleted, starts over
+  const cursorId = after || before;
+  const cursorExists =
+    cursorId &&
+    (await db.outfitRecommendation.findFirst({
+      where: { id: cursorId, shop },
+      select: { id: true },
+    }));
+
+  if (!cursorExists) {
+    const rows = await db.outfitRecommendation.findMany({
+      where,
+      orderBy,
+      include: WITH_DETAILS,
+      take: HISTORY_PAGE_SIZE + 1,
+    });
+    return {
+      items: rows.slice(0, HISTORY_PAGE_SIZE),
+      hasNext: rows.length > HISTORY_PAGE_SIZE,
+      hasPrevious: false,
+    };
+  }
+
+  // One extra row tells whether there is another page in that direction
+  const rows = await db.outfitRecommendation.findMany({
+    where,
+    orderBy,
+    include: WITH_DETAILS,
+    cursor: { id: cursorId },
+    skip: 1,
+    take: after ? HISTORY_PAGE_SIZE + 1 : -(HISTORY_PAGE_SIZE + 1),
+  });
+  const hasMore = rows.length > HISTORY_PAGE_SIZE;
+
+  if (after) {
+    return {
+      items: rows.slice(0, HISTORY_PAGE_SIZE),
+      hasNext: hasMore,
+      hasPrevious: true,
+    };
+  }
+  return {
+    items: hasMore ? rows.slice(1) : rows,
+    hasNext: true,
+    hasPrevious: hasMore,
+  };
+}
+
+/**
+ * Every recommendation matching the filters, newest first, loaded in batches
+ * so large histories can be streamed.
+ * @param {string} shop - Shop domain
+ * @param {HistoryFilters} filters
+ * @param {number} [batchSize] - Recommendations loaded per query
+ * @returns {AsyncGenerator<object>} - Recommendations with their product snapshots and discounts
+ */
+export async function* iterateRecommendations(shop, filters, batchSize = 200) {
+  const where = historyWhere(shop, filters);
+  let cursorId = null;
+
+  while (true) {
+    const rows = await db.outfitRecommendation.findMany({
+      where,
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      include: WITH_DETAILS,
+      take: batchSize,
+      ...(cursorId ? { cursor: { id: cursorId }, skip: 1 } : {}),
+    });
+    yield* rows;
+    if (rows.length < batchSize) return;
+    cursorId = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {string[]} ids - Recommendation IDs; IDs from other shops are ignored
+ * @returns {Promise<number>} - Number of recommendations deleted
+ */
+export async function deleteRecommendations(shop, ids) {
+  if (ids.length === 0) return 0;
+  const { count } = await db.outfitRecommendation.deleteMany({
+    where: { shop, id: { in: ids } },
+  });
+  return count;
+}
@@ -0,0 +1,165 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import db from "./db.server";
+import {
+  deleteRecommendations,
+  historyWhere,
+  listRecommendations,
+  parseHistoryFilters,
+} from "./recommendations.server";
+
+vi.mock("./db.server", () => ({
+  default: {
+    outfitRecommendation: {
+      findFirst: vi.fn(),
+      findMany: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+  },
+}));
+
+const SHOP = "example.myshopify.com";
+
+const NO_FILTERS = parseHistoryFilters(new URLSearchParams());
+
+// Recommendation rows with IDs r1, r2, ... in the order given
+const rows = (count, first = 1) =>
+  Array.from({ length: count }, (_, index) => ({ id: `r${first + index}` }));
+
+describe("parseHistoryFilters", () => {
+  it("reads the preference filters, dates and search words", () => {
+    const filters = parseHistoryFilters(
+      new URLSearchParams(
+        "style=Casual&weather=Cold&from=2026-03-01&to=2026-03-31&query=%20linen%20",
+      ),
+    );
+
+    expect(filters).toEqual({
+      preferences: {
+        budget: "",
+        budgetMode: "",
+        size: "",
+        style: "Casual",
+        occasion: "",
+        weather: "Cold",
+      },
+      from: "2026-03-01",
+      to: "2026-03-31",
+      query: "linen",
+    });
+  });
+
+  it("ignores malformed dates", () => {
+    const filters = parseHistoryFilters(
+      new URLSearchParams("from=March&to=2026-13-45"),
+    );
+
+    expect(filters.from).toBe("");
+    expect(filters.to).toBe("");
+  });
+});
+
+describe("historyWhere", () => {
+  it("only limits the shop without filters", () => {
+    expect(historyWhere(SHOP, NO_FILTERS)).toEqual({ shop: SHOP });
+  });
+
+  it("filters by answer, whole UTC days and every search word", () => {
+    const filters = parseHistoryFilters(
+      new URLSearchParams(
+        "size=M&from=2026-03-01&to=2026-03-02&query=linen  shirt",
+      ),
+    );
+
+    expect(historyWhere(SHOP, filters)).toEqual({
+      shop: SHOP,
+      size: "M",
+      createdAt: {
+        gte: new Date("2026-03-01T00:00:00.000Z"),
+        lte: new Date("2026-03-02T23:59:59.999Z"),
+      },
+      AND: [
+        { aiAdvice: { contains: "linen" } },
+        { aiAdvice: { contains: "shirt" } },
+      ],
+    });
+  });
+});
+
+describe("listRecommendations", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.outfitRecommendation.findFirst.mockResolvedValue({ id: "cursor" });
+  });
+
+  it("starts at the newest recommendations", async () => {
+    db.outfitRecommendation.findMany.mockResolvedValue(rows(21));
+
+    const page = await listRecommendations(SHOP, NO_FILTERS);
+
+    expect(page.items).toEqual(rows(20));
+    expect(page).toMatchObject({ hasNext: true, hasPrevious: false });
+    expect(db.outfitRecommendation.findMany.mock.calls[0][0].take).toBe(21);
+  });
+
+  it("pages forward after the cursor", async () => {
+    db.outfitRecommendation.findMany.mockResolvedValue(rows(5, 21));
+
+    const page = await listRecommendations(SHOP, NO_FILTERS, {
+      after: "cursor",
+    });
+
+    expect(page.items).toEqual(rows(5, 21));
+    expect(page).toMatchObject({ hasNext: false, hasPrevious: true });
+    expect(db.outfitRecommendation.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ cursor: { id: "cursor" }, skip: 1, take: 21 }),
+    );
+  });
+
+  it("pages back before the cursor", async () => {
+    db.outfitRecommendation.findMany.mockResolvedValue(rows(21));
+
+    const page = await listRecommendations(SHOP, NO_FILTERS, {
+      before: "cursor",
+    });
+
+    expect(page.items).toEqual(rows(20, 2));
+    expect(page).toMatchObject({ hasNext: true, hasPrevious: true });
+    expect(db.outfitRecommendation.findMany.mock.calls[0][0].take).toBe(-21);
+  });
+
+  it("starts over when the cursor is not one of the shop's recommendations", async () => {
+    db.outfitRecommendation.findFirst.mockResolvedValue(null);
+    db.outfitRecommendation.findMany.mockResolvedValue(rows(3));
+
+    const page = await listRecommendations(SHOP, NO_FILTERS, {
+      after: "elsewhere",
+    });
+
+    expect(db.outfitRecommendation.findFirst).toHaveBeenCalledWith({
+      where: { id: "elsewhere", shop: SHOP },
+      select: { id: true },
+    });
+    expect(db.outfitRecommendation.findMany.mock.calls[0][0].cursor).toBe(
+      undefined,
+    );
+    expect(page).toMatchObject({ hasNext: false, hasPrevious: false });
+  });
+});
+
+describe("deleteRecommendations", () => {
+  it("only deletes the shop's own recommendations", async () => {
+    db.outfitRecommendation.deleteMany.mockResolvedValue({ count: 1 });
+
+    expect(await deleteRecommendations(SHOP, ["r1", "r2"])).toBe(1);
+    expect(db.outfitRecommendation.deleteMany).toHaveBeenCalledWith({
+      where: { shop: SHOP, id: { in: ["r1", "r2"] } },
+    });
+  });
+
+  it("skips the query with nothing selected", async () => {
+    vi.clearAllMocks();
+
+    expect(await deleteRecommendations(SHOP, [])).toBe(0);
+    expect(db.outfitRecommendation.deleteMany).not.toHaveBeenCalled();
+  });
+});
@@ -1,146 +1,33 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { json } from "@remix-run/node";
-import { useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
-import { Badge, Banner, BlockStack, Button, Card, FormLayout, InlineStack, Page, Select, Spinner, Tabs, Text, Thumbnail } from "@shopify/polaris";
+import { useFetcher, useLoaderData, useRevalidator } from "@remix-run/react";
+import { Badge, Banner, BlockStack, Button, Card, FormLayout, InlineStack, Link, Page, ProgressBar, Select, Spinner, Tabs, Text, Thumbnail } from "@shopify/polaris";
 import { useEffect, useState } from "react";
+import { getCatalogSyncStatus, startCatalogSync } from "../catalog-sync.server";
+import { BuyTheLookActions } from "../components/BuyTheLookActions";
+import { OutfitDiscountActions } from "../components/OutfitDiscountActions";
 import db from "../db.server";
+import { getMarketCountries, getShopCurrency } from "../markets.server";
+import { budgetSelectOptions, formatMoney, getBudgetTiers } from "../money";
+import { SLOT_LABELS } from "../outfit-slots";
+import { BUDGET_MODES, DEFAULT_BUDGET_MODE, getDefaultPreferences, toSelectOptions } from "../preferences";
+import { WITH_DETAILS } from "../recommendations.server";
+import { getShopSettings } from "../settings.server";
+import { countAvailableProducts } from "../products.server";
 import { authenticate } from "../shopify.server";
 
-// ========== SEMANTIC SEARCH UTILITIES ==========
-
-/**
- * @param {string} text - The text to convert to embedding
- * @param {GoogleGenerativeAI} genAI - Initialized Gemini AI client
- * @returns {Promise<number[]>} - The embedding vector
- */
-async function generateEmbedding(text, genAI) {
-  try {
-    const model = genAI.getGenerativeModel({ model: "text-embedding-004" });
-    const result = await model.embedContent(text);
-    return result.embedding.values;
-  } catch (error) {
-    console.error("Embedding generation error:", error.message);
-    return null;
-  }
-}
-
-/**
- * Calculate cosine similarity between two vectors
- * @param {number[]} vecA - First vector
- * @param {number[]} vecB - Second vector
- * @returns {number} - Similarity score between -1 and 1 (higher = more similar)
- */
-function calculateCosineSimilarity(vecA, vecB) {
-  if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
-  
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-  
-  for (let i = 0; i < vecA.length; i++) {
-    dotProduct += vecA[i] * vecB[i];
-    normA += vecA[i] * vecA[i];
-    normB += vecB[i] * vecB[i];
-  }
-  
-  if (normA === 0 || normB === 0) return 0;
-  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-}
-
-/**
- * Build a searchable text representation of a product
- * @param {object} product - Product object with title, tags, description, etc.
- * @returns {string} - Combined text for embedding
- */
-function buildProductSearchText(product) {
-  const parts = [];
-  
-  // Add title (most important)
-  if (product.title) parts.push(product.title);
-  
-  // Add description (strip HTML tags)
-  if (product.description) {
-    const cleanDescription = product.description
-      .replace(/<[^>]*>/g, ' ')  // Remove HTML tags
-      .replace(/\s+/g, ' ')       // Normalize whitespace
-      .trim();
-    parts.push(cleanDescription);
-  }
-  
-  // Add tags
-  if (product.tags && product.tags.length > 0) {
-    parts.push(product.tags.join(" "));
-  }
-  
-  // Add product type/category
-  if (product.productType) parts.push(product.productType);
-  
-  // Add vendor/brand
-  if (product.vendor) parts.push(product.vendor);
-  
-  // Add options (like Color, Size, Material)
-  if (product.options && product.options.length > 0) {
-    const optionText = product.options
-      .map(opt => `${opt.name}: ${(opt.values || []).join(', ')}`)
-      .join(' ');
-    parts.push(optionText);
-  }
-  
-  return parts.join(' ').trim();
-}
-
-// ==============================================
-
 export const loader = async ({ request }) => {
   const { admin, session } = await authenticate.admin(request);
 
-  const response = await admin.graphql(
-    `#graphql
-      query getProducts {
-        products(first: 250) {
-          edges {
-            node {
-              id
-              title
-              description
-              descriptionHtml
-              vendor
-              productType
-              tags
-              totalInventory
-              options {
-                name
-                values
-              }
-              priceRangeV2 {
-                minVariantPrice {
-                  amount
-                  currencyCode
-                }
-              }
-            }
-          }
-        }
-      }
-    `
-  );
-
-  const responseJson = await response.json();
-  const products = responseJson.data.products.edges.map(edge => edge.node);
-
-  const simplifiedProducts = products
-    .filter(product => product.totalInventory > 0)
-    .map(product => ({
-      id: product.id,
-      title: product.title,
-      tags: Array.isArray(product.tags)
-        ? product.tags
-        : (product.tags || "").toString().split(',').map(t => t.trim()).filter(Boolean),
-      price: parseFloat(product.priceRangeV2.minVariantPrice.amount),
-      inventory: product.totalInventory
-    }));
+  // Products are served from the local catalog; the first visit kicks off a full sync
+  let catalogSync = await getCatalogSyncStatus(admin, session.shop);
+  if (!catalogSync) {
+    catalogSync = await startCatalogSync(admin, session.shop);
+  }
+  const productCount = await countAvailableProducts(session.shop);
+  const currencyCode = await getShopCurrency(session.shop, admin);
+  const markets = await getMarketCountries(session.shop, admin);
 
-  // Fetch recommendation history
+  // Fetch recommendation history; discount statuses are brought up to date on the history page
   const history = await db.outfitRecommendation.findMany({
     where: {
       shop: session.shop
@@ -148,381 +35,143 @@ export const loader = async ({ request }) => {
     orderBy: {
       createdAt: 'desc'
     },
+    include: WITH_DETAILS,
     take: 5
   });
 
-  return json({ products: simplifiedProducts, history });
-};
-
-export const action = async ({ request }) => {
-  const { admin, session } = await authenticate.admin(request);
-  
-  const formData = await request.formData();
-  const budget = formData.get("budget");
-  const style = formData.get("style");
-  const occasion = formData.get("occasion");
-  const weather = formData.get("weather");
-
-  const response = await admin.graphql(
-    `#graphql
-      query getProducts {
-        products(first: 250) {
-          edges {
-            node {
-              id
-              title
-              description
-              descriptionHtml
-              vendor
-              productType
-              tags
-              totalInventory
-              options {
-                name
-                values
-              }
-              priceRangeV2 {
-                minVariantPrice {
-                  amount
-                  currencyCode
-                }
-              }
-              featuredImage {
-                url
-              }
-            }
-          }
-        }
-      }
-    `
-  );
-
-  const responseJson = await response.json();
-  const rawProducts = responseJson.data.products.edges.map(edge => edge.node);
-
-  const products = rawProducts.map(product => ({
-    id: product.id,
-    title: product.title,
-    description: product.description || product.descriptionHtml || "",
-    vendor: product.vendor || "",
-    productType: product.productType || "",
-    options: product.options || [],
-    price: parseFloat(product.priceRangeV2.minVariantPrice.amount),
-    image: product.featuredImage?.url || null,
-    tags: Array.isArray(product.tags)
-      ? product.tags
-      : (product.tags || "").toString().split(',').map(t => t.trim()).filter(Boolean),
-    inventory: product.totalInventory
-  }));
-
-  // Determine budget range
-  let maxPrice;
-  if (budget === "Under 50") {
-    maxPrice = 50;
-  } else if (budget === "50-100") {
-    maxPrice = 100;
-  } else {
-    maxPrice = Infinity;
-  }
-
-  // Allow some leeway above the selected budget so AI can choose slightly higher-quality options
-  const allowedMaxPrice = maxPrice === Infinity ? Infinity : Math.ceil(maxPrice * 1.25);
-
-  // Filter products based on budget and availability only
-  const budgetFilteredProducts = products.filter(product => {
-    if (product.inventory <= 0) return false;
-    if (product.price > allowedMaxPrice) return false;
-    return true;
-  });
-
-  const preferences = {
-    budget,
-    style,
-    occasion,
-    weather
-  };
-
-  // If no products match budget, return early
-  if (budgetFilteredProducts.length === 0) {
-    return json({
-      preferences,
-      recommendation: null,
-      colorPalette: [],
-      products: [],
-      error: "No products found within your budget. Try increasing your budget."
-    });
-  }
-
-  // Initialize Gemini AI client
-  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-  // ========== SEMANTIC SEARCH: Rank products by similarity to user preferences ==========
-  // Build user preference query for semantic matching
-  const userPreferenceQuery = `${style} ${occasion} outfit for ${weather} weather`;
-  
-  // Generate embedding for user preferences
-  const userEmbedding = await generateEmbedding(userPreferenceQuery, genAI);
-  
-  let filteredProducts = budgetFilteredProducts;
-  
-  if (userEmbedding) {
-    // Generate embeddings for all products and calculate similarity scores
-    const productsWithScores = await Promise.all(
-      budgetFilteredProducts.map(async (product) => {
-        const productText = buildProductSearchText(product);
-        const productEmbedding = await generateEmbedding(productText, genAI);
-        const similarity = calculateCosineSimilarity(userEmbedding, productEmbedding);
-        return { ...product, similarityScore: similarity };
-      })
-    );
-    
-    // Sort products by similarity score (highest first)
-    productsWithScores.sort((a, b) => b.similarityScore - a.similarityScore);
-    
-    // Log top matches for debugging
-    console.log("Top semantic matches:", productsWithScores.slice(0, 5).map(p => ({
-      title: p.title,
-      score: p.similarityScore.toFixed(4)
-    })));
-    
-    // Use semantically sorted products
-    filteredProducts = productsWithScores;
-  }
-
-  // Build AI stylist prompt using top semantically-matched products
-  const topProducts = filteredProducts.slice(0, 20); // Limit to top 20 for AI context
-  const productsListText = topProducts.map((product, index) => {
-    const scoreText = product.similarityScore ? ` (relevance: ${(product.similarityScore * 100).toFixed(0)}%)` : '';
-    return `${index + 1}. ${product.title}${scoreText}\n   Price: $${product.price.toFixed(2)}\n   Tags: ${product.tags.join(", ")}`;
-  }).join("\n\n");
-
-  const aiPrompt = `🎨 You are an elite fashion consultant with years of experience in personal styling.
-
-✨ CLIENT PROFILE:
-💰 Budget: ${budget}
-📏 Size: ${formData.get("size")}
-👔 Style Preference: ${style}
-🎯 Occasion: ${occasion}
-🌤️ Weather: ${weather}
-
-🛍️ CURATED PRODUCT COLLECTION:
-${productsListText}
-
-🎯 YOUR MISSION:
-Create a stunning, cohesive outfit that makes the client feel confident and stylish!
-
-1️⃣ SELECT 2-5 COMPLEMENTARY PIECES:
-   - Choose items that work harmoniously together
-   - Ensure they're perfect for ${style} vibes at ${occasion} in ${weather} weather
-   - Consider versatility and mix-match potential
-
-2️⃣ CRAFT YOUR STYLING STORY:
-   - Explain the fashion narrative behind your choices
-   - Highlight why these pieces elevate the client's style
-   - Share the emotional impact and confidence boost
-   - Use conversational, inspiring language
-
-3️⃣ DESIGN A COLOR HARMONY:
-   - Suggest 3-4 colors that create a cohesive palette
-   - Think beyond basic - be specific (e.g., "Midnight Navy", "Warm Caramel", "Soft Ivory")
-   - Consider undertones and skin tone flattery
-
-4️⃣ SHARE INSIDER STYLING SECRETS:
-   - Pro tips on how to wear and accessorize
-   - Styling hacks for maximum impact
-   - Occasion-specific advice
-
-⚠️ CRITICAL: Use EXACT product titles from the list above in recommended_titles.
-
-📦 RESPONSE FORMAT (JSON ONLY):
-{
-  "recommendation_text": "Your creative, inspiring styling story here...",
-  "color_palette": ["Sophisticated color 1", "Elegant color 2", "Refined color 3"],
-  "recommended_titles": ["Exact Product Title 1", "Exact Product Title 2"]
-}
-
-💡 Tone: Warm, enthusiastic, and empowering - like chatting with a trusted style-savvy friend!`;
-
-// console.log("AI Prompt:", aiPrompt); // removed debug log
-  
-  const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash",
-  });
-
-  const result = await model.generateContent(`
-You must respond ONLY in valid JSON.
+  const { preferenceOptions, budgetTiers } = await getShopSettings(session.shop);
 
-Return the response in this exact format:
-{
-  "recommendation_text": "string",
-  "color_palette": ["string", "string", "string"],
-  "recommended_titles": ["product title", "product title"]
-}
-
-${aiPrompt}
-`);
-
-  const aiText = result.response.text();
+  return json({ catalogSync, productCount, currencyCode, markets, preferenceOptions, budgetTiers, history });
+};
 
-  let aiResult;
+/**
+ * @param {Response} response - Response refused before the stream started
+ * @returns {Promise<object>} - An outfit holding the server's error message, or one for the status
+ */
+async function refusedOutfit(response) {
+  const retryable = response.status === 429 || response.status >= 500;
   try {
-    // Clean JSON response - remove markdown code blocks if present
-    let cleanedText = aiText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    aiResult = JSON.parse(cleanedText);
-  } catch (error) {
-    // Try to extract JSON from the response
-    const jsonMatch = aiText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      try {
-        aiResult = JSON.parse(jsonMatch[0]);
-      } catch {
-        aiResult = {
-          recommendation_text: aiText,
-          color_palette: [],
-          recommended_titles: [],
-        };
-      }
-    } else {
-      aiResult = {
-        recommendation_text: aiText,
-        color_palette: [],
-        recommended_titles: [],
-      };
-    }
-  }
-
-  // Match AI-chosen titles to actual products (case-insensitive, partial match)
-  // Match AI-chosen titles to actual products using exact (case-insensitive) title matching
-  const requestedTitles = (aiResult.recommended_titles || [])
-    .map(t => (t || "").trim())
-    .filter(Boolean)
-    .map(t => t.toLowerCase());
-
-  // Use a map to collect unique matches by product id
-  const matchesById = new Map();
-  for (const titleLower of requestedTitles) {
-    const match = filteredProducts.find(p => p.title.toLowerCase() === titleLower);
-    if (match && !matchesById.has(match.id)) {
-      matchesById.set(match.id, match);
-    }
-  }
-
-  // If the AI returned titles but we didn't find exact matches, try a relaxed fallback (partial match)
-  if (matchesById.size === 0 && requestedTitles.length > 0) {
-    for (const titleLower of requestedTitles) {
-      for (const p of filteredProducts) {
-        const pt = p.title.toLowerCase();
-        if (pt.includes(titleLower) || titleLower.includes(pt)) {
-          if (!matchesById.has(p.id)) matchesById.set(p.id, p);
-        }
-      }
-    }
-  }
-
-  // Build an ordered array of unique recommended products
-  let recommendedProducts = Array.from(matchesById.values());
-
-  // If AI couldn't match any titles, fall back to top semantically-matched products
-  if (recommendedProducts.length === 0) {
-    // Use semantic similarity scores if available, otherwise fall back to tag matching
-    if (filteredProducts[0]?.similarityScore !== undefined) {
-      // Already sorted by similarity, take top 3
-      recommendedProducts = filteredProducts.slice(0, 3);
-    } else {
-      // Fallback: Prefer products that match at least one preference tag (style/occasion/weather)
-      const prefKeywords = [style, occasion, weather].map(k => (k || "").toLowerCase());
-      const scored = filteredProducts.map(p => {
-        const tags = (p.tags || []).map(t => t.toLowerCase());
-        const score = prefKeywords.reduce((s, kw) => s + (tags.some(t => t.includes(kw)) ? 1 : 0), 0);
-        return { p, score };
-      });
-      scored.sort((a, b) => b.score - a.score || a.p.price - b.p.price);
-      recommendedProducts = scored.slice(0, 3).map(s => s.p);
-    }
+    const body = await response.json();
+    if (body?.error) return { error: body.error, quotaExceeded: Boolean(body.quotaExceeded), retryable: retryable && !body.quotaExceeded };
+  } catch {
+    // Not JSON, e.g. an error page from a proxy
   }
+  if (response.status === 401 || response.status === 403) return { error: "Your session has expired. Reload the page and try again." };
+  if (response.status === 429) return { error: "Too many outfits are being generated right now. Wait a moment and try again.", retryable };
+  return { error: `The outfit could not be generated (error ${response.status}). Please try again.`, retryable };
+}
 
-  // Ensure uniqueness and limit to max 3 products
-  const uniqueById = [];
-  const seen = new Set();
-  for (const p of recommendedProducts) {
-    if (seen.has(p.id)) continue;
-    uniqueById.push(p);
-    seen.add(p.id);
-    if (uniqueById.length >= 5) break;
+/**
+ * Generate an outfit through the streaming route, passing each event to
+ * `onEvent` as it arrives. App Bridge adds the session token to fetch
+ * requests, so the stream is read here rather than through a form submission.
+ * A request the server refuses is passed on as an outfit with its error.
+ * @param {FormData} body - Generator preferences
+ * @param {(event: object) => void} onEvent - Receives each streamed event
+ * @returns {Promise<void>} - Resolves once the stream ends; rejects if the connection breaks
+ */
+async function streamOutfit(body, onEvent) {
+  const response = await fetch("/app/outfit-stream", { method: "POST", body });
+  if (!response.ok) {
+    onEvent({ type: "outfit", outfit: await refusedOutfit(response) });
+    return;
   }
-
-  const finalProducts = uniqueById;
-
-  // Save to database
-  try {
-    await db.outfitRecommendation.create({
-      data: {
-        shop: session.shop,
-        userPreferences: JSON.stringify({
-          budget,
-          size: formData.get("size"),
-          style,
-          occasion,
-          weather
-        }),
-        aiAdvice: aiResult.recommendation_text,
-        productIds: finalProducts.map(p => p.id).join(",")
-      }
-    });
-  } catch (dbError) {
-    console.error("Failed to save outfit recommendation:", dbError);
-    // Continue despite database error - user still gets their recommendation
+  if (!response.body) throw new Error("The response has no body to stream");
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    // Events are one JSON object per line; the last line may still be arriving
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.filter(Boolean).forEach((line) => onEvent(JSON.parse(line)));
   }
-
-  return json({
-    preferences,
-    recommendation: aiResult.recommendation_text,
-    colorPalette: aiResult.color_palette || [],
-    products: finalProducts,
-    error: null
-  });
-};
+}
 
 export default function Index() {
-  const { products, history } = useLoaderData();
-  const actionData = useActionData();
-  const submit = useSubmit();
-  const navigation = useNavigation();
+  const { catalogSync, productCount, currencyCode, markets, preferenceOptions, budgetTiers, history } = useLoaderData();
+  const defaults = getDefaultPreferences(preferenceOptions);
+  const revalidator = useRevalidator();
   const [mounted, setMounted] = useState(false);
   const [selectedTab, setSelectedTab] = useState(0);
   
-  const isLoading = navigation.state === "submitting";
+  // The outfit as it streams in: text first, then the palette, then products
+  const [outfit, setOutfit] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
   
-  const [budget, setBudget] = useState("50-100");
-  const [size, setSize] = useState("M");
-  const [style, setStyle] = useState("Casual");
-  const [occasion, setOccasion] = useState("Daily");
-  const [weather, setWeather] = useState("Hot");
+  const [budget, setBudget] = useState(defaults.budget);
+  const [budgetMode, setBudgetMode] = useState(DEFAULT_BUDGET_MODE);
+  const [country, setCountry] = useState("");
+  const [size, setSize] = useState(defaults.size);
+  const [style, setStyle] = useState(defaults.style);
+  const [occasion, setOccasion] = useState(defaults.occasion);
+  const [weather, setWeather] = useState(defaults.weather);
   
   useEffect(() => {
     setMounted(true);
   }, []);
 
-  useEffect(() => {
-    if (mounted) {
-      console.log("Products:", products);
-    }
-  }, [mounted, products]);
-
-  const handleSubmit = () => {
+  const handleSubmit = async () => {
     const formData = new FormData();
     formData.append("budget", budget);
+    formData.append("budgetMode", budgetMode);
+    formData.append("country", country);
     formData.append("size", size);
     formData.append("style", style);
     formData.append("occasion", occasion);
     formData.append("weather", weather);
     
-    submit(formData, { method: "POST" });
+    setOutfit(null);
+    setProgress("Ranking products against your preferences...");
+    setIsLoading(true);
+    try {
+      await streamOutfit(formData, handleEvent);
+      // Shows the new outfit in the history tab
+      revalidator.revalidate();
+    } catch (error) {
+      setOutfit({ error: "The connection was lost while generating the outfit.", retryable: true });
+    } finally {
+      setIsLoading(false);
+      setProgress(null);
+    }
+  };
+
+  const handleEvent = (event) => {
+    switch (event.type) {
+      case "ranked":
+        setProgress(`Ranked ${event.count} products by how well they match...`);
+        break;
+      case "candidates":
+        setProgress(`The AI stylist is choosing from the ${event.count} best matches...`);
+        break;
+      case "text":
+        setOutfit((current) => ({ ...current, recommendation: (current?.recommendation || "") + event.delta }));
+        break;
+      case "palette":
+        setOutfit((current) => ({ ...current, colorPalette: event.colorPalette }));
+        break;
+      case "retry":
+        setOutfit(null);
+        setProgress("The AI stylist is revising its answer...");
+        break;
+      case "outfit":
+        setOutfit(event.outfit);
+        break;
+      case "saved":
+        setOutfit((current) => ({ ...current, recommendationId: event.recommendationId }));
+        break;
+    }
   };
 
   const handleRestore = (userPreferences) => {
     const preferences = JSON.parse(userPreferences);
     setBudget(preferences.budget);
+    // Recommendations saved before budget modes existed used per-item budgets
+    setBudgetMode(preferences.budgetMode || "per-item");
     setSize(preferences.size);
     setStyle(preferences.style);
     setOccasion(preferences.occasion);
@@ -534,6 +183,9 @@ export default function Index() {
     return null;
   }
 
+  // Budget tiers are shown in the currency the outfit will be priced in
+  const selectedCurrency = markets.find((market) => market.countryCode === country)?.currencyCode || currencyCode;
+
   const tabs = [
     {
       id: 'generator',
@@ -552,58 +204,58 @@ export default function Index() {
       <Tabs tabs={tabs} selected={selectedTab} onSelect={setSelectedTab}>
         {selectedTab === 0 && (
           <BlockStack gap="500">
+            <CatalogSyncCard initialSync={catalogSync} initialProductCount={productCount} />
+
             <Card>
               <FormLayout>
+                {markets.length > 0 && (
+                  <Select
+                    label="Prices"
+                    helpText="Generate with a Shopify Market's prices and currency"
+                    options={[
+                      { label: `Shop prices (${currencyCode})`, value: '' },
+                      ...markets.map((market) => ({
+                        label: `${market.name} - ${market.market} (${market.currencyCode})`,
+                        value: market.countryCode,
+                      })),
+                    ]}
+                    value={country}
+                    onChange={setCountry}
+                  />
+                )}
                 <Select
                   label="Budget"
-                  options={[
-                    { label: "Under 50", value: "Under 50" },
-                    { label: "50-100", value: "50-100" },
-                    { label: "100+", value: "100+" },
-                  ]}
+                  options={budgetSelectOptions(selectedCurrency, getBudgetTiers(budgetTiers, currencyCode, selectedCurrency))}
                   value={budget}
                   onChange={setBudget}
                 />
+                <Select
+                  label="Budget applies to"
+                  options={BUDGET_MODES}
+                  value={budgetMode}
+                  onChange={setBudgetMode}
+                />
                 <Select
                   label="Size"
-                  options={[
-                    { label: "S", value: "S" },
-                    { label: "M", value: "M" },
-                    { label: "L", value: "L" },
-                    { label: "XL", value: "XL" },
-                  ]}
+                  options={toSelectOptions(preferenceOptions.size)}
                   value={size}
                   onChange={setSize}
                 />
                 <Select
                   label="Style"
-                  options={[
-                    { label: "Casual", value: "Casual" },
-                    { label: "Formal", value: "Formal" },
-                    { label: "Athleisure", value: "Athleisure" },
-                  ]}
+                  options={toSelectOptions(preferenceOptions.style)}
                   value={style}
                   onChange={setStyle}
                 />
                 <Select
                   label="Occasion"
-                  options={[
-                    { label: "Work", value: "Work" },
-                    { label: "Party", value: "Party" },
-                    { label: "Travel", value: "Travel" },
-                    { label: "Daily", value: "Daily" },
-                  ]}
+                  options={toSelectOptions(preferenceOptions.occasion)}
                   value={occasion}
                   onChange={setOccasion}
                 />
                 <Select
                   label="Weather"
-                  options={[
-                    { label: "Hot", value: "Hot" },
-                    { label: "Cold", value: "Cold" },
-                    { label: "Rainy", value: "Rainy" },
-                    { label: "Mild", value: "Mild" },
-                  ]}
+                  options={toSelectOptions(preferenceOptions.weather)}
                   value={weather}
                   onChange={setWeather}
                 />
@@ -613,30 +265,43 @@ export default function Index() {
               </FormLayout>
             </Card>
 
-            {isLoading && (
+            {isLoading && !outfit?.recommendation && (
               <Card>
                 <BlockStack gap="400" align="center">
                   <Spinner size="large" />
                   <Text as="p" variant="bodyMd">
-                    AI is analyzing your preferences and creating outfit recommendations...
+                    {progress}
                   </Text>
                 </BlockStack>
               </Card>
             )}
 
-            {actionData?.error && (
-              <Banner tone="warning">
-                <p>{actionData.error}</p>
+            {outfit?.error && !isLoading && (
+              <Banner
+                tone={outfit.retryable ? "critical" : "warning"}
+                title={outfit.retryable ? "Outfit generation failed" : undefined}
+                action={
+                  outfit.retryable
+                    ? { content: "Try again", onAction: handleSubmit }
+                    : outfit.quotaExceeded
+                      ? { content: "View plans", url: "/app/billing" }
+                      : undefined
+                }
+              >
+                <p>{outfit.error}</p>
               </Banner>
             )}
 
-            {actionData?.recommendation && !isLoading && (
+            {outfit?.recommendation && (
               <Card>
                 <BlockStack gap="500">
                   <BlockStack gap="300">
-                    <Text as="h2" variant="headingLg" fontWeight="bold">
-                      ✨ Your Personalized Style Guide
-                    </Text>
+                    <InlineStack gap="300" blockAlign="center">
+                      <Text as="h2" variant="headingLg" fontWeight="bold">
+                        ✨ Your Personalized Style Guide
+                      </Text>
+                      {isLoading && !outfit.products && <Spinner size="small" accessibilityLabel="Writing" />}
+                    </InlineStack>
                     <div style={{ 
                       padding: '16px', 
                       background: 'linear-gradient(135deg, #f5f7fa 0%, #cfcfcf 100%)',
@@ -644,12 +309,12 @@ export default function Index() {
                       borderLeft: '2px solid #5C6AC4'
                     }}>
                       <Text as="p" variant="bodyLg">
-                        {actionData.recommendation}
+                        {outfit.recommendation}
                       </Text>
                     </div>
                   </BlockStack>
                   
-                  {actionData.colorPalette && actionData.colorPalette.length > 0 && (
+                  {outfit.colorPalette && outfit.colorPalette.length > 0 && (
                     <BlockStack gap="300">
                       <Text as="h3" variant="headingMd" fontWeight="semibold">
                         🎨 Your Color Palette
@@ -660,7 +325,7 @@ export default function Index() {
                         borderRadius: '8px'
                       }}>
                         <InlineStack gap="300" wrap={true}>
-                          {actionData.colorPalette.map((color, index) => (
+                          {outfit.colorPalette.map((color, index) => (
                             <div key={index} style={{
                               display: 'flex',
                               alignItems: 'center',
@@ -674,11 +339,11 @@ export default function Index() {
                                 width: '20px',
                                 height: '20px',
                                 borderRadius: '50%',
-                                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                                background: color.hex || 'repeating-linear-gradient(45deg, #E4E5E7 0 4px, white 4px 8px)',
                                 border: '2px solid #E4E5E7'
-                              }} />
+                              }} title={color.hex || 'Unknown color'} />
                               <Text as="span" variant="bodySm" fontWeight="medium">
-                                {color}
+                                {color.name}
                               </Text>
                             </div>
                           ))}
@@ -690,7 +355,7 @@ export default function Index() {
               </Card>
             )}
             
-            {actionData?.products && actionData.products.length > 0 && !isLoading && (
+            {outfit?.products && outfit.products.length > 0 && (
               <Card>
                 <BlockStack gap="500">
                   <BlockStack gap="200">
@@ -698,10 +363,35 @@ export default function Index() {
                       🛍️ Your Curated Selection
                     </Text>
                     <Text as="p" variant="bodySm" tone="subdued">
-                      {actionData.products.length} perfectly matched {actionData.products.length === 1 ? 'item' : 'items'} for your style
+                      {outfit.products.length} perfectly matched {outfit.products.length === 1 ? 'item' : 'items'} for your style
                     </Text>
+                    {outfit.total != null && (
+                      <Text as="p" variant="bodyMd" fontWeight="semibold">
+                        Outfit total: {formatMoney(outfit.total, outfit.currencyCode)} · Budget: {outfit.budgetLabel} {outfit.preferences.budgetMode === 'per-item' ? 'per item' : 'for the whole outfit'}
+                      </Text>
+                    )}
+                    {outfit.recommendationId && (
+                      <InlineStack key={outfit.recommendationId} gap="300" blockAlign="center">
+                        <BuyTheLookActions recommendation={{ id: outfit.recommendationId }} />
+                        <OutfitDiscountActions recommendation={{ id: outfit.recommendationId }} />
+                      </InlineStack>
+                    )}
                   </BlockStack>
-                  {actionData.products.map((product, index) => (
+                  {outfit.missingSlots?.length > 0 && (
+                    <Banner tone="warning">
+                      <p>
+                        No {outfit.missingSlots.map((slot) => SLOT_LABELS[slot].toLowerCase()).join(' or ')} matched this size and budget, so the outfit is incomplete.
+                      </p>
+                    </Banner>
+                  )}
+                  {outfit.colorSwaps > 0 && (
+                    <Banner tone="info">
+                      <p>
+                        {outfit.colorSwaps === 1 ? '1 piece was' : `${outfit.colorSwaps} pieces were`} swapped for one that suits the color palette.
+                      </p>
+                    </Banner>
+                  )}
+                  {outfit.products.map((product, index) => (
                     <Card key={product.id}>
                       <div style={{
                         padding: '4px',
@@ -740,9 +430,46 @@ export default function Index() {
                               </div>
                             </div>
                             <BlockStack gap="300">
-                              <Text as="h3" variant="headingMd" fontWeight="semibold">
-                                {product.title}
-                              </Text>
+                              <InlineStack gap="200" blockAlign="center">
+                                <Text as="h3" variant="headingMd" fontWeight="semibold">
+                                  {product.title}
+                                </Text>
+                                {product.slot && <Badge>{SLOT_LABELS[product.slot]}</Badge>}
+                                {product.colorMatch === 'clash' && <Badge tone="warning">Clashes with palette</Badge>}
+                              </InlineStack>
+                              {product.colors?.length > 0 && (
+                                <InlineStack gap="200" blockAlign="center">
+                                  {product.colors.map((color) => (
+                                    <InlineStack key={color.name} gap="100" blockAlign="center">
+                                      <div style={{
+                                        width: '14px',
+                                        height: '14px',
+                                        borderRadius: '50%',
+                                        background: color.hex || 'repeating-linear-gradient(45deg, #E4E5E7 0 3px, white 3px 6px)',
+                                        border: '1px solid #E4E5E7'
+                                      }} />
+                                      <Text as="span" variant="bodySm" tone="subdued">
+                                        {color.name}
+                                      </Text>
+                                    </InlineStack>
+                                  ))}
+                                </InlineStack>
+                              )}
+                              {product.variant && (
+                                <InlineStack gap="200" blockAlign="center">
+                                  {product.variant.title !== "Default Title" && (
+                                    <Text as="span" variant="bodySm" tone="subdued">
+                                      {product.variant.title}
+                                    </Text>
+                                  )}
+                                  <Link
+                                    url={`shopify://admin/products/${product.id.split('/').pop()}/variants/${product.variant.id.split('/').pop()}`}
+                                    target="_blank"
+                                  >
+                                    View variant
+                                  </Link>
+                                </InlineStack>
+                              )}
                               <div style={{
                                 display: 'inline-block',
                                 padding: '6px 12px',
@@ -752,7 +479,7 @@ export default function Index() {
                                 fontWeight: 'bold',
                                 fontSize: '16px'
                               }}>
-                                ${product.price.toFixed(2)}
+                                {formatMoney(product.price, outfit.currencyCode)}
                               </div>
                               {product.tags && product.tags.length > 0 && (
                                 <InlineStack gap="100" wrap={true}>
@@ -771,7 +498,7 @@ export default function Index() {
               </Card>
             )}
             
-            {actionData?.products && actionData.products.length === 0 && !actionData?.error && !isLoading && (
+            {outfit?.products && outfit.products.length === 0 && !outfit?.error && (
               <Card>
                 <Text as="p" variant="bodyMd">
                   No products found matching your preferences. Try adjusting your filters.
@@ -783,9 +510,19 @@ export default function Index() {
 
         {selectedTab === 1 && (
           <BlockStack gap="500">
+            {history && history.length > 0 && (
+              <InlineStack align="space-between" blockAlign="center">
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Your latest recommendations
+                </Text>
+                <Button url="/app/history">Search all history</Button>
+              </InlineStack>
+            )}
             {history && history.length > 0 ? (
               history.map((item) => {
                 const preferences = JSON.parse(item.userPreferences);
+                // Complete the Look outfits are built around a product, without preferences
+                const hasPreferences = Object.keys(preferences).length > 0;
                 const formattedDate = new Date(item.createdAt).toLocaleString();
                 
                 return (
@@ -796,12 +533,19 @@ export default function Index() {
                           📅 {formattedDate}
                         </Text>
                         <InlineStack gap="200">
-                          <Badge>{preferences.style}</Badge>
-                          <Badge>{preferences.occasion}</Badge>
-                          <Badge>{preferences.weather}</Badge>
-                          <Button size="slim" onClick={() => handleRestore(item.userPreferences)}>
-                            Restore
-                          </Button>
+                          {item.attributedOrderCount > 0 && (
+                            <Badge tone="success">
+                              {`${formatMoney(item.attributedRevenue, currencyCode)} from ${item.attributedOrderCount} ${item.attributedOrderCount === 1 ? 'order' : 'orders'}`}
+                            </Badge>
+                          )}
+                          {[preferences.style, preferences.occasion, preferences.weather].filter(Boolean).map((value) => (
+                            <Badge key={value}>{value}</Badge>
+                          ))}
+                          {hasPreferences && (
+                            <Button size="slim" onClick={() => handleRestore(item.userPreferences)}>
+                              Restore
+                            </Button>
+                          )}
                         </InlineStack>
                       </InlineStack>
                       
@@ -810,7 +554,9 @@ export default function Index() {
                           Preferences:
                         </Text>
                         <Text as="p" variant="bodySm" tone="subdued">
-                          Budget: {preferences.budget} | Size: {preferences.size} | Style: {preferences.style} | Occasion: {preferences.occasion} | Weather: {preferences.weather}
+                          {hasPreferences
+                            ? `Budget: ${preferences.budget} | Size: ${preferences.size} | Style: ${preferences.style} | Occasion: ${preferences.occasion} | Weather: ${preferences.weather}`
+                            : 'Complete the Look on a product page'} | Prompt: {item.promptVersion ? `v${item.promptVersion}` : "built-in"}
                         </Text>
                       </BlockStack>
                       
@@ -823,7 +569,33 @@ export default function Index() {
                         </Text>
                       </BlockStack>
                       
-                      {item.productIds && (
+                      {item.products.length > 0 ? (
+                        <BlockStack gap="200">
+                          <Text as="p" variant="bodyMd" fontWeight="semibold">
+                            Recommended Products ({item.products.length}):
+                          </Text>
+                          <InlineStack gap="400" wrap={true}>
+                            {item.products.map((product) => (
+                              <InlineStack key={product.id} gap="200" blockAlign="center" wrap={false}>
+                                <Thumbnail
+                                  source={product.image || "https://cdn.shopify.com/s/files/1/0533/2089/files/placeholder-images-image_large.png"}
+                                  alt={product.title}
+                                  size="small"
+                                />
+                                <BlockStack gap="050">
+                                  <Text as="span" variant="bodySm" fontWeight="medium">
+                                    {product.title}
+                                  </Text>
+                                  <Text as="span" variant="bodySm" tone="subdued">
+                                    {formatMoney(product.price, product.currencyCode)}{product.slot ? ` · ${SLOT_LABELS[product.slot]}` : ''}
+                                  </Text>
+                                </BlockStack>
+                              </InlineStack>
+                            ))}
+                          </InlineStack>
+                        </BlockStack>
+                      ) : item.productIds && (
+                        // Products recommended before snapshots were kept, and no longer in the catalog
                         <BlockStack gap="200">
                           <Text as="p" variant="bodyMd" fontWeight="semibold">
                             Recommended Products ({item.productIds.split(',').length}):
@@ -833,6 +605,11 @@ export default function Index() {
                           </Text>
                         </BlockStack>
                       )}
+
+                      <InlineStack gap="300" blockAlign="center">
+                        <BuyTheLookActions recommendation={item} />
+                        <OutfitDiscountActions recommendation={item} />
+                      </InlineStack>
                     </BlockStack>
                   </Card>
                 );
@@ -852,3 +629,64 @@ export default function Index() {
     </Page>
   );
 }
+
+function CatalogSyncCard({ initialSync, initialProductCount }) {
+  const fetcher = useFetcher();
+  const { load } = fetcher;
+  const { catalogSync, productCount } = fetcher.data || {
+    catalogSync: initialSync,
+    productCount: initialProductCount
+  };
+  const isRunning = catalogSync?.status === "RUNNING";
+
+  // Poll the sync status while a sync is running
+  useEffect(() => {
+    if (!isRunning) return;
+    const timer = setTimeout(() => load("/app/catalog-sync"), 3000);
+    return () => clearTimeout(timer);
+  }, [isRunning, catalogSync, load]);
+
+  const handleSync = () => {
+    fetcher.submit({}, { method: "POST", action: "/app/catalog-sync" });
+  };
+
+  const processedCount = catalogSync?.processedCount || 0;
+  const totalCount = catalogSync?.totalCount || 0;
+  const progress = totalCount > 0 ? Math.min(100, (processedCount / totalCount) * 100) : 0;
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <BlockStack gap="100">
+            <Text as="h2" variant="headingMd">
+              🗂️ Product Catalog
+            </Text>
+            <Text as="p" variant="bodySm" tone="subdued">
+              {productCount} in-stock {productCount === 1 ? 'product' : 'products'} available for recommendations
+              {catalogSync?.lastSyncedAt && ` · Last synced ${new Date(catalogSync.lastSyncedAt).toLocaleString()}`}
+            </Text>
+          </BlockStack>
+          <Button onClick={handleSync} loading={isRunning || fetcher.state === "submitting"}>
+            Sync now
+          </Button>
+        </InlineStack>
+
+        {isRunning && (
+          <BlockStack gap="200">
+            <ProgressBar progress={progress} size="small" />
+            <Text as="p" variant="bodySm" tone="subdued">
+              Syncing {processedCount} of {totalCount} products{catalogSync.mode === "BULK" ? " with a bulk operation" : ""}...
+            </Text>
+          </BlockStack>
+        )}
+
+        {catalogSync?.status === "FAILED" && (
+          <Banner tone="critical">
+            <p>Catalog sync failed: {catalogSync.error}</p>
+          </Banner>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
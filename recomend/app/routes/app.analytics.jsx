@@ -0,0 +1,302 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useNavigation, useSearchParams } from "@remix-run/react";
+import { BlockStack, Button, Card, DataTable, InlineGrid, InlineStack, Page, ProgressBar, Text, TextField, Thumbnail } from "@shopify/polaris";
+import { useState } from "react";
+import { getRecommendationAnalytics, resolveAnalyticsRange } from "../analytics.server";
+import { getShopCurrency } from "../markets.server";
+import { budgetSelectOptions, formatMoney, getBudgetTiers } from "../money";
+import { parseHistoryFilters } from "../recommendations.server";
+import { getShopSettings } from "../settings.server";
+import { authenticate } from "../shopify.server";
+
+// Preference breakdowns, in the order they are shown
+const FIELD_LABELS = {
+  style: "Style",
+  occasion: "Occasion",
+  weather: "Weather",
+  budget: "Budget",
+};
+
+// Catalog products listed as never recommended; the rest are only counted
+const NEVER_RECOMMENDED_LIMIT = 25;
+
+const PLACEHOLDER_IMAGE = "https://cdn.shopify.com/s/files/1/0533/2089/files/placeholder-images-image_large.png";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const range = resolveAnalyticsRange(parseHistoryFilters(new URL(request.url).searchParams));
+  const analytics = await getRecommendationAnalytics(session.shop, range);
+
+  const currencyCode = await getShopCurrency(session.shop, admin);
+  const { budgetTiers } = await getShopSettings(session.shop);
+
+  return json({
+    range,
+    analytics,
+    currencyCode,
+    budgetLabels: Object.fromEntries(budgetSelectOptions(currencyCode, getBudgetTiers(budgetTiers, currencyCode)).map((option) => [option.value, option.label])),
+  });
+};
+
+/**
+ * @param {number | null} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  if (ms === null) return "–";
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function Distribution({ title, rows, total, labelFor }) {
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="h2" variant="headingMd">
+          {title}
+        </Text>
+        {rows.length === 0 ? (
+          <Text as="p" variant="bodySm" tone="subdued">
+            No recommendations in this range.
+          </Text>
+        ) : (
+          rows.map((row) => (
+            <BlockStack key={row.value ?? ''} gap="100">
+              <InlineStack align="space-between">
+                <Text as="span" variant="bodySm" tone={row.value ? undefined : 'subdued'}>
+                  {row.value ? labelFor(row.value) : "Not recorded"}
+                </Text>
+                <Text as="span" variant="bodySm" tone="subdued">
+                  {row.count} · {Math.round((row.count / total) * 100)}%
+                </Text>
+              </InlineStack>
+              <ProgressBar progress={(row.count / total) * 100} size="small" />
+            </BlockStack>
+          ))
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
+
+function ProductCell({ product }) {
+  return (
+    <InlineStack gap="200" blockAlign="center" wrap={false}>
+      <Thumbnail source={product.image || PLACEHOLDER_IMAGE} alt={product.title} size="extraSmall" />
+      <Text as="span" variant="bodySm" tone={product.inCatalog === false ? 'subdued' : undefined}>
+        {product.title}
+        {product.inCatalog === false ? ' (no longer available)' : ''}
+      </Text>
+    </InlineStack>
+  );
+}
+
+export default function Analytics() {
+  const { range, analytics, currencyCode, budgetLabels } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+  const isLoading = navigation.state === "loading";
+
+  const [from, setFrom] = useState(range.from);
+  const [to, setTo] = useState(range.to);
+
+  const { total, bySource, byDay, distributions, averagePrices, generationTime, products, attribution } = analytics;
+  const busiestDay = Math.max(1, ...byDay.map((day) => day.count));
+  const sourceCount = (source) => bySource.find((row) => row.value === source)?.count || 0;
+  const storefrontCount = sourceCount("storefront");
+  const lookCount = sourceCount("complete-the-look");
+
+  const handleApply = () => {
+    const params = new URLSearchParams();
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+    setSearchParams(params);
+  };
+
+  const productRows = (list) => list.map((product) => [<ProductCell key={product.productId} product={product} />, product.count]);
+
+  return (
+    <Page title="Analytics" backAction={{ content: "Home", url: "/app" }}>
+      <BlockStack gap="500">
+        <Card>
+          <InlineStack gap="300" blockAlign="end">
+            <TextField label="From" type="date" value={from} onChange={setFrom} autoComplete="off" />
+            <TextField label="To" type="date" value={to} onChange={setTo} autoComplete="off" />
+            <Button variant="primary" onClick={handleApply} loading={isLoading}>
+              Apply
+            </Button>
+            <Text as="span" variant="bodySm" tone="subdued">
+              Dates are in UTC. Ranges longer than a year show the last year.
+            </Text>
+          </InlineStack>
+        </Card>
+
+        <InlineGrid columns={{ xs: 1, md: 2, lg: 4 }} gap="400">
+          <Card>
+            <BlockStack gap="100">
+              <Text as="h2" variant="headingSm" tone="subdued">
+                Recommendations
+              </Text>
+              <Text as="p" variant="heading2xl">
+                {total}
+              </Text>
+              <Text as="p" variant="bodySm" tone="subdued">
+                {total - storefrontCount - lookCount} in the admin · {storefrontCount} from the storefront quiz · {lookCount} cached for Complete the Look
+              </Text>
+            </BlockStack>
+          </Card>
+          <Card>
+            <BlockStack gap="100">
+              <Text as="h2" variant="headingSm" tone="subdued">
+                Average outfit price
+              </Text>
+              {averagePrices.length === 0 ? (
+                <Text as="p" variant="heading2xl">
+                  –
+                </Text>
+              ) : (
+                averagePrices.map((price, index) => (
+                  <Text key={price.currencyCode} as="p" variant={index === 0 ? 'heading2xl' : 'bodyMd'}>
+                    {formatMoney(price.average, price.currencyCode)}
+                    {averagePrices.length > 1 ? ` (${price.count} outfits)` : ''}
+                  </Text>
+                ))
+              )}
+            </BlockStack>
+          </Card>
+          <Card>
+            <BlockStack gap="100">
+              <Text as="h2" variant="headingSm" tone="subdued">
+                Average generation time
+              </Text>
+              <Text as="p" variant="heading2xl">
+                {formatDuration(generationTime.averageMs)}
+              </Text>
+              <Text as="p" variant="bodySm" tone="subdued">
+                {generationTime.measured > 0
+                  ? `Slowest ${formatDuration(generationTime.maxMs)} · ${generationTime.measured} timed`
+                  : "Outfits are timed from now on"}
+              </Text>
+            </BlockStack>
+          </Card>
+          <Card>
+            <BlockStack gap="100">
+              <Text as="h2" variant="headingSm" tone="subdued">
+                Attributed sales
+              </Text>
+              <Text as="p" variant="heading2xl">
+                {formatMoney(attribution.revenue, attribution.currencyCode || currencyCode)}
+              </Text>
+              <Text as="p" variant="bodySm" tone="subdued">
+                {attribution.orders} {attribution.orders === 1 ? 'order' : 'orders'} · {attribution.recommendations} {attribution.recommendations === 1 ? 'outfit' : 'outfits'}
+                {attribution.orders > 0 ? ` · ${formatMoney(attribution.byMethod.cart_attribute || 0, attribution.currencyCode || currencyCode)} from cart links and the storefront block` : ''}
+              </Text>
+            </BlockStack>
+          </Card>
+        </InlineGrid>
+
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">
+              Recommendations per day
+            </Text>
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height: '120px' }}>
+              {byDay.map((day) => (
+                <div
+                  key={day.date}
+                  title={`${day.date}: ${day.count}`}
+                  style={{
+                    flex: 1,
+                    height: `${Math.max(2, (day.count / busiestDay) * 120)}px`,
+                    minWidth: '2px',
+                    borderRadius: '2px 2px 0 0',
+                    background: day.count > 0 ? 'var(--p-color-bg-fill-brand)' : 'var(--p-color-bg-fill-tertiary)',
+                  }}
+                />
+              ))}
+            </div>
+            <InlineStack align="space-between">
+              <Text as="span" variant="bodySm" tone="subdued">
+                {range.from}
+              </Text>
+              <Text as="span" variant="bodySm" tone="subdued">
+                {range.to}
+              </Text>
+            </InlineStack>
+          </BlockStack>
+        </Card>
+
+        <InlineGrid columns={{ xs: 1, md: 2 }} gap="400">
+          {Object.keys(FIELD_LABELS).map((field) => (
+            <Distribution
+              key={field}
+              title={FIELD_LABELS[field]}
+              rows={distributions[field]}
+              total={total - lookCount}
+              labelFor={(value) => (field === "budget" ? budgetLabels[value] || value : value)}
+            />
+          ))}
+        </InlineGrid>
+
+        <InlineGrid columns={{ xs: 1, md: 2 }} gap="400">
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Most recommended products
+              </Text>
+              {products.most.length === 0 ? (
+                <Text as="p" variant="bodySm" tone="subdued">
+                  No products were recommended in this range.
+                </Text>
+              ) : (
+                <DataTable columnContentTypes={["text", "numeric"]} headings={["Product", "Outfits"]} rows={productRows(products.most)} />
+              )}
+            </BlockStack>
+          </Card>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Least recommended products
+              </Text>
+              {products.least.length === 0 ? (
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Every recommended product is among the most recommended.
+                </Text>
+              ) : (
+                <DataTable columnContentTypes={["text", "numeric"]} headings={["Product", "Outfits"]} rows={productRows(products.least)} />
+              )}
+            </BlockStack>
+          </Card>
+        </InlineGrid>
+
+        <Card>
+          <BlockStack gap="300">
+            <InlineStack align="space-between">
+              <Text as="h2" variant="headingMd">
+                Never recommended
+              </Text>
+              <Text as="span" variant="bodySm" tone="subdued">
+                {products.never.length} available {products.never.length === 1 ? 'product' : 'products'}
+              </Text>
+            </InlineStack>
+            <Text as="p" variant="bodySm" tone="subdued">
+              Products in stock that did not make it into any outfit in this range. Check their type and tags are mapped to an outfit slot, and that their descriptions say what they are.
+            </Text>
+            {products.never.length > 0 && (
+              <BlockStack gap="200">
+                {products.never.slice(0, NEVER_RECOMMENDED_LIMIT).map((product) => (
+                  <ProductCell key={product.productId} product={product} />
+                ))}
+                {products.never.length > NEVER_RECOMMENDED_LIMIT && (
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    and {products.never.length - NEVER_RECOMMENDED_LIMIT} more
+                  </Text>
+                )}
+              </BlockStack>
+            )}
+          </BlockStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,202 @@
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import { Badge, Banner, BlockStack, Button, Card, DataTable, InlineGrid, InlineStack, Layout, Modal, Page, ProgressBar, Text } from "@shopify/polaris";
+import { useState } from "react";
+import { formatMoney } from "../money";
+import { BILLING_TEST, PAID_PLANS, PLANS } from "../plans.server";
+import { authenticate } from "../shopify.server";
+import { getCurrentUsage, getShopPlan, listUsagePeriods, syncShopPlan } from "../usage.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  // Picks up subscriptions approved or cancelled since the last visit
+  const shopPlan = await syncShopPlan(session.shop, admin);
+
+  return json({
+    plans: PLANS,
+    currentPlan: shopPlan.plan,
+    hasSubscription: Boolean(shopPlan.subscriptionId),
+    usage: await getCurrentUsage(session.shop),
+    history: await listUsagePeriods(session.shop),
+  });
+};
+
+export const action = async ({ request }) => {
+  const { admin, billing, session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "subscribe") {
+    const plan = PAID_PLANS.find((candidate) => candidate.key === formData.get("plan"));
+    if (!plan) {
+      return json({ error: "Choose a paid plan" }, { status: 400 });
+    }
+    // Redirects the merchant to Shopify to approve the charge; the new subscription replaces the current one
+    await billing.request({ plan: plan.name, isTest: BILLING_TEST });
+  }
+
+  if (intent === "cancel") {
+    const { subscriptionId, test } = await getShopPlan(session.shop);
+    if (!subscriptionId) {
+      return json({ error: "There is no subscription to cancel" }, { status: 400 });
+    }
+    await billing.cancel({ subscriptionId, isTest: test, prorate: true });
+    await syncShopPlan(session.shop, admin);
+    return json({ cancelled: true, error: null });
+  }
+
+  return json({ error: "Unknown action" }, { status: 400 });
+};
+
+export default function Billing() {
+  const { plans, currentPlan, hasSubscription, usage, history } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+  const submittingPlan = isSubmitting ? navigation.formData?.get("plan") : null;
+
+  const [confirmCancel, setConfirmCancel] = useState(false);
+
+  const handleSubscribe = (planKey) => {
+    submit({ intent: "subscribe", plan: planKey }, { method: "POST" });
+  };
+
+  const handleCancel = () => {
+    setConfirmCancel(false);
+    submit({ intent: "cancel" }, { method: "POST" });
+  };
+
+  const included = currentPlan.includedGenerations;
+  const historyRows = history.map((period) => [
+    period.period,
+    period.generations,
+    period.overageGenerations,
+    formatMoney(period.overageCharged, "USD"),
+    period.embeddingCalls,
+    period.textCalls,
+    period.tokens.toLocaleString("en"),
+  ]);
+
+  return (
+    <Page title="Plan and usage" backAction={{ content: "Home", url: "/app" }}>
+      <BlockStack gap="500">
+        {actionData?.error && (
+          <Banner tone="critical">
+            <p>{actionData.error}</p>
+          </Banner>
+        )}
+        {actionData?.cancelled && !isSubmitting && (
+          <Banner tone="success" title="Subscription cancelled">
+            <p>The shop is back on the {currentPlan.name} plan.</p>
+          </Banner>
+        )}
+
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text as="h2" variant="headingMd">
+                    This month
+                  </Text>
+                  <Badge tone={currentPlan.price > 0 ? "success" : undefined}>{`${currentPlan.name} plan`}</Badge>
+                </InlineStack>
+                <Text as="p">
+                  {usage.generations} of {included} included outfits generated
+                </Text>
+                <ProgressBar progress={Math.min((usage.generations / included) * 100, 100)} tone={usage.generations >= included ? "critical" : "highlight"} />
+                {currentPlan.overagePrice != null && (
+                  <Text as="p" tone="subdued">
+                    {usage.overageGenerations} extra outfits billed at {formatMoney(currentPlan.overagePrice, "USD")} each: {formatMoney(usage.overageCharged, "USD")} of the {formatMoney(currentPlan.usageCap, "USD", { wholeUnits: true })} monthly limit.
+                  </Text>
+                )}
+                {currentPlan.overagePrice == null && usage.generations >= included && (
+                  <Banner tone="warning">
+                    <p>This month's outfits are used up. Outfits can be generated again next month, or right away on a paid plan.</p>
+                  </Banner>
+                )}
+                <Text as="p" tone="subdued">
+                  AI calls: {usage.embeddingCalls} embedding, {usage.textCalls} text, {usage.tokens.toLocaleString("en")} tokens in total.
+                </Text>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          <Layout.Section>
+            <InlineGrid columns={{ xs: 1, md: plans.length }} gap="400">
+              {plans.map((plan) => (
+                <Card key={plan.key}>
+                  <BlockStack gap="300">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Text as="h3" variant="headingMd">
+                        {plan.name}
+                      </Text>
+                      {plan.key === currentPlan.key && <Badge tone="info">Current plan</Badge>}
+                    </InlineStack>
+                    <Text as="p" variant="headingLg">
+                      {plan.price > 0 ? `${formatMoney(plan.price, "USD", { wholeUnits: true })} / month` : "Free"}
+                    </Text>
+                    <Text as="p">{plan.includedGenerations} outfits a month</Text>
+                    <Text as="p" tone="subdued">
+                      {plan.overagePrice != null
+                        ? `Then ${formatMoney(plan.overagePrice, "USD")} per outfit, up to ${formatMoney(plan.usageCap, "USD", { wholeUnits: true })} a month`
+                        : "Outfit generation pauses until next month"}
+                    </Text>
+                    {plan.price > 0 && plan.key !== currentPlan.key && (
+                      <Button variant="primary" onClick={() => handleSubscribe(plan.key)} loading={submittingPlan === plan.key} disabled={isSubmitting}>
+                        {`Choose ${plan.name}`}
+                      </Button>
+                    )}
+                    {plan.price > 0 && plan.key === currentPlan.key && hasSubscription && (
+                      <Button tone="critical" onClick={() => setConfirmCancel(true)} disabled={isSubmitting}>
+                        Cancel subscription
+                      </Button>
+                    )}
+                  </BlockStack>
+                </Card>
+              ))}
+            </InlineGrid>
+          </Layout.Section>
+
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Usage by month
+                </Text>
+                {historyRows.length === 0 ? (
+                  <Text as="p" tone="subdued">
+                    No outfits have been generated yet.
+                  </Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric", "numeric", "numeric"]}
+                    headings={["Month", "Outfits", "Extra outfits", "Extra charges", "Embedding calls", "Text calls", "Tokens"]}
+                    rows={historyRows}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+
+      <Modal
+        open={confirmCancel}
+        onClose={() => setConfirmCancel(false)}
+        title={`Cancel the ${currentPlan.name} plan?`}
+        primaryAction={{ content: "Cancel subscription", destructive: true, onAction: handleCancel }}
+        secondaryActions={[{ content: "Keep plan", onAction: () => setConfirmCancel(false) }]}
+      >
+        <Modal.Section>
+          <Text as="p">
+            The shop moves to the free plan straight away, with {plans[0].includedGenerations} outfits a month. The unused part of this month's subscription is credited back.
+          </Text>
+        </Modal.Section>
+      </Modal>
+    </Page>
+  );
+}
@@ -0,0 +1,31 @@
+import { json } from "@remix-run/node";
+import { createCartLink, createDraftOrder, DRAFT_ORDER_SCOPES } from "../buy-the-look.server";
+import { authenticate } from "../shopify.server";
+
+export const action = async ({ request }) => {
+  const { admin, scopes, session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const recommendationId = (formData.get("recommendationId") || "").toString();
+
+  // Sends the merchant to the grant screen for the draft order scope
+  if (intent === "grant") {
+    await scopes.request(DRAFT_ORDER_SCOPES);
+    return null;
+  }
+
+  let result;
+  if (intent === "cart") {
+    result = await createCartLink(session.shop, recommendationId);
+  } else if (intent === "draft-order") {
+    result = await createDraftOrder(admin, scopes, session.shop, recommendationId);
+  } else {
+    return json({ error: "Unknown action" }, { status: 400 });
+  }
+
+  if (!result) {
+    return json({ error: "Recommendation not found" }, { status: 404 });
+  }
+  return json(result);
+};
@@ -0,0 +1,22 @@
+import { json } from "@remix-run/node";
+import { getCatalogSyncStatus, startCatalogSync } from "../catalog-sync.server";
+import { countAvailableProducts } from "../products.server";
+import { authenticate } from "../shopify.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const catalogSync = await getCatalogSyncStatus(admin, session.shop);
+  const productCount = await countAvailableProducts(session.shop);
+
+  return json({ catalogSync, productCount });
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const catalogSync = await startCatalogSync(admin, session.shop);
+  const productCount = await countAvailableProducts(session.shop);
+
+  return json({ catalogSync, productCount });
+};
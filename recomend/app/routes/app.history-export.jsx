@@ -0,0 +1,31 @@
+import { json } from "@remix-run/node";
+import { streamHistoryExport, TRANSFER_FORMATS } from "../history-transfer.server";
+import { parseHistoryFilters } from "../recommendations.server";
+import { authenticate } from "../shopify.server";
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const searchParams = new URL(request.url).searchParams;
+  const format = searchParams.get("format") || "csv";
+  if (!TRANSFER_FORMATS.includes(format)) {
+    return json({ error: `Format must be one of: ${TRANSFER_FORMATS.join(", ")}` }, { status: 400 });
+  }
+
+  // Exports what the history page shows with the same filters, on every page
+  const filters = parseHistoryFilters(searchParams);
+  const filename = `recommendations-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  return new Response(streamHistoryExport(session.shop, format, filters), {
+    headers: {
+      "Content-Type": CONTENT_TYPES[format],
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "no-store",
+    },
+  });
+};
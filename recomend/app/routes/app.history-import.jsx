@@ -0,0 +1,27 @@
+import { json } from "@remix-run/node";
+import { importHistory, TRANSFER_FORMATS } from "../history-transfer.server";
+import { authenticate } from "../shopify.server";
+
+// Roughly 5,000 recommendations with their product snapshots
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const file = formData.get("file");
+  if (!file || typeof file === "string" || file.size === 0) {
+    return json({ error: "Choose a CSV or JSON file to import" }, { status: 400 });
+  }
+  if (file.size > MAX_FILE_BYTES) {
+    return json({ error: "The file is too large. Import at most 5 MB at a time." }, { status: 400 });
+  }
+
+  const text = await file.text();
+  // The extension decides, falling back to the content for renamed files
+  const extension = (file.name || "").split(".").pop().toLowerCase();
+  const format = TRANSFER_FORMATS.includes(extension) ? extension : text.trimStart().startsWith("[") ? "json" : "csv";
+
+  const result = await importHistory(session.shop, text, format);
+  return json(result);
+};
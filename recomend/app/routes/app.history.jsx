@@ -0,0 +1,431 @@
+import { json } from "@remix-run/node";
+import { useActionData, useFetcher, useLoaderData, useNavigation, useSearchParams, useSubmit } from "@remix-run/react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { Badge, Banner, BlockStack, Button, Card, DropZone, FormLayout, IndexTable, InlineStack, Modal, Page, Select, Text, TextField, Thumbnail, Tooltip, useIndexResourceState } from "@shopify/polaris";
+import { useEffect, useState } from "react";
+import { BuyTheLookActions } from "../components/BuyTheLookActions";
+import { OutfitDiscountActions } from "../components/OutfitDiscountActions";
+import { getShopCurrency } from "../markets.server";
+import { budgetSelectOptions, formatMoney, getBudgetTiers } from "../money";
+import { deleteOutfitDiscounts, refreshRecommendationDiscounts } from "../outfit-discounts.server";
+import { BUDGET_MODES, toSelectOptions } from "../preferences";
+import { deleteRecommendations, listRecommendations, parseHistoryFilters } from "../recommendations.server";
+import { getShopSettings } from "../settings.server";
+import { authenticate } from "../shopify.server";
+
+// Preference filters, in the order they are shown
+const FILTER_LABELS = {
+  budget: "Budget",
+  budgetMode: "Budget applies to",
+  size: "Size",
+  style: "Style",
+  occasion: "Occasion",
+  weather: "Weather",
+};
+
+// Where each recommendation was generated. Complete the Look entries are the
+// looks cached for product pages, made without any shopper's preferences.
+const SOURCE_LABELS = {
+  admin: "Admin",
+  storefront: "Storefront quiz",
+  "complete-the-look": "Complete the Look",
+};
+
+// Characters of advice shown per row; search still covers the full text
+const ADVICE_PREVIEW_LENGTH = 140;
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const searchParams = new URL(request.url).searchParams;
+  const filters = parseHistoryFilters(searchParams);
+  const { items, hasNext, hasPrevious } = await listRecommendations(session.shop, filters, {
+    after: searchParams.get("after"),
+    before: searchParams.get("before"),
+  });
+  const page = { items: await refreshRecommendationDiscounts(admin, items), hasNext, hasPrevious };
+
+  const currencyCode = await getShopCurrency(session.shop, admin);
+  const { preferenceOptions, budgetTiers } = await getShopSettings(session.shop);
+
+  return json({
+    filters,
+    page,
+    currencyCode,
+    filterOptions: {
+      ...Object.fromEntries(Object.entries(preferenceOptions).map(([field, values]) => [field, toSelectOptions(values)])),
+      budget: budgetSelectOptions(currencyCode, getBudgetTiers(budgetTiers, currencyCode)),
+      budgetMode: BUDGET_MODES,
+    },
+  });
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  if (formData.get("intent") !== "delete") {
+    return json({ error: "Unknown action" }, { status: 400 });
+  }
+
+  const ids = formData.getAll("id").map(String);
+  // Outfit discounts would otherwise stay live in Shopify without their outfit
+  await deleteOutfitDiscounts(admin, session.shop, ids);
+  const deleted = await deleteRecommendations(session.shop, ids);
+  return json({ deleted, error: null });
+};
+
+export default function History() {
+  const { filters, page, currencyCode, filterOptions } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const isDeleting = navigation.state === "submitting";
+
+  const [query, setQuery] = useState(filters.query);
+  const [preferences, setPreferences] = useState(filters.preferences);
+  const [from, setFrom] = useState(filters.from);
+  const [to, setTo] = useState(filters.to);
+  // IDs waiting for the merchant to confirm their deletion
+  const [pendingDelete, setPendingDelete] = useState([]);
+  const shopify = useAppBridge();
+  const importFetcher = useFetcher();
+  const [importOpen, setImportOpen] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [exporting, setExporting] = useState(null);
+  const isImporting = importFetcher.state !== "idle";
+  const importResult = importFetcher.data;
+
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } = useIndexResourceState(page.items);
+
+  useEffect(() => {
+    if (actionData?.deleted !== undefined) {
+      setPendingDelete([]);
+      clearSelection();
+    }
+  }, [actionData, clearSelection]);
+
+  const handleApplyFilters = () => {
+    // Filtering starts again from the newest recommendations
+    const params = new URLSearchParams();
+    Object.entries({ ...preferences, from, to, query }).forEach(([name, value]) => {
+      if (value) params.set(name, value);
+    });
+    setSearchParams(params);
+  };
+
+  const handleClearFilters = () => {
+    setQuery("");
+    setPreferences(Object.fromEntries(Object.keys(preferences).map((field) => [field, ""])));
+    setFrom("");
+    setTo("");
+    setSearchParams(new URLSearchParams());
+  };
+
+  const handlePage = (direction) => {
+    const params = new URLSearchParams(searchParams);
+    params.delete("after");
+    params.delete("before");
+    if (direction === "next") {
+      params.set("after", page.items[page.items.length - 1].id);
+    } else {
+      params.set("before", page.items[0].id);
+    }
+    setSearchParams(params);
+  };
+
+  const handleExport = async (format) => {
+    // Exports every page of the applied filters
+    const params = new URLSearchParams(searchParams);
+    params.delete("after");
+    params.delete("before");
+    params.set("format", format);
+
+    setExporting(format);
+    try {
+      // App Bridge adds the session token to fetch requests, so the file is downloaded here rather than by navigating
+      const response = await fetch(`/app/history-export?${params}`);
+      if (!response.ok) throw new Error(`Export failed with status ${response.status}`);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `recommendations-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      shopify.toast.show("Could not export the history. Try again.", { isError: true });
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleImport = () => {
+    const formData = new FormData();
+    formData.append("file", importFile);
+    importFetcher.submit(formData, { method: "POST", action: "/app/history-import", encType: "multipart/form-data" });
+  };
+
+  useEffect(() => {
+    if (importResult?.imported === undefined) return;
+    setImportOpen(false);
+    setImportFile(null);
+  }, [importResult]);
+
+  const handleConfirmDelete = () => {
+    const formData = new FormData();
+    formData.append("intent", "delete");
+    pendingDelete.forEach((id) => formData.append("id", id));
+    submit(formData, { method: "POST" });
+  };
+
+  const hasFilters = Object.values(filters.preferences).some(Boolean) || filters.from || filters.to || filters.query;
+
+  const rows = page.items.map((item, index) => {
+    const advice = item.aiAdvice.length > ADVICE_PREVIEW_LENGTH ? `${item.aiAdvice.slice(0, ADVICE_PREVIEW_LENGTH)}…` : item.aiAdvice;
+    // Recommendations whose products left the catalog before snapshots were kept only have IDs
+    const productCount = item.productIds ? item.productIds.split(',').length : 0;
+
+    return (
+      <IndexTable.Row id={item.id} key={item.id} position={index} selected={selectedResources.includes(item.id)}>
+        <IndexTable.Cell>
+          <Text as="span" variant="bodySm">
+            {new Date(item.createdAt).toLocaleString()}
+          </Text>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <InlineStack gap="100" wrap={false}>
+            {item.source === 'complete-the-look' && <Badge tone="info">Cached product page look</Badge>}
+            {[item.style, item.occasion, item.weather].filter(Boolean).map((value) => (
+              <Badge key={value}>{value}</Badge>
+            ))}
+          </InlineStack>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <Text as="span" variant="bodySm" tone="subdued">
+            {filterOptions.budget.find((option) => option.value === item.budget)?.label || item.budget || "–"}{item.budgetMode === 'per-item' ? ' per item' : ''} · {item.size || "–"}
+          </Text>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <div style={{ maxWidth: '360px', whiteSpace: 'normal' }}>
+            <Text as="span" variant="bodySm">
+              {advice}
+            </Text>
+          </div>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          {item.products.length > 0 ? (
+            <InlineStack gap="100" wrap={false}>
+              {item.products.map((product) => (
+                <Tooltip key={product.id} content={`${product.title} · ${formatMoney(product.price, product.currencyCode)}`}>
+                  <Thumbnail
+                    source={product.image || "https://cdn.shopify.com/s/files/1/0533/2089/files/placeholder-images-image_large.png"}
+                    alt={product.title}
+                    size="extraSmall"
+                  />
+                </Tooltip>
+              ))}
+            </InlineStack>
+          ) : (
+            <Text as="span" variant="bodySm" tone="subdued">
+              {productCount} {productCount === 1 ? 'product' : 'products'}
+            </Text>
+          )}
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <Text as="span" variant="bodySm" tone="subdued">
+            {SOURCE_LABELS[item.source] || SOURCE_LABELS.admin} · {item.promptVersion ? `v${item.promptVersion}` : "built-in"}
+          </Text>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          {item.attributedOrderCount > 0 ? (
+            <BlockStack gap="050">
+              <Text as="span" variant="bodySm" fontWeight="medium">
+                {formatMoney(item.attributedRevenue, currencyCode)}
+              </Text>
+              <Text as="span" variant="bodySm" tone="subdued">
+                {item.attributedOrderCount} {item.attributedOrderCount === 1 ? 'order' : 'orders'}
+              </Text>
+            </BlockStack>
+          ) : (
+            <Text as="span" variant="bodySm" tone="subdued">
+              –
+            </Text>
+          )}
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <div onClick={(event) => event.stopPropagation()}>
+            <OutfitDiscountActions recommendation={item} />
+          </div>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          {/* Keep the click from toggling the row's selection */}
+          <div onClick={(event) => event.stopPropagation()}>
+            <InlineStack gap="200" blockAlign="center" wrap={false}>
+              <BuyTheLookActions recommendation={item} />
+              <Button variant="plain" tone="critical" onClick={() => setPendingDelete([item.id])}>
+                Delete
+              </Button>
+            </InlineStack>
+          </div>
+        </IndexTable.Cell>
+      </IndexTable.Row>
+    );
+  });
+
+  return (
+    <Page
+      title="History"
+      backAction={{ content: "Home", url: "/app" }}
+      secondaryActions={[{ content: "Import", onAction: () => setImportOpen(true) }]}
+      actionGroups={[
+        {
+          title: exporting ? "Exporting…" : "Export",
+          actions: [
+            { content: "CSV for spreadsheets", disabled: Boolean(exporting), onAction: () => handleExport("csv") },
+            { content: "JSON", disabled: Boolean(exporting), onAction: () => handleExport("json") },
+          ],
+        },
+      ]}
+    >
+      <BlockStack gap="500">
+        {importResult?.imported !== undefined && !isImporting && (
+          <Banner
+            tone={importResult.invalid > 0 ? "warning" : "success"}
+            title={`Imported ${importResult.imported} ${importResult.imported === 1 ? 'recommendation' : 'recommendations'}`}
+          >
+            <BlockStack gap="200">
+              {(importResult.duplicates > 0 || importResult.invalid > 0) && (
+                <Text as="p" variant="bodyMd">
+                  Skipped {importResult.duplicates} already in the history and {importResult.invalid} invalid.
+                </Text>
+              )}
+              {importResult.errors.length > 0 && (
+                <ul style={{ margin: 0, paddingLeft: '20px' }}>
+                  {importResult.errors.map((error) => (
+                    <li key={error}>{error}</li>
+                  ))}
+                </ul>
+              )}
+            </BlockStack>
+          </Banner>
+        )}
+        {actionData?.deleted !== undefined && !isDeleting && (
+          <Banner tone="success" title={`Deleted ${actionData.deleted} ${actionData.deleted === 1 ? 'recommendation' : 'recommendations'}`} />
+        )}
+
+        <Card>
+          <FormLayout>
+            <TextField
+              label="Search advice"
+              value={query}
+              onChange={setQuery}
+              placeholder="e.g. linen layers"
+              helpText="Finds recommendations whose advice contains all of these words."
+              autoComplete="off"
+            />
+            <FormLayout.Group condensed>
+              {Object.keys(FILTER_LABELS).map((field) => (
+                <Select
+                  key={field}
+                  label={FILTER_LABELS[field]}
+                  options={[{ label: "Any", value: "" }, ...filterOptions[field]]}
+                  value={preferences[field]}
+                  onChange={(value) => setPreferences({ ...preferences, [field]: value })}
+                />
+              ))}
+            </FormLayout.Group>
+            <FormLayout.Group>
+              <TextField label="From" type="date" value={from} onChange={setFrom} autoComplete="off" />
+              <TextField label="To" type="date" value={to} onChange={setTo} autoComplete="off" helpText="Dates are in UTC." />
+            </FormLayout.Group>
+            <InlineStack gap="300" align="end">
+              <Button onClick={handleClearFilters} disabled={!hasFilters}>
+                Clear
+              </Button>
+              <Button variant="primary" onClick={handleApplyFilters}>
+                Apply filters
+              </Button>
+            </InlineStack>
+          </FormLayout>
+        </Card>
+
+        <Card padding="0">
+          <IndexTable
+            resourceName={{ singular: "recommendation", plural: "recommendations" }}
+            itemCount={page.items.length}
+            selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+            onSelectionChange={handleSelectionChange}
+            promotedBulkActions={[{ content: "Delete", destructive: true, onAction: () => setPendingDelete(selectedResources) }]}
+            headings={[
+              { title: "Date" },
+              { title: "Style" },
+              { title: "Budget · Size" },
+              { title: "Advice" },
+              { title: "Products" },
+              { title: "Source" },
+              { title: "Attributed sales" },
+              { title: "Outfit discount" },
+              { title: "" },
+            ]}
+            emptyState={
+              <Text as="p" variant="bodyMd" tone="subdued" alignment="center">
+                {hasFilters ? "No recommendations match these filters." : "No recommendation history yet."}
+              </Text>
+            }
+            pagination={{
+              hasNext: page.hasNext,
+              hasPrevious: page.hasPrevious,
+              onNext: () => handlePage("next"),
+              onPrevious: () => handlePage("previous"),
+            }}
+          >
+            {rows}
+          </IndexTable>
+        </Card>
+      </BlockStack>
+
+      <Modal
+        open={pendingDelete.length > 0}
+        onClose={() => setPendingDelete([])}
+        title={pendingDelete.length === 1 ? "Delete this recommendation?" : `Delete ${pendingDelete.length} recommendations?`}
+        primaryAction={{ content: "Delete", destructive: true, loading: isDeleting, onAction: handleConfirmDelete }}
+        secondaryActions={[{ content: "Cancel", onAction: () => setPendingDelete([]) }]}
+      >
+        <Modal.Section>
+          <Text as="p" variant="bodyMd">
+            Deleted recommendations are removed from the history for good, along with their discounts.
+          </Text>
+        </Modal.Section>
+      </Modal>
+
+      <Modal
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        title="Import recommendations"
+        primaryAction={{ content: "Import", disabled: !importFile, loading: isImporting, onAction: handleImport }}
+        secondaryActions={[{ content: "Cancel", onAction: () => setImportOpen(false) }]}
+      >
+        <Modal.Section>
+          <BlockStack gap="300">
+            <Text as="p" variant="bodyMd">
+              Import a CSV or JSON file exported from this or another store. Products are matched to your catalog by handle, and recommendations already in the history are skipped.
+            </Text>
+            {importResult?.error && !isImporting && <Banner tone="critical">{importResult.error}</Banner>}
+            <DropZone accept=".csv,.json,text/csv,application/json" allowMultiple={false} onDrop={(files) => setImportFile(files[0] || null)}>
+              {importFile ? (
+                <div style={{ padding: '16px' }}>
+                  <Text as="p" variant="bodyMd">
+                    {importFile.name}
+                  </Text>
+                </div>
+              ) : (
+                <DropZone.FileUpload actionTitle="Add file" actionHint="Accepts .csv and .json" />
+              )}
+            </DropZone>
+          </BlockStack>
+        </Modal.Section>
+      </Modal>
+    </Page>
+  );
+}
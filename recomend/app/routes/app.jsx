@@ -22,7 +22,13 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
-        <Link to="/app/additional">Additional page</Link>
+        <Link to="/app/history">History</Link>
+        <Link to="/app/analytics">Analytics</Link>
+        <Link to="/app/slots">Outfit slots</Link>
+        <Link to="/app/prompt">Prompt template</Link>
+        <Link to="/app/settings">Settings</Link>
+        <Link to="/app/billing">Plan and usage</Link>
+        <Link to="/app/privacy">Privacy</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
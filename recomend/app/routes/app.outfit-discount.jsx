@@ -0,0 +1,43 @@
+import { json } from "@remix-run/node";
+import {
+  createOutfitDiscount,
+  deleteOutfitDiscount,
+  DISCOUNT_SCOPES,
+  expireOutfitDiscount,
+  parseDiscountForm,
+} from "../outfit-discounts.server";
+import { authenticate } from "../shopify.server";
+
+export const action = async ({ request }) => {
+  const { admin, scopes, session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const recommendationId = (formData.get("recommendationId") || "").toString();
+
+  // Sends the merchant to the grant screen for the discount scope
+  if (intent === "grant") {
+    await scopes.request(DISCOUNT_SCOPES);
+    return null;
+  }
+
+  let result;
+  if (intent === "create") {
+    const { data, errors } = parseDiscountForm(formData, recommendationId);
+    if (errors.length > 0) {
+      return json({ error: errors.join("; ") }, { status: 400 });
+    }
+    result = await createOutfitDiscount(admin, scopes, session.shop, recommendationId, data);
+  } else if (intent === "expire") {
+    result = await expireOutfitDiscount(admin, session.shop, recommendationId);
+  } else if (intent === "delete") {
+    result = await deleteOutfitDiscount(admin, session.shop, recommendationId);
+  } else {
+    return json({ error: "Unknown action" }, { status: 400 });
+  }
+
+  if (!result) {
+    return json({ error: "Outfit or discount not found" }, { status: 404 });
+  }
+  return json(result);
+};
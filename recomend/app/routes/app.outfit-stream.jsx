@@ -0,0 +1,71 @@
+import { parseCountryCode } from "../markets.server";
+import { generateOutfit } from "../outfits.server";
+import { parsePreferences } from "../preferences";
+import { saveRecommendation } from "../recommendations.server";
+import { getShopSettings } from "../settings.server";
+import { authenticate } from "../shopify.server";
+
+/**
+ * Generates an outfit for the admin generator, streamed as newline-delimited
+ * JSON events: the progress events of `generateOutfit`, then
+ * `{ type: "outfit", outfit }` with the finished outfit or its error, and
+ * `{ type: "saved", recommendationId }` once it is in the history.
+ */
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const { preferenceOptions } = await getShopSettings(session.shop);
+  const { preferences, errors } = parsePreferences(formData, preferenceOptions);
+
+  // Empty when generating with the shop's own prices
+  const countryCode = parseCountryCode(formData.get("country"));
+
+  const encoder = new TextEncoder();
+  let open = true;
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event) => {
+        if (open) controller.enqueue(encoder.encode(`${JSON.stringify(event)}\n`));
+      };
+
+      try {
+        if (errors.length > 0) {
+          send({ type: "outfit", outfit: { preferences, recommendation: null, colorPalette: [], products: [], error: errors.join("; ") } });
+        } else {
+          const outfit = await generateOutfit(session.shop, preferences, { admin, countryCode, onProgress: send });
+          send({ type: "outfit", outfit });
+
+          if (!outfit.error) {
+            // Save to database - failures are logged and the user still gets their recommendation
+            const recommendationId = await saveRecommendation(session.shop, preferences, outfit);
+            send({ type: "saved", recommendationId });
+          }
+        }
+      } catch (error) {
+        // Headers are already sent, so failures are reported in the stream
+        console.error("Streamed outfit generation failed:", error);
+        send({
+          type: "outfit",
+          outfit: { preferences, recommendation: null, colorPalette: [], products: [], error: "Something went wrong while generating the outfit.", retryable: true },
+        });
+      }
+
+      if (open) controller.close();
+    },
+    // The merchant left the page; the outfit is still generated and saved to the history
+    cancel() {
+      open = false;
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "application/x-ndjson; charset=utf-8",
+      "Cache-Control": "no-store",
+      // Keeps proxies from holding events back until the response ends
+      "X-Accel-Buffering": "no",
+    },
+  });
+};
@@ -0,0 +1,32 @@
+import { json } from "@remix-run/node";
+import { exportCustomerData, exportDataRequest } from "../privacy.server";
+import { authenticate } from "../shopify.server";
+
+// Posted rather than linked, since downloading a data request also marks it as handled
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const requestId = (formData.get("requestId") || "").toString();
+  const customerId = (formData.get("customerId") || "").toString().trim();
+
+  let data;
+  if (requestId) {
+    data = await exportDataRequest(session.shop, requestId);
+    if (!data) {
+      return json({ error: "Data request not found" }, { status: 404 });
+    }
+  } else if (/^\d+$/.test(customerId)) {
+    data = await exportCustomerData(session.shop, customerId);
+  } else {
+    return json({ error: "customerId must be a numeric customer ID" }, { status: 400 });
+  }
+
+  return new Response(JSON.stringify(data, null, 2), {
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="customer-${data.customerId}.json"`,
+      "Cache-Control": "no-store",
+    },
+  });
+};
@@ -0,0 +1,239 @@
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useRevalidator, useSearchParams, useSubmit } from "@remix-run/react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { Badge, Banner, BlockStack, Button, Card, DataTable, InlineStack, Layout, Modal, Page, Text, TextField } from "@shopify/polaris";
+import { useState } from "react";
+import { deleteLeftoverDiscount, dismissLeftoverDiscount, listLeftoverDiscounts } from "../outfit-discounts.server";
+import { countCustomerData, listDataRequests, redactCustomer } from "../privacy.server";
+import { authenticate } from "../shopify.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const customerId = (new URL(request.url).searchParams.get("customerId") || "").trim();
+  const lookup = /^\d+$/.test(customerId) ? { customerId, ...(await countCustomerData(session.shop, customerId)) } : null;
+
+  return json({ dataRequests: await listDataRequests(session.shop), leftoverDiscounts: await listLeftoverDiscounts(session.shop), lookup });
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "delete-discount") {
+    const result = await deleteLeftoverDiscount(admin, session.shop, formData.get("id") || "");
+    return json(result || { error: "Discount not found" }, { status: result ? 200 : 404 });
+  }
+  if (intent === "dismiss-discount") {
+    await dismissLeftoverDiscount(session.shop, formData.get("id") || "");
+    return json({ dismissed: true, error: null });
+  }
+
+  const customerId = (formData.get("customerId") || "").toString().trim();
+  if (intent !== "erase" || !/^\d+$/.test(customerId)) {
+    return json({ error: "Unknown action" }, { status: 400 });
+  }
+
+  const erased = await redactCustomer(session.shop, customerId, { admin });
+  return json({ erased, error: null });
+};
+
+/**
+ * Download a customer's data as a JSON file. App Bridge adds the session
+ * token to fetch requests, so the file is fetched here rather than by
+ * navigating.
+ * @param {FormData} body - `requestId` of a data request, or a `customerId`
+ * @returns {Promise<void>}
+ */
+async function downloadExport(body) {
+  const response = await fetch("/app/privacy-export", { method: "POST", body });
+  if (!response.ok) throw new Error(`Export failed with status ${response.status}`);
+  const disposition = response.headers.get("Content-Disposition") || "";
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = disposition.match(/filename="([^"]+)"/)?.[1] || "customer.json";
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function Privacy() {
+  const { dataRequests, leftoverDiscounts, lookup } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const revalidator = useRevalidator();
+  const shopify = useAppBridge();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const submittingIntent = navigation.state === "submitting" ? navigation.formData?.get("intent") : null;
+  const isErasing = submittingIntent === "erase";
+
+  const [customerId, setCustomerId] = useState(searchParams.get("customerId") || "");
+  const [confirmErase, setConfirmErase] = useState(false);
+  // Request or customer ID being downloaded
+  const [downloading, setDownloading] = useState(null);
+
+  const handleDownload = async (key, fields) => {
+    const body = new FormData();
+    Object.entries(fields).forEach(([name, value]) => body.append(name, value));
+    setDownloading(key);
+    try {
+      await downloadExport(body);
+      // Shows the request as exported
+      revalidator.revalidate();
+    } catch (error) {
+      shopify.toast.show("Could not export the customer's data. Try again.", { isError: true });
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const handleErase = () => {
+    submit({ intent: "erase", customerId: lookup.customerId }, { method: "POST" });
+    setConfirmErase(false);
+  };
+
+  const requestRows = dataRequests.map((dataRequest) => [
+    dataRequest.customerId,
+    new Date(dataRequest.createdAt).toLocaleString(),
+    JSON.parse(dataRequest.orderIds).length,
+    dataRequest.exportedAt ? <Badge tone="success">Exported</Badge> : <Badge tone="attention">Waiting</Badge>,
+    <Button
+      key={dataRequest.id}
+      size="slim"
+      onClick={() => handleDownload(dataRequest.id, { requestId: dataRequest.id })}
+      loading={downloading === dataRequest.id}
+    >
+      Download data
+    </Button>,
+  ]);
+
+  const leftoverRows = leftoverDiscounts.map((discount) => [
+    discount.title,
+    discount.code || "Automatic",
+    new Date(discount.createdAt).toLocaleDateString(),
+    <InlineStack key={discount.id} gap="200" wrap={false}>
+      <Button
+        size="slim"
+        tone="critical"
+        onClick={() => submit({ intent: "delete-discount", id: discount.id }, { method: "POST" })}
+        loading={submittingIntent === "delete-discount" && navigation.formData?.get("id") === discount.id}
+      >
+        Delete
+      </Button>
+      <Button size="slim" variant="plain" onClick={() => submit({ intent: "dismiss-discount", id: discount.id }, { method: "POST" })}>
+        Dismiss
+      </Button>
+    </InlineStack>,
+  ]);
+
+  const hasData = lookup && (lookup.recommendations > 0 || lookup.orderAttributions > 0);
+
+  return (
+    <Page title="Customer privacy" backAction={{ content: "Home", url: "/app" }}>
+      <Layout>
+        <Layout.AnnotatedSection
+          title="Data requests"
+          description="Customers who asked for their data through Shopify. Download each request's data and send it to the customer."
+        >
+          <Card>
+            {requestRows.length > 0 ? (
+              <DataTable
+                columnContentTypes={["text", "text", "numeric", "text", "text"]}
+                headings={["Customer ID", "Received", "Orders", "Status", ""]}
+                rows={requestRows}
+              />
+            ) : (
+              <Text as="p" variant="bodyMd" tone="subdued">
+                No data requests yet.
+              </Text>
+            )}
+          </Card>
+        </Layout.AnnotatedSection>
+
+        {leftoverRows.length > 0 && (
+          <Layout.AnnotatedSection
+            title="Discounts left in Shopify"
+            description="Outfit discounts of erased customers that the app could not delete from Shopify. Delete them here, or dismiss them once you have removed or kept them in the Shopify admin."
+          >
+            <Card>
+              <BlockStack gap="300">
+                {actionData?.error && (
+                  <Banner tone="critical">
+                    <p>{actionData.error}</p>
+                  </Banner>
+                )}
+                <DataTable columnContentTypes={["text", "text", "text", "text"]} headings={["Discount", "Code", "Left on", ""]} rows={leftoverRows} />
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+        )}
+
+        <Layout.AnnotatedSection
+          title="Customer data"
+          description="Outfits recommended to signed-in customers on the storefront, and order lines from their orders attributed to outfits. Shopify asks the app to erase a customer's data automatically when they are redacted."
+        >
+          <Card>
+            <BlockStack gap="400">
+              {actionData?.erased && !isErasing && (
+                <Banner tone="success" title="Customer data erased">
+                  Removed {actionData.erased.recommendations} recommendations and {actionData.erased.orderAttributions} attributed order lines.
+                  {actionData.erased.leftoverDiscounts > 0 && ` ${actionData.erased.leftoverDiscounts} of their discounts could not be deleted from Shopify and are listed above.`}
+                </Banner>
+              )}
+              <InlineStack gap="300" blockAlign="end">
+                <TextField
+                  label="Customer ID"
+                  value={customerId}
+                  onChange={setCustomerId}
+                  placeholder="e.g. 7012345678901"
+                  helpText="The number at the end of the customer's page URL in the Shopify admin."
+                  autoComplete="off"
+                />
+                <Button onClick={() => setSearchParams(customerId ? { customerId } : {})} disabled={!/^\d+$/.test(customerId.trim())}>
+                  Look up
+                </Button>
+              </InlineStack>
+
+              {lookup && (
+                <BlockStack gap="300">
+                  <Text as="p" variant="bodyMd">
+                    {hasData
+                      ? `Customer ${lookup.customerId} has ${lookup.recommendations} ${lookup.recommendations === 1 ? 'recommendation' : 'recommendations'} and ${lookup.orderAttributions} attributed order ${lookup.orderAttributions === 1 ? 'line' : 'lines'}.`
+                      : `The app holds no data about customer ${lookup.customerId}.`}
+                  </Text>
+                  {hasData && (
+                    <InlineStack gap="300">
+                      <Button onClick={() => handleDownload(lookup.customerId, { customerId: lookup.customerId })} loading={downloading === lookup.customerId}>
+                        Export
+                      </Button>
+                      <Button tone="critical" onClick={() => setConfirmErase(true)} loading={isErasing}>
+                        Erase
+                      </Button>
+                    </InlineStack>
+                  )}
+                </BlockStack>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+      </Layout>
+
+      <Modal
+        open={confirmErase}
+        onClose={() => setConfirmErase(false)}
+        title="Erase this customer's data?"
+        primaryAction={{ content: "Erase", destructive: true, onAction: handleErase }}
+        secondaryActions={[{ content: "Cancel", onAction: () => setConfirmErase(false) }]}
+      >
+        <Modal.Section>
+          <Text as="p" variant="bodyMd">
+            Their recommendations, with any outfit discounts, and their attributed order lines are deleted for good. Sales already credited to other outfits stay in the totals.
+          </Text>
+        </Modal.Section>
+      </Modal>
+    </Page>
+  );
+}
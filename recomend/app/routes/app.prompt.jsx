@@ -0,0 +1,205 @@
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import { Banner, BlockStack, Box, Button, Card, DataTable, InlineStack, Layout, Page, Text, TextField } from "@shopify/polaris";
+import { useEffect, useState } from "react";
+import { getShopCurrency } from "../markets.server";
+import {
+  getActivePromptTemplate,
+  listPromptTemplateVersions,
+  PROMPT_PLACEHOLDERS,
+  renderPromptPreview,
+  restorePromptTemplate,
+  savePromptTemplate,
+  validatePromptTemplate,
+} from "../prompt-templates.server";
+import { authenticate } from "../shopify.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const active = await getActivePromptTemplate(session.shop);
+  const versions = await listPromptTemplateVersions(session.shop);
+
+  return json({
+    active,
+    versions: versions.map(({ version, note, createdAt }) => ({ version, note, createdAt })),
+    placeholders: PROMPT_PLACEHOLDERS,
+  });
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "restore") {
+    const version = parseInt(formData.get("version"), 10);
+    const restored = await restorePromptTemplate(session.shop, version);
+    if (!restored) {
+      return json({ errors: [`Version ${version} does not exist`] }, { status: 404 });
+    }
+    return json({ restoredVersion: version, savedVersion: restored.version, errors: [] });
+  }
+
+  const template = (formData.get("template") || "").toString();
+  const errors = validatePromptTemplate(template);
+  if (errors.length > 0) {
+    return json({ errors });
+  }
+
+  if (intent === "preview") {
+    const currencyCode = await getShopCurrency(session.shop, admin);
+    return json({ preview: renderPromptPreview(template, currencyCode), errors: [] });
+  }
+
+  const note = (formData.get("note") || "").toString().trim() || null;
+  const saved = await savePromptTemplate(session.shop, template, note);
+  return json({ savedVersion: saved.version, errors: [] });
+};
+
+export default function PromptTemplate() {
+  const { active, versions, placeholders } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const pendingIntent = navigation.state === "submitting" ? navigation.formData?.get("intent") : null;
+
+  const [template, setTemplate] = useState(active.template);
+  const [note, setNote] = useState("");
+
+  // Load the restored template into the editor once the page reloads with it
+  useEffect(() => {
+    if (actionData?.restoredVersion !== undefined) setTemplate(active.template);
+  }, [actionData, active.template]);
+
+  const handleSubmit = (intent) => {
+    const formData = new FormData();
+    formData.append("intent", intent);
+    formData.append("template", template);
+    formData.append("note", note);
+    submit(formData, { method: "POST" });
+    if (intent === "save") setNote("");
+  };
+
+  const handleRestore = (version) => {
+    submit({ intent: "restore", version: String(version) }, { method: "POST" });
+  };
+
+  const versionRows = [
+    ...versions.map((item) => [
+      `v${item.version}${item.version === active.version ? " (active)" : ""}`,
+      item.note || "",
+      new Date(item.createdAt).toLocaleString(),
+      item.version === active.version ? null : (
+        <Button key={item.version} variant="plain" onClick={() => handleRestore(item.version)}>
+          Restore
+        </Button>
+      ),
+    ]),
+    [
+      `v0 built-in${active.version === 0 ? " (active)" : ""}`,
+      "The template the app ships with",
+      "",
+      active.version === 0 ? null : (
+        <Button key={0} variant="plain" onClick={() => handleRestore(0)}>
+          Restore
+        </Button>
+      ),
+    ],
+  ];
+
+  return (
+    <Page title="Prompt template" backAction={{ content: "Home", url: "/app" }}>
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {actionData?.errors?.length > 0 && (
+              <Banner tone="critical" title="The template has problems">
+                <ul>
+                  {actionData.errors.map((error) => (
+                    <li key={error}>{error}</li>
+                  ))}
+                </ul>
+              </Banner>
+            )}
+            {actionData?.savedVersion && !pendingIntent && (
+              <Banner tone="success" title={`Saved as version ${actionData.savedVersion}`}>
+                <p>New outfits use this version.</p>
+              </Banner>
+            )}
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Stylist prompt · version {active.version}
+                </Text>
+                <TextField
+                  label="Template"
+                  labelHidden
+                  value={template}
+                  onChange={setTemplate}
+                  multiline={20}
+                  monospaced
+                  autoComplete="off"
+                  helpText="Instructions for the ID-based product picks and the JSON answer are added after the template automatically."
+                />
+                <TextField label="Change note" value={note} onChange={setNote} placeholder="Optional, e.g. Friendlier tone" autoComplete="off" />
+                <InlineStack gap="300" align="end">
+                  <Button onClick={() => handleSubmit("preview")} loading={pendingIntent === "preview"}>
+                    Preview
+                  </Button>
+                  <Button variant="primary" onClick={() => handleSubmit("save")} loading={pendingIntent === "save"} disabled={template === active.template}>
+                    Save new version
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            {actionData?.preview && (
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">
+                    Preview with a sample catalog
+                  </Text>
+                  <Box background="bg-surface-secondary" padding="400" borderRadius="200">
+                    <pre style={{ margin: 0, whiteSpace: 'pre-wrap', fontSize: '13px' }}>{actionData.preview}</pre>
+                  </Box>
+                </BlockStack>
+              </Card>
+            )}
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Version history
+                </Text>
+                <DataTable columnContentTypes={["text", "text", "text", "text"]} headings={["Version", "Note", "Saved", ""]} rows={versionRows} />
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Placeholders
+              </Text>
+              {Object.entries(placeholders).map(([name, description]) => (
+                <BlockStack gap="100" key={name}>
+                  <Text as="p" variant="bodyMd" fontWeight="semibold">
+                    {`{{${name}}}`}
+                  </Text>
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    {description}
+                  </Text>
+                </BlockStack>
+              ))}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
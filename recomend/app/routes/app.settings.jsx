@@ -0,0 +1,319 @@
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import { Banner, BlockStack, Button, Card, FormLayout, InlineStack, Layout, Page, Select, Text, TextField } from "@shopify/polaris";
+import { useState } from "react";
+import { AI_PROVIDER_NAMES, DEFAULT_AI_PROVIDER } from "../ai/provider.server";
+import { getShopCurrency } from "../markets.server";
+import { defaultBudgetTiers, formatBudgetRange, getBudgetTiers } from "../money";
+import { PREFERENCE_OPTIONS } from "../preferences";
+import { ATTRIBUTION_WINDOW_LIMITS, GENERATOR_SETTING_LIMITS, MAX_BUDGET_TIERS, MAX_CHOICES, getShopSettings, parseSettings, updateShopSettings } from "../settings.server";
+import { authenticate } from "../shopify.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const currencyCode = await getShopCurrency(session.shop, admin);
+  const settings = await getShopSettings(session.shop);
+
+  return json({
+    settings,
+    currencyCode,
+    budgetTiers: getBudgetTiers(settings.budgetTiers, currencyCode),
+    defaultBudgetTiers: defaultBudgetTiers(currencyCode),
+    maxBudgetTiers: MAX_BUDGET_TIERS,
+    maxSizeChoices: MAX_CHOICES,
+    aiProviders: AI_PROVIDER_NAMES,
+    appAIProvider: process.env.AI_PROVIDER || DEFAULT_AI_PROVIDER,
+    limits: { ...GENERATOR_SETTING_LIMITS, attributionWindowDays: ATTRIBUTION_WINDOW_LIMITS },
+  });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const { data, errors } = parseSettings(formData);
+  if (errors.length > 0) {
+    return json({ saved: false, errors });
+  }
+
+  await updateShopSettings(session.shop, data);
+  return json({ saved: true, errors: [] });
+};
+
+/**
+ * @param {import("../money").BudgetTier[]} tiers - Budget tiers
+ * @returns {{ value: string, label: string, min: string, max: string }[]} - Tiers as text field values; blank prices have no limit
+ */
+function toTierFields(tiers) {
+  const field = (amount) => (amount === null ? "" : String(amount));
+  return tiers.map((tier) => ({ value: tier.value, label: tier.label, min: field(tier.min), max: field(tier.max) }));
+}
+
+export default function Settings() {
+  const { settings, currencyCode, budgetTiers: savedBudgetTiers, defaultBudgetTiers, maxBudgetTiers, maxSizeChoices, aiProviders, appAIProvider, limits } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const isSaving = navigation.state === "submitting";
+
+  const [aiProvider, setAIProvider] = useState(settings.aiProvider || "");
+  const [sizeChoices, setSizeChoices] = useState(settings.sizeChoices);
+  const [styles, setStyles] = useState(settings.preferenceOptions.style.join(", "));
+  const [occasions, setOccasions] = useState(settings.preferenceOptions.occasion.join(", "));
+  const [weathers, setWeathers] = useState(settings.preferenceOptions.weather.join(", "));
+  const [budgetTiers, setBudgetTiers] = useState(toTierFields(savedBudgetTiers));
+  // False while the shop uses the default tiers, which follow its currency
+  const [customBudgetTiers, setCustomBudgetTiers] = useState(Boolean(settings.budgetTiers));
+  const [budgetLeeway, setBudgetLeeway] = useState(String(settings.budgetLeeway));
+  const [candidateLimit, setCandidateLimit] = useState(String(settings.candidateLimit));
+  const [maxOutfitItems, setMaxOutfitItems] = useState(String(settings.maxOutfitItems));
+  const [attributionWindowDays, setAttributionWindowDays] = useState(String(settings.attributionWindowDays));
+
+  const handleSave = () => {
+    const formData = new FormData();
+    formData.append("aiProvider", aiProvider);
+    formData.append("sizeChoices", JSON.stringify(sizeChoices));
+    formData.append("style", styles);
+    formData.append("occasion", occasions);
+    formData.append("weather", weathers);
+    formData.append("budgetTiers", customBudgetTiers ? JSON.stringify(budgetTiers) : "");
+    formData.append("budgetLeeway", budgetLeeway);
+    formData.append("candidateLimit", candidateLimit);
+    formData.append("maxOutfitItems", maxOutfitItems);
+    formData.append("attributionWindowDays", attributionWindowDays);
+
+    submit(formData, { method: "POST" });
+  };
+
+  const updateSizeChoice = (index, field, value) => {
+    setSizeChoices((choices) => choices.map((choice, i) => (i === index ? { ...choice, [field]: value } : choice)));
+  };
+
+  const editBudgetTiers = (edit) => {
+    setBudgetTiers(edit);
+    setCustomBudgetTiers(true);
+  };
+
+  const updateBudgetTier = (index, field, value) => {
+    editBudgetTiers((tiers) => tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+  };
+
+  const restoreDefaultBudgetTiers = () => {
+    setBudgetTiers(toTierFields(defaultBudgetTiers));
+    setCustomBudgetTiers(false);
+  };
+
+  const tierRange = (tier) =>
+    formatBudgetRange({ min: tier.min === "" ? null : Number(tier.min), max: tier.max === "" ? null : Number(tier.max) }, currencyCode);
+
+  return (
+    <Page title="Settings" backAction={{ content: "Home", url: "/app" }}>
+      <BlockStack gap="500">
+        {actionData?.errors?.length > 0 && (
+          <Banner tone="critical" title="Settings were not saved">
+            <ul>
+              {actionData.errors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+          </Banner>
+        )}
+        {actionData?.saved && !isSaving && <Banner tone="success" title="Settings saved" />}
+
+        <Layout>
+          <Layout.AnnotatedSection
+            title="Questionnaire"
+            description="Choices offered by the generator and accepted from the storefront. Separate choices with commas. Each size choice is matched against product variants as the generic size it stands for, and several choices may share one."
+          >
+            <Card>
+              <FormLayout>
+                <BlockStack gap="200">
+                  <Text as="h3" variant="headingSm">
+                    Sizes
+                  </Text>
+                  {sizeChoices.map((choice, index) => (
+                    <InlineStack key={index} gap="200" blockAlign="end" wrap={false}>
+                      <TextField
+                        label="Label"
+                        value={choice.label}
+                        onChange={(value) => updateSizeChoice(index, "label", value)}
+                        autoComplete="off"
+                      />
+                      <Select
+                        label="Matches"
+                        options={PREFERENCE_OPTIONS.size.map((size) => ({ label: size, value: size }))}
+                        value={choice.size}
+                        onChange={(value) => updateSizeChoice(index, "size", value)}
+                      />
+                      <Button
+                        accessibilityLabel={`Remove ${choice.label || "size"}`}
+                        onClick={() => setSizeChoices((choices) => choices.filter((_, i) => i !== index))}
+                        disabled={sizeChoices.length === 1}
+                      >
+                        Remove
+                      </Button>
+                    </InlineStack>
+                  ))}
+                  <InlineStack gap="300" blockAlign="center">
+                    <Button
+                      onClick={() => setSizeChoices((choices) => [...choices, { label: "", size: PREFERENCE_OPTIONS.size[0] }])}
+                      disabled={sizeChoices.length >= maxSizeChoices}
+                    >
+                      Add size
+                    </Button>
+                    <Button variant="plain" onClick={() => setSizeChoices(PREFERENCE_OPTIONS.size.map((size) => ({ label: size, size })))}>
+                      Use the default sizes
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+                <TextField label="Styles" value={styles} onChange={setStyles} multiline={2} autoComplete="off" />
+                <TextField label="Occasions" value={occasions} onChange={setOccasions} multiline={2} autoComplete="off" />
+                <TextField
+                  label="Weather"
+                  value={weathers}
+                  onChange={setWeathers}
+                  multiline={2}
+                  autoComplete="off"
+                  helpText="Outfits for choices mentioning cold, rain, snow or wind include outerwear."
+                />
+              </FormLayout>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title="Budget tiers"
+            description={`Budget choices offered by the generator and accepted from the storefront, with prices in ${currencyCode}. Whole-outfit budgets use the highest price; per-item budgets also leave out items below the lowest. Other market currencies get the same tiers, converted. Renamed tiers still match the outfits and storefront requests that use them.`}
+          >
+            <Card>
+              <FormLayout>
+                {budgetTiers.map((tier, index) => (
+                  <InlineStack key={index} gap="200" blockAlign="end" wrap={false}>
+                    <TextField
+                      label="Name"
+                      value={tier.label}
+                      onChange={(value) => updateBudgetTier(index, "label", value)}
+                      placeholder={tierRange(tier)}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="From"
+                      type="number"
+                      min={0}
+                      value={tier.min}
+                      onChange={(value) => updateBudgetTier(index, "min", value)}
+                      placeholder="No minimum"
+                      suffix={currencyCode}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Up to"
+                      type="number"
+                      min={0}
+                      value={tier.max}
+                      onChange={(value) => updateBudgetTier(index, "max", value)}
+                      placeholder="No limit"
+                      suffix={currencyCode}
+                      autoComplete="off"
+                    />
+                    <Button
+                      accessibilityLabel={`Remove ${tier.label || tierRange(tier)}`}
+                      onClick={() => editBudgetTiers((tiers) => tiers.filter((_, i) => i !== index))}
+                      disabled={budgetTiers.length === 1}
+                    >
+                      Remove
+                    </Button>
+                  </InlineStack>
+                ))}
+                <InlineStack gap="300" blockAlign="center">
+                  <Button
+                    onClick={() => editBudgetTiers((tiers) => [...tiers, { value: "", label: "", min: "", max: "" }])}
+                    disabled={budgetTiers.length >= maxBudgetTiers}
+                  >
+                    Add tier
+                  </Button>
+                  <Button variant="plain" onClick={restoreDefaultBudgetTiers} disabled={!customBudgetTiers}>
+                    Use the default tiers
+                  </Button>
+                </InlineStack>
+                <TextField
+                  label="Per-item budget leeway"
+                  type="number"
+                  step={0.05}
+                  min={limits.budgetLeeway.min}
+                  max={limits.budgetLeeway.max}
+                  value={budgetLeeway}
+                  onChange={setBudgetLeeway}
+                  helpText="When the budget applies to each item, products may cost up to this multiple of it (1.25 allows 25% over)."
+                  autoComplete="off"
+                />
+              </FormLayout>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection title="Generator" description="How outfits are built.">
+            <Card>
+              <FormLayout>
+                <Select
+                  label="AI provider"
+                  options={[
+                    { label: `App default (${appAIProvider})`, value: "" },
+                    ...aiProviders.map((name) => ({ label: name, value: name })),
+                  ]}
+                  value={aiProvider}
+                  onChange={setAIProvider}
+                />
+                <TextField
+                  label="Products shown to the AI"
+                  type="number"
+                  min={limits.candidateLimit.min}
+                  max={limits.candidateLimit.max}
+                  value={candidateLimit}
+                  onChange={setCandidateLimit}
+                  helpText="The best matching products the stylist chooses from. More gives it more choice but makes each generation slower."
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Maximum items per outfit"
+                  type="number"
+                  min={limits.maxOutfitItems.min}
+                  max={limits.maxOutfitItems.max}
+                  value={maxOutfitItems}
+                  onChange={setMaxOutfitItems}
+                  autoComplete="off"
+                />
+              </FormLayout>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title="Sales attribution"
+            description="Orders are credited to the outfit whose cart link or storefront block the shopper came from. Other orders for recommended products are credited to the latest outfit that included them."
+          >
+            <Card>
+              <FormLayout>
+                <TextField
+                  label="Attribution window"
+                  type="number"
+                  min={limits.attributionWindowDays.min}
+                  max={limits.attributionWindowDays.max}
+                  value={attributionWindowDays}
+                  onChange={setAttributionWindowDays}
+                  suffix="days"
+                  helpText="How long after an outfit is recommended that orders for its products count towards it."
+                  autoComplete="off"
+                />
+              </FormLayout>
+            </Card>
+          </Layout.AnnotatedSection>
+        </Layout>
+
+        <InlineStack align="end">
+          <Button variant="primary" onClick={handleSave} loading={isSaving}>
+            Save
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Page>
+  );
+}
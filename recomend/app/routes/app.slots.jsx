@@ -0,0 +1,152 @@
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { BlockStack, Button, Card, DataTable, InlineStack, Page, Select, Text, TextField } from "@shopify/polaris";
+import { useState } from "react";
+import { classifyProduct, OUTFIT_SLOTS, SLOT_LABELS } from "../outfit-slots";
+import { listProductTypes } from "../products.server";
+import { authenticate } from "../shopify.server";
+import { deleteSlotMapping, listSlotMappings, saveSlotMapping } from "../slot-mappings.server";
+
+const MATCH_TYPES = ["productType", "tag"];
+
+const SLOT_OPTIONS = OUTFIT_SLOTS.map((slot) => ({ label: SLOT_LABELS[slot], value: slot }));
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const mappings = await listSlotMappings(session.shop);
+  const productTypes = (await listProductTypes(session.shop)).map((type) => ({
+    ...type,
+    // What the built-in keywords make of the type, shown when it is not mapped
+    detectedSlot: classifyProduct({ productType: type.productType }),
+    mappedSlot:
+      mappings.find((m) => m.matchType === "productType" && m.value === type.productType.trim().toLowerCase())?.slot || "",
+  }));
+
+  return json({
+    productTypes,
+    tagMappings: mappings.filter((m) => m.matchType === "tag"),
+  });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const matchType = formData.get("matchType");
+  const value = (formData.get("value") || "").toString();
+  const slot = formData.get("slot");
+
+  if (!MATCH_TYPES.includes(matchType) || !value.trim()) {
+    return json({ error: "A product type or tag is required" }, { status: 400 });
+  }
+
+  if (intent === "delete") {
+    await deleteSlotMapping(session.shop, matchType, value);
+    return json({ error: null });
+  }
+
+  if (!OUTFIT_SLOTS.includes(slot)) {
+    return json({ error: `slot must be one of: ${OUTFIT_SLOTS.join(", ")}` }, { status: 400 });
+  }
+
+  await saveSlotMapping(session.shop, { matchType, value, slot });
+  return json({ error: null });
+};
+
+export default function SlotMappings() {
+  const { productTypes, tagMappings } = useLoaderData();
+  const fetcher = useFetcher();
+  const [tag, setTag] = useState("");
+  const [tagSlot, setTagSlot] = useState(OUTFIT_SLOTS[0]);
+
+  const handleTypeChange = (productType, slot) => {
+    fetcher.submit(
+      slot
+        ? { intent: "save", matchType: "productType", value: productType, slot }
+        : { intent: "delete", matchType: "productType", value: productType },
+      { method: "POST" },
+    );
+  };
+
+  const handleAddTag = () => {
+    fetcher.submit({ intent: "save", matchType: "tag", value: tag, slot: tagSlot }, { method: "POST" });
+    setTag("");
+  };
+
+  const handleRemoveTag = (value) => {
+    fetcher.submit({ intent: "delete", matchType: "tag", value }, { method: "POST" });
+  };
+
+  const typeRows = productTypes.map((type) => [
+    type.productType || "(no product type)",
+    type.count,
+    <Select
+      key={type.productType}
+      label="Slot"
+      labelHidden
+      disabled={!type.productType}
+      options={[
+        { label: `Automatic (${type.detectedSlot ? SLOT_LABELS[type.detectedSlot] : "unclassified"})`, value: "" },
+        ...SLOT_OPTIONS,
+      ]}
+      value={type.mappedSlot}
+      onChange={(slot) => handleTypeChange(type.productType, slot)}
+    />,
+  ]);
+
+  const tagRows = tagMappings.map((mapping) => [
+    mapping.value,
+    SLOT_LABELS[mapping.slot],
+    <Button key={mapping.id} variant="plain" tone="critical" onClick={() => handleRemoveTag(mapping.value)}>
+      Remove
+    </Button>,
+  ]);
+
+  return (
+    <Page title="Outfit slots" backAction={{ content: "Home", url: "/app" }}>
+      <BlockStack gap="500">
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">
+              Product types
+            </Text>
+            <Text as="p" variant="bodySm" tone="subdued">
+              Every outfit gets a top, bottom and footwear, plus outerwear in cold or rainy weather. Products are sorted into
+              slots by their product type, tags and title; choose a slot here when the automatic choice is wrong.
+            </Text>
+            {typeRows.length > 0 ? (
+              <DataTable columnContentTypes={["text", "numeric", "text"]} headings={["Product type", "Products", "Slot"]} rows={typeRows} />
+            ) : (
+              <Text as="p" variant="bodyMd" tone="subdued">
+                No in-stock products have been synced yet.
+              </Text>
+            )}
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">
+              Tags
+            </Text>
+            <Text as="p" variant="bodySm" tone="subdued">
+              Products with a mapped tag fill its slot, unless their product type is mapped above.
+            </Text>
+            <InlineStack gap="300" blockAlign="end">
+              <TextField label="Tag" value={tag} onChange={setTag} autoComplete="off" />
+              <Select label="Slot" options={SLOT_OPTIONS} value={tagSlot} onChange={setTagSlot} />
+              <Button onClick={handleAddTag} disabled={!tag.trim()} loading={fetcher.state === "submitting"}>
+                Add
+              </Button>
+            </InlineStack>
+            {tagRows.length > 0 && (
+              <DataTable columnContentTypes={["text", "text", "text"]} headings={["Tag", "Slot", ""]} rows={tagRows} />
+            )}
+          </BlockStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,58 @@
+import { json } from "@remix-run/node";
+import { RECOMMENDATION_CART_ATTRIBUTE } from "../attribution.server";
+import { parseCountryCode } from "../markets.server";
+import { createRateLimiter, getClientIp } from "../rate-limit.server";
+import { authenticate } from "../shopify.server";
+import { getCompleteTheLook } from "../storefront.server";
+
+// Only looks that are not cached yet cost AI calls, so only those are limited
+const ipLimiter = createRateLimiter({ limit: 5, windowMs: 60 * 1000 });
+const shopLimiter = createRateLimiter({ limit: 30, windowMs: 60 * 1000 });
+
+// Requested by the "Complete the Look" theme block through the app proxy
+// (/apps/recomend/complete-the-look on the storefront).
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.public.appProxy(request);
+
+  if (!session) {
+    return json({ error: "App is not installed on this shop" }, { status: 404 });
+  }
+
+  const url = new URL(request.url);
+  const productId = url.searchParams.get("product_id") || "";
+  if (!/^\d+$/.test(productId)) {
+    return json({ error: "product_id must be a numeric product ID" }, { status: 400 });
+  }
+
+  const limit = Math.min(5, Math.max(1, parseInt(url.searchParams.get("limit"), 10) || 3));
+
+  // Sent by the theme block when it is set to show market prices
+  const countryCode = parseCountryCode(url.searchParams.get("country"));
+
+  const look = await getCompleteTheLook(session.shop, `gid://shopify/Product/${productId}`, {
+    admin,
+    countryCode,
+    limitGeneration: () => {
+      // Without a trustworthy client address only the shop-wide limit applies
+      const clientIp = getClientIp(request);
+      const ipLimit = clientIp ? ipLimiter.consume(`${session.shop}:${clientIp}`) : null;
+      return ipLimit && !ipLimit.allowed ? ipLimit : shopLimiter.consume(session.shop);
+    },
+  });
+  if (!look) {
+    return json({ error: "Product not found" }, { status: 404 });
+  }
+  if (look.retryAfterSeconds) {
+    return json({ error: look.error }, { status: 429, headers: { "Retry-After": String(look.retryAfterSeconds) } });
+  }
+  if (look.error) {
+    return json({ error: look.error });
+  }
+
+  return json({
+    ...look,
+    products: look.products.slice(0, limit),
+    // The theme block sets these on the cart so orders are attributed to the look
+    cartAttributes: look.recommendationId ? { [RECOMMENDATION_CART_ATTRIBUTE]: look.recommendationId } : {},
+  });
+};
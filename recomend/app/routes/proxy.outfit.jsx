@@ -0,0 +1,93 @@
+import { json } from "@remix-run/node";
+import { RECOMMENDATION_CART_ATTRIBUTE } from "../attribution.server";
+import { parseCountryCode } from "../markets.server";
+import { generateOutfit } from "../outfits.server";
+import { parsePreferences } from "../preferences";
+import { createRateLimiter, getClientIp } from "../rate-limit.server";
+import { saveRecommendation } from "../recommendations.server";
+import { getShopSettings } from "../settings.server";
+import { authenticate } from "../shopify.server";
+import { toStorefrontProduct } from "../storefront.server";
+
+// Every request costs AI calls, and this endpoint is open to anyone on the storefront
+const ipLimiter = createRateLimiter({ limit: 5, windowMs: 60 * 1000 });
+const shopLimiter = createRateLimiter({ limit: 60, windowMs: 60 * 1000 });
+
+/**
+ * @param {{ retryAfterSeconds: number }} limit - Result from the limiter that refused the request
+ * @returns {Response}
+ */
+function tooManyRequests({ retryAfterSeconds }) {
+  return json(
+    { error: "Too many outfit requests. Please try again shortly." },
+    { status: 429, headers: { "Retry-After": String(retryAfterSeconds) } },
+  );
+}
+
+// Storefront quiz endpoint (POST /apps/recomend/outfit). Accepts the same
+// budget/size/style/occasion/weather answers as the admin generator, plus an
+// optional `country` to price the outfit for that Shopify Market.
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.public.appProxy(request);
+
+  if (!session) {
+    return json({ error: "App is not installed on this shop" }, { status: 404 });
+  }
+
+  // Without a trustworthy client address only the shop-wide limit applies
+  const clientIp = getClientIp(request);
+  if (clientIp) {
+    const ipLimit = ipLimiter.consume(`${session.shop}:${clientIp}`);
+    if (!ipLimit.allowed) return tooManyRequests(ipLimit);
+  }
+
+  const shopLimit = shopLimiter.consume(session.shop);
+  if (!shopLimit.allowed) return tooManyRequests(shopLimit);
+
+  const contentType = request.headers.get("Content-Type") || "";
+  let formData;
+  try {
+    formData = contentType.includes("application/json")
+      ? new URLSearchParams(await request.json())
+      : await request.formData();
+  } catch {
+    return json({ error: "Request body must be form data or JSON" }, { status: 400 });
+  }
+
+  const { preferenceOptions } = await getShopSettings(session.shop);
+  const { preferences, errors } = parsePreferences(formData, preferenceOptions);
+  if (errors.length > 0) {
+    return json({ error: errors.join("; ") }, { status: 400 });
+  }
+
+  // Optional storefront country, to price the outfit for that Shopify Market
+  const countryCode = parseCountryCode(formData.get("country"));
+
+  const outfit = await generateOutfit(session.shop, preferences, { admin, countryCode });
+  // The quota message is written for the merchant; shoppers only learn outfits are unavailable
+  if (outfit.quotaExceeded) {
+    return json({ error: "Outfit recommendations are unavailable right now. Please try again later." }, { status: 503 });
+  }
+  if (outfit.error) {
+    return json({ error: outfit.error }, { status: 422 });
+  }
+
+  // Shopify adds the signed-in customer's ID to proxied requests
+  const customerId = new URL(request.url).searchParams.get("logged_in_customer_id") || null;
+
+  const recommendationId = await saveRecommendation(session.shop, preferences, outfit, {
+    source: "storefront",
+    customerId,
+  });
+
+  return json({
+    recommendationId,
+    recommendation: outfit.recommendation,
+    colorPalette: outfit.colorPalette,
+    total: outfit.total,
+    currencyCode: outfit.currencyCode,
+    products: outfit.products.map(toStorefrontProduct),
+    // Storefront integrations set these on the cart so orders are attributed to the outfit
+    cartAttributes: recommendationId ? { [RECOMMENDATION_CART_ATTRIBUTE]: recommendationId } : {},
+  });
+};
@@ -1,16 +1,15 @@
 import { authenticate } from "../shopify.server";
-import db from "../db.server";
+import { purgeShopData } from "../privacy.server";
 
 export const action = async ({ request }) => {
-  const { shop, session, topic } = await authenticate.webhook(request);
+  const { shop, topic } = await authenticate.webhook(request);
 
   console.log(`Received ${topic} webhook for ${shop}`);
 
   // Webhook requests can trigger multiple times and after an app has already been uninstalled.
-  // If this webhook already ran, the session may have been deleted previously.
-  if (session) {
-    await db.session.deleteMany({ where: { shop } });
-  }
+  // Purging is safe to repeat, so it runs whether or not the session is still there.
+  // Plan and usage records stay until shop/redact, so reinstalling does not reset the quota.
+  await purgeShopData(shop, { keepBillingRecords: true });
 
   return new Response();
 };
@@ -0,0 +1,19 @@
+import { authenticate } from "../shopify.server";
+import { applySubscriptionUpdate } from "../usage.server";
+import { isDuplicateWebhook, markWebhookProcessed } from "../webhooks.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (await isDuplicateWebhook(webhookId)) {
+    return new Response();
+  }
+
+  await applySubscriptionUpdate(shop, admin, payload.app_subscription);
+
+  await markWebhookProcessed(webhookId, shop, topic);
+
+  return new Response();
+};
@@ -0,0 +1,20 @@
+import { recordDataRequest } from "../privacy.server";
+import { authenticate } from "../shopify.server";
+import { isDuplicateWebhook, markWebhookProcessed } from "../webhooks.server";
+
+export const action = async ({ request }) => {
+  const { payload, shop, topic, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (await isDuplicateWebhook(webhookId)) {
+    return new Response();
+  }
+
+  // The merchant downloads the customer's data from the privacy page and sends it on
+  await recordDataRequest(shop, payload);
+
+  await markWebhookProcessed(webhookId, shop, topic);
+
+  return new Response();
+};
@@ -0,0 +1,16 @@
+import { redactCustomer } from "../privacy.server";
+import { authenticate } from "../shopify.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Erasing is safe to repeat, so duplicate deliveries are not tracked
+  await redactCustomer(shop, String(payload.customer.id), {
+    orderIds: payload.orders_to_redact,
+    admin,
+  });
+
+  return new Response();
+};
@@ -0,0 +1,22 @@
+import { attributeOrder } from "../attribution.server";
+import { authenticate } from "../shopify.server";
+import { isDuplicateWebhook, markWebhookProcessed } from "../webhooks.server";
+
+export const action = async ({ request }) => {
+  const { payload, shop, topic, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (await isDuplicateWebhook(webhookId)) {
+    return new Response();
+  }
+
+  const { attributedLines, revenue } = await attributeOrder(shop, payload);
+  if (attributedLines > 0) {
+    console.log(`Order ${payload.name}: ${attributedLines} lines (${revenue}) attributed to recommendations`);
+  }
+
+  await markWebhookProcessed(webhookId, shop, topic);
+
+  return new Response();
+};
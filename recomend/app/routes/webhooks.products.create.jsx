@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+import { syncProductFromWebhook } from "../products.server";
+import { isDuplicateWebhook, markWebhookProcessed } from "../webhooks.server";
+
+export const action = async ({ request }) => {
+  const { payload, shop, topic, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (await isDuplicateWebhook(webhookId)) {
+    return new Response();
+  }
+
+  // Out-of-order deliveries are resolved by the product's updated_at timestamp.
+  const result = await syncProductFromWebhook(shop, payload);
+  console.log(`Product ${payload.admin_graphql_api_id}: ${result}`);
+
+  await markWebhookProcessed(webhookId, shop, topic);
+
+  return new Response();
+};
@@ -0,0 +1,20 @@
+import { authenticate } from "../shopify.server";
+import { deleteProduct } from "../products.server";
+import { isDuplicateWebhook, markWebhookProcessed } from "../webhooks.server";
+
+export const action = async ({ request }) => {
+  const { payload, shop, topic, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (await isDuplicateWebhook(webhookId)) {
+    return new Response();
+  }
+
+  // The delete payload only carries the numeric product ID.
+  await deleteProduct(shop, `gid://shopify/Product/${payload.id}`);
+
+  await markWebhookProcessed(webhookId, shop, topic);
+
+  return new Response();
+};
@@ -0,0 +1,14 @@
+import { purgeShopData } from "../privacy.server";
+import { authenticate } from "../shopify.server";
+
+export const action = async ({ request }) => {
+  const { shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Sent 48 hours after uninstall; clears the billing records uninstalling keeps, anything stored
+  // since, and anything left by a failed uninstall webhook
+  await purgeShopData(shop);
+
+  return new Response();
+};
@@ -0,0 +1,343 @@
+import { AI_PROVIDER_NAMES } from "./ai/provider.server";
+import db from "./db.server";
+import { defaultBudgetTiers } from "./money";
+import { PREFERENCE_OPTIONS } from "./preferences";
+
+// ========== SHOP SETTINGS ==========
+// Per-shop questionnaire choices and generator knobs, edited on the settings
+// page and read by the admin generator and the storefront endpoints.
+
+export const DEFAULT_GENERATOR_SETTINGS = {
+  // How far above a per-item budget a product may be priced
+  budgetLeeway: 1.25,
+  // Products shown to the AI
+  candidateLimit: 20,
+  // Largest outfit the AI may build
+  maxOutfitItems: 5,
+};
+
+// Ranges merchants may set the generator knobs within
+export const GENERATOR_SETTING_LIMITS = {
+  budgetLeeway: { min: 1, max: 2 },
+  candidateLimit: { min: 10, max: 50 },
+  // Cold-weather outfits need four slots: top, bottom, footwear and outerwear
+  maxOutfitItems: { min: 4, max: 8 },
+};
+
+// Days after a recommendation that orders for its products are credited to it
+export const DEFAULT_ATTRIBUTION_WINDOW_DAYS = 7;
+export const ATTRIBUTION_WINDOW_LIMITS = { min: 1, max: 30 };
+
+// Questions whose choices are free text. Size choices carry their own labels
+// too, but each maps to one of the generic S/M/L/XL sizes variants are
+// matched against.
+const FREE_TEXT_QUESTIONS = ["style", "occasion", "weather"];
+
+export const MAX_CHOICES = 12;
+const MAX_CHOICE_LENGTH = 40;
+
+export const MAX_BUDGET_TIERS = 8;
+
+/**
+ * @typedef {object} ShopSettings
+ * @property {string | null} aiProvider - Provider chosen for the shop, or null for the app default
+ * @property {string | null} currencyCode - Shop's base currency, once known
+ * @property {Record<string, string[]>} preferenceOptions - Choices for every question; budget choices are the tiers' values and size choices their labels
+ * @property {SizeChoice[]} sizeChoices - Size choices with the generic size each stands for
+ * @property {import("./money").BudgetTier[] | null} budgetTiers - The shop's budget tiers in its currency, or null for the defaults
+ * @property {number} budgetLeeway - Multiplier applied to per-item budgets
+ * @property {number} candidateLimit - Products shown to the AI
+ * @property {number} maxOutfitItems - Largest outfit the AI may build
+ * @property {number} attributionWindowDays - Days after a recommendation that orders for its products are credited to it
+ */
+
+/**
+ * @typedef {object} SizeChoice
+ * @property {string} label - Offered to shoppers and saved with their preferences
+ * @property {string} size - Generic size ("S", "M", "L" or "XL") variants are matched against
+ */
+
+/**
+ * @param {(string | SizeChoice)[] | undefined} stored - Stored size choices
+ * @returns {SizeChoice[]} - The shop's size choices, or the generic sizes
+ */
+function readSizeChoices(stored) {
+  // Saved before sizes could be relabelled: a subset of the generic sizes
+  return (stored || PREFERENCE_OPTIONS.size).map((choice) =>
+    typeof choice === "string" ? { label: choice, size: choice } : choice,
+  );
+}
+
+/**
+ * @param {object | null} row - Row from the `ShopSettings` table
+ * @returns {import("./money").BudgetTier[] | null} - The shop's budget tiers, or null for the defaults
+ */
+function readBudgetTiers(row) {
+  if (!row?.budgetTiers) return null;
+  const stored = JSON.parse(row.budgetTiers);
+  // Saved before tiers could be edited: limits for the lower two default tiers
+  if (typeof stored[0] === "number") {
+    return defaultBudgetTiers(row.currencyCode, stored);
+  }
+  return stored;
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @returns {Promise<ShopSettings>} - The shop's settings, with defaults filled in
+ */
+export async function getShopSettings(shop) {
+  const row = await db.shopSettings.findUnique({ where: { shop } });
+  const budgetTiers = readBudgetTiers(row);
+  const stored = row?.preferenceOptions
+    ? JSON.parse(row.preferenceOptions)
+    : {};
+  const sizeChoices = readSizeChoices(stored.size);
+
+  return {
+    aiProvider: row?.aiProvider || null,
+    currencyCode: row?.currencyCode || null,
+    preferenceOptions: {
+      ...PREFERENCE_OPTIONS,
+      ...stored,
+      size: sizeChoices.map((choice) => choice.label),
+      budget: (budgetTiers || defaultBudgetTiers()).map((tier) => tier.value),
+    },
+    sizeChoices,
+    budgetTiers,
+    budgetLeeway: row?.budgetLeeway ?? DEFAULT_GENERATOR_SETTINGS.budgetLeeway,
+    candidateLimit:
+      row?.candidateLimit ?? DEFAULT_GENERATOR_SETTINGS.candidateLimit,
+    maxOutfitItems:
+      row?.maxOutfitItems ?? DEFAULT_GENERATOR_SETTINGS.maxOutfitItems,
+    attributionWindowDays:
+      row?.attributionWindowDays ?? DEFAULT_ATTRIBUTION_WINDOW_DAYS,
+  };
+}
+
+/**
+ * @param {string} value - Comma- or newline-separated choices
+ * @returns {string[]} - Trimmed, unique, non-empty choices
+ */
+function parseChoiceList(value) {
+  const choices = (value || "")
+    .split(/[,\n]/)
+    .map((choice) => choice.trim())
+    .filter(Boolean);
+  return [...new Set(choices)];
+}
+
+/**
+ * Read the submitted size choices. Each needs its own label and one of the
+ * generic sizes; several labels may share a generic size.
+ * @param {FormDataEntryValue | null} value - JSON `[{ label, size }]`
+ * @param {string[]} errors - Collects a message per invalid choice
+ * @returns {SizeChoice[]}
+ */
+function parseSizeChoices(value, errors) {
+  let submitted;
+  try {
+    submitted = JSON.parse(value || "");
+  } catch {
+    submitted = null;
+  }
+  if (
+    !Array.isArray(submitted) ||
+    submitted.length === 0 ||
+    submitted.length > MAX_CHOICES
+  ) {
+    errors.push(`size needs between 1 and ${MAX_CHOICES} choices`);
+    return [];
+  }
+
+  const labels = new Set();
+  return submitted.map((choice, index) => {
+    const label = String(choice?.label || "").trim();
+    const size = choice?.size;
+    const name = label || `Size ${index + 1}`;
+
+    if (!label) {
+      errors.push(`${name}: enter a label`);
+    } else if (label.length > MAX_CHOICE_LENGTH) {
+      errors.push(
+        `${name}: labels must be at most ${MAX_CHOICE_LENGTH} characters`,
+      );
+    } else if (labels.has(label)) {
+      errors.push(`${name}: labels must be unique`);
+    }
+    labels.add(label);
+    if (!PREFERENCE_OPTIONS.size.includes(size)) {
+      errors.push(
+        `${name}: size must be one of ${PREFERENCE_OPTIONS.size.join(", ")}`,
+      );
+    }
+
+    return { label, size };
+  });
+}
+
+/**
+ * @param {FormDataEntryValue | null} value - Submitted number
+ * @param {string} field - Setting name, for messages and limits
+ * @param {string[]} errors - Collects a message if the value is invalid
+ * @param {{ integer?: boolean, limits?: { min: number, max: number } }} [options] - `limits` defaults to the field's generator limits
+ * @returns {number} - Parsed value
+ */
+function parseKnob(
+  value,
+  field,
+  errors,
+  { integer = false, limits = GENERATOR_SETTING_LIMITS[field] } = {},
+) {
+  const { min, max } = limits;
+  const number = Number(value);
+
+  if (!Number.isFinite(number) || number < min || number > max) {
+    errors.push(`${field} must be between ${min} and ${max}`);
+  } else if (integer && !Number.isInteger(number)) {
+    errors.push(`${field} must be a whole number`);
+  }
+  return number;
+}
+
+/**
+ * @param {unknown} value - Submitted price; blank for none
+ * @returns {number | null}
+ */
+function parseTierPrice(value) {
+  return value === "" || value === null || value === undefined
+    ? null
+    : Number(value);
+}
+
+/**
+ * Read the submitted budget tiers. Renamed tiers keep their value, so saved
+ * preferences and storefront integrations still match them; new tiers take
+ * their name as their value.
+ * @param {FormDataEntryValue | null} value - JSON `[{ value?, label, min, max }]`, or blank for the defaults
+ * @param {string[]} errors - Collects a message per invalid tier
+ * @returns {import("./money").BudgetTier[] | null} - Tiers in the shop's currency, or null for the defaults
+ */
+function parseBudgetTiers(value, errors) {
+  if (!value) return null;
+
+  let submitted;
+  try {
+    submitted = JSON.parse(value);
+  } catch {
+    submitted = null;
+  }
+  if (
+    !Array.isArray(submitted) ||
+    submitted.length === 0 ||
+    submitted.length > MAX_BUDGET_TIERS
+  ) {
+    errors.push(`Budget needs between 1 and ${MAX_BUDGET_TIERS} tiers`);
+    return null;
+  }
+
+  const values = new Set();
+  return submitted.map((tier, index) => {
+    const label = String(tier?.label || "").trim();
+    const min = parseTierPrice(tier?.min);
+    const max = parseTierPrice(tier?.max);
+    const name = label || `Budget tier ${index + 1}`;
+
+    if (label.length > MAX_CHOICE_LENGTH) {
+      errors.push(
+        `${name}: names must be at most ${MAX_CHOICE_LENGTH} characters`,
+      );
+    }
+    if ((min !== null && !(min >= 0)) || (max !== null && !(max > 0))) {
+      errors.push(`${name}: prices must be positive numbers`);
+    } else if (min !== null && max !== null && max <= min) {
+      errors.push(`${name}: the highest price must be above the lowest`);
+    }
+
+    const existing =
+      typeof tier?.value === "string" ? tier.value.trim().slice(0, 60) : "";
+    const base = existing || label || `Tier ${index + 1}`;
+    let tierValue = base;
+    for (let n = 2; values.has(tierValue); n++) tierValue = `${base} ${n}`;
+    values.add(tierValue);
+
+    return { value: tierValue, label, min, max };
+  });
+}
+
+/**
+ * Read and validate the settings form.
+ * @param {FormData} formData - Submitted settings
+ * @returns {{ data: object, errors: string[] }} - Columns for the `ShopSettings` table and a message per invalid field
+ */
+export function parseSettings(formData) {
+  const errors = [];
+
+  const aiProvider = formData.get("aiProvider") || null;
+  if (aiProvider && !AI_PROVIDER_NAMES.includes(aiProvider)) {
+    errors.push(`aiProvider must be one of: ${AI_PROVIDER_NAMES.join(", ")}`);
+  }
+
+  const preferenceOptions = {
+    size: parseSizeChoices(formData.get("sizeChoices"), errors),
+  };
+  for (const question of FREE_TEXT_QUESTIONS) {
+    const choices = parseChoiceList(formData.get(question));
+    if (choices.length === 0 || choices.length > MAX_CHOICES) {
+      errors.push(`${question} needs between 1 and ${MAX_CHOICES} choices`);
+    } else if (choices.some((choice) => choice.length > MAX_CHOICE_LENGTH)) {
+      errors.push(
+        `${question} choices must be at most ${MAX_CHOICE_LENGTH} characters`,
+      );
+    }
+    preferenceOptions[question] = choices;
+  }
+
+  const budgetTiers = parseBudgetTiers(formData.get("budgetTiers"), errors);
+
+  return {
+    data: {
+      aiProvider,
+      preferenceOptions: JSON.stringify(preferenceOptions),
+      budgetTiers: budgetTiers && JSON.stringify(budgetTiers),
+      budgetLeeway: parseKnob(
+        formData.get("budgetLeeway"),
+        "budgetLeeway",
+        errors,
+      ),
+      candidateLimit: parseKnob(
+        formData.get("candidateLimit"),
+        "candidateLimit",
+        errors,
+        { integer: true },
+      ),
+      maxOutfitItems: parseKnob(
+        formData.get("maxOutfitItems"),
+        "maxOutfitItems",
+        errors,
+        { integer: true },
+      ),
+      attributionWindowDays: parseKnob(
+        formData.get("attributionWindowDays"),
+        "attributionWindowDays",
+        errors,
+        { integer: true, limits: ATTRIBUTION_WINDOW_LIMITS },
+      ),
+    },
+    errors,
+  };
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {object} data - Columns from `parseSettings`
+ * @returns {Promise<ShopSettings>} - Saved settings
+ */
+export async function updateShopSettings(shop, data) {
+  await db.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+  return getShopSettings(shop);
+}
@@ -0,0 +1,186 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import db from "./db.server";
+import { PREFERENCE_OPTIONS } from "./preferences";
+import { getShopSettings, parseSettings } from "./settings.server";
+
+vi.mock("./db.server", () => ({
+  default: { shopSettings: { findUnique: vi.fn() } },
+}));
+
+vi.mock("./ai/provider.server", () => ({
+  AI_PROVIDER_NAMES: ["gemini", "openai", "local"],
+}));
+
+const SHOP = "example.myshopify.com";
+
+const settingsForm = (fields = {}) => {
+  const formData = new FormData();
+  const values = {
+    aiProvider: "",
+    sizeChoices: JSON.stringify([
+      { label: "Petite", size: "S" },
+      { label: "Regular", size: "M" },
+    ]),
+    style: "Casual, Formal",
+    occasion: "Work",
+    weather: "Hot, Cold",
+    budgetTiers: "",
+    budgetLeeway: "1.25",
+    candidateLimit: "20",
+    maxOutfitItems: "5",
+    attributionWindowDays: "7",
+    ...fields,
+  };
+  for (const [name, value] of Object.entries(values)) {
+    formData.append(name, value);
+  }
+  return formData;
+};
+
+describe("getShopSettings", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("fills in the defaults for shops without settings", async () => {
+    db.shopSettings.findUnique.mockResolvedValue(null);
+
+    const settings = await getShopSettings(SHOP);
+
+    expect(settings.preferenceOptions).toEqual(PREFERENCE_OPTIONS);
+    expect(settings.sizeChoices).toEqual([
+      { label: "S", size: "S" },
+      { label: "M", size: "M" },
+      { label: "L", size: "L" },
+      { label: "XL", size: "XL" },
+    ]);
+    expect(settings.budgetTiers).toBeNull();
+  });
+
+  it("offers size choices by their labels", async () => {
+    db.shopSettings.findUnique.mockResolvedValue({
+      preferenceOptions: JSON.stringify({
+        size: [
+          { label: "Petite", size: "S" },
+          { label: "Tall", size: "L" },
+        ],
+      }),
+    });
+
+    const settings = await getShopSettings(SHOP);
+
+    expect(settings.preferenceOptions.size).toEqual(["Petite", "Tall"]);
+    expect(settings.sizeChoices[1]).toEqual({ label: "Tall", size: "L" });
+  });
+
+  it("reads sizes saved as generic sizes", async () => {
+    db.shopSettings.findUnique.mockResolvedValue({
+      preferenceOptions: JSON.stringify({ size: ["M", "L"] }),
+    });
+
+    const settings = await getShopSettings(SHOP);
+
+    expect(settings.sizeChoices).toEqual([
+      { label: "M", size: "M" },
+      { label: "L", size: "L" },
+    ]);
+  });
+
+  it("reads budget limits saved before tiers could be edited", async () => {
+    db.shopSettings.findUnique.mockResolvedValue({
+      currencyCode: "GBP",
+      budgetTiers: JSON.stringify([30, 60]),
+    });
+
+    const settings = await getShopSettings(SHOP);
+
+    expect(settings.budgetTiers.map((tier) => tier.max)).toEqual([
+      30,
+      60,
+      null,
+    ]);
+    expect(settings.preferenceOptions.budget).toEqual([
+      "Under 50",
+      "50-100",
+      "100+",
+    ]);
+  });
+});
+
+describe("parseSettings", () => {
+  it("accepts a valid form", () => {
+    const { data, errors } = parseSettings(settingsForm());
+
+    expect(errors).toEqual([]);
+    expect(JSON.parse(data.preferenceOptions)).toEqual({
+      size: [
+        { label: "Petite", size: "S" },
+        { label: "Regular", size: "M" },
+      ],
+      style: ["Casual", "Formal"],
+      occasion: ["Work"],
+      weather: ["Hot", "Cold"],
+    });
+    expect(data.budgetTiers).toBeNull();
+    expect(data.aiProvider).toBeNull();
+  });
+
+  it.each([
+    [[], "size needs between 1 and 12 choices"],
+    [[{ label: " ", size: "S" }], "Size 1: enter a label"],
+    [
+      [
+        { label: "Tall", size: "L" },
+        { label: "Tall", size: "XL" },
+      ],
+      "Tall: labels must be unique",
+    ],
+    [[{ label: "Huge", size: "XXL" }], "Huge: size must be one of S, M, L, XL"],
+  ])("rejects the size choices %j", (choices, error) => {
+    const { errors } = parseSettings(
+      settingsForm({ sizeChoices: JSON.stringify(choices) }),
+    );
+
+    expect(errors).toEqual([error]);
+  });
+
+  it("keeps renamed budget tiers' values and gives new tiers unique ones", () => {
+    const { data, errors } = parseSettings(
+      settingsForm({
+        budgetTiers: JSON.stringify([
+          { value: "Under 50", label: "Basics", min: "", max: "40" },
+          { label: "Premium", min: "40", max: "" },
+          { label: "Premium", min: "80", max: "" },
+        ]),
+      }),
+    );
+
+    expect(errors).toEqual([]);
+    expect(JSON.parse(data.budgetTiers)).toEqual([
+      { value: "Under 50", label: "Basics", min: null, max: 40 },
+      { value: "Premium", label: "Premium", min: 40, max: null },
+      { value: "Premium 2", label: "Premium", min: 80, max: null },
+    ]);
+  });
+
+  it("rejects budget tiers whose prices do not make a range", () => {
+    const { errors } = parseSettings(
+      settingsForm({
+        budgetTiers: JSON.stringify([{ label: "Odd", min: "50", max: "20" }]),
+      }),
+    );
+
+    expect(errors).toEqual(["Odd: the highest price must be above the lowest"]);
+  });
+
+  it("rejects generator settings out of range", () => {
+    const { errors } = parseSettings(
+      settingsForm({ candidateLimit: "5", maxOutfitItems: "4.5" }),
+    );
+
+    expect(errors).toEqual([
+      "candidateLimit must be between 10 and 50",
+      "maxOutfitItems must be a whole number",
+    ]);
+  });
+});
@@ -0,0 +1,158 @@
+// ========== SIZE MAPPING ==========
+// Shoppers pick a generic size (S/M/L/XL) while each product uses its own
+// labels: letters, waist inches (28/30/32), US dress sizes (2/4/6) or EU sizes
+// (EU 38). These helpers translate a product's labels to the generic choices.
+// Shoe sizes do not translate to clothing sizes, so footwear is left out of
+// size matching.
+
+// Option names that hold a product's size
+const SIZE_OPTION_PATTERN = /\b(size|sizes|taille|größe|grosse|talla|waist)\b/i;
+
+// Option names that hold a shoe size, e.g. "Shoe size" or "Foot length"
+const SHOE_SIZE_OPTION_PATTERN = /\b(shoes?|foot|feet|footwear)\b/i;
+
+// Values meaning the product fits every size
+const ONE_SIZE_PATTERN = /^(one[\s-]?size|os|o\/s|free[\s-]?size|universal)$/i;
+
+const LETTER_SIZES = {
+  XXS: "S",
+  XS: "S",
+  S: "S",
+  SMALL: "S",
+  M: "M",
+  MEDIUM: "M",
+  L: "L",
+  LARGE: "L",
+  XL: "XL",
+  "X-LARGE": "XL",
+  XXL: "XL",
+  "2XL": "XL",
+  XXXL: "XL",
+  "3XL": "XL",
+};
+
+/**
+ * @param {number} size - EU (women's) clothing size
+ * @returns {string} - Generic size
+ */
+function fromEuSize(size) {
+  if (size <= 36) return "S";
+  if (size <= 40) return "M";
+  if (size <= 44) return "L";
+  return "XL";
+}
+
+/**
+ * @param {number} size - Bare numeric size
+ * @returns {string} - Generic size
+ */
+function fromNumericSize(size) {
+  // US dress sizes (0-22)
+  if (size < 24) {
+    if (size <= 4) return "S";
+    if (size <= 8) return "M";
+    if (size <= 12) return "L";
+    return "XL";
+  }
+  // Waist in inches (24-40)
+  if (size <= 40) {
+    if (size <= 29) return "S";
+    if (size <= 32) return "M";
+    if (size <= 35) return "L";
+    return "XL";
+  }
+  // Larger numbers are EU sizes written without the prefix
+  return fromEuSize(size);
+}
+
+/**
+ * Map one of a product's size labels to a generic size choice.
+ * @param {string} label - Size option value, e.g. "Medium", "32", "EU 38"
+ * @returns {string | null} - "S", "M", "L" or "XL", "ANY" for one-size items, or null if unrecognized
+ */
+export function toGenericSize(label) {
+  const value = (label || "").trim();
+  if (!value) return null;
+  if (ONE_SIZE_PATTERN.test(value)) return "ANY";
+
+  const letter = LETTER_SIZES[value.toUpperCase().replace(/\s+/g, "-")];
+  if (letter) return letter;
+
+  const eu = value.match(/^EU\s*(\d+(?:\.\d+)?)$/i);
+  if (eu) return fromEuSize(parseFloat(eu[1]));
+
+  // "32", "32W", "32/34" (waist/inseam) all use the first number
+  const numeric = value.match(/^(\d+(?:\.\d+)?)/);
+  if (numeric) return fromNumericSize(parseFloat(numeric[1]));
+
+  return null;
+}
+
+/**
+ * @param {object} variant - Normalized variant
+ * @returns {string | null} - The variant's size option value, if it has one
+ */
+function variantSizeLabel(variant) {
+  const option = (variant.selectedOptions || []).find((o) =>
+    SIZE_OPTION_PATTERN.test(o.name),
+  );
+  return option ? option.value : null;
+}
+
+/**
+ * @param {object} variant - Normalized variant
+ * @returns {boolean} - Whether shoppers can buy the variant
+ */
+function isAvailableForSale(variant) {
+  // Variants synced before availableForSale was stored only have inventory
+  return variant.availableForSale ?? variant.inventory > 0;
+}
+
+/**
+ * @param {object} product - Normalized product, with its `slot` when classified
+ * @returns {boolean} - Whether the product is sized in shoe sizes
+ */
+function isFootwear(product) {
+  if (product.slot === "footwear") return true;
+  return (product.variants || []).some((variant) =>
+    (variant.selectedOptions || []).some((option) =>
+      SHOE_SIZE_OPTION_PATTERN.test(option.name),
+    ),
+  );
+}
+
+/**
+ * @param {string} choice - Size the shopper chose, as the shop labels it
+ * @param {import("./settings.server").SizeChoice[]} sizeChoices - The shop's size choices
+ * @returns {string} - Generic size to match variants against; choices the shop no longer offers are used as they are
+ */
+export function toGenericSizeChoice(choice, sizeChoices) {
+  return (
+    sizeChoices.find((candidate) => candidate.label === choice)?.size || choice
+  );
+}
+
+/**
+ * Pick the variant to recommend for a shopper's size. Products without a
+ * size option (accessories, one-size items) and footwear match every size.
+ * @param {object} product - Normalized product with `variants`, and its `slot` when classified
+ * @param {string} size - Generic size choice, or "Any" to skip size matching
+ * @returns {object | null} - A variant for sale in that size, or null if none
+ */
+export function selectVariantForSize(product, size) {
+  const forSale = (product.variants || []).filter(isAvailableForSale);
+
+  const hasSizes = (product.variants || []).some(
+    (variant) => variantSizeLabel(variant) !== null,
+  );
+  if (!size || size === "Any" || !hasSizes || isFootwear(product)) {
+    return forSale[0] || null;
+  }
+
+  return (
+    forSale.find((variant) => {
+      const generic = toGenericSize(variantSizeLabel(variant));
+      return generic === size || generic === "ANY";
+    }) || null
+  );
+}
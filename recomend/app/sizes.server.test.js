@@ -0,0 +1,151 @@
+import { describe, expect, it } from "vitest";
+import {
+  selectVariantForSize,
+  toGenericSize,
+  toGenericSizeChoice,
+} from "./sizes.server";
+
+const variant = (id, options, fields = {}) => ({
+  id,
+  price: 10,
+  inventory: 5,
+  availableForSale: true,
+  selectedOptions: Object.entries(options).map(([name, value]) => ({
+    name,
+    value,
+  })),
+  ...fields,
+});
+
+describe("toGenericSize", () => {
+  it.each([
+    ["Medium", "M"],
+    ["XS", "S"],
+    ["2XL", "XL"],
+    ["x large", "XL"],
+    ["One Size", "ANY"],
+    ["O/S", "ANY"],
+  ])("maps the letter size %s to %s", (label, generic) => {
+    expect(toGenericSize(label)).toBe(generic);
+  });
+
+  it.each([
+    ["2", "S"],
+    ["8", "M"],
+    ["12", "L"],
+    ["16", "XL"],
+    ["28", "S"],
+    ["32W", "M"],
+    ["34/32", "L"],
+    ["EU 38", "M"],
+    ["46", "XL"],
+  ])("maps the numeric size %s to %s", (label, generic) => {
+    expect(toGenericSize(label)).toBe(generic);
+  });
+
+  it.each(["", "Petite", null])("does not map %j", (label) => {
+    expect(toGenericSize(label)).toBeNull();
+  });
+});
+
+describe("selectVariantForSize", () => {
+  const shirt = {
+    variants: [
+      variant("s", { Size: "S" }),
+      variant("m", { Size: "M" }),
+      variant("l", { Size: "L" }),
+    ],
+  };
+
+  it("picks the variant in the shopper's size", () => {
+    expect(selectVariantForSize(shirt, "M").id).toBe("m");
+  });
+
+  it("returns null when that size is not for sale", () => {
+    const soldOut = {
+      variants: [
+        variant("s", { Size: "S" }),
+        variant("m", { Size: "M" }, { availableForSale: false }),
+      ],
+    };
+
+    expect(selectVariantForSize(soldOut, "M")).toBeNull();
+  });
+
+  it("sells variants without tracked stock", () => {
+    const madeToOrder = {
+      variants: [
+        variant("m", { Size: "M" }, { inventory: 0, availableForSale: true }),
+      ],
+    };
+
+    expect(selectVariantForSize(madeToOrder, "M").id).toBe("m");
+  });
+
+  it("falls back to inventory for variants synced without availability", () => {
+    const legacy = {
+      variants: [
+        variant("s", { Size: "S" }, { availableForSale: undefined }),
+        variant(
+          "m",
+          { Size: "M" },
+          { availableForSale: undefined, inventory: 0 },
+        ),
+      ],
+    };
+
+    expect(selectVariantForSize(legacy, "S").id).toBe("s");
+    expect(selectVariantForSize(legacy, "M")).toBeNull();
+  });
+
+  it("takes any variant when the size is Any or the product is unsized", () => {
+    const scarf = { variants: [variant("red", { Color: "Red" })] };
+
+    expect(selectVariantForSize(shirt, "Any").id).toBe("s");
+    expect(selectVariantForSize(scarf, "XL").id).toBe("red");
+  });
+
+  it("keeps one-size variants for every size", () => {
+    const cap = { variants: [variant("os", { Size: "One Size" })] };
+
+    expect(selectVariantForSize(cap, "L").id).toBe("os");
+  });
+
+  it("does not match shoe sizes against clothing sizes", () => {
+    const sneakers = {
+      slot: "footwear",
+      variants: [
+        variant("9", { Size: "US 9" }, { availableForSale: false }),
+        variant("10", { Size: "10" }),
+        variant("eu42", { Size: "EU 42" }),
+      ],
+    };
+
+    expect(selectVariantForSize(sneakers, "S").id).toBe("10");
+    expect(selectVariantForSize(sneakers, "XL").id).toBe("10");
+  });
+
+  it("recognizes shoe size options on unclassified products", () => {
+    const boots = { variants: [variant("7", { "Shoe size": "7" })] };
+
+    expect(selectVariantForSize(boots, "S").id).toBe("7");
+  });
+});
+
+describe("toGenericSizeChoice", () => {
+  const sizeChoices = [
+    { label: "Petite", size: "S" },
+    { label: "Small", size: "S" },
+    { label: "Tall", size: "L" },
+  ];
+
+  it("maps the shop's labels to their generic size", () => {
+    expect(toGenericSizeChoice("Petite", sizeChoices)).toBe("S");
+    expect(toGenericSizeChoice("Tall", sizeChoices)).toBe("L");
+  });
+
+  it("keeps choices the shop does not offer", () => {
+    expect(toGenericSizeChoice("Any", sizeChoices)).toBe("Any");
+    expect(toGenericSizeChoice("M", sizeChoices)).toBe("M");
+  });
+});
@@ -0,0 +1,44 @@
+import db from "./db.server";
+
+// Merchant overrides for which outfit slot a product type or tag fills
+
+/**
+ * @param {string} shop - Shop domain
+ * @returns {Promise<{ id: string, matchType: string, value: string, slot: string }[]>} - The shop's slot mappings
+ */
+export async function listSlotMappings(shop) {
+  return db.slotMapping.findMany({
+    where: { shop },
+    orderBy: [{ matchType: "asc" }, { value: "asc" }],
+  });
+}
+
+/**
+ * Map every product with a product type or tag to a slot, replacing any
+ * earlier mapping for it.
+ * @param {string} shop - Shop domain
+ * @param {{ matchType: "productType" | "tag", value: string, slot: string }} mapping
+ * @returns {Promise<object>} - Saved `SlotMapping` row
+ */
+export async function saveSlotMapping(shop, { matchType, value, slot }) {
+  // Matching is case-insensitive
+  const key = value.trim().toLowerCase();
+
+  return db.slotMapping.upsert({
+    where: { shop_matchType_value: { shop, matchType, value: key } },
+    create: { shop, matchType, value: key, slot },
+    update: { slot },
+  });
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {string} matchType - "productType" or "tag"
+ * @param {string} value - Product type or tag to stop mapping
+ * @returns {Promise<void>}
+ */
+export async function deleteSlotMapping(shop, matchType, value) {
+  await db.slotMapping.deleteMany({
+    where: { shop, matchType, value: value.trim().toLowerCase() },
+  });
+}
@@ -0,0 +1,172 @@
+import { normalizePalette } from "./colors.server";
+import db from "./db.server";
+import { applyContextualPricing, getShopCurrency } from "./markets.server";
+import { classifyProduct } from "./outfit-slots";
+import { generateOutfit } from "./outfits.server";
+import { findAvailableProducts, getProduct } from "./products.server";
+import { saveRecommendation } from "./recommendations.server";
+import { selectVariantForSize } from "./sizes.server";
+import { listSlotMappings } from "./slot-mappings.server";
+
+// Generated looks are reused for this long before the AI is asked again
+const LOOK_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Source recorded on the history entries of generated looks, which keeps them
+// apart from the outfits shoppers and merchants ask for
+const LOOK_SOURCE = "complete-the-look";
+
+// Looks currently being generated, so concurrent shoppers on the same product
+// page share one AI call instead of each starting their own
+const pendingLooks = new Map();
+
+/**
+ * Shape a product for storefront widgets. URLs are relative because these
+ * responses are served through the app proxy on the shop's own domain, and
+ * point at the recommended variant when there is one.
+ * @param {object} product - Normalized product, optionally with a selected `variant`
+ * @returns {{ id: string, variantId: string | null, title: string, variantTitle: string | null, slot: string | null, price: number, url: string, image: string | null }}
+ */
+export function toStorefrontProduct(product) {
+  const variantNumericId = product.variant?.id.split("/").pop();
+
+  return {
+    id: product.id,
+    variantId: product.variant?.id || null,
+    title: product.title,
+    variantTitle: product.variant?.title || null,
+    slot: product.slot || null,
+    price: product.price,
+    url: variantNumericId
+      ? `/products/${product.handle}?variant=${variantNumericId}`
+      : `/products/${product.handle}`,
+    image: product.image,
+  };
+}
+
+/**
+ * @param {object | null} cached - Row from the `StorefrontLook` table
+ * @param {object} anchor - Normalized anchor product
+ * @returns {boolean} - Whether the cached look can still be served
+ */
+function isLookFresh(cached, anchor) {
+  if (!cached) return false;
+  if (Date.now() - cached.createdAt.getTime() > LOOK_TTL_MS) return false;
+  // Regenerate once the anchor product itself has been edited
+  return cached.createdAt >= anchor.updatedAt;
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {object} anchor - Normalized anchor product
+ * @returns {Promise<object>} - `{ recommendationId, recommendation, colorPalette, productIds }` or `{ error }`
+ */
+async function generateLook(shop, anchor) {
+  const outfit = await generateOutfit(shop, {}, { anchor });
+  // The quota message is written for the merchant, not for shoppers
+  if (outfit.quotaExceeded) {
+    return {
+      error: "Looks are unavailable right now. Please try again later.",
+    };
+  }
+  if (outfit.error) return { error: outfit.error };
+
+  // Saved to the history so orders from shoppers who follow the look are attributed to it
+  const recommendationId = await saveRecommendation(shop, {}, outfit, {
+    source: LOOK_SOURCE,
+  });
+
+  const look = {
+    recommendationId,
+    recommendation: outfit.recommendation,
+    colorPalette: outfit.colorPalette,
+    productIds: outfit.products.map((product) => product.id),
+  };
+
+  await db.storefrontLook.upsert({
+    where: { shop_productId: { shop, productId: anchor.id } },
+    create: { shop, productId: anchor.id, outfit: JSON.stringify(look) },
+    update: { outfit: JSON.stringify(look), createdAt: new Date() },
+  });
+
+  return look;
+}
+
+/**
+ * "Complete the Look" outfit for a product page, built by the same pipeline
+ * as the admin generator with the viewed product as the anchor.
+ * @param {string} shop - Shop domain
+ * @param {string} productId - GID of the product being viewed
+ * @param {{ admin?: object, countryCode?: string | null, limitGeneration?: () => { allowed: boolean, retryAfterSeconds: number } }} [options] - Reprice products for this country's market; `limitGeneration` is asked before a look is generated, so cached looks are never limited
+ * @returns {Promise<object | null>} - `{ recommendationId, recommendation, colorPalette, currencyCode, products }`, `{ error, retryAfterSeconds? }`, or null for products not in the synced catalog
+ */
+export async function getCompleteTheLook(
+  shop,
+  productId,
+  { admin, countryCode, limitGeneration } = {},
+) {
+  const anchor = await getProduct(shop, productId);
+  // Looks are only generated for products shoppers can see in the synced catalog
+  if (!anchor || anchor.status !== "ACTIVE") return null;
+
+  const cached = await db.storefrontLook.findUnique({
+    where: { shop_productId: { shop, productId } },
+  });
+
+  let look;
+  if (isLookFresh(cached, anchor)) {
+    look = JSON.parse(cached.outfit);
+  } else {
+    const key = `${shop}:${productId}`;
+    if (!pendingLooks.has(key)) {
+      const limit = limitGeneration?.();
+      if (limit && !limit.allowed) {
+        return {
+          error: "Looks are unavailable right now. Please try again later.",
+          retryAfterSeconds: limit.retryAfterSeconds,
+        };
+      }
+      pendingLooks.set(
+        key,
+        generateLook(shop, anchor).finally(() => pendingLooks.delete(key)),
+      );
+    }
+    look = await pendingLooks.get(key);
+  }
+
+  if (look.error) return { error: look.error };
+
+  // Products may have sold out or been deleted since the look was generated
+  const slotMappings = await listSlotMappings(shop);
+  let products = (await findAvailableProducts(shop, look.productIds)).flatMap(
+    (product) => {
+      const slot = classifyProduct(product, slotMappings);
+      if (product.variants.length === 0) return [{ ...product, slot }];
+      const variant = selectVariantForSize(product, "Any");
+      return variant
+        ? [{ ...product, slot, variant, price: variant.price }]
+        : [];
+    },
+  );
+
+  let currencyCode = await getShopCurrency(shop, admin);
+  if (admin && countryCode && products.length > 0) {
+    const market = await applyContextualPricing(
+      shop,
+      admin,
+      products,
+      countryCode,
+    );
+    products = market.products;
+    currencyCode = market.currencyCode || currencyCode;
+  }
+
+  return {
+    // Null for looks cached before they were saved to the history
+    recommendationId: look.recommendationId || null,
+    recommendation: look.recommendation,
+    // Looks cached before palette colors carried hex values hold plain names
+    colorPalette: normalizePalette(look.colorPalette),
+    currencyCode,
+    products: products.map(toStorefrontProduct),
+  };
+}
@@ -0,0 +1,383 @@
+import { randomUUID } from "node:crypto";
+import db from "./db.server";
+import { FREE_PLAN, getPlan, getPlanByName } from "./plans.server";
+import { unauthenticated } from "./shopify.server";
+
+// ========== USAGE METERING ==========
+// Every AI call a shop causes is counted per calendar month (UTC): outfit
+// generations, which the plan quotas apply to, and the embedding and text
+// calls and tokens behind them and behind catalog syncs.
+
+/**
+ * @param {Date} [date]
+ * @returns {string} - Usage period the date falls in, as YYYY-MM (UTC)
+ */
+export function currentPeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Add to the shop's usage for a period.
+ * @param {string} shop - Shop domain
+ * @param {Record<string, number>} increments - Amount to add per `UsagePeriod` counter
+ * @param {string} [period] - Defaults to the current period
+ * @returns {Promise<object>} - The updated `UsagePeriod` row
+ */
+async function incrementUsage(shop, increments, period = currentPeriod()) {
+  const where = { shop_period: { shop, period } };
+  const update = Object.fromEntries(
+    Object.entries(increments).map(([field, value]) => [
+      field,
+      { increment: value },
+    ]),
+  );
+
+  try {
+    return await db.usagePeriod.upsert({
+      where,
+      create: { shop, period, ...increments },
+      update,
+    });
+  } catch (error) {
+    // The first calls of a month can race to create the row; the loser adds to it
+    if (error.code !== "P2002") throw error;
+    return db.usagePeriod.update({ where, data: update });
+  }
+}
+
+/**
+ * Meter one AI provider call. Failures are logged rather than thrown, so
+ * metering never fails the call it measures.
+ * @param {string} shop - Shop domain
+ * @param {{ kind: "embedding" | "text", tokens: number }} usage - Reported by the provider
+ * @returns {Promise<void>}
+ */
+export async function recordAIUsage(shop, { kind, tokens }) {
+  try {
+    await incrementUsage(shop, {
+      [kind === "embedding" ? "embeddingCalls" : "textCalls"]: 1,
+      tokens: Math.round(tokens) || 0,
+    });
+  } catch (error) {
+    console.error("Failed to record AI usage:", error);
+  }
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @param {number} [months] - Periods to return, counting back from the current one
+ * @returns {Promise<object[]>} - `UsagePeriod` rows, newest first; months without usage are left out
+ */
+export function listUsagePeriods(shop, months = 6) {
+  return db.usagePeriod.findMany({
+    where: { shop },
+    orderBy: { period: "desc" },
+    take: months,
+  });
+}
+
+/**
+ * @param {string} shop - Shop domain
+ * @returns {Promise<object>} - The current `UsagePeriod` row, or zeros before the first use this month
+ */
+export async function getCurrentUsage(shop) {
+  const period = currentPeriod();
+  const usage = await db.usagePeriod.findUnique({
+    where: { shop_period: { shop, period } },
+  });
+  return (
+    usage || {
+      shop,
+      period,
+      generations: 0,
+      embeddingCalls: 0,
+      textCalls: 0,
+      tokens: 0,
+      overageGenerations: 0,
+      overageCharged: 0,
+    }
+  );
+}
+
+// ========== PLANS AND QUOTAS ==========
+
+/**
+ * @param {string} shop - Shop domain
+ * @returns {Promise<{ plan: import("./plans.server").Plan, subscriptionId: string | null, usageLineItemId: string | null, test: boolean }>} - The shop's stored plan; free until it subscribes
+ */
+export async function getShopPlan(shop) {
+  const row = await db.shopPlan.findUnique({ where: { shop } });
+  return {
+    plan: getPlan(row?.plan),
+    subscriptionId: row?.subscriptionId || null,
+    usageLineItemId: row?.usageLineItemId || null,
+    test: row?.test || false,
+  };
+}
+
+/**
+ * Store the shop's plan from its active Shopify app subscription. Called
+ * from the plan page and when Shopify reports a subscription change.
+ * @param {string} shop - Shop domain
+ * @param {object} admin - Admin API context
+ * @returns {Promise<object>} - The shop's plan, as from `getShopPlan`
+ */
+export async function syncShopPlan(shop, admin) {
+  const response = await admin.graphql(
+    `#graphql
+      query activeOutfitSubscriptions {
+        currentAppInstallation {
+          activeSubscriptions {
+            id
+            name
+            test
+            lineItems {
+              id
+              plan {
+                pricingDetails {
+                  __typename
+                }
+              }
+            }
+          }
+        }
+      }
+    `,
+  );
+  const responseJson = await response.json();
+  const subscription =
+    responseJson.data.currentAppInstallation.activeSubscriptions.find(
+      (candidate) => getPlanByName(candidate.name),
+    );
+
+  const data = subscription
+    ? {
+        plan: getPlanByName(subscription.name).key,
+        subscriptionId: subscription.id,
+        usageLineItemId:
+          subscription.lineItems.find(
+            (lineItem) =>
+              lineItem.plan.pricingDetails.__typename === "AppUsagePricing",
+          )?.id || null,
+        test: subscription.test,
+      }
+    : {
+        plan: FREE_PLAN,
+        subscriptionId: null,
+        usageLineItemId: null,
+        test: false,
+      };
+
+  await db.shopPlan.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+  return getShopPlan(shop);
+}
+
+/**
+ * Apply an `app_subscriptions/update` webhook. The active subscriptions are
+ * re-read rather than taken from the payload, as deliveries can arrive out of
+ * order; without an Admin API context, a subscription that ended drops the
+ * shop to the free plan.
+ * @param {string} shop - Shop domain
+ * @param {object | undefined} admin - Admin API context, when the shop still has a session
+ * @param {object} appSubscription - `app_subscription` from the webhook payload
+ * @returns {Promise<void>}
+ */
+export async function applySubscriptionUpdate(shop, admin, appSubscription) {
+  if (admin) {
+    await syncShopPlan(shop, admin);
+    return;
+  }
+  if (appSubscription.status === "ACTIVE") return;
+  await db.shopPlan.updateMany({
+    where: { shop, subscriptionId: appSubscription.admin_graphql_api_id },
+    data: {
+      plan: FREE_PLAN,
+      subscriptionId: null,
+      usageLineItemId: null,
+      test: false,
+    },
+  });
+}
+
+/**
+ * Most generations the plan allows in a month: the included ones, plus as
+ * many usage charges as fit under the plan's spending cap when the
+ * subscription can be billed for them.
+ * @param {import("./plans.server").Plan} plan - The shop's plan
+ * @param {string | null} usageLineItemId - Subscription line item usage charges are billed to
+ * @returns {number}
+ */
+function monthlyGenerationLimit(plan, usageLineItemId) {
+  if (plan.overagePrice === null || !usageLineItemId) {
+    return plan.includedGenerations;
+  }
+  // Shopify refuses charges beyond the cap anyway; stopping there keeps outfits from going unbilled
+  return (
+    plan.includedGenerations +
+    Math.floor(plan.usageCap / plan.overagePrice + 0.001)
+  );
+}
+
+/**
+ * @param {import("./plans.server").Plan} plan - The shop's plan
+ * @param {string | null} usageLineItemId - Subscription line item usage charges are billed to
+ * @returns {string} - Why the shop cannot generate more outfits this month, for the merchant
+ */
+function quotaExceededMessage(plan, usageLineItemId) {
+  if (plan.overagePrice === null) {
+    return `This month's ${plan.includedGenerations} outfits on the ${plan.name} plan are used up. Upgrade your plan to keep generating outfits.`;
+  }
+  if (!usageLineItemId) {
+    return `This month's ${plan.includedGenerations} outfits on the ${plan.name} plan are used up, and extra outfits cannot be billed to your subscription. Choose your plan again on the Plan and usage page.`;
+  }
+  return `This month's extra outfits on the ${plan.name} plan have reached its $${plan.usageCap} spending limit. Upgrade your plan to keep generating outfits.`;
+}
+
+/**
+ * @typedef {object} GenerationReservation
+ * @property {string} period - Usage period the generation is counted in
+ * @property {number} number - The generation's number within the period
+ * @property {import("./plans.server").Plan} plan - The shop's plan when it was reserved
+ * @property {string | null} usageLineItemId - Subscription line item to bill it to
+ */
+
+/**
+ * Count a generation against the shop's monthly quota before it is made.
+ * The count only goes up while it is below the plan's limit, in a single
+ * conditional update, so concurrent requests cannot take the same last
+ * generation. Beyond the plan's included generations, paid plans continue as
+ * usage charges until this month's reach the plan's spending cap.
+ * @param {string} shop - Shop domain
+ * @returns {Promise<{ allowed: true, reservation: GenerationReservation } | { allowed: false, message: string }>} - With a message for the merchant when blocked
+ */
+export async function reserveGeneration(shop) {
+  const { plan, usageLineItemId } = await getShopPlan(shop);
+  const period = currentPeriod();
+  // The conditional update below needs the month's row to exist
+  await incrementUsage(shop, {}, period);
+
+  try {
+    const usage = await db.usagePeriod.update({
+      where: {
+        shop_period: { shop, period },
+        generations: { lt: monthlyGenerationLimit(plan, usageLineItemId) },
+      },
+      data: { generations: { increment: 1 } },
+    });
+    return {
+      allowed: true,
+      reservation: {
+        period,
+        number: usage.generations,
+        plan,
+        usageLineItemId,
+      },
+    };
+  } catch (error) {
+    // No row matched: the limit is reached
+    if (error.code !== "P2025") throw error;
+    return {
+      allowed: false,
+      message: quotaExceededMessage(plan, usageLineItemId),
+    };
+  }
+}
+
+/**
+ * Give back a reserved generation that produced no outfit. Failures are
+ * logged rather than thrown, so they never hide the error that caused them.
+ * @param {string} shop - Shop domain
+ * @param {GenerationReservation} reservation - From `reserveGeneration`
+ * @returns {Promise<void>}
+ */
+export async function releaseGeneration(shop, { period }) {
+  try {
+    await db.usagePeriod.update({
+      where: { shop_period: { shop, period }, generations: { gt: 0 } },
+      data: { generations: { decrement: 1 } },
+    });
+  } catch (error) {
+    console.error("Failed to release a reserved generation:", error);
+  }
+}
+
+/**
+ * Bill one generation beyond the included ones as a usage charge.
+ * @param {string} shop - Shop domain
+ * @param {GenerationReservation} reservation - The generation to bill
+ * @returns {Promise<boolean>} - Whether Shopify accepted the charge
+ */
+async function chargeOverage(shop, { period, number, plan, usageLineItemId }) {
+  try {
+    const { admin } = await unauthenticated.admin(shop);
+    const response = await admin.graphql(
+      `#graphql
+        mutation chargeOutfitGeneration(
+          $subscriptionLineItemId: ID!
+          $price: MoneyInput!
+          $description: String!
+          $idempotencyKey: String!
+        ) {
+          appUsageRecordCreate(
+            subscriptionLineItemId: $subscriptionLineItemId
+            price: $price
+            description: $description
+            idempotencyKey: $idempotencyKey
+          ) {
+            appUsageRecord {
+              id
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `,
+      {
+        variables: {
+          subscriptionLineItemId: usageLineItemId,
+          price: { amount: plan.overagePrice, currencyCode: "USD" },
+          description: `Outfit ${number} in ${period}, beyond the ${plan.includedGenerations} included in ${plan.name}`,
+          // Numbers are reused after a released generation, so each charge gets its own key
+          idempotencyKey: randomUUID(),
+        },
+      },
+    );
+    const responseJson = await response.json();
+    const { userErrors } = responseJson.data.appUsageRecordCreate;
+    if (userErrors.length > 0) {
+      console.error("Usage charge was refused:", userErrors);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error("Failed to create usage charge:", error);
+    return false;
+  }
+}
+
+/**
+ * Settle a reserved generation that produced an outfit, billing it when it
+ * is beyond the plan's included generations.
+ * @param {string} shop - Shop domain
+ * @param {GenerationReservation} reservation - From `reserveGeneration`
+ * @returns {Promise<void>}
+ */
+export async function chargeGeneration(shop, reservation) {
+  const { period, number, plan, usageLineItemId } = reservation;
+  if (number <= plan.includedGenerations) return;
+  if (plan.overagePrice === null || !usageLineItemId) return;
+
+  if (await chargeOverage(shop, reservation)) {
+    await incrementUsage(
+      shop,
+      { overageGenerations: 1, overageCharged: plan.overagePrice },
+      period,
+    );
+  }
+}
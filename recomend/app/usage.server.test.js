@@ -0,0 +1,200 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import db from "./db.server";
+import { unauthenticated } from "./shopify.server";
+import {
+  chargeGeneration,
+  releaseGeneration,
+  reserveGeneration,
+} from "./usage.server";
+
+vi.mock("./db.server", () => ({
+  default: {
+    shopPlan: { findUnique: vi.fn() },
+    usagePeriod: { upsert: vi.fn(), update: vi.fn() },
+  },
+}));
+
+vi.mock("./shopify.server", () => ({
+  unauthenticated: { admin: vi.fn() },
+}));
+
+const SHOP = "example.myshopify.com";
+
+// Prisma error for an update whose `where` matched no row
+const noRowMatched = () =>
+  Object.assign(new Error("Record to update not found."), { code: "P2025" });
+
+// Limit the conditional update in `reserveGeneration` allowed up to
+const reservedBelow = () =>
+  db.usagePeriod.update.mock.calls[0][0].where.generations.lt;
+
+describe("reserveGeneration", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-03-15T10:00:00Z"));
+    db.shopPlan.findUnique.mockResolvedValue(null);
+    db.usagePeriod.upsert.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("counts the generation in the current month", async () => {
+    db.usagePeriod.update.mockResolvedValue({ generations: 12 });
+
+    const result = await reserveGeneration(SHOP);
+
+    expect(result).toMatchObject({
+      allowed: true,
+      reservation: { period: "2026-03", number: 12, usageLineItemId: null },
+    });
+    expect(db.usagePeriod.update).toHaveBeenCalledWith({
+      where: {
+        shop_period: { shop: SHOP, period: "2026-03" },
+        generations: { lt: 50 },
+      },
+      data: { generations: { increment: 1 } },
+    });
+  });
+
+  it("blocks generations once the free plan's are used up", async () => {
+    db.usagePeriod.update.mockRejectedValue(noRowMatched());
+
+    const result = await reserveGeneration(SHOP);
+
+    expect(result).toEqual({
+      allowed: false,
+      message:
+        "This month's 50 outfits on the Free plan are used up. Upgrade your plan to keep generating outfits.",
+    });
+  });
+
+  it("lets paid plans continue up to their spending cap", async () => {
+    db.shopPlan.findUnique.mockResolvedValue({
+      plan: "starter",
+      usageLineItemId: "gid://shopify/AppSubscriptionLineItem/1",
+    });
+    db.usagePeriod.update.mockRejectedValue(noRowMatched());
+
+    const result = await reserveGeneration(SHOP);
+
+    // 500 included, then $50 of usage charges at $0.05
+    expect(reservedBelow()).toBe(1500);
+    expect(result.message).toMatch(/reached its \$50 spending limit/);
+  });
+
+  it("stops at the included generations when usage cannot be billed", async () => {
+    db.shopPlan.findUnique.mockResolvedValue({ plan: "starter" });
+    db.usagePeriod.update.mockRejectedValue(noRowMatched());
+
+    const result = await reserveGeneration(SHOP);
+
+    expect(reservedBelow()).toBe(500);
+    expect(result.message).toMatch(/cannot be billed/);
+  });
+
+  it("passes on database failures", async () => {
+    db.usagePeriod.update.mockRejectedValue(new Error("Database is locked"));
+
+    await expect(reserveGeneration(SHOP)).rejects.toThrow("Database is locked");
+  });
+});
+
+describe("releaseGeneration", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.usagePeriod.update.mockResolvedValue({});
+  });
+
+  it("gives the generation back", async () => {
+    await releaseGeneration(SHOP, { period: "2026-03" });
+
+    expect(db.usagePeriod.update).toHaveBeenCalledWith({
+      where: {
+        shop_period: { shop: SHOP, period: "2026-03" },
+        generations: { gt: 0 },
+      },
+      data: { generations: { decrement: 1 } },
+    });
+  });
+
+  it("logs failures instead of throwing", async () => {
+    const logError = vi.spyOn(console, "error").mockImplementation(() => {});
+    db.usagePeriod.update.mockRejectedValue(noRowMatched());
+
+    await expect(
+      releaseGeneration(SHOP, { period: "2026-03" }),
+    ).resolves.toBeUndefined();
+    expect(logError).toHaveBeenCalled();
+    logError.mockRestore();
+  });
+});
+
+describe("chargeGeneration", () => {
+  const starter = {
+    key: "starter",
+    name: "Starter",
+    includedGenerations: 500,
+    overagePrice: 0.05,
+    usageCap: 50,
+  };
+  const reservation = (number) => ({
+    period: "2026-03",
+    number,
+    plan: starter,
+    usageLineItemId: "gid://shopify/AppSubscriptionLineItem/1",
+  });
+
+  const usageAdmin = (userErrors = []) => ({
+    graphql: vi.fn(async () => ({
+      json: async () => ({
+        data: { appUsageRecordCreate: { appUsageRecord: null, userErrors } },
+      }),
+    })),
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.usagePeriod.upsert.mockResolvedValue({});
+  });
+
+  it("does not bill included generations", async () => {
+    await chargeGeneration(SHOP, reservation(500));
+
+    expect(unauthenticated.admin).not.toHaveBeenCalled();
+  });
+
+  it("bills generations beyond the included ones and counts them", async () => {
+    const admin = usageAdmin();
+    unauthenticated.admin.mockResolvedValue({ admin });
+
+    await chargeGeneration(SHOP, reservation(501));
+
+    expect(admin.graphql.mock.calls[0][1].variables).toMatchObject({
+      price: { amount: 0.05, currencyCode: "USD" },
+      description: "Outfit 501 in 2026-03, beyond the 500 included in Starter",
+    });
+    expect(db.usagePeriod.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        update: {
+          overageGenerations: { increment: 1 },
+          overageCharged: { increment: 0.05 },
+        },
+      }),
+    );
+  });
+
+  it("counts nothing when Shopify refuses the charge", async () => {
+    const logError = vi.spyOn(console, "error").mockImplementation(() => {});
+    unauthenticated.admin.mockResolvedValue({
+      admin: usageAdmin([{ field: null, message: "Cap reached" }]),
+    });
+
+    await chargeGeneration(SHOP, reservation(501));
+
+    expect(db.usagePeriod.upsert).not.toHaveBeenCalled();
+    logError.mockRestore();
+  });
+});
@@ -0,0 +1,33 @@
+import db from "./db.server";
+
+/**
+ * Shopify retries webhooks and may deliver the same event more than once.
+ * @param {string} webhookId - Value of the `X-Shopify-Webhook-Id` header
+ * @returns {Promise<boolean>} - Whether this delivery was already processed
+ */
+export async function isDuplicateWebhook(webhookId) {
+  if (!webhookId) return false;
+
+  const delivery = await db.webhookDelivery.findUnique({
+    where: { id: webhookId },
+  });
+  return Boolean(delivery);
+}
+
+/**
+ * Remember a processed delivery. Called after the handler succeeds so that a
+ * failed attempt is still retried by Shopify.
+ * @param {string} webhookId - Value of the `X-Shopify-Webhook-Id` header
+ * @param {string} shop - Shop domain
+ * @param {string} topic - Webhook topic
+ * @returns {Promise<void>}
+ */
+export async function markWebhookProcessed(webhookId, shop, topic) {
+  if (!webhookId) return;
+
+  await db.webhookDelivery.upsert({
+    where: { id: webhookId },
+    create: { id: webhookId, shop, topic },
+    update: {},
+  });
+}
@@ -0,0 +1,119 @@
+(function () {
+  function formatPrice(amount, currency, root) {
+    try {
+      return new Intl.NumberFormat(root.dataset.locale || undefined, {
+        style: "currency",
+        currency: currency || root.dataset.currency || "USD",
+      }).format(amount);
+    } catch (error) {
+      return amount.toFixed(2);
+    }
+  }
+
+  function renderPalette(root, colors) {
+    var palette = root.querySelector(".complete-the-look__palette");
+    if (root.dataset.showPalette !== "true" || !colors.length) return;
+
+    palette.setAttribute("aria-label", root.dataset.paletteLabel);
+    colors.forEach(function (color) {
+      var chip = document.createElement("span");
+      chip.className = "complete-the-look__color";
+      if (color.hex) {
+        var swatch = document.createElement("span");
+        swatch.className = "complete-the-look__swatch";
+        swatch.style.background = color.hex;
+        chip.appendChild(swatch);
+      }
+      chip.appendChild(document.createTextNode(color.name));
+      palette.appendChild(chip);
+    });
+    palette.hidden = false;
+  }
+
+  function renderProducts(root, products, currency) {
+    var list = root.querySelector(".complete-the-look__items");
+
+    products.forEach(function (product) {
+      var item = document.createElement("li");
+      item.className = "complete-the-look__item";
+
+      var link = document.createElement("a");
+      link.href = product.url;
+      link.className = "complete-the-look__link";
+
+      if (product.image) {
+        var image = document.createElement("img");
+        image.src = product.image;
+        image.alt = product.title;
+        image.loading = "lazy";
+        image.width = 160;
+        image.height = 160;
+        link.appendChild(image);
+      }
+
+      var title = document.createElement("span");
+      title.className = "complete-the-look__title";
+      title.textContent = product.title;
+      link.appendChild(title);
+
+      var price = document.createElement("span");
+      price.className = "complete-the-look__price";
+      price.textContent = formatPrice(product.price, currency, root);
+      link.appendChild(price);
+
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+  }
+
+  // Tag the cart with the look once a shopper follows it, so the app can
+  // attribute their order to it
+  function tagCart(root, attributes) {
+    if (!Object.keys(attributes).length) return;
+
+    var tagged = false;
+    root.querySelectorAll(".complete-the-look__link").forEach(function (link) {
+      link.addEventListener("click", function () {
+        if (tagged) return;
+        tagged = true;
+        fetch(root.dataset.cartUpdateUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Accept: "application/json" },
+          body: JSON.stringify({ attributes: attributes }),
+          // Finishes even though the click navigates away
+          keepalive: true,
+        }).catch(function () {});
+      });
+    });
+  }
+
+  function load(root) {
+    var url =
+      root.dataset.endpoint +
+      "?product_id=" +
+      encodeURIComponent(root.dataset.productId) +
+      "&limit=" +
+      encodeURIComponent(root.dataset.limit);
+    if (root.dataset.country) {
+      url += "&country=" + encodeURIComponent(root.dataset.country);
+    }
+
+    fetch(url, { headers: { Accept: "application/json" } })
+      .then(function (response) {
+        return response.ok ? response.json() : null;
+      })
+      .then(function (look) {
+        // Stay hidden rather than show an empty or broken block to shoppers
+        if (!look || look.error || !look.products.length) return;
+
+        root.querySelector(".complete-the-look__status").hidden = true;
+        renderPalette(root, look.colorPalette || []);
+        renderProducts(root, look.products, look.currencyCode);
+        tagCart(root, look.cartAttributes || {});
+        root.hidden = false;
+      })
+      .catch(function () {});
+  }
+
+  document.querySelectorAll("[data-complete-the-look]").forEach(load);
+})();
@@ -0,0 +1,77 @@
+// Discounts a recommended outfit only when the cart holds all of it. The app
+// stores the outfit's variants and percentage on the discount as its
+// configuration; each complete set of those variants in the cart gets the
+// percentage off, and leftover copies of any one item pay full price.
+
+const NO_DISCOUNT = {
+  discountApplicationStrategy: "FIRST",
+  discounts: [],
+};
+
+/**
+ * @param {string | undefined} value - The discount's configuration metafield
+ * @returns {{ variantIds: string[], percentage: number } | null} - Null when unset or malformed
+ */
+function readConfiguration(value) {
+  try {
+    const { variantIds, percentage } = JSON.parse(value ?? "{}");
+    if (!Array.isArray(variantIds) || variantIds.length === 0) return null;
+    if (!(percentage > 0)) return null;
+    return { variantIds: [...new Set(variantIds)], percentage };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {object} input - Cart and discount, shaped by `run.graphql`
+ * @returns {object} - Discounts to apply, one per complete outfit set
+ */
+export function run(input) {
+  const configuration = readConfiguration(
+    input?.discountNode?.metafield?.value,
+  );
+  if (!configuration) return NO_DISCOUNT;
+
+  const linesByVariant = new Map();
+  for (const line of input.cart.lines) {
+    if (line.merchandise.__typename !== "ProductVariant") continue;
+    const lines = linesByVariant.get(line.merchandise.id) || [];
+    lines.push(line);
+    linesByVariant.set(line.merchandise.id, lines);
+  }
+
+  // Each complete outfit takes one of every item
+  const outfits = Math.min(
+    ...configuration.variantIds.map((variantId) =>
+      (linesByVariant.get(variantId) || []).reduce(
+        (sum, line) => sum + line.quantity,
+        0,
+      ),
+    ),
+  );
+  if (outfits === 0) return NO_DISCOUNT;
+
+  const targets = [];
+  for (const variantId of configuration.variantIds) {
+    let remaining = outfits;
+    for (const line of linesByVariant.get(variantId)) {
+      if (remaining === 0) break;
+      const quantity = Math.min(line.quantity, remaining);
+      targets.push({ cartLine: { id: line.id, quantity } });
+      remaining -= quantity;
+    }
+  }
+
+  return {
+    discountApplicationStrategy: "FIRST",
+    discounts: [
+      {
+        targets,
+        value: {
+          percentage: { value: String(configuration.percentage) },
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import { run } from "./run";
+
+const SHIRT = "gid://shopify/ProductVariant/1";
+const JEANS = "gid://shopify/ProductVariant/2";
+const BOOTS = "gid://shopify/ProductVariant/3";
+
+// Function input for a cart holding `[variantId, quantity]` lines
+const input = (
+  lines,
+  configuration = { variantIds: [SHIRT, JEANS], percentage: 15 },
+) => ({
+  cart: {
+    lines: lines.map(([id, quantity], index) => ({
+      id: `gid://shopify/CartLine/${index}`,
+      quantity,
+      merchandise: { __typename: "ProductVariant", id },
+    })),
+  },
+  discountNode: {
+    metafield: configuration && { value: JSON.stringify(configuration) },
+  },
+});
+
+describe("run", () => {
+  it("discounts every item of a complete outfit", () => {
+    expect(
+      run(
+        input([
+          [SHIRT, 1],
+          [JEANS, 1],
+          [BOOTS, 1],
+        ]),
+      ),
+    ).toEqual({
+      discountApplicationStrategy: "FIRST",
+      discounts: [
+        {
+          targets: [
+            { cartLine: { id: "gid://shopify/CartLine/0", quantity: 1 } },
+            { cartLine: { id: "gid://shopify/CartLine/1", quantity: 1 } },
+          ],
+          value: { percentage: { value: "15" } },
+        },
+      ],
+    });
+  });
+
+  it("gives nothing for copies of one item without the rest", () => {
+    expect(run(input([[SHIRT, 2]])).discounts).toEqual([]);
+    expect(
+      run(
+        input([
+          [SHIRT, 3],
+          [BOOTS, 1],
+        ]),
+      ).discounts,
+    ).toEqual([]);
+  });
+
+  it("only discounts as many items as there are complete outfits", () => {
+    const [discount] = run(
+      input([
+        [SHIRT, 3],
+        [JEANS, 2],
+      ]),
+    ).discounts;
+
+    expect(discount.targets).toEqual([
+      { cartLine: { id: "gid://shopify/CartLine/0", quantity: 2 } },
+      { cartLine: { id: "gid://shopify/CartLine/1", quantity: 2 } },
+    ]);
+  });
+
+  it("counts an item split across cart lines", () => {
+    const [discount] = run(
+      input([
+        [SHIRT, 1],
+        [JEANS, 2],
+        [SHIRT, 1],
+      ]),
+    ).discounts;
+
+    expect(discount.targets).toEqual([
+      { cartLine: { id: "gid://shopify/CartLine/0", quantity: 1 } },
+      { cartLine: { id: "gid://shopify/CartLine/2", quantity: 1 } },
+      { cartLine: { id: "gid://shopify/CartLine/1", quantity: 2 } },
+    ]);
+  });
+
+  it.each([
+    ["no configuration", null],
+    ["no variants", { variantIds: [], percentage: 15 }],
+    ["no percentage", { variantIds: [SHIRT, JEANS] }],
+  ])("gives nothing with %s", (_, configuration) => {
+    expect(
+      run(
+        input(
+          [
+            [SHIRT, 1],
+            [JEANS, 1],
+          ],
+          configuration,
+        ),
+      ).discounts,
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "ProductEmbedding" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "textHash" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "embedding" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductEmbedding_shop_productId_key" ON "ProductEmbedding"("shop", "productId");
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "Product" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "handle" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "vendor" TEXT NOT NULL,
+    "productType" TEXT NOT NULL,
+    "tags" TEXT NOT NULL,
+    "options" TEXT NOT NULL,
+    "price" REAL NOT NULL,
+    "image" TEXT,
+    "totalInventory" INTEGER NOT NULL,
+    "status" TEXT NOT NULL,
+    "shopifyUpdatedAt" DATETIME NOT NULL,
+    "deletedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "WebhookDelivery" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "topic" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Product_shop_productId_key" ON "Product"("shop", "productId");
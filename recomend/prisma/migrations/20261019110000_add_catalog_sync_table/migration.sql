@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN "lastSeenAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "CatalogSync" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "status" TEXT NOT NULL,
+    "mode" TEXT NOT NULL,
+    "bulkOperationId" TEXT,
+    "processedCount" INTEGER NOT NULL DEFAULT 0,
+    "totalCount" INTEGER,
+    "error" TEXT,
+    "startedAt" DATETIME NOT NULL,
+    "lastSyncedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL
+);
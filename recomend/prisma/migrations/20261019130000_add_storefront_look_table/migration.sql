@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "StorefrontLook" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "outfit" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StorefrontLook_shop_productId_key" ON "StorefrontLook"("shop", "productId");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "source" TEXT NOT NULL DEFAULT 'admin';
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "customerId" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "rejectedSelectionCount" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "SlotMapping" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "matchType" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "slot" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SlotMapping_shop_matchType_value_key" ON "SlotMapping"("shop", "matchType", "value");
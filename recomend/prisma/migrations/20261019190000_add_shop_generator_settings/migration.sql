@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "preferenceOptions" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN "budgetTiers" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN "budgetLeeway" REAL NOT NULL DEFAULT 1.25;
+ALTER TABLE "ShopSettings" ADD COLUMN "candidateLimit" INTEGER NOT NULL DEFAULT 20;
+ALTER TABLE "ShopSettings" ADD COLUMN "maxOutfitItems" INTEGER NOT NULL DEFAULT 5;
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "promptVersion" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "PromptTemplate" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "template" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromptTemplate_shop_version_key" ON "PromptTemplate"("shop", "version");
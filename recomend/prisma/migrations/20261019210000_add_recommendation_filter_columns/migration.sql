@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "budget" TEXT;
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "budgetMode" TEXT;
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "size" TEXT;
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "style" TEXT;
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "occasion" TEXT;
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "weather" TEXT;
+
+-- Backfill from the stored preferences
+UPDATE "OutfitRecommendation" SET
+    "budget" = json_extract("userPreferences", '$.budget'),
+    "budgetMode" = json_extract("userPreferences", '$.budgetMode'),
+    "size" = json_extract("userPreferences", '$.size'),
+    "style" = json_extract("userPreferences", '$.style'),
+    "occasion" = json_extract("userPreferences", '$.occasion'),
+    "weather" = json_extract("userPreferences", '$.weather')
+WHERE json_valid("userPreferences");
+
+-- CreateIndex
+CREATE INDEX "OutfitRecommendation_shop_createdAt_idx" ON "OutfitRecommendation"("shop", "createdAt");
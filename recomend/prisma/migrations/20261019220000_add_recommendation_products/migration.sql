@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "RecommendationProduct" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "recommendationId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "title" TEXT NOT NULL,
+    "variantTitle" TEXT,
+    "handle" TEXT NOT NULL,
+    "image" TEXT,
+    "slot" TEXT,
+    "price" REAL NOT NULL,
+    "currencyCode" TEXT NOT NULL,
+    CONSTRAINT "RecommendationProduct_recommendationId_fkey" FOREIGN KEY ("recommendationId") REFERENCES "OutfitRecommendation" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "RecommendationProduct_recommendationId_idx" ON "RecommendationProduct"("recommendationId");
+
+-- Earlier recommendations only kept comma-joined product IDs. Snapshot the
+-- products still in the local catalog, with their current details.
+WITH RECURSIVE "split" ("recommendationId", "shop", "position", "productId", "rest") AS (
+    SELECT "id", "shop", -1, '', "productIds" || ','
+    FROM "OutfitRecommendation"
+    WHERE "productIds" <> ''
+    UNION ALL
+    SELECT "recommendationId", "shop", "position" + 1,
+        substr("rest", 1, instr("rest", ',') - 1),
+        substr("rest", instr("rest", ',') + 1)
+    FROM "split"
+    WHERE "rest" <> ''
+)
+INSERT INTO "RecommendationProduct" ("id", "recommendationId", "position", "productId", "title", "handle", "image", "price", "currencyCode")
+SELECT lower(hex(randomblob(16))), "split"."recommendationId", "split"."position", "split"."productId",
+    "Product"."title", "Product"."handle", "Product"."image", "Product"."price",
+    COALESCE("ShopSettings"."currencyCode", 'USD')
+FROM "split"
+JOIN "Product" ON "Product"."shop" = "split"."shop" AND "Product"."productId" = "split"."productId"
+LEFT JOIN "ShopSettings" ON "ShopSettings"."shop" = "split"."shop"
+WHERE "split"."position" >= 0;
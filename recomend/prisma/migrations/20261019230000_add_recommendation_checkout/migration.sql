@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "cartUrl" TEXT;
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "draftOrderId" TEXT;
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "draftOrderName" TEXT;
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "draftOrderInvoiceUrl" TEXT;
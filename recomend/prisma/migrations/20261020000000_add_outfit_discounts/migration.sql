@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "OutfitDiscount" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "recommendationId" TEXT NOT NULL,
+    "discountId" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "code" TEXT,
+    "percentage" REAL NOT NULL,
+    "title" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "endsAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "OutfitDiscount_recommendationId_fkey" FOREIGN KEY ("recommendationId") REFERENCES "OutfitRecommendation" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OutfitDiscount_recommendationId_key" ON "OutfitDiscount"("recommendationId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "generationMs" INTEGER;
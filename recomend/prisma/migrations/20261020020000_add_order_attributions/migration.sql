@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "attributedRevenue" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "OutfitRecommendation" ADD COLUMN "attributedOrderCount" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "attributionWindowDays" INTEGER NOT NULL DEFAULT 7;
+
+-- CreateTable
+CREATE TABLE "OrderAttribution" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "recommendationId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "lineItemId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "revenue" REAL NOT NULL,
+    "currencyCode" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "orderedAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "OrderAttribution_recommendationId_fkey" FOREIGN KEY ("recommendationId") REFERENCES "OutfitRecommendation" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderAttribution_shop_lineItemId_key" ON "OrderAttribution"("shop", "lineItemId");
+
+-- CreateIndex
+CREATE INDEX "OrderAttribution_recommendationId_idx" ON "OrderAttribution"("recommendationId");
+
+-- CreateIndex
+CREATE INDEX "OrderAttribution_shop_orderedAt_idx" ON "OrderAttribution"("shop", "orderedAt");
@@ -0,0 +1,22 @@
+-- CreateIndex
+CREATE INDEX "OutfitRecommendation_shop_customerId_idx" ON "OutfitRecommendation"("shop", "customerId");
+
+-- AlterTable
+ALTER TABLE "OrderAttribution" ADD COLUMN "customerId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "OrderAttribution_shop_customerId_idx" ON "OrderAttribution"("shop", "customerId");
+
+-- CreateTable
+CREATE TABLE "CustomerDataRequest" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "orderIds" TEXT NOT NULL,
+    "dataRequestId" TEXT,
+    "exportedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "CustomerDataRequest_shop_createdAt_idx" ON "CustomerDataRequest"("shop", "createdAt");
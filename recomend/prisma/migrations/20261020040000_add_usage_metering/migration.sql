@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "ShopPlan" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "plan" TEXT NOT NULL DEFAULT 'free',
+    "subscriptionId" TEXT,
+    "usageLineItemId" TEXT,
+    "test" BOOLEAN NOT NULL DEFAULT false,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "UsagePeriod" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "period" TEXT NOT NULL,
+    "generations" INTEGER NOT NULL DEFAULT 0,
+    "embeddingCalls" INTEGER NOT NULL DEFAULT 0,
+    "textCalls" INTEGER NOT NULL DEFAULT 0,
+    "tokens" INTEGER NOT NULL DEFAULT 0,
+    "overageGenerations" INTEGER NOT NULL DEFAULT 0,
+    "overageCharged" REAL NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UsagePeriod_shop_period_key" ON "UsagePeriod"("shop", "period");
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "LeftoverDiscount" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "discountId" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "code" TEXT,
+    "title" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "LeftoverDiscount_shop_createdAt_idx" ON "LeftoverDiscount"("shop", "createdAt");
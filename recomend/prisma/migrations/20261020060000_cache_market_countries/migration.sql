@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "marketCountries" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN "marketCountriesFetchedAt" DATETIME;
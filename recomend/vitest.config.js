@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Unit tests run without the Remix plugin, which only applies to the app build
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.js", "extensions/*/src/**/*.test.js"],
+    environment: "node",
+  },
+});